@@ -39,7 +39,8 @@ const requiredEnvVars = [
 // Optional environment variables (will use placeholder if not set)
 const optionalEnvVars = [
   'VITE_ADMIN_EMAIL', // Admin email for authentication
-  'VITE_GITHUB_TOKEN' // GitHub token (optional but recommended)
+  'VITE_GITHUB_TOKEN', // GitHub token (optional but recommended)
+  'VITE_GITHUB_TOKENS' // Extra comma-separated GitHub tokens for the rotation pool (optional)
 ];
 
 // Check for missing required environment variables
@@ -136,6 +137,9 @@ const filesToProcess = [
       "const GITHUB_TOKEN = 'VITE_GITHUB_TOKEN'": process.env.VITE_GITHUB_TOKEN && process.env.VITE_GITHUB_TOKEN.trim() !== '' 
         ? `const GITHUB_TOKEN = '${String(process.env.VITE_GITHUB_TOKEN).replace(/'/g, "\\'")}'` 
         : "const GITHUB_TOKEN = 'VITE_GITHUB_TOKEN'", // Keep placeholder if not set
+      "const GITHUB_TOKENS = 'VITE_GITHUB_TOKENS'": process.env.VITE_GITHUB_TOKENS && process.env.VITE_GITHUB_TOKENS.trim() !== ''
+        ? `const GITHUB_TOKENS = '${String(process.env.VITE_GITHUB_TOKENS).replace(/'/g, "\\'")}'`
+        : "const GITHUB_TOKENS = 'VITE_GITHUB_TOKENS'", // Keep placeholder if not set
     }
   },
   {
@@ -20,8 +20,18 @@ import {
 	where,
 	orderBy,
 	limit,
+	runTransaction,
+	writeBatch,
+	increment,
 	Timestamp
 } from "https://www.gstatic.com/firebasejs/10.14.1/firebase-firestore.js";
+import {
+	getStorage,
+	ref as storageRef,
+	uploadBytes,
+	getDownloadURL,
+	deleteObject
+} from "https://www.gstatic.com/firebasejs/10.14.1/firebase-storage.js";
 
 // Your web app's Firebase configuration
 // These values are injected at build time from environment variables
@@ -51,11 +61,13 @@ try {
 // Initialize core services
 const auth = getAuth(app);
 const db = getFirestore(app);
+const storage = getStorage(app);
 
 // Export instances and commonly used functions for the rest of the app
 export {
 	auth,
 	db,
+	storage,
 	analytics,
 	// Auth
 	signInWithEmailAndPassword,
@@ -73,5 +85,13 @@ export {
 	where,
 	orderBy,
 	limit,
-	Timestamp
+	runTransaction,
+	writeBatch,
+	increment,
+	Timestamp,
+	// Storage
+	storageRef,
+	uploadBytes,
+	getDownloadURL,
+	deleteObject
 };
@@ -1,23 +1,143 @@
 /**
  * @fileoverview Analytics Page Module
- * Handles analytics display, charts, and data visualization
+ * Handles analytics display, charts, and data visualization, for all members
+ * or one cohort, and compares cohorts with each other
  * @module analytics
  */
 
 // Analytics Page Module
 import { getMembers } from "./data-store.js";
-import { formatNumber, showLoading, hideLoading, handleError } from "./utils.js";
+import { formatNumber, showLoading, hideLoading, handleError, escapeHtml } from "./utils.js";
 import { fetchGitHubUserInfo } from "./github-api.js";
 import { 
   calculateAnalyticsStats, 
   calculateRepositoryStats, 
   getTopCommitters, 
-  getTopPRCreators 
+  getTopPRCreators,
+  getTopReviewers,
+  getTopIssueContributors,
+  getTopDiscussionParticipants,
+  calculatePeriodDeltas,
+  calculateScopedStats,
+  calculateCohortComparison,
+  CONTRIBUTION_SCOPES
 } from "./services/stats-service.js";
+import { loadClubHistory } from "./services/history-service.js";
+import { hasTrackedScope, getMemberCohorts, getScoringWeights } from "./services/settings-service.js";
 
 let repoChart = null;
 let languageChart = null;
 let activityChart = null;
+let growthChart = null;
+let growthPeriodListenerAttached = false;
+let scopeChart = null;
+let scopeListenerAttached = false;
+let rangeListenerAttached = false;
+let cohortListenerAttached = false;
+const NO_COHORT = "__none";
+
+/**
+ * Get the members in the cohort selected on the analytics page
+ * Fills the cohort picker on first use and reloads the page when it changes
+ * @returns {Array<Object>} - All members, or only those in the selected cohort
+ */
+function getAnalyticsMembers() {
+  const members = getMembers();
+  const cohortSelect = document.getElementById("analyticsCohortFilter");
+  if (!cohortSelect) return members;
+
+  const current = cohortSelect.value;
+  const cohorts = [
+    ...new Set([
+      ...getMemberCohorts(),
+      ...members.map((member) => member.cohort).filter(Boolean),
+    ]),
+  ];
+  cohortSelect.innerHTML = `
+    <option value="">All cohorts</option>
+    ${cohorts.map((cohort) => `<option value="${escapeHtml(cohort)}">${escapeHtml(cohort)}</option>`).join("")}
+    <option value="${NO_COHORT}">No cohort</option>
+  `;
+  cohortSelect.value = current;
+  if (!cohortListenerAttached) {
+    cohortListenerAttached = true;
+    cohortSelect.addEventListener("change", loadAnalytics);
+  }
+
+  if (!cohortSelect.value) return members;
+  return members.filter((member) =>
+    cohortSelect.value === NO_COHORT ? !member.cohort : member.cohort === cohortSelect.value
+  );
+}
+
+/**
+ * Get the rolling date range selected on the analytics page
+ * @returns {number|null} - Window in days (7, 30, 90, 365), or null for lifetime totals
+ */
+function getSelectedRange() {
+  const rangeSelect = document.getElementById("analyticsDateRange");
+  if (rangeSelect && !rangeListenerAttached) {
+    rangeListenerAttached = true;
+    rangeSelect.addEventListener("change", () => {
+      const members = getAnalyticsMembers();
+      loadTopCommitters(members);
+      loadTopPRCreators(members);
+      loadTopReviewers(members);
+      loadTopIssueContributors(members);
+      updateActivityStats(members);
+      loadCohortComparison();
+    });
+  }
+
+  const days = parseInt(rangeSelect?.value, 10);
+  return Number.isFinite(days) && days > 0 ? days : null;
+}
+
+/**
+ * Get the leaderboard scope selected on the analytics page
+ * Falls back to global when no tracked orgs/repos are configured, or when a
+ * date range is selected (rolling windows are only counted across all of GitHub)
+ * @returns {string} - 'global' or 'tracked'
+ */
+function getSelectedScope() {
+  const scopeSelect = document.getElementById("analyticsScopeSelect");
+  if (!hasTrackedScope()) {
+    if (scopeSelect) {
+      scopeSelect.value = CONTRIBUTION_SCOPES.GLOBAL;
+      scopeSelect.disabled = true;
+      scopeSelect.title = "Configure tracked organizations in Settings";
+    }
+    return CONTRIBUTION_SCOPES.GLOBAL;
+  }
+
+  if (scopeSelect) {
+    if (!scopeListenerAttached) {
+      scopeListenerAttached = true;
+      scopeSelect.addEventListener("change", () => {
+        const members = getAnalyticsMembers();
+        loadTopCommitters(members);
+        loadTopPRCreators(members);
+      });
+    }
+    if (getSelectedRange()) {
+      scopeSelect.disabled = true;
+      scopeSelect.title = "Tracked scope applies to lifetime totals only";
+      return CONTRIBUTION_SCOPES.GLOBAL;
+    }
+    scopeSelect.disabled = false;
+    scopeSelect.title = "";
+  }
+  return scopeSelect?.value || CONTRIBUTION_SCOPES.TRACKED;
+}
+
+/**
+ * Describe the selected range for leaderboard labels
+ * @param {number|null} days - Window in days, or null for lifetime
+ * @returns {string} - Label suffix (e.g. " (30d)"), empty for lifetime
+ */
+function getRangeSuffix(days) {
+  return days ? ` (${days}d)` : "";
+}
 
 /**
  * Load analytics data and render charts
@@ -26,13 +146,19 @@ export async function loadAnalytics() {
   try {
     showLoading();
 
-    const members = getMembers();
+    const members = getAnalyticsMembers();
 
     await loadAnalyticsCharts(members);
     loadTopCommitters(members);
     loadTopPRCreators(members);
+    loadTopReviewers(members);
+    loadTopIssueContributors(members);
+    loadTopDiscussionParticipants(members);
     updateActivityStats(members);
     loadPRActivityChart(members);
+    loadGrowthTrendsChart();
+    loadScopeComparisonChart(members);
+    loadCohortComparison();
     // Language Statistics removed - only pie chart remains
   } catch (error) {
     handleError(error, { module: 'analytics', action: 'loadAnalytics' });
@@ -226,7 +352,9 @@ async function loadAnalyticsCharts(members) {
  * @param {Array} members - Array of member objects
  */
 function loadTopCommitters(members) {
-  const committers = getTopCommitters(members, 10);
+  const scope = getSelectedScope();
+  const days = getSelectedRange();
+  const committers = getTopCommitters(members, 10, { scope, days });
   const committersList = document.getElementById("topCommitters");
 
   if (!committersList) return;
@@ -245,14 +373,21 @@ function loadTopCommitters(members) {
     committerEl.innerHTML = `
             <div class="contributor-rank">#${index + 1}</div>
             <div class="contributor-avatar" style="background: linear-gradient(135deg, #10b981 0%, #059669 100%);">
-                ${committer.name.charAt(0).toUpperCase()}
+                ${escapeHtml(committer.name.charAt(0).toUpperCase())}
             </div>
             <div class="contributor-info">
-                <div class="contributor-name">${committer.name}</div>
+                <div class="contributor-name">${escapeHtml(committer.name)}</div>
                 <div class="contributor-stats">
                     <span><i class="fas fa-code-commit"></i> ${formatNumber(
                       committer.commits
-                    )} commits</span>
+                    )} ${scope === CONTRIBUTION_SCOPES.TRACKED ? "tracked commits" : "commits"}${getRangeSuffix(days)}</span>
+                    ${
+                      scope === CONTRIBUTION_SCOPES.TRACKED
+                        ? `<span><i class="fas fa-globe"></i> ${formatNumber(
+                            committer.globalCommits
+                          )} global</span>`
+                        : ""
+                    }
                 </div>
             </div>
         `;
@@ -265,7 +400,9 @@ function loadTopCommitters(members) {
  * @param {Array} members - Array of member objects
  */
 function loadTopPRCreators(members) {
-  const prCreators = getTopPRCreators(members, 10);
+  const scope = getSelectedScope();
+  const days = getSelectedRange();
+  const prCreators = getTopPRCreators(members, 10, { scope, days });
   const prCreatorsList = document.getElementById("topPRCreators");
 
   if (!prCreatorsList) return;
@@ -284,14 +421,14 @@ function loadTopPRCreators(members) {
     creatorEl.innerHTML = `
             <div class="contributor-rank">#${index + 1}</div>
             <div class="contributor-avatar" style="background: linear-gradient(135deg, #ef4444 0%, #dc2626 100%);">
-                ${creator.name.charAt(0).toUpperCase()}
+                ${escapeHtml(creator.name.charAt(0).toUpperCase())}
             </div>
             <div class="contributor-info">
-                <div class="contributor-name">${creator.name}</div>
+                <div class="contributor-name">${escapeHtml(creator.name)}</div>
                 <div class="contributor-stats">
                     <span><i class="fas fa-code-pull-request"></i> ${formatNumber(
                       creator.prs
-                    )} pull requests</span>
+                    )} ${scope === CONTRIBUTION_SCOPES.TRACKED ? "tracked PRs" : "pull requests"}${getRangeSuffix(days)}</span>
                     ${
                       creator.merged
                         ? `<span><i class="fas fa-check"></i> ${formatNumber(
@@ -306,6 +443,114 @@ function loadTopPRCreators(members) {
   });
 }
 
+/**
+ * Render a contributor leaderboard into a list element
+ * @param {string} listId - Leaderboard list element ID
+ * @param {Array} entries - Leaderboard entries with a name
+ * @param {Object} options - Render options
+ * @param {string} options.emptyText - Message when there are no entries
+ * @param {string} options.gradient - Avatar background
+ * @param {Function} options.renderStats - Returns the stats markup for an entry
+ */
+function renderLeaderboard(listId, entries, { emptyText, gradient, renderStats }) {
+  const list = document.getElementById(listId);
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  if (entries.length === 0) {
+    list.innerHTML = `<p style="text-align: center; color: #64748b; padding: 20px;">${emptyText}</p>`;
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    const entryEl = document.createElement("div");
+    entryEl.className = "contributor-item";
+    entryEl.innerHTML = `
+            <div class="contributor-rank">#${index + 1}</div>
+            <div class="contributor-avatar" style="background: ${gradient};">
+                ${escapeHtml(entry.name.charAt(0).toUpperCase())}
+            </div>
+            <div class="contributor-info">
+                <div class="contributor-name">${escapeHtml(entry.name)}</div>
+                <div class="contributor-stats">${renderStats(entry)}</div>
+            </div>
+        `;
+    list.appendChild(entryEl);
+  });
+}
+
+/**
+ * Load top code reviewers list
+ * @param {Array} members - Array of member objects
+ */
+function loadTopReviewers(members) {
+  const days = getSelectedRange();
+  renderLeaderboard("topReviewers", getTopReviewers(members, 10, { days }), {
+    emptyText: "No review data available",
+    gradient: "linear-gradient(135deg, #8b5cf6 0%, #7c3aed 100%)",
+    renderStats: (reviewer) => `
+                    <span><i class="fas fa-magnifying-glass-chart"></i> ${formatNumber(
+                      reviewer.reviews
+                    )} reviews${getRangeSuffix(days)}</span>
+                    ${
+                      reviewer.reviewComments
+                        ? `<span title="Comments on the 100 most recent reviews in the last year"><i class="fas fa-comment-dots"></i> ${formatNumber(
+                            reviewer.reviewComments
+                          )} comments</span>`
+                        : ""
+                    }`
+  });
+}
+
+/**
+ * Load top issue contributors list
+ * @param {Array} members - Array of member objects
+ */
+function loadTopIssueContributors(members) {
+  const days = getSelectedRange();
+  renderLeaderboard("topIssueContributors", getTopIssueContributors(members, 10, { days }), {
+    emptyText: "No issue data available",
+    gradient: "linear-gradient(135deg, #f59e0b 0%, #d97706 100%)",
+    renderStats: (contributor) => `
+                    <span><i class="fas fa-circle-dot"></i> ${formatNumber(
+                      contributor.opened
+                    )} opened${getRangeSuffix(days)}</span>
+                    ${
+                      contributor.closed
+                        ? `<span><i class="fas fa-circle-check"></i> ${formatNumber(
+                            contributor.closed
+                          )} closed (90d)</span>`
+                        : ""
+                    }
+                    ${
+                      contributor.comments
+                        ? `<span><i class="fas fa-comment"></i> ${formatNumber(
+                            contributor.comments
+                          )} comments</span>`
+                        : ""
+                    }`
+  });
+}
+
+/**
+ * Load top discussion participants list (lifetime totals)
+ * @param {Array} members - Array of member objects
+ */
+function loadTopDiscussionParticipants(members) {
+  renderLeaderboard("topDiscussionParticipants", getTopDiscussionParticipants(members, 10), {
+    emptyText: "No discussion data available",
+    gradient: "linear-gradient(135deg, #06b6d4 0%, #0891b2 100%)",
+    renderStats: (participant) => `
+                    <span><i class="fas fa-comments"></i> ${formatNumber(
+                      participant.discussions
+                    )} started</span>
+                    <span><i class="fas fa-reply"></i> ${formatNumber(
+                      participant.comments
+                    )} comments</span>`
+  });
+}
+
 /**
  * Update activity statistics
  * Uses centralized stats service for consistent calculations
@@ -314,7 +559,8 @@ function loadTopPRCreators(members) {
 function updateActivityStats(members) {
   try {
     // Use centralized stats calculation
-    const stats = calculateAnalyticsStats(members);
+    const days = getSelectedRange();
+    const stats = calculateAnalyticsStats(members, { days });
 
     const totalReposEl = document.getElementById("totalRepos");
     const totalStarsEl = document.getElementById("totalStars");
@@ -322,7 +568,11 @@ function updateActivityStats(members) {
     const totalPRsEl = document.getElementById("totalPRs");
     const totalCommitsEl = document.getElementById("totalCommits");
     const totalIssuesEl = document.getElementById("totalIssues");
+    const totalReviewsEl = document.getElementById("totalReviews");
+    const rangeNoteEl = document.getElementById("analyticsRangeNote");
     const avgStarsEl = document.getElementById("avgStars");
+    const scopedCommitsEl = document.getElementById("scopedCommits");
+    const scopedPRsEl = document.getElementById("scopedPRs");
 
     if (totalReposEl) totalReposEl.textContent = formatNumber(stats.totalRepos);
     if (totalStarsEl) totalStarsEl.textContent = formatNumber(stats.totalStars);
@@ -332,12 +582,246 @@ function updateActivityStats(members) {
       totalCommitsEl.textContent = formatNumber(stats.totalCommits);
     if (totalIssuesEl)
       totalIssuesEl.textContent = formatNumber(stats.totalIssues);
+    if (totalReviewsEl)
+      totalReviewsEl.textContent = formatNumber(stats.totalReviews);
+    if (rangeNoteEl) {
+      // Windows are collected during refresh, so members not refreshed since then have no range data
+      const missing = stats.connectedMembers - stats.membersWithRangeData;
+      rangeNoteEl.textContent = days
+        ? `Commits, PRs, reviews and issues from the last ${days} days.${missing > 0 ? ` ${missing} members have no data for this range yet - run a GitHub refresh.` : ""}`
+        : "";
+      rangeNoteEl.style.display = days ? "block" : "none";
+    }
     if (avgStarsEl) avgStarsEl.textContent = formatNumber(stats.avgStars);
+    if (scopedCommitsEl)
+      scopedCommitsEl.textContent = hasTrackedScope() ? formatNumber(stats.scopedCommits) : "—";
+    if (scopedPRsEl)
+      scopedPRsEl.textContent = hasTrackedScope() ? formatNumber(stats.scopedPRs) : "—";
   } catch (error) {
     handleError(error, { module: 'analytics', action: 'updateActivityStats' });
   }
 }
 
+/**
+ * Render the cohort comparison table
+ * Always compares every cohort, whichever cohort the page is filtered to
+ */
+function loadCohortComparison() {
+  const tableBody = document.getElementById("cohortComparisonBody");
+  if (!tableBody) return;
+
+  try {
+    const days = getSelectedRange();
+    const rows = calculateCohortComparison(getMembers(), {
+      cohorts: getMemberCohorts(),
+      days,
+      weights: getScoringWeights(),
+    });
+
+    if (rows.length === 0 || rows.every((row) => row.cohort === null)) {
+      tableBody.innerHTML = `
+        <tr><td colspan="8" class="text-muted" style="text-align: center; padding: 20px;">
+          No cohorts yet. Define cohorts in Settings and assign them from the Members page.
+        </td></tr>
+      `;
+      return;
+    }
+
+    const suffix = getRangeSuffix(days);
+    const headerCells = document.querySelectorAll("#cohortComparisonTable [data-range-label]");
+    headerCells.forEach((cell) => {
+      cell.textContent = `${cell.dataset.rangeLabel}${suffix}`;
+    });
+
+    tableBody.innerHTML = rows
+      .map(
+        (row) => `
+        <tr>
+          <td><strong>${row.cohort === null ? "No cohort" : escapeHtml(row.cohort)}</strong></td>
+          <td>${formatNumber(row.members)}</td>
+          <td title="${formatNumber(row.connected)} with GitHub connected">${row.connectedRate}%</td>
+          <td title="${formatNumber(row.activeContributors)} with a commit or PR">${row.activeRate}%</td>
+          <td>${formatNumber(row.commits)} <span class="text-muted">(${formatNumber(row.avgCommits)} avg)</span></td>
+          <td>${formatNumber(row.pullRequests)} <span class="text-muted">(${formatNumber(row.avgPRs)} avg)</span></td>
+          <td>${formatNumber(row.reviews)} <span class="text-muted">(${formatNumber(row.avgReviews)} avg)</span></td>
+          <td>${row.avgScore === null ? "—" : formatNumber(row.avgScore)}</td>
+        </tr>
+      `
+      )
+      .join("");
+  } catch (error) {
+    handleError(error, { module: 'analytics', action: 'loadCohortComparison' });
+  }
+}
+
+/**
+ * Load growth trends chart from the ClubStats/history series
+ * Shows per-period deltas (new commits, PRs, stars, members) rather than lifetime totals
+ * @returns {Promise<void>}
+ */
+async function loadGrowthTrendsChart() {
+  const growthCtx = document.getElementById("analyticsGrowthChart");
+  const emptyEl = document.getElementById("analyticsGrowthEmpty");
+  const periodSelect = document.getElementById("analyticsGrowthPeriod");
+
+  if (!growthCtx || typeof Chart === 'undefined') return;
+
+  if (periodSelect && !growthPeriodListenerAttached) {
+    periodSelect.addEventListener("change", () => loadGrowthTrendsChart());
+    growthPeriodListenerAttached = true;
+  }
+
+  try {
+    const history = await loadClubHistory();
+    const period = periodSelect?.value || "month";
+    const deltas = calculatePeriodDeltas(
+      history,
+      ["totalCommits", "totalPullRequests", "stars", "members"],
+      period,
+      12
+    );
+
+    if (growthChart) {
+      growthChart.destroy();
+      growthChart = null;
+    }
+
+    if (emptyEl) emptyEl.style.display = deltas.hasData ? "none" : "flex";
+    if (!deltas.hasData) return;
+
+    const datasets = [
+      { key: "totalCommits", label: "New Commits", color: "#10b981" },
+      { key: "totalPullRequests", label: "New Pull Requests", color: "#ef4444" },
+      { key: "stars", label: "New Stars", color: "#f59e0b" },
+      { key: "members", label: "New Members", color: "#667eea" },
+    ].map(({ key, label, color }) => ({
+      label,
+      data: deltas.series[key],
+      borderColor: color,
+      backgroundColor: color,
+      tension: 0.3,
+      spanGaps: false,
+      pointRadius: 3,
+    }));
+
+    growthChart = new Chart(growthCtx, {
+      type: "line",
+      data: {
+        labels: deltas.labels,
+        datasets,
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: "bottom",
+          },
+          tooltip: {
+            mode: "index",
+            intersect: false,
+            callbacks: {
+              label: function (context) {
+                const value = context.parsed.y;
+                const sign = value > 0 ? "+" : "";
+                return `${context.dataset.label}: ${sign}${formatNumber(value)}`;
+              },
+            },
+          },
+        },
+        scales: {
+          y: {
+            ticks: {
+              precision: 0,
+            },
+          },
+        },
+      },
+    });
+  } catch (error) {
+    handleError(error, { module: 'analytics', action: 'loadGrowthTrendsChart' }, { showToast: false });
+  }
+}
+
+/**
+ * Load tracked scope vs global comparison chart
+ * Shows how much of the club's GitHub activity lands in tracked orgs/repos
+ * @param {Array} members - Array of member objects
+ */
+function loadScopeComparisonChart(members) {
+  const scopeCtx = document.getElementById("scopeComparisonChart");
+  const emptyEl = document.getElementById("scopeComparisonEmpty");
+
+  if (!scopeCtx || typeof Chart === 'undefined') return;
+
+  try {
+    if (scopeChart) {
+      scopeChart.destroy();
+      scopeChart = null;
+    }
+
+    const scoped = calculateScopedStats(members);
+    const hasData = hasTrackedScope() && scoped.membersWithData > 0;
+    if (emptyEl) emptyEl.style.display = hasData ? "none" : "flex";
+    if (!hasData) return;
+
+    // Compare against the same members so the ratio is meaningful
+    const withScopedData = members.filter((m) => m.githubActivity?.scoped);
+    const sum = (key) =>
+      withScopedData.reduce((total, m) => total + (Number(m.githubActivity[key]) || 0), 0);
+
+    scopeChart = new Chart(scopeCtx, {
+      type: "bar",
+      data: {
+        labels: ["Commits", "Pull Requests", "Merged PRs", "Issues"],
+        datasets: [
+          {
+            label: "Tracked orgs/repos",
+            data: [scoped.commits, scoped.pullRequests, scoped.mergedPRs, scoped.issues],
+            backgroundColor: "#667eea",
+            borderRadius: 6,
+          },
+          {
+            label: "All of GitHub",
+            data: [sum("commits"), sum("pullRequests"), sum("mergedPRs"), sum("issues")],
+            backgroundColor: "#cbd5e1",
+            borderRadius: 6,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: "bottom",
+          },
+          tooltip: {
+            callbacks: {
+              label: function (context) {
+                return `${context.dataset.label}: ${formatNumber(context.parsed.y)}`;
+              },
+            },
+          },
+        },
+        scales: {
+          y: {
+            beginAtZero: true,
+            ticks: {
+              precision: 0,
+              callback: function (value) {
+                return formatNumber(value);
+              },
+            },
+          },
+        },
+      },
+    });
+  } catch (error) {
+    handleError(error, { module: 'analytics', action: 'loadScopeComparisonChart' }, { showToast: false });
+  }
+}
+
 // getRepositoryData is now replaced by calculateRepositoryStats from stats-service.js
 
 /**
@@ -609,4 +1093,3 @@ function loadTopLanguagesList(languageData) {
 
   topLanguagesContainer.innerHTML = html;
 }
-
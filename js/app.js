@@ -5,14 +5,21 @@
  */
 
 // Main Application Entry Point
-import { initializeAuth, adminLogin, adminLogout, getCurrentUser } from './auth.js';
+import { initializeAuth, adminLogin, adminLogout, getCurrentUser, getCurrentRoleLabel } from './auth.js';
 import { loadMembersData, getMembers, clearMembersCache } from './data-store.js';
 import { loadDashboard } from './dashboard.js';
 import { initializeMembersPage, loadMembers } from './members.js';
 import { loadAnalytics } from './analytics.js';
 import { loadSettings } from './settings.js';
-import { clearGitHubCache, fetchGitHubUserInfo } from './github-api.js';
-import { startBackgroundGitHubRefresh } from './github-refresh.js';
+import { loadAppSettings } from './services/settings-service.js';
+import { clearGitHubCache, fetchGitHubUserInfo, fetchGitHubRateLimit } from './github-api.js';
+import { 
+    startBackgroundGitHubRefresh,
+    pauseGitHubRefresh,
+    resumeGitHubRefresh,
+    retryFailedGitHubRefresh,
+    restoreGitHubRefreshState
+} from './github-refresh.js';
 import { showLoading, hideLoading, downloadCSV, handleError } from './utils.js';
 import { 
     initializeNavigation, 
@@ -23,7 +30,8 @@ import {
     clearLoginForm,
     toggleSidebar
 } from './navigation.js';
-import { doc, getDoc, setDoc, updateDoc, db } from '../firebase-config.js';
+import { doc, getDoc, setDoc, writeBatch, db } from '../firebase-config.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './services/audit-service.js';
 
 // DOM elements
 const logoutBtn = document.getElementById('logoutBtn');
@@ -104,6 +112,22 @@ function setupEventListeners() {
     if (refreshGitHubData) {
         refreshGitHubData.addEventListener('click', () => startBackgroundGitHubRefresh({ days: 365 }));
     }
+
+    // Refresh job controls
+    const refreshPauseBtn = document.getElementById('refreshPauseBtn');
+    if (refreshPauseBtn) {
+        refreshPauseBtn.addEventListener('click', pauseGitHubRefresh);
+    }
+
+    const refreshResumeBtn = document.getElementById('refreshResumeBtn');
+    if (refreshResumeBtn) {
+        refreshResumeBtn.addEventListener('click', resumeGitHubRefresh);
+    }
+
+    const refreshRetryBtn = document.getElementById('refreshRetryBtn');
+    if (refreshRetryBtn) {
+        refreshRetryBtn.addEventListener('click', retryFailedGitHubRefresh);
+    }
 }
 
 /**
@@ -115,13 +139,23 @@ async function loadInitialData() {
         // Load from cache first, only fetch from Firebase if cache is stale
         await loadMembersData(false);
         
+        // Admin-configurable settings (refresh window, etc.)
+        await loadAppSettings();
+        
         const user = getCurrentUser();
         if (user && adminEmail) {
             adminEmail.textContent = user.email;
         }
+        renderRoleBadge();
         
         // Load dashboard by default
         loadDashboard();
+        
+        // Show progress of an unfinished GitHub refresh from a previous session
+        restoreGitHubRefreshState();
+        
+        // Populate the header quota meter (GET /rate_limit is free)
+        fetchGitHubRateLimit();
     } catch (error) {
         handleError(error, { module: 'app', action: 'loadInitialData' });
     } finally {
@@ -129,6 +163,19 @@ async function loadInitialData() {
     }
 }
 
+/**
+ * Show the signed-in user's role next to their email
+ * @returns {void}
+ */
+function renderRoleBadge() {
+    const roleBadge = document.getElementById('adminRoleBadge');
+    if (!roleBadge) return;
+    
+    const label = getCurrentRoleLabel();
+    roleBadge.textContent = label;
+    roleBadge.style.display = label ? 'inline-block' : 'none';
+}
+
 // Navigation functions are now imported from './navigation.js'
 
 /**
@@ -168,10 +215,19 @@ async function refreshAllGitHubData() {
                             lastUpdated: new Date().toISOString()
                         };
 
-                        await updateDoc(memberRef, {
+                        const batch = writeBatch(db);
+                        batch.update(memberRef, {
                             githubActivity: mergedActivity,
                             lastUpdated: new Date().toISOString()
                         });
+                        addAuditEntry(batch, {
+                            action: AUDIT_ACTIONS.MEMBER_GITHUB_UPDATE,
+                            targetPath: memberRef.path,
+                            targetLabel: member.githubUsername,
+                            before: { githubActivity: existingActivity },
+                            after: { githubActivity: mergedActivity }
+                        });
+                        await batch.commit();
                         
                         updatedCount++;
                     } else {
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Audit Log Page Module
+ * Lists admin mutations from the AuditLog collection with filters and CSV export
+ * @module audit
+ */
+import { loadAuditLog } from './services/audit-service.js';
+import { showToast, handleError, downloadCSV, formatDateTime, escapeHtml } from './utils.js';
+
+let auditEntries = [];
+let auditListenersInitialized = false;
+
+/**
+ * Load the audit log page
+ * @param {boolean} forceRefresh - Reload entries even if already loaded
+ * @returns {Promise<void>}
+ */
+export async function loadAuditPage(forceRefresh = false) {
+    setupAuditListeners();
+
+    if (auditEntries.length > 0 && !forceRefresh) {
+        renderAuditLog();
+        return;
+    }
+
+    const tbody = document.getElementById('auditTableBody');
+    if (tbody) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin"></i> Loading audit log...</td></tr>';
+    }
+
+    try {
+        auditEntries = await loadAuditLog();
+        populateFilterOptions();
+        renderAuditLog();
+    } catch (error) {
+        handleError(error, { module: 'audit', action: 'loadAuditPage' }, { showToast: false });
+        showToast('Failed to load the audit log.', 'error');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 40px;">Could not load the audit log.</td></tr>';
+        }
+    }
+}
+
+/**
+ * Attach filter and export listeners once
+ */
+function setupAuditListeners() {
+    if (auditListenersInitialized) return;
+    auditListenersInitialized = true;
+
+    ['auditActorFilter', 'auditActionFilter', 'auditFromDate', 'auditToDate'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', renderAuditLog);
+    });
+    document.getElementById('auditSearch')?.addEventListener('input', renderAuditLog);
+    document.getElementById('refreshAuditLog')?.addEventListener('click', () => loadAuditPage(true));
+    document.getElementById('exportAuditLog')?.addEventListener('click', exportAuditLog);
+}
+
+/**
+ * Fill the admin and action selects from the loaded entries, keeping the current selection
+ */
+function populateFilterOptions() {
+    const fill = (selectId, values, allLabel) => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+        const selected = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>` + values
+            .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+            .join('');
+        select.value = values.includes(selected) ? selected : '';
+    };
+
+    const unique = key => [...new Set(auditEntries.map(entry => entry[key] || 'unknown'))].sort();
+    fill('auditActorFilter', unique('actor'), 'All Admins');
+    fill('auditActionFilter', unique('action'), 'All Actions');
+}
+
+/**
+ * Apply the page filters to the loaded entries
+ * @returns {Array<Object>} - Matching entries, newest first
+ */
+function getFilteredEntries() {
+    const actor = document.getElementById('auditActorFilter')?.value || '';
+    const action = document.getElementById('auditActionFilter')?.value || '';
+    const fromDate = document.getElementById('auditFromDate')?.value || '';
+    const toDate = document.getElementById('auditToDate')?.value || '';
+    const search = (document.getElementById('auditSearch')?.value || '').trim().toLowerCase();
+
+    return auditEntries.filter(entry => {
+        // createdAt is an ISO string, so the date part compares directly with <input type="date">
+        const day = (entry.createdAt || '').slice(0, 10);
+        if (actor && (entry.actor || 'unknown') !== actor) return false;
+        if (action && entry.action !== action) return false;
+        if (fromDate && day < fromDate) return false;
+        if (toDate && day > toDate) return false;
+        if (search) {
+            const haystack = [
+                entry.targetLabel,
+                entry.targetPath,
+                ...(entry.changes || []).map(change => `${change.field} ${formatValue(change.before)} ${formatValue(change.after)}`)
+            ].join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Render the filtered audit entries
+ */
+function renderAuditLog() {
+    const tbody = document.getElementById('auditTableBody');
+    const summary = document.getElementById('auditSummary');
+    if (!tbody) return;
+
+    const entries = getFilteredEntries();
+    if (summary) {
+        summary.textContent = `Showing ${entries.length} of ${auditEntries.length} entries`;
+    }
+
+    if (entries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align: center; padding: 40px;">No audit entries match these filters.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = entries.map(entry => `
+        <tr>
+            <td style="white-space: nowrap">${formatDateTime(entry.createdAt)}</td>
+            <td>${escapeHtml(entry.actor || 'unknown')}</td>
+            <td><span class="audit-action ${entry.action?.endsWith('.delete') || entry.action?.endsWith('.remove') ? 'audit-delete' : ''}">${escapeHtml(entry.action)}</span></td>
+            <td>
+                ${escapeHtml(entry.targetLabel || '')}
+                <span class="audit-target-path">${escapeHtml(entry.targetPath)}</span>
+            </td>
+            <td>${renderChanges(entry.changes || [])}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Render a before/after diff as a collapsible list
+ * @param {Array<{field: string, before: *, after: *}>} changes - Changed fields
+ * @returns {string} - HTML
+ */
+function renderChanges(changes) {
+    if (changes.length === 0) {
+        return '<span style="color: #94a3b8">No field changes</span>';
+    }
+
+    return `
+        <details class="audit-changes">
+            <summary>${changes.length} field${changes.length === 1 ? '' : 's'} changed</summary>
+            ${changes.map(change => `
+                <div class="audit-change">
+                    <strong>${escapeHtml(change.field)}</strong>:
+                    <span class="audit-before">${escapeHtml(formatValue(change.before))}</span>
+                    &rarr;
+                    <span class="audit-after">${escapeHtml(formatValue(change.after))}</span>
+                </div>
+            `).join('')}
+        </details>
+    `;
+}
+
+/**
+ * Format a diff value for display and export
+ * @param {*} value - Value from an audit change
+ * @returns {string} - Display string ('∅' for missing values)
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '∅';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Export the filtered entries as CSV, one row per changed field
+ */
+function exportAuditLog() {
+    const entries = getFilteredEntries();
+    if (entries.length === 0) {
+        showToast('No audit entries to export.', 'warning');
+        return;
+    }
+
+    const headers = ['Timestamp', 'Admin', 'Action', 'Target', 'Target Path', 'Field', 'Before', 'After'];
+    const rows = entries.flatMap(entry => {
+        const base = [entry.createdAt, entry.actor || 'unknown', entry.action, entry.targetLabel || '', entry.targetPath];
+        const changes = entry.changes || [];
+        if (changes.length === 0) {
+            return [[...base, '', '', '']];
+        }
+        return changes.map(change => [
+            ...base,
+            change.field,
+            change.before === null ? '' : formatValue(change.before),
+            change.after === null ? '' : formatValue(change.after)
+        ]);
+    });
+
+    const csv = [headers, ...rows]
+        .map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))
+        .join('\n');
+
+    downloadCSV(csv, `audit-log-${new Date().toISOString().split('T')[0]}.csv`);
+}
@@ -5,12 +5,16 @@ import {
     onAuthStateChanged, 
     signOut 
 } from '../firebase-config.js';
+import { getAdminRole, recordAdminLogin, roleHasPermission, PERMISSIONS, ROLES, ROLE_LABELS } from './services/admin-service.js';
+import { showToast } from './utils.js';
 
 // Admin email from environment variable (injected at build time)
 // Password is handled by Firebase Auth - not stored in code
+// This email is always an owner, so a fresh install can't lock itself out
 const ADMIN_EMAIL = 'VITE_ADMIN_EMAIL'; // Placeholder - replaced at build time
 
 let currentUser = null;
+let currentRole = null;
 let authStateListeners = [];
 
 /**
@@ -19,11 +23,17 @@ let authStateListeners = [];
  * @param {Function} onUnauthenticated - Callback when user is not authenticated
  */
 export function initializeAuth(onAuthenticated, onUnauthenticated) {
+    // Hide gated controls until the role is known
+    applyRolePermissions();
+    
     onAuthStateChanged(auth, async (user) => {
         if (user) {
             try {
-                if (await checkAdminStatus(user)) {
+                const role = await checkAdminStatus(user);
+                if (role) {
                     currentUser = user;
+                    currentRole = role;
+                    applyRolePermissions();
                     if (onAuthenticated) onAuthenticated(user);
                 } else {
                     await signOut(auth);
@@ -36,23 +46,50 @@ export function initializeAuth(onAuthenticated, onUnauthenticated) {
             }
         } else {
             currentUser = null;
+            currentRole = null;
+            applyRolePermissions();
             if (onUnauthenticated) onUnauthenticated();
         }
     });
 }
 
 /**
- * Check if user has admin privileges
+ * Check whether the ADMIN_EMAIL placeholder was replaced at build time
+ * @returns {boolean} - True if configured
+ */
+function isAdminEmailConfigured() {
+    return ADMIN_EMAIL !== 'VITE_ADMIN_EMAIL' && !!ADMIN_EMAIL && ADMIN_EMAIL.trim() !== '';
+}
+
+/**
+ * Resolve the user's admin role
+ * Checks the Firestore admins collection first, then falls back to ADMIN_EMAIL as owner
  * @param {Object} user - Firebase user object
- * @returns {Promise<boolean>} - True if admin
+ * @returns {Promise<string|null>} - Role, or null if the user is not an admin
  */
 async function checkAdminStatus(user) {
-    // Check if ADMIN_EMAIL is still a placeholder
-    if (ADMIN_EMAIL === 'VITE_ADMIN_EMAIL' || !ADMIN_EMAIL || ADMIN_EMAIL.trim() === '') {
-        console.error('ADMIN_EMAIL not configured. Authentication will fail.');
-        return false;
+    if (!user?.email) return null;
+    
+    let role = null;
+    try {
+        role = await getAdminRole(user.email);
+    } catch (error) {
+        console.warn('Could not read admins collection:', error);
+    }
+    
+    if (role) {
+        recordAdminLogin(user.email).catch(err => console.warn('Could not record admin login:', err));
+        return role;
+    }
+    
+    if (isAdminEmailConfigured() && user.email.toLowerCase() === ADMIN_EMAIL.trim().toLowerCase()) {
+        return ROLES.OWNER;
     }
-    return user.email === ADMIN_EMAIL;
+    
+    if (!isAdminEmailConfigured()) {
+        console.warn('ADMIN_EMAIL not configured and no admins entry found for this user.');
+    }
+    return null;
 }
 
 /**
@@ -63,22 +100,19 @@ async function checkAdminStatus(user) {
  */
 export async function adminLogin(email, password) {
     try {
-        // Check if ADMIN_EMAIL is still a placeholder (not replaced during build)
-        if (ADMIN_EMAIL === 'VITE_ADMIN_EMAIL' || !ADMIN_EMAIL || ADMIN_EMAIL.trim() === '') {
-            console.error('ADMIN_EMAIL not configured. Please set VITE_ADMIN_EMAIL environment variable.');
-            throw new Error('Admin email not configured. Please contact the administrator.');
-        }
-        
         const userCredential = await signInWithEmailAndPassword(auth, email, password);
         const user = userCredential.user;
         
-        // Check if user is admin
-        if (user.email !== ADMIN_EMAIL) {
+        // Check if user is admin and resolve their role
+        const role = await checkAdminStatus(user);
+        if (!role) {
             await signOut(auth);
             throw new Error('Access denied. Admin privileges required.');
         }
         
         currentUser = user;
+        currentRole = role;
+        applyRolePermissions();
         return user;
     } catch (error) {
         console.error('Login error:', error);
@@ -105,6 +139,8 @@ export async function adminLogout() {
     try {
         await signOut(auth);
         currentUser = null;
+        currentRole = null;
+        applyRolePermissions();
     } catch (error) {
         console.error('Logout error:', error);
         throw error;
@@ -119,3 +155,58 @@ export function getCurrentUser() {
     return currentUser;
 }
 
+/**
+ * Get the current user's admin role
+ * @returns {string|null} - Role from ROLES, or null when signed out
+ */
+export function getCurrentRole() {
+    return currentRole;
+}
+
+/**
+ * Get a display label for the current role
+ * @returns {string} - Role label (empty when signed out)
+ */
+export function getCurrentRoleLabel() {
+    return ROLE_LABELS[currentRole] || '';
+}
+
+/**
+ * Check whether the current user's role grants a permission
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} - True if allowed
+ */
+export function hasPermission(permission) {
+    return roleHasPermission(currentRole, permission);
+}
+
+/**
+ * Guard an action by permission, telling the user when it is denied
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} - True if allowed
+ */
+export function requirePermission(permission) {
+    if (hasPermission(permission)) return true;
+    const role = getCurrentRoleLabel() || 'signed-out';
+    showToast(`Your role (${role}) does not allow this action.`, 'warning');
+    return false;
+}
+
+/**
+ * Reflect the current role on <body> so gated controls hide themselves
+ * Elements marked data-permission="..." are hidden by CSS when the body has
+ * the matching lacks-... class; this also covers controls rendered later
+ */
+export function applyRolePermissions() {
+    const body = document.body;
+    if (!body) return;
+    
+    Object.values(PERMISSIONS).forEach(permission => {
+        body.classList.toggle(`lacks-${permission}`, !hasPermission(permission));
+    });
+    if (currentRole) {
+        body.dataset.role = currentRole;
+    } else {
+        delete body.dataset.role;
+    }
+}
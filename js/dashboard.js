@@ -9,11 +9,29 @@ import { getMembers } from "./data-store.js";
 import {
   getLastNDays,
   formatNumber,
+  formatDateTime,
   showLoading,
   hideLoading,
   handleError,
+  escapeHtml,
 } from "./utils.js";
-import { calculateDashboardStats, getTopCommitters } from "./services/stats-service.js";
+import {
+  calculateDashboardStats,
+  getTopCommitters,
+  aggregateContributionCalendars,
+  calculatePeriodDeltas,
+  calculateLeaderboard,
+  calculateEventStats,
+  calculateProjectStats,
+  SCORE_TIERS,
+  CONTRIBUTION_SCOPES,
+} from "./services/stats-service.js";
+import { loadClubHistory } from "./services/history-service.js";
+import { hasTrackedScope, getScoringWeights } from "./services/settings-service.js";
+import { loadLeaderboard } from "./services/leaderboard-service.js";
+import { loadEvents, isArchived, EVENT_MODE_LABELS } from "./services/event-service.js";
+import { loadProjects } from "./services/project-service.js";
+import { renderContributionHeatmap } from "./utils/heatmap.js";
 
 
 const dashboardDateRange = 30; // Fixed to 30 days
@@ -31,6 +49,11 @@ export async function loadDashboard() {
     updateDashboardStats(members);
     loadDashboardCharts(members);
     loadTopCommitters(members);
+    loadContributionLeaderboard(members);
+    loadClubHeatmap(members);
+    loadGrowthChart();
+    loadEventsSummary();
+    loadProjectCount();
   } catch (error) {
     handleError(error, { module: 'dashboard', action: 'loadDashboard' });
   } finally {
@@ -244,10 +267,14 @@ function getPRTrendsData(members, days = 30) {
 
 /**
  * Load top committers list
+ * Ranks by commits inside tracked orgs/repos when a scope is configured
  * @param {Array} members - Array of member objects
  */
 function loadTopCommitters(members) {
-  const committers = getTopCommitters(members, 10);
+  const tracked = hasTrackedScope();
+  const committers = getTopCommitters(members, 10, {
+    scope: tracked ? CONTRIBUTION_SCOPES.TRACKED : CONTRIBUTION_SCOPES.GLOBAL,
+  });
   const committersList = document.getElementById("dashboardTopCommitters");
 
   if (!committersList) return;
@@ -273,10 +300,265 @@ function loadTopCommitters(members) {
                 <div class="contributor-stats">
                     <span><i class="fas fa-code-commit"></i> ${formatNumber(
                       committer.commits
-                    )} commits</span>
+                    )} ${tracked ? "tracked commits" : "commits"}</span>
+                    ${
+                      tracked
+                        ? `<span><i class="fas fa-globe"></i> ${formatNumber(
+                            committer.globalCommits
+                          )} global</span>`
+                        : ""
+                    }
                 </div>
             </div>
         `;
     committersList.appendChild(committerEl);
   });
 }
+
+/**
+ * Load the scored contribution leaderboard
+ * Uses the leaderboard stored in ClubStats, scoring live from stored activity
+ * when none has been calculated yet
+ * @param {Array} members - Array of member objects
+ * @returns {Promise<void>}
+ */
+async function loadContributionLeaderboard(members) {
+  const leaderboardList = document.getElementById("dashboardLeaderboard");
+  if (!leaderboardList) return;
+
+  let entries;
+  try {
+    const stored = await loadLeaderboard();
+    entries = stored?.entries || calculateLeaderboard(members, getScoringWeights());
+  } catch (error) {
+    handleError(error, { module: 'dashboard', action: 'loadContributionLeaderboard' }, { showToast: false });
+    entries = calculateLeaderboard(members, getScoringWeights());
+  }
+
+  if (entries.length === 0) {
+    leaderboardList.innerHTML =
+      '<p style="text-align: center; color: #64748b; padding: 20px;">No scored members yet</p>';
+    return;
+  }
+
+  const tierLabels = Object.fromEntries(SCORE_TIERS.map((tier) => [tier.id, tier.label]));
+  leaderboardList.innerHTML = entries
+    .slice(0, 10)
+    .map(
+      (entry) => `
+            <div class="contributor-item">
+                <div class="contributor-rank">#${entry.rank}</div>
+                <div class="contributor-avatar" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);">
+                    ${escapeHtml(entry.name.charAt(0).toUpperCase())}
+                </div>
+                <div class="contributor-info">
+                    <div class="contributor-name">
+                        ${escapeHtml(entry.name)}
+                        <span class="score-tier tier-${entry.tier}">${tierLabels[entry.tier] || entry.tier}</span>
+                    </div>
+                    ${
+                      entry.badges.length
+                        ? `<div class="score-badges">${entry.badges
+                            .map((badge) => `<span class="score-badge"><i class="fas ${badge.icon}"></i> ${badge.label}</span>`)
+                            .join("")}</div>`
+                        : ""
+                    }
+                </div>
+                <div class="score-value" title="Merged PRs ${formatNumber(entry.breakdown.mergedPRs)} · Reviews ${formatNumber(entry.breakdown.reviews)} · Issues ${formatNumber(entry.breakdown.issues)} · Stars ${formatNumber(entry.breakdown.stars)} · Commits ${formatNumber(entry.breakdown.commits)}">
+                    ${formatNumber(entry.score)} pts
+                </div>
+            </div>
+        `
+    )
+    .join("");
+}
+
+/**
+ * Show the number of registered club projects
+ * Counted from the Projects registry, like ClubStats.projects
+ */
+async function loadProjectCount() {
+  const totalProjectsEl = document.getElementById("dashboardTotalProjects");
+  if (!totalProjectsEl) return;
+
+  try {
+    const stats = calculateProjectStats(await loadProjects());
+    totalProjectsEl.textContent = formatNumber(stats.projects);
+  } catch (error) {
+    handleError(error, { module: 'dashboard', action: 'loadProjectCount' }, { showToast: false });
+  }
+}
+
+/**
+ * Show events held and the next upcoming events
+ * Figures are computed from the Events collection, like ClubStats.events
+ */
+async function loadEventsSummary() {
+  const totalEventsEl = document.getElementById("dashboardTotalEvents");
+  const upcomingList = document.getElementById("dashboardUpcomingEvents");
+
+  let events;
+  try {
+    events = await loadEvents();
+  } catch (error) {
+    handleError(error, { module: 'dashboard', action: 'loadEventsSummary' }, { showToast: false });
+    if (upcomingList) {
+      upcomingList.innerHTML =
+        '<p style="text-align: center; color: #64748b; padding: 20px;">Could not load events</p>';
+    }
+    return;
+  }
+
+  const stats = calculateEventStats(events);
+  if (totalEventsEl) totalEventsEl.textContent = formatNumber(stats.events);
+  if (!upcomingList) return;
+
+  const now = new Date();
+  const upcoming = events
+    .filter((event) => !isArchived(event) && new Date(event.startsAt) > now)
+    .sort((a, b) => String(a.startsAt).localeCompare(String(b.startsAt)))
+    .slice(0, 5);
+
+  if (upcoming.length === 0) {
+    upcomingList.innerHTML =
+      '<p style="text-align: center; color: #64748b; padding: 20px;">No upcoming events</p>';
+    return;
+  }
+
+  upcomingList.innerHTML = upcoming
+    .map(
+      (event) => `
+            <div class="contributor-item">
+                <div class="contributor-avatar" style="background: linear-gradient(135deg, #8b5cf6 0%, #7c3aed 100%);">
+                    <i class="fas fa-calendar-alt"></i>
+                </div>
+                <div class="contributor-info">
+                    <div class="contributor-name">${escapeHtml(event.name)}</div>
+                    <div class="contributor-stats">
+                        ${formatDateTime(event.startsAt)} · ${escapeHtml(EVENT_MODE_LABELS[event.mode] || event.mode)}
+                    </div>
+                </div>
+                ${event.capacity ? `<div class="score-value">${formatNumber(event.capacity)} places</div>` : ""}
+            </div>
+        `
+    )
+    .join("");
+}
+
+/**
+ * Load aggregated club contribution heatmap
+ * @param {Array} members - Array of member objects
+ */
+function loadClubHeatmap(members) {
+  const heatmapEl = document.getElementById("dashboardClubHeatmap");
+  const summaryEl = document.getElementById("dashboardClubHeatmapSummary");
+
+  if (!heatmapEl) return;
+
+  const calendar = aggregateContributionCalendars(members);
+
+  if (summaryEl) {
+    summaryEl.textContent = calendar.membersIncluded > 0
+      ? `${formatNumber(calendar.totalContributions)} contributions by ${formatNumber(calendar.membersIncluded)} members in the last year`
+      : "";
+  }
+
+  heatmapEl.innerHTML = renderContributionHeatmap(calendar.days);
+}
+
+// Store growth chart instance to prevent multiple instances
+let growthChartInstance = null;
+let growthPeriodListenerAttached = false;
+
+/**
+ * Load club growth chart from the ClubStats/history series
+ * Charts week-over-week or month-over-month deltas instead of lifetime totals
+ * @returns {Promise<void>}
+ */
+async function loadGrowthChart() {
+  const growthCtx = document.getElementById("dashboardGrowthChart");
+  const emptyEl = document.getElementById("dashboardGrowthEmpty");
+  const periodSelect = document.getElementById("dashboardGrowthPeriod");
+
+  if (!growthCtx) return;
+
+  if (periodSelect && !growthPeriodListenerAttached) {
+    periodSelect.addEventListener("change", () => loadGrowthChart());
+    growthPeriodListenerAttached = true;
+  }
+
+  try {
+    const history = await loadClubHistory();
+    const period = periodSelect?.value || "week";
+    const deltas = calculatePeriodDeltas(
+      history,
+      ["totalCommits", "totalPullRequests", "stars"],
+      period,
+      12
+    );
+
+    if (growthChartInstance) {
+      growthChartInstance.destroy();
+      growthChartInstance = null;
+    }
+
+    if (emptyEl) emptyEl.style.display = deltas.hasData ? "none" : "flex";
+    if (!deltas.hasData) return;
+
+    growthChartInstance = new Chart(growthCtx, {
+      type: "bar",
+      data: {
+        labels: deltas.labels,
+        datasets: [
+          {
+            label: "New Commits",
+            data: deltas.series.totalCommits,
+            backgroundColor: "#10b981",
+            borderRadius: 4,
+          },
+          {
+            label: "New Pull Requests",
+            data: deltas.series.totalPullRequests,
+            backgroundColor: "#ef4444",
+            borderRadius: 4,
+          },
+          {
+            label: "New Stars",
+            data: deltas.series.stars,
+            backgroundColor: "#f59e0b",
+            borderRadius: 4,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        plugins: {
+          legend: {
+            position: "bottom",
+          },
+          tooltip: {
+            mode: "index",
+            intersect: false,
+            callbacks: {
+              label: function (context) {
+                const value = context.parsed.y;
+                const sign = value > 0 ? "+" : "";
+                return `${context.dataset.label}: ${sign}${formatNumber(value)}`;
+              },
+            },
+          },
+        },
+        scales: {
+          y: {
+            ticks: {
+              precision: 0,
+            },
+          },
+        },
+      },
+    });
+  } catch (error) {
+    handleError(error, { module: 'dashboard', action: 'loadGrowthChart' }, { showToast: false });
+  }
+}
@@ -0,0 +1,612 @@
+/**
+ * @fileoverview Events Page Module
+ * Create, edit and archive club events, link a registration form and record
+ * attendance against members. Every change recomputes the event figures in
+ * ClubStats/main
+ * @module events
+ */
+import { getMembers } from './data-store.js';
+import { requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import {
+    loadEvents,
+    createEvent,
+    updateEvent,
+    archiveEvent,
+    restoreEvent,
+    setEventAttendance,
+    loadRegistrationForms,
+    loadEventRegistrants,
+    syncEventStats,
+    isArchived,
+    EVENT_MODES,
+    EVENT_MODE_LABELS
+} from './services/event-service.js';
+import { showToast, handleError, showLoading, hideLoading, formatDateTime, getMemberDisplayName, getMemberEmail, escapeHtml } from './utils.js';
+
+let events = [];
+let registrationForms = [];
+let eventsListenersInitialized = false;
+// Registrants for the open attendance modal
+let attendanceRegistrants = [];
+
+/**
+ * Load the events page
+ * @param {boolean} forceRefresh - Reload events even if already loaded
+ * @returns {Promise<void>}
+ */
+export async function loadEventsPage(forceRefresh = false) {
+    setupEventsListeners();
+
+    if (events.length > 0 && !forceRefresh) {
+        renderEvents();
+        return;
+    }
+
+    const tbody = document.getElementById('eventsTableBody');
+    if (tbody) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin"></i> Loading events...</td></tr>';
+    }
+
+    try {
+        [events, registrationForms] = await Promise.all([loadEvents(), loadRegistrationForms()]);
+        renderEvents();
+    } catch (error) {
+        handleError(error, { module: 'events', action: 'loadEventsPage' }, { showToast: false });
+        showToast('Failed to load events.', 'error');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 40px;">Could not load events.</td></tr>';
+        }
+    }
+}
+
+/**
+ * Attach filter and toolbar listeners once
+ */
+function setupEventsListeners() {
+    if (eventsListenersInitialized) return;
+    eventsListenersInitialized = true;
+
+    document.getElementById('eventsStatusFilter')?.addEventListener('change', renderEvents);
+    document.getElementById('eventsSearch')?.addEventListener('input', renderEvents);
+    document.getElementById('refreshEvents')?.addEventListener('click', () => loadEventsPage(true));
+    document.getElementById('createEventBtn')?.addEventListener('click', () => window.openEventEditor());
+}
+
+/**
+ * Check whether an event has started
+ * @param {Object} event - Event
+ * @returns {boolean} - True once the start time has passed
+ */
+function hasStarted(event) {
+    return new Date(event.startsAt) <= new Date();
+}
+
+/**
+ * Apply the page filters to the loaded events
+ * @returns {Array<Object>} - Matching events; upcoming ones soonest first, the rest newest first
+ */
+function getFilteredEvents() {
+    const status = document.getElementById('eventsStatusFilter')?.value || 'upcoming';
+    const search = (document.getElementById('eventsSearch')?.value || '').trim().toLowerCase();
+
+    const filtered = events.filter(event => {
+        if (status === 'upcoming' && (isArchived(event) || hasStarted(event))) return false;
+        if (status === 'past' && (isArchived(event) || !hasStarted(event))) return false;
+        if (status === 'archived' && !isArchived(event)) return false;
+        if (search) {
+            const haystack = [event.name, event.description, event.venue].join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+
+    return status === 'upcoming' ? filtered.reverse() : filtered;
+}
+
+/**
+ * Get member names for a list of member IDs
+ * @param {Array<string>} memberIds - Member IDs
+ * @returns {Array<string>} - Display names (unknown IDs are skipped)
+ */
+function getMemberNames(memberIds) {
+    const membersById = new Map(getMembers().map(member => [member.id, member]));
+    return (memberIds || [])
+        .map(id => membersById.get(id))
+        .filter(Boolean)
+        .map(getMemberDisplayName);
+}
+
+/**
+ * Build the public link of a registration form
+ * @param {string} formId - Form ID
+ * @returns {string} - Absolute form.html URL
+ */
+function getRegistrationUrl(formId) {
+    return new URL(`form.html?id=${encodeURIComponent(formId)}`, window.location.href).href;
+}
+
+/**
+ * Render the filtered events
+ */
+function renderEvents() {
+    const tbody = document.getElementById('eventsTableBody');
+    const summary = document.getElementById('eventsSummary');
+    if (!tbody) return;
+
+    const filtered = getFilteredEvents();
+    if (summary) {
+        summary.textContent = `Showing ${filtered.length} of ${events.length} events`;
+    }
+
+    if (filtered.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 40px;">No events match these filters.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = filtered.map(event => {
+        const organizers = getMemberNames(event.organizers);
+        const form = registrationForms.find(f => f.id === event.registrationFormId);
+        const attendees = (event.attendees || []).length;
+
+        return `
+            <tr class="${isArchived(event) ? 'event-archived' : ''}">
+                <td style="white-space: nowrap">
+                    ${formatDateTime(event.startsAt)}
+                    ${event.endsAt ? `<span class="event-meta">until ${formatDateTime(event.endsAt)}</span>` : ''}
+                </td>
+                <td>
+                    <strong>${escapeHtml(event.name)}</strong>
+                    ${isArchived(event) ? '<span class="event-badge archived">Archived</span>' : ''}
+                    <span class="event-meta">${renderLocation(event)}</span>
+                </td>
+                <td>${organizers.length ? escapeHtml(organizers.join(', ')) : '<span class="event-meta">None</span>'}</td>
+                <td>
+                    ${form ? `
+                        <a href="${escapeHtml(getRegistrationUrl(form.id))}" target="_blank" rel="noopener">${escapeHtml(form.name)}</a>
+                        ${form.status !== 'active' ? `<span class="event-meta">Form is ${escapeHtml(form.status)}</span>` : ''}
+                    ` : `<span class="event-meta">${event.registrationFormId ? 'Form no longer exists' : 'No form'}</span>`}
+                </td>
+                <td style="white-space: nowrap">
+                    ${attendees}${event.capacity ? ` / ${event.capacity}` : ''}
+                </td>
+                <td class="event-actions">
+                    <button class="btn btn-sm btn-secondary" data-permission="manage-events" onclick="openEventEditor('${event.id}')" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-secondary" data-permission="manage-events" onclick="openEventAttendance('${event.id}')" title="Attendance">
+                        <i class="fas fa-user-check"></i>
+                    </button>
+                    ${isArchived(event) ? `
+                        <button class="btn btn-sm btn-secondary" data-permission="manage-events" onclick="restoreEventEntry('${event.id}')" title="Restore">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                    ` : `
+                        <button class="btn btn-sm btn-danger" data-permission="manage-events" onclick="archiveEventEntry('${event.id}')" title="Archive">
+                            <i class="fas fa-archive"></i>
+                        </button>
+                    `}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render where an event takes place
+ * @param {Object} event - Event
+ * @returns {string} - HTML
+ */
+function renderLocation(event) {
+    const parts = [escapeHtml(EVENT_MODE_LABELS[event.mode] || event.mode)];
+    if (event.venue && event.mode !== EVENT_MODES.ONLINE) parts.push(escapeHtml(event.venue));
+    if (event.onlineUrl && event.mode !== EVENT_MODES.IN_PERSON) {
+        parts.push(`<a href="${escapeHtml(event.onlineUrl)}" target="_blank" rel="noopener">Online link</a>`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Convert a stored ISO time into a datetime-local input value
+ * @param {string|null} iso - ISO timestamp
+ * @returns {string} - Local "YYYY-MM-DDTHH:mm", or '' when unset
+ */
+function toLocalInputValue(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    if (isNaN(date.getTime())) return '';
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Convert a datetime-local input value into an ISO timestamp
+ * @param {string} value - Local "YYYY-MM-DDTHH:mm"
+ * @returns {string|null} - ISO timestamp, or null when empty
+ */
+function fromLocalInputValue(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Open a modal, closing it on a backdrop click
+ * @param {string} html - Modal content HTML
+ * @returns {HTMLElement} - Modal element
+ */
+function openModal(html) {
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+    return modal;
+}
+
+/**
+ * Open the create/edit event modal
+ * @param {string} [eventId] - Event to edit; omitted to create one
+ */
+window.openEventEditor = function(eventId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_EVENTS)) return;
+    const event = eventId ? events.find(e => e.id === eventId) : null;
+    if (eventId && !event) {
+        showToast('Event not found', 'error');
+        return;
+    }
+
+    const organizers = new Set(event?.organizers || []);
+    const members = [...getMembers()].sort((a, b) => getMemberDisplayName(a).localeCompare(getMemberDisplayName(b)));
+    const mode = event?.mode || EVENT_MODES.IN_PERSON;
+
+    openModal(`
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>${event ? 'Edit Event' : 'New Event'}</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="form-group">
+                    <label for="eventName">Name</label>
+                    <input type="text" id="eventName" maxlength="120" value="${escapeHtml(event?.name || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="eventDescription">Description</label>
+                    <textarea id="eventDescription" rows="3">${escapeHtml(event?.description || '')}</textarea>
+                </div>
+                <div class="event-form-row">
+                    <div class="form-group">
+                        <label for="eventStartsAt">Starts</label>
+                        <input type="datetime-local" id="eventStartsAt" value="${toLocalInputValue(event?.startsAt)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="eventEndsAt">Ends (optional)</label>
+                        <input type="datetime-local" id="eventEndsAt" value="${toLocalInputValue(event?.endsAt)}">
+                    </div>
+                </div>
+                <div class="event-form-row">
+                    <div class="form-group">
+                        <label for="eventMode">Format</label>
+                        <select id="eventMode" onchange="updateEventModeFields()">
+                            ${Object.values(EVENT_MODES).map(value => `
+                                <option value="${value}" ${value === mode ? 'selected' : ''}>${EVENT_MODE_LABELS[value]}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="eventCapacity">Capacity (optional)</label>
+                        <input type="number" id="eventCapacity" min="1" step="1" value="${event?.capacity ?? ''}">
+                    </div>
+                </div>
+                <div class="form-group" id="eventVenueGroup">
+                    <label for="eventVenue">Venue</label>
+                    <input type="text" id="eventVenue" value="${escapeHtml(event?.venue || '')}">
+                </div>
+                <div class="form-group" id="eventOnlineUrlGroup">
+                    <label for="eventOnlineUrl">Online link</label>
+                    <input type="url" id="eventOnlineUrl" placeholder="https://" value="${escapeHtml(event?.onlineUrl || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="eventRegistrationForm">Registration form</label>
+                    <select id="eventRegistrationForm">
+                        <option value="">No registration form</option>
+                        ${registrationForms.map(form => `
+                            <option value="${escapeHtml(form.id)}" ${form.id === event?.registrationFormId ? 'selected' : ''}>
+                                ${escapeHtml(form.name)}${form.status !== 'active' ? ` (${escapeHtml(form.status)})` : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="eventOrganizerSearch">Organisers</label>
+                    <input type="text" id="eventOrganizerSearch" placeholder="Filter members..." oninput="filterEventMemberList('eventOrganizerList', this.value)">
+                    <div id="eventOrganizerList" class="event-member-list">
+                        ${members.map(member => renderMemberOption(member, organizers.has(member.id))).join('')}
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                <button class="btn btn-primary" onclick="saveEvent(this, ${event ? `'${event.id}'` : 'null'})">
+                    <i class="fas fa-save"></i> ${event ? 'Save Changes' : 'Create Event'}
+                </button>
+            </div>
+        </div>
+    `);
+    window.updateEventModeFields();
+};
+
+/**
+ * Render a member checkbox for the organiser and attendance lists
+ * @param {Object} member - Member
+ * @param {boolean} checked - Whether the box starts checked
+ * @param {string} [badge] - Extra label shown next to the name
+ * @returns {string} - HTML
+ */
+function renderMemberOption(member, checked, badge = '') {
+    const email = getMemberEmail(member);
+    return `
+        <label class="event-member-option" data-search="${escapeHtml(`${getMemberDisplayName(member)} ${email}`.toLowerCase())}">
+            <input type="checkbox" value="${escapeHtml(member.id)}" ${checked ? 'checked' : ''}>
+            <span>${escapeHtml(getMemberDisplayName(member))}</span>
+            <span class="event-meta">${escapeHtml(email)}</span>
+            ${badge}
+        </label>
+    `;
+}
+
+/**
+ * Show the venue and online link inputs that apply to the chosen format
+ */
+window.updateEventModeFields = function() {
+    const mode = document.getElementById('eventMode')?.value;
+    const venueGroup = document.getElementById('eventVenueGroup');
+    const onlineGroup = document.getElementById('eventOnlineUrlGroup');
+    if (venueGroup) venueGroup.style.display = mode === EVENT_MODES.ONLINE ? 'none' : '';
+    if (onlineGroup) onlineGroup.style.display = mode === EVENT_MODES.IN_PERSON ? 'none' : '';
+};
+
+/**
+ * Filter a member checkbox list by name or email
+ * @param {string} listId - List element ID
+ * @param {string} query - Search text
+ */
+window.filterEventMemberList = function(listId, query) {
+    const search = (query || '').trim().toLowerCase();
+    document.querySelectorAll(`#${listId} .event-member-option`).forEach(option => {
+        option.style.display = !search || option.dataset.search.includes(search) ? '' : 'none';
+    });
+};
+
+/**
+ * Get the checked member IDs of a member checkbox list
+ * @param {string} listId - List element ID
+ * @returns {Array<string>} - Member IDs
+ */
+function getCheckedMembers(listId) {
+    return [...document.querySelectorAll(`#${listId} input[type="checkbox"]:checked`)].map(input => input.value);
+}
+
+/**
+ * Save the event editor
+ * @param {HTMLElement} button - Save button (its modal is closed on success)
+ * @param {string|null} eventId - Event being edited, or null when creating
+ */
+window.saveEvent = async function(button, eventId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_EVENTS)) return;
+    const mode = document.getElementById('eventMode').value;
+    const details = {
+        name: document.getElementById('eventName').value,
+        description: document.getElementById('eventDescription').value,
+        startsAt: fromLocalInputValue(document.getElementById('eventStartsAt').value),
+        endsAt: fromLocalInputValue(document.getElementById('eventEndsAt').value),
+        mode,
+        // Hidden inputs are cleared so a format change does not keep a stale venue or link
+        venue: mode === EVENT_MODES.ONLINE ? '' : document.getElementById('eventVenue').value,
+        onlineUrl: mode === EVENT_MODES.IN_PERSON ? '' : document.getElementById('eventOnlineUrl').value,
+        capacity: document.getElementById('eventCapacity').value,
+        organizers: getCheckedMembers('eventOrganizerList'),
+        registrationFormId: document.getElementById('eventRegistrationForm').value
+    };
+
+    try {
+        showLoading();
+        if (eventId) {
+            const event = events.find(e => e.id === eventId);
+            await updateEvent(event, details);
+        } else {
+            await createEvent(details);
+        }
+        button.closest('.modal')?.remove();
+        showToast(eventId ? 'Event updated' : 'Event created', 'success');
+        await refreshAfterChange();
+    } catch (error) {
+        handleError(error, { module: 'events', action: 'saveEvent', eventId }, { showToast: false });
+        showToast(error.message || 'Failed to save event', 'error');
+    } finally {
+        hideLoading();
+    }
+};
+
+/**
+ * Open the attendance modal for an event
+ * Members who registered through the linked form are listed first
+ * @param {string} eventId - Event ID
+ */
+window.openEventAttendance = async function(eventId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_EVENTS)) return;
+    const event = events.find(e => e.id === eventId);
+    if (!event) {
+        showToast('Event not found', 'error');
+        return;
+    }
+
+    const members = getMembers();
+    let registration = null;
+    if (event.registrationFormId) {
+        try {
+            showLoading();
+            registration = await loadEventRegistrants(event.registrationFormId, members);
+        } catch (error) {
+            handleError(error, { module: 'events', action: 'loadEventRegistrants', eventId }, { showToast: false });
+            showToast('Could not load registrations; showing all members.', 'warning');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    attendanceRegistrants = registration?.memberIds || [];
+    const registered = new Set(attendanceRegistrants);
+    const attending = new Set(event.attendees || []);
+    const sorted = [...members].sort((a, b) =>
+        (registered.has(b.id) - registered.has(a.id))
+        || getMemberDisplayName(a).localeCompare(getMemberDisplayName(b)));
+
+    openModal(`
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>Attendance: ${escapeHtml(event.name)}</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="event-meta">
+                    ${formatDateTime(event.startsAt)}${event.capacity ? ` · Capacity ${event.capacity}` : ''}
+                </p>
+                ${registration ? `
+                    <p class="event-registration-summary">
+                        ${registration.submissions} registration${registration.submissions === 1 ? '' : 's'},
+                        ${registration.memberIds.length} matched to members${registration.unmatched ? `, ${registration.unmatched} not matched to a member by sign-in email` : ''}.
+                        ${registration.memberIds.length ? '<button class="btn btn-sm btn-secondary" onclick="markRegistrantsPresent()">Mark all registrants present</button>' : ''}
+                    </p>
+                ` : ''}
+                <div class="form-group">
+                    <input type="text" placeholder="Filter members..." oninput="filterEventMemberList('eventAttendanceList', this.value)">
+                </div>
+                <p id="eventAttendanceCount" class="event-meta"></p>
+                <div id="eventAttendanceList" class="event-member-list event-member-list-tall" onchange="updateEventAttendanceCount(${event.capacity || 0})">
+                    ${sorted.map(member => renderMemberOption(
+                        member,
+                        attending.has(member.id),
+                        registered.has(member.id) ? '<span class="event-badge registered">Registered</span>' : ''
+                    )).join('')}
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                <button class="btn btn-primary" onclick="saveEventAttendance(this, '${event.id}')">
+                    <i class="fas fa-save"></i> Save Attendance
+                </button>
+            </div>
+        </div>
+    `);
+    window.updateEventAttendanceCount(event.capacity || 0);
+};
+
+/**
+ * Show how many members are marked present
+ * @param {number} capacity - Event capacity (0 when unlimited)
+ */
+window.updateEventAttendanceCount = function(capacity) {
+    const countEl = document.getElementById('eventAttendanceCount');
+    if (!countEl) return;
+    const count = getCheckedMembers('eventAttendanceList').length;
+    countEl.textContent = `${count} marked present${capacity ? ` of ${capacity}` : ''}`;
+    countEl.classList.toggle('event-over-capacity', !!capacity && count > capacity);
+};
+
+/**
+ * Check every member who registered through the linked form
+ */
+window.markRegistrantsPresent = function() {
+    const registered = new Set(attendanceRegistrants);
+    document.querySelectorAll('#eventAttendanceList input[type="checkbox"]').forEach(input => {
+        if (registered.has(input.value)) input.checked = true;
+    });
+    document.getElementById('eventAttendanceList')?.dispatchEvent(new Event('change'));
+};
+
+/**
+ * Save the attendance modal
+ * @param {HTMLElement} button - Save button (its modal is closed on success)
+ * @param {string} eventId - Event ID
+ */
+window.saveEventAttendance = async function(button, eventId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_EVENTS)) return;
+    const event = events.find(e => e.id === eventId);
+    if (!event) return;
+
+    try {
+        showLoading();
+        await setEventAttendance(event, getCheckedMembers('eventAttendanceList'));
+        button.closest('.modal')?.remove();
+        showToast('Attendance saved', 'success');
+        await refreshAfterChange();
+    } catch (error) {
+        handleError(error, { module: 'events', action: 'saveEventAttendance', eventId }, { showToast: false });
+        showToast('Failed to save attendance', 'error');
+    } finally {
+        hideLoading();
+    }
+};
+
+/**
+ * Archive an event
+ * @param {string} eventId - Event ID
+ */
+window.archiveEventEntry = async function(eventId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_EVENTS)) return;
+    const event = events.find(e => e.id === eventId);
+    if (!event) return;
+    const warning = hasStarted(event) ? '' : ' It has not happened yet, so it will no longer count as upcoming.';
+    if (!confirm(`Archive "${event.name}"?${warning}`)) return;
+
+    try {
+        await archiveEvent(event);
+        showToast('Event archived', 'success');
+        await refreshAfterChange();
+    } catch (error) {
+        handleError(error, { module: 'events', action: 'archiveEvent', eventId }, { showToast: false });
+        showToast('Failed to archive event', 'error');
+    }
+};
+
+/**
+ * Restore an archived event
+ * @param {string} eventId - Event ID
+ */
+window.restoreEventEntry = async function(eventId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_EVENTS)) return;
+    const event = events.find(e => e.id === eventId);
+    if (!event) return;
+
+    try {
+        await restoreEvent(event);
+        showToast('Event restored', 'success');
+        await refreshAfterChange();
+    } catch (error) {
+        handleError(error, { module: 'events', action: 'restoreEvent', eventId }, { showToast: false });
+        showToast('Failed to restore event', 'error');
+    }
+};
+
+/**
+ * Reload events after a change and recompute the ClubStats event figures
+ * @returns {Promise<void>}
+ */
+async function refreshAfterChange() {
+    events = await loadEvents();
+    renderEvents();
+    try {
+        await syncEventStats(events);
+    } catch (error) {
+        handleError(error, { module: 'events', action: 'syncEventStats' }, { showToast: false });
+    }
+}
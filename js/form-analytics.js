@@ -1,6 +1,7 @@
 // Form Analytics Module
 import { db, collection, getDocs, query, orderBy, where, Timestamp } from '../firebase-config.js';
 import { formatNumber } from './utils.js';
+import { isTrashed } from './services/trash-service.js';
 
 /**
  * Load form analytics
@@ -16,6 +17,7 @@ export async function loadFormAnalytics(formId, formData) {
         
         const submissions = [];
         submissionsSnapshot.forEach(doc => {
+            if (isTrashed(doc.data())) return;
             submissions.push({
                 id: doc.id,
                 ...doc.data()
@@ -1,9 +1,14 @@
 // Form Builder Module
-import { db, collection, doc, getDoc, setDoc, updateDoc, Timestamp, getDocs } from '../firebase-config.js';
+import { db, collection, doc, getDoc, writeBatch, Timestamp, getDocs } from '../firebase-config.js';
 import { showLoading, hideLoading } from './utils.js';
-import { getCurrentUser } from './auth.js';
+import { getCurrentUser, requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './services/audit-service.js';
+import { FILE_TYPE_PRESETS, DEFAULT_MAX_FILE_SIZE_MB } from './services/upload-service.js';
+import { CONDITION_OPERATORS, LOGIC_ACTIONS, createRule, createCondition, normalizeConditionalLogic, evaluateFormLogic, validateFormLogic } from './utils/form-logic.js';
 
 let currentForm = null;
+let savedForm = null; // Form as last loaded or saved - the "before" side of audit entries
 let currentStage = 1; // 1 or 2
 let formData = {
     name: '',
@@ -25,18 +30,27 @@ let formData = {
 };
 let selectedField = null;
 let selectedSection = null;
-let history = [];
+let history = []; // Snapshots of formData; history[historyIndex] is the current state
 let historyIndex = -1;
+let builderShortcutsBound = false;
+let draggedItem = null; // {kind: 'field'|'section'|'new', id} while a drag is in progress
+let previewLogic = null; // evaluateFormLogic result for the last rendered preview
+
+const MAX_HISTORY = 50;
 
 /**
  * Initialize form builder
  */
 window.initializeFormBuilder = async function(formId = null) {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     if (formId) {
         await loadForm(formId);
     } else {
         resetFormData();
     }
+    normalizeOrders();
+    resetHistory();
+    bindBuilderShortcuts();
     renderBuilder();
 };
 
@@ -52,6 +66,7 @@ async function loadForm(formId) {
         if (formSnap.exists()) {
             currentForm = formId;
             const data = formSnap.data();
+            savedForm = data;
             formData = {
                 name: data.name || '',
                 description: data.description || '',
@@ -67,7 +82,10 @@ async function loadForm(formId) {
                     redirectType: data.settings?.redirectType || 'same-page',
                     confirmationMessage: data.settings?.confirmationMessage || 'Thank you for your submission!'
                 },
-                fields: data.fields || [],
+                fields: (data.fields || []).map(field => ({
+                    ...field,
+                    conditionalLogic: normalizeConditionalLogic(field.conditionalLogic)
+                })),
                 sections: data.sections || []
             };
         }
@@ -84,6 +102,7 @@ async function loadForm(formId) {
  */
 function resetFormData() {
     currentForm = null;
+    savedForm = null;
     formData = {
         name: '',
         description: '',
@@ -143,6 +162,14 @@ function renderBuilder() {
                     <h2>${currentForm ? 'Edit Form' : 'Create New Form'}</h2>
                 </div>
                 <div class="builder-header-right">
+                    <div class="history-controls">
+                        <button id="builderUndoBtn" class="btn btn-secondary" onclick="undoBuilderChange()" title="Undo (Ctrl+Z)" ${canUndo() ? '' : 'disabled'}>
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button id="builderRedoBtn" class="btn btn-secondary" onclick="redoBuilderChange()" title="Redo (Ctrl+Shift+Z)" ${canRedo() ? '' : 'disabled'}>
+                            <i class="fas fa-redo"></i>
+                        </button>
+                    </div>
                     <div class="stage-indicator">
                         <span class="stage ${currentStage === 1 ? 'active' : ''}" data-stage="1">Stage 1: Details</span>
                         <span class="stage-divider">→</span>
@@ -370,12 +397,16 @@ function getFieldTypesList() {
         { type: 'time', icon: 'fas fa-clock', label: 'Time' },
         { type: 'rating', icon: 'fas fa-star', label: 'Rating' },
         { type: 'scale', icon: 'fas fa-sliders-h', label: 'Scale' },
+        { type: 'file', icon: 'fas fa-file-upload', label: 'File Upload' },
+        { type: 'github_repo', icon: 'fab fa-github', label: 'GitHub Repository' },
+        { type: 'github_link', icon: 'fas fa-code-pull-request', label: 'GitHub PR / Issue' },
+        { type: 'github_username', icon: 'fas fa-user-circle', label: 'GitHub Username' },
         { type: 'section', icon: 'fas fa-grip-lines', label: 'Section Break' },
         { type: 'pagebreak', icon: 'fas fa-file-alt', label: 'Page Break' }
     ];
 
     return fieldTypes.map(field => `
-        <div class="field-type-item" data-type="${field.type}" onclick="addField('${field.type}')">
+        <div class="field-type-item" data-type="${field.type}" draggable="true" onclick="addField('${field.type}')">
             <i class="${field.icon}"></i>
             <span>${field.label}</span>
         </div>
@@ -390,16 +421,23 @@ function renderSectionsList() {
         return '<p class="empty-text">No sections yet</p>';
     }
 
-    return formData.sections
-        .sort((a, b) => a.order - b.order)
-        .map(section => {
+    const sortedSections = formData.sections.sort((a, b) => a.order - b.order);
+    return sortedSections
+        .map((section, index) => {
             const fieldCount = formData.fields.filter(f => f.sectionId === section.id).length;
             return `
-                <div class="section-item ${selectedSection?.id === section.id ? 'selected' : ''}" data-section-id="${section.id}" onclick="selectSection('${section.id}')">
+                <div class="section-item ${selectedSection?.id === section.id ? 'selected' : ''}" data-section-id="${section.id}" draggable="true" onclick="selectSection('${section.id}')">
+                    <i class="fas fa-grip-vertical drag-handle" aria-hidden="true"></i>
                     <div class="section-item-content">
                         <span class="section-item-title">${escapeHtml(section.title)}</span>
                         <span class="section-item-count">${fieldCount} field${fieldCount !== 1 ? 's' : ''}</span>
                     </div>
+                    <button class="btn-icon-sm" onclick="event.stopPropagation(); moveSection('${section.id}', -1)" ${index === 0 ? 'disabled' : ''} aria-label="Move section up" title="Move up">
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="btn-icon-sm" onclick="event.stopPropagation(); moveSection('${section.id}', 1)" ${index === sortedSections.length - 1 ? 'disabled' : ''} aria-label="Move section down" title="Move down">
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
                     <button class="btn-icon-sm" onclick="event.stopPropagation(); deleteSection('${section.id}')">
                     <i class="fas fa-trash"></i>
                 </button>
@@ -416,6 +454,11 @@ function renderFormPreview() {
         return '<div class="empty-preview"><p>Drag fields here or click field types to add</p></div>';
     }
 
+    // Rules are evaluated against default values, so the canvas shows the form's initial state
+    const defaults = Object.fromEntries(formData.fields.map(f => [f.id, f.defaultValue ?? '']));
+    previewLogic = evaluateFormLogic(formData.fields, defaults);
+    previewLogic.issueFieldIds = new Set(validateFormLogic(formData.fields).map(issue => issue.fieldId));
+
     const sortedFields = [...formData.fields].sort((a, b) => a.order - b.order);
     
     // Check if form has page breaks
@@ -553,7 +596,7 @@ function renderSectionWithFields(sectionId, fields) {
     let html = `
         <div class="preview-section section-${section.backgroundStyle || 'none'} ${section.collapsible ? 'collapsible' : ''}" 
              data-section-id="${section.id}">
-            <div class="section-header" onclick="selectSection('${section.id}')">
+            <div class="section-header" draggable="true" onclick="selectSection('${section.id}')">
                 ${section.icon ? `<i class="${escapeHtml(section.icon)}"></i>` : ''}
                 <h3>
                     ${section.showSectionNumber !== false ? `<span class="section-number">${sectionNumber}.</span>` : ''}
@@ -579,6 +622,29 @@ function renderSectionWithFields(sectionId, fields) {
     return html;
 }
 
+/**
+ * Render badges describing a field's conditional logic in the preview
+ * @param {Object} field - Field
+ * @returns {string} - HTML ('' for fields without active rules)
+ */
+function renderLogicBadges(field) {
+    if (!previewLogic || !field.conditionalLogic?.enabled) return '';
+
+    const badges = [];
+    if (previewLogic.issueFieldIds.has(field.id)) {
+        badges.push('<span class="logic-badge logic-badge-error"><i class="fas fa-exclamation-triangle"></i> Rule needs attention</span>');
+    }
+    if (previewLogic.hidden.has(field.id)) {
+        badges.push('<span class="logic-badge"><i class="fas fa-eye-slash"></i> Hidden by rule</span>');
+    } else if (!badges.length) {
+        badges.push('<span class="logic-badge"><i class="fas fa-code-branch"></i> Conditional</span>');
+    }
+    if (field.id in previewLogic.setValues) {
+        badges.push(`<span class="logic-badge"><i class="fas fa-pen"></i> Set to "${escapeHtml(String(previewLogic.setValues[field.id]))}"</span>`);
+    }
+    return `<div class="logic-badges">${badges.join('')}</div>`;
+}
+
 /**
  * Render a single field within a section (without section header)
  */
@@ -593,15 +659,16 @@ function renderFieldInSection(field) {
     
     const widthClass = field.width === 6 ? 'field-width-half' : field.width === 4 ? 'field-width-third' : 'field-width-full';
     return `
-        <div class="preview-field ${widthClass} ${selectedField?.id === field.id ? 'selected' : ''}" 
-             data-field-id="${field.id}" 
+        <div class="preview-field ${widthClass} ${selectedField?.id === field.id ? 'selected' : ''} ${previewLogic?.hidden.has(field.id) ? 'logic-hidden' : ''}" 
+             data-field-id="${field.id}" draggable="true"
              onclick="event.stopPropagation(); selectField('${field.id}')">
             <label>
                 ${field.icon ? `<i class="${escapeHtml(field.icon)}"></i>` : ''}
                 ${escapeHtml(field.label || 'Untitled Field')}
-                ${field.required ? '<span class="required">*</span>' : ''}
+                ${field.required || previewLogic?.required.has(field.id) ? '<span class="required">*</span>' : ''}
                 ${field.showTooltip && field.tooltip ? `<i class="fas fa-info-circle field-tooltip" title="${escapeHtml(field.tooltip)}"></i>` : ''}
             </label>
+            ${renderLogicBadges(field)}
             <div class="field-input-wrapper">
                 ${field.prefix ? `<span class="field-prefix">${escapeHtml(field.prefix)}</span>` : ''}
             ${renderFieldInput(field)}
@@ -620,12 +687,13 @@ function renderFieldPreview(field) {
     if (field.type === 'pagebreak') {
         return `
             <div class="preview-field pagebreak-field ${selectedField?.id === field.id ? 'selected' : ''}" 
-                 data-field-id="${field.id}" 
+                 data-field-id="${field.id}" draggable="true"
                  onclick="event.stopPropagation(); selectField('${field.id}')">
                 <div class="pagebreak-divider">
                     <hr>
                     <span>--- ${escapeHtml(field.pageTitle || 'Page Break')} ---</span>
                 </div>
+                ${renderLogicBadges(field)}
             </div>
         `;
     }
@@ -636,15 +704,16 @@ function renderFieldPreview(field) {
 
     const widthClass = field.width === 6 ? 'field-width-half' : field.width === 4 ? 'field-width-third' : 'field-width-full';
     return `
-        <div class="preview-field ${widthClass} ${selectedField?.id === field.id ? 'selected' : ''}" 
-             data-field-id="${field.id}" 
+        <div class="preview-field ${widthClass} ${selectedField?.id === field.id ? 'selected' : ''} ${previewLogic?.hidden.has(field.id) ? 'logic-hidden' : ''}" 
+             data-field-id="${field.id}" draggable="true"
              onclick="event.stopPropagation(); selectField('${field.id}')">
             <label>
                 ${field.icon ? `<i class="${escapeHtml(field.icon)}"></i>` : ''}
                 ${escapeHtml(field.label || 'Untitled Field')}
-                ${field.required ? '<span class="required">*</span>' : ''}
+                ${field.required || previewLogic?.required.has(field.id) ? '<span class="required">*</span>' : ''}
                 ${field.showTooltip && field.tooltip ? `<i class="fas fa-info-circle field-tooltip" title="${escapeHtml(field.tooltip)}"></i>` : ''}
             </label>
+            ${renderLogicBadges(field)}
             <div class="field-input-wrapper">
                 ${field.prefix ? `<span class="field-prefix">${escapeHtml(field.prefix)}</span>` : ''}
                 ${renderFieldInput(field)}
@@ -843,6 +912,39 @@ function renderFieldInput(field) {
                 </div>
             `;
         
+        case 'github_repo':
+        case 'github_link':
+        case 'github_username':
+            return `
+                <div class="github-field-preview">
+                    <i class="fab fa-github"></i>
+                    <input type="${field.type === 'github_link' ? 'url' : 'text'}"
+                           placeholder="${escapeHtml(field.placeholder || '')}"
+                           ${defaultValue}
+                           ${field.required ? 'required' : ''}
+                           ${readonlyAttr}
+                           ${disabledAttr}
+                           class="${field.customClass || ''}">
+                </div>
+            `;
+        
+        case 'file': {
+            const maxFiles = field.maxFiles || 1;
+            return `
+                <div class="file-upload-preview">
+                    <input type="file"
+                           accept="${escapeHtml((field.acceptedTypes || []).join(','))}"
+                           ${maxFiles > 1 ? 'multiple' : ''}
+                           ${field.required ? 'required' : ''}
+                           ${disabledAttr}
+                           class="${field.customClass || ''}">
+                    <small class="field-help-text">
+                        Up to ${maxFiles} file${maxFiles === 1 ? '' : 's'}, ${field.maxFileSize || DEFAULT_MAX_FILE_SIZE_MB} MB each
+                    </small>
+                </div>
+            `;
+        }
+        
         case 'section':
             return '';
         
@@ -863,9 +965,17 @@ function renderFieldProperties() {
     return `
         <div class="properties-header">
             <h4>Field Properties</h4>
-            <button class="btn-icon-sm" onclick="deleteField('${selectedField.id}')">
-                <i class="fas fa-trash"></i>
-            </button>
+            <div class="properties-header-actions">
+                <button class="btn-icon-sm" onclick="moveField('${selectedField.id}', -1)" aria-label="Move field up" title="Move up (Alt+↑)">
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button class="btn-icon-sm" onclick="moveField('${selectedField.id}', 1)" aria-label="Move field down" title="Move down (Alt+↓)">
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button class="btn-icon-sm" onclick="deleteField('${selectedField.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
         </div>
         <div class="properties-content">
             <div class="form-group">
@@ -1365,6 +1475,75 @@ function renderFieldSpecificProperties() {
         `;
             break;
 
+        case 'github_repo':
+            html += `
+                <div class="form-group">
+                    <label>Limit to Owner / Organization</label>
+                    <input type="text" id="fieldRepoOwner" value="${escapeHtml(selectedField.repoOwner || '')}" placeholder="e.g., vedam-open-source" onchange="updateFieldProperty('repoOwner', this.value.trim())">
+                    <small class="field-help-text">Leave empty to accept any repository</small>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="fieldSuggestMemberRepos" ${selectedField.suggestMemberRepos !== false ? 'checked' : ''} onchange="updateFieldProperty('suggestMemberRepos', this.checked)">
+                        Suggest the signed-in member's repositories
+                    </label>
+                </div>
+            `;
+            break;
+
+        case 'github_link':
+            html += `
+                <div class="form-group">
+                    <label>Accept</label>
+                    <select id="fieldLinkKind" onchange="updateFieldProperty('linkKind', this.value)">
+                        <option value="any" ${(selectedField.linkKind || 'any') === 'any' ? 'selected' : ''}>Pull requests and issues</option>
+                        <option value="pull" ${selectedField.linkKind === 'pull' ? 'selected' : ''}>Pull requests only</option>
+                        <option value="issue" ${selectedField.linkKind === 'issue' ? 'selected' : ''}>Issues only</option>
+                    </select>
+                    <small class="field-help-text">The link is checked on GitHub and its title, state and repository are saved with the response</small>
+                </div>
+            `;
+            break;
+
+        case 'github_username':
+            html += `
+                <p class="field-help-text">The username is checked on GitHub and the account's name and avatar are saved with the response. Turn on Auto-fetch with "GitHub Username" to fill it in for signed-in members.</p>
+            `;
+            break;
+
+        case 'file': {
+            const acceptedTypes = selectedField.acceptedTypes || [];
+            const presetTypes = FILE_TYPE_PRESETS.flatMap(preset => preset.types);
+            const otherTypes = acceptedTypes.filter(t => !presetTypes.includes(t));
+            html += `
+                <div class="form-group">
+                    <label>Allowed File Types</label>
+                    ${FILE_TYPE_PRESETS.map((preset, index) => `
+                        <label>
+                            <input type="checkbox" ${preset.types.every(t => acceptedTypes.includes(t)) ? 'checked' : ''} onchange="toggleFileTypePreset(${index}, this.checked)">
+                            ${escapeHtml(preset.label)}
+                        </label>
+                    `).join('')}
+                </div>
+                <div class="form-group">
+                    <label>Other MIME Types</label>
+                    <input type="text" id="fieldOtherFileTypes" value="${escapeHtml(otherTypes.join(', '))}" placeholder="e.g., video/mp4, audio/*" onchange="updateOtherFileTypes(this.value)">
+                    <small class="field-help-text">Leave every type unchecked and this empty to accept any file</small>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Max Size (MB)</label>
+                        <input type="number" id="fieldMaxFileSize" value="${selectedField.maxFileSize || DEFAULT_MAX_FILE_SIZE_MB}" min="1" max="100" onchange="updateFieldProperty('maxFileSize', parseInt(this.value) || ${DEFAULT_MAX_FILE_SIZE_MB})">
+                    </div>
+                    <div class="form-group">
+                        <label>Max Files</label>
+                        <input type="number" id="fieldMaxFiles" value="${selectedField.maxFiles || 1}" min="1" max="20" onchange="updateFieldProperty('maxFiles', parseInt(this.value) || 1)">
+                    </div>
+                </div>
+            `;
+            break;
+        }
+
         case 'pagebreak':
             html += `
                 <div class="form-group">
@@ -1486,9 +1665,17 @@ function renderSectionProperties() {
     return `
         <div class="properties-header">
             <h4>Section Properties</h4>
-            <button class="btn-icon-sm" onclick="deleteSection('${selectedSection.id}')">
-                <i class="fas fa-trash"></i>
-            </button>
+            <div class="properties-header-actions">
+                <button class="btn-icon-sm" onclick="moveSection('${selectedSection.id}', -1)" aria-label="Move section up" title="Move up (Alt+↑)">
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button class="btn-icon-sm" onclick="moveSection('${selectedSection.id}', 1)" aria-label="Move section down" title="Move down (Alt+↓)">
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button class="btn-icon-sm" onclick="deleteSection('${selectedSection.id}')">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
         </div>
         <div class="properties-content">
             <div class="form-group">
@@ -1548,48 +1735,163 @@ function renderSectionProperties() {
 function renderConditionalLogicProperties() {
     if (!selectedField) return '';
 
+    const logic = normalizeConditionalLogic(selectedField.conditionalLogic);
+    const issues = validateFormLogic(formData.fields).filter(issue => issue.fieldId === selectedField.id);
+
     return `
         <div class="form-section">
             <h5>Conditional Logic</h5>
             <div class="form-group">
                 <label>
-                    <input type="checkbox" id="conditionalEnabled" ${selectedField.conditionalLogic?.enabled ? 'checked' : ''} onchange="toggleConditionalLogic(this.checked)">
+                    <input type="checkbox" id="conditionalEnabled" ${logic.enabled ? 'checked' : ''} onchange="toggleConditionalLogic(this.checked)">
                     Enable Conditional Logic
                 </label>
             </div>
-            ${selectedField.conditionalLogic?.enabled ? `
+            ${logic.enabled ? `
+                ${issues.length > 0 ? `
+                    <div class="logic-issues">
+                        ${issues.map(issue => `<div><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(issue.message)}</div>`).join('')}
+                    </div>
+                ` : ''}
                 <div id="conditionalConditions">
-                    ${(selectedField.conditionalLogic?.conditions || []).map((cond, idx) => `
-                        <div class="condition-item">
-                            <select onchange="updateCondition(${idx}, 'fieldId', this.value)">
-                                ${formData.fields.filter(f => f.id !== selectedField.id).map(f => `
-                                    <option value="${f.id}" ${cond.fieldId === f.id ? 'selected' : ''}>${escapeHtml(f.label)}</option>
-                                `).join('')}
-                            </select>
-                            <select onchange="updateCondition(${idx}, 'operator', this.value)">
-                                <option value="equals" ${cond.operator === 'equals' ? 'selected' : ''}>Equals</option>
-                                <option value="not_equals" ${cond.operator === 'not_equals' ? 'selected' : ''}>Not Equals</option>
-                                <option value="contains" ${cond.operator === 'contains' ? 'selected' : ''}>Contains</option>
-                            </select>
-                            <input type="text" value="${escapeHtml(cond.value || '')}" onchange="updateCondition(${idx}, 'value', this.value)">
-                            <select onchange="updateCondition(${idx}, 'action', this.value)">
-                                <option value="show" ${cond.action === 'show' ? 'selected' : ''}>Show</option>
-                                <option value="hide" ${cond.action === 'hide' ? 'selected' : ''}>Hide</option>
-                            </select>
-                            <button class="btn-icon-sm" onclick="removeCondition(${idx})">
-                                <i class="fas fa-times"></i>
-                            </button>
-                        </div>
-                    `).join('')}
+                    ${logic.rules.map((rule, ruleIndex) => renderLogicRule(rule, ruleIndex)).join('')}
                 </div>
-                <button class="btn btn-sm btn-secondary" onclick="addCondition()">
-                    <i class="fas fa-plus"></i> Add Condition
+                <button class="btn btn-sm btn-secondary" onclick="addLogicRule()">
+                    <i class="fas fa-plus"></i> Add Rule
                 </button>
             ` : ''}
         </div>
     `;
 }
 
+/**
+ * Render one rule of the selected field
+ * @param {Object} rule - Rule
+ * @param {number} ruleIndex - Rule index
+ * @returns {string} - HTML
+ */
+function renderLogicRule(rule, ruleIndex) {
+    const matchSelect = (value, onchange) => `
+        <select onchange="${onchange}">
+            <option value="all" ${value !== 'any' ? 'selected' : ''}>all (AND)</option>
+            <option value="any" ${value === 'any' ? 'selected' : ''}>any (OR)</option>
+        </select>
+    `;
+
+    return `
+        <div class="logic-rule">
+            <div class="logic-rule-header">
+                <select onchange="updateLogicRule(${ruleIndex}, 'action', this.value)">
+                    ${Object.entries(LOGIC_ACTIONS).map(([action, { label }]) => `
+                        <option value="${action}" ${rule.action === action ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                ${renderRuleActionValue(rule, ruleIndex)}
+                <button class="btn-icon-sm" onclick="removeLogicRule(${ruleIndex})" aria-label="Remove rule" title="Remove rule">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            <div class="logic-match">
+                when ${matchSelect(rule.match, `updateLogicRule(${ruleIndex}, 'match', this.value)`)} of these groups match
+            </div>
+            ${(rule.groups || []).map((group, groupIndex) => `
+                <div class="logic-group">
+                    <div class="logic-match">
+                        Group ${groupIndex + 1}: ${matchSelect(group.match, `updateLogicGroup(${ruleIndex}, ${groupIndex}, 'match', this.value)`)} of
+                        <button class="btn-icon-sm" onclick="removeLogicGroup(${ruleIndex}, ${groupIndex})" aria-label="Remove group" title="Remove group">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    ${(group.conditions || []).map((condition, conditionIndex) => renderLogicCondition(condition, ruleIndex, groupIndex, conditionIndex)).join('')}
+                    <button class="btn btn-sm btn-secondary" onclick="addCondition(${ruleIndex}, ${groupIndex})">
+                        <i class="fas fa-plus"></i> Add Condition
+                    </button>
+                </div>
+            `).join('')}
+            <button class="btn btn-sm btn-secondary" onclick="addLogicGroup(${ruleIndex})">
+                <i class="fas fa-layer-group"></i> Add Group
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Render the value input for actions that need one
+ * @param {Object} rule - Rule
+ * @param {number} ruleIndex - Rule index
+ * @returns {string} - HTML
+ */
+function renderRuleActionValue(rule, ruleIndex) {
+    if (rule.action === 'set_value') {
+        return `<input type="text" value="${escapeHtml(rule.value || '')}" placeholder="Value" onchange="updateLogicRule(${ruleIndex}, 'value', this.value)">`;
+    }
+    if (rule.action === 'skip_to_page') {
+        // Page N+1 starts at the Nth page break
+        const pageBreaks = getSortedFields().filter(f => f.type === 'pagebreak');
+        return `
+            <select onchange="updateLogicRule(${ruleIndex}, 'value', this.value)">
+                <option value="">Select page</option>
+                ${pageBreaks.map((pageBreak, index) => `
+                    <option value="${pageBreak.id}" ${rule.value === pageBreak.id ? 'selected' : ''}>Page ${index + 2}: ${escapeHtml(pageBreak.pageTitle || 'Untitled')}</option>
+                `).join('')}
+            </select>
+        `;
+    }
+    return '';
+}
+
+/**
+ * Render one condition row
+ * @param {Object} condition - Condition
+ * @param {number} ruleIndex - Rule index
+ * @param {number} groupIndex - Group index
+ * @param {number} conditionIndex - Condition index
+ * @returns {string} - HTML
+ */
+function renderLogicCondition(condition, ruleIndex, groupIndex, conditionIndex) {
+    const path = `${ruleIndex}, ${groupIndex}, ${conditionIndex}`;
+    const sourceFields = getSortedFields().filter(f => f.id !== selectedField.id && !['pagebreak', 'section'].includes(f.type));
+    const source = formData.fields.find(f => f.id === condition.fieldId);
+    const inputs = CONDITION_OPERATORS[condition.operator]?.inputs ?? 1;
+    const valueInput = (property, value) => {
+        if (source?.options?.length && ['equals', 'not_equals'].includes(condition.operator)) {
+            return `
+                <select onchange="updateCondition(${path}, '${property}', this.value)">
+                    <option value="">Select option</option>
+                    ${source.options.map(option => `
+                        <option value="${escapeHtml(option)}" ${value === option ? 'selected' : ''}>${escapeHtml(option)}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+        const type = source?.type === 'date' ? 'date' : ['number', 'rating', 'scale'].includes(source?.type) ? 'number' : 'text';
+        return `<input type="${type}" value="${escapeHtml(value || '')}" placeholder="Value" onchange="updateCondition(${path}, '${property}', this.value)">`;
+    };
+
+    return `
+        <div class="condition-item">
+            <select onchange="updateCondition(${path}, 'fieldId', this.value)">
+                ${source ? '' : '<option value="" selected>(deleted field)</option>'}
+                ${sourceFields.map(f => `
+                    <option value="${f.id}" ${condition.fieldId === f.id ? 'selected' : ''}>${escapeHtml(f.label)}</option>
+                `).join('')}
+            </select>
+            <select onchange="updateCondition(${path}, 'operator', this.value)">
+                ${Object.entries(CONDITION_OPERATORS).map(([operator, { label }]) => `
+                    <option value="${operator}" ${condition.operator === operator ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+            <div class="condition-values">
+                ${inputs >= 1 ? valueInput('value', condition.value) : ''}
+                ${inputs >= 2 ? `<span>and</span>${valueInput('value2', condition.value2)}` : ''}
+            </div>
+            <button class="btn-icon-sm" onclick="removeCondition(${path})" aria-label="Remove condition" title="Remove condition">
+                <i class="fas fa-times"></i>
+            </button>
+        </div>
+    `;
+}
+
 /**
  * Setup builder event listeners
  */
@@ -1605,6 +1907,8 @@ function setupBuilderEventListeners() {
         });
     });
 
+    setupDragAndDrop();
+
     // Stage indicator clicks
     const stageIndicators = document.querySelectorAll('.stage[data-stage]');
     stageIndicators.forEach(stage => {
@@ -1671,6 +1975,7 @@ function saveStage1Data() {
 window.proceedToStage2 = function() {
     if (!validateStage1()) return;
     saveStage1Data();
+    saveHistory();
     currentStage = 2;
     renderBuilder();
 };
@@ -1685,8 +1990,12 @@ window.goToStage1 = function() {
 
 /**
  * Add field
+ * @param {string} type - Field type
+ * @param {Object} [options] - Add options
+ * @param {boolean} [options.recordHistory=true] - Save an undo step; a palette drop
+ *   skips it and records one step once the field is in its dropped position
  */
-window.addField = function(type) {
+window.addField = function(type, { recordHistory = true } = {}) {
     const fieldId = generateUUID();
     const maxOrder = formData.fields.length > 0 ? Math.max(...formData.fields.map(f => f.order)) : -1;
     
@@ -1713,7 +2022,7 @@ window.addField = function(type) {
         validation: {},
         conditionalLogic: {
             enabled: false,
-            conditions: []
+            rules: []
         },
         autoFetch: {
             enabled: false,
@@ -1771,12 +2080,40 @@ window.addField = function(type) {
         newField.step = 1;
         newField.showValueLabel = true;
         newField.color = '#667eea';
+    } else if (type === 'file') {
+        newField.acceptedTypes = ['image/*', 'application/pdf'];
+        newField.maxFileSize = DEFAULT_MAX_FILE_SIZE_MB;
+        newField.maxFiles = 1;
+    } else if (type === 'github_repo') {
+        newField.label = 'GitHub Repository';
+        newField.placeholder = 'owner/repository';
+        newField.repoOwner = '';
+        newField.suggestMemberRepos = true;
+    } else if (type === 'github_link') {
+        newField.label = 'Pull Request or Issue Link';
+        newField.placeholder = 'https://github.com/owner/repository/pull/1';
+        newField.linkKind = 'any';
+    } else if (type === 'github_username') {
+        newField.label = 'GitHub Username';
+        newField.placeholder = 'username';
+    }
+
+    // New fields go after the selected field (or at the end of the selected section) instead of the end of the form
+    const sorted = getSortedFields();
+    if (selectedField && formData.fields.includes(selectedField)) {
+        if (newField.type !== 'pagebreak') newField.sectionId = selectedField.sectionId || null;
+        sorted.splice(sorted.indexOf(selectedField) + 1, 0, newField);
+    } else if (selectedSection) {
+        newField.sectionId = selectedSection.id;
+        sorted.splice(getSectionInsertIndex(sorted, selectedSection.id), 0, newField);
+    } else {
+        sorted.push(newField);
     }
+    applyFieldOrder(sorted);
 
-    formData.fields.push(newField);
     selectedField = newField;
     selectedSection = null;
-    saveHistory();
+    if (recordHistory) saveHistory();
     updatePreview();
 }
 
@@ -1802,7 +2139,12 @@ window.selectSection = function(sectionId) {
  * Delete field
  */
 window.deleteField = function(fieldId) {
-    if (!confirm('Are you sure you want to delete this field?')) return;
+    const dependents = formData.fields.filter(f => f.id !== fieldId && normalizeConditionalLogic(f.conditionalLogic).rules
+        .some(rule => rule.value === fieldId || (rule.groups || []).some(group => (group.conditions || []).some(c => c.fieldId === fieldId))));
+    const warning = dependents.length > 0
+        ? `\n\nConditional logic on ${dependents.map(f => `"${f.label || f.pageTitle || 'Untitled Field'}"`).join(', ')} uses this field and will need updating.`
+        : '';
+    if (!confirm(`Are you sure you want to delete this field?${warning}`)) return;
     formData.fields = formData.fields.filter(f => f.id !== fieldId);
     if (selectedField?.id === fieldId) {
         selectedField = null;
@@ -1823,7 +2165,8 @@ window.updateFieldProperty = function(property, value) {
     
     // Handle sectionId specially - convert empty string to null
     if (property === 'sectionId') {
-        selectedField[property] = value === '' || value === null ? null : value;
+        // Move the field into the section's block so the section isn't split around it
+        placeFieldInSection(selectedField, value === '' || value === null ? null : value);
         // Update sections list to reflect new field count
         const sectionsList = document.getElementById('sectionsList');
         if (sectionsList) {
@@ -2001,6 +2344,38 @@ window.updateFieldValidation = function(property, value) {
     }
 };
 
+/**
+ * Add or remove a preset group of MIME types on an upload field
+ * @param {number} index - Index in FILE_TYPE_PRESETS
+ * @param {boolean} checked - Whether the preset is now allowed
+ */
+window.toggleFileTypePreset = function(index, checked) {
+    const preset = FILE_TYPE_PRESETS[index];
+    if (!selectedField || !preset) return;
+
+    const acceptedTypes = (selectedField.acceptedTypes || []).filter(t => !preset.types.includes(t));
+    selectedField.acceptedTypes = checked ? [...acceptedTypes, ...preset.types] : acceptedTypes;
+    saveHistory();
+    updatePreview();
+};
+
+/**
+ * Replace an upload field's non-preset MIME types
+ * @param {string} value - Comma-separated MIME types
+ */
+window.updateOtherFileTypes = function(value) {
+    if (!selectedField) return;
+
+    const presetTypes = FILE_TYPE_PRESETS.flatMap(preset => preset.types);
+    const otherTypes = value.split(',').map(t => t.trim().toLowerCase()).filter(t => /^[a-z0-9.+-]+\/(\*|[a-z0-9.+-]+)$/.test(t));
+    selectedField.acceptedTypes = [
+        ...(selectedField.acceptedTypes || []).filter(t => presetTypes.includes(t)),
+        ...otherTypes.filter(t => !presetTypes.includes(t))
+    ];
+    saveHistory();
+    updatePreview();
+};
+
 /**
  * Toggle auto-fetch
  */
@@ -2023,15 +2398,102 @@ window.updateAutoFetch = function(property, value) {
     saveHistory();
 };
 
+/**
+ * Get the selected field's rules, converting older logic in place
+ * @returns {Array<Object>|null} - Rules, or null without a selected field
+ */
+function getSelectedRules() {
+    if (!selectedField) return null;
+    selectedField.conditionalLogic = normalizeConditionalLogic(selectedField.conditionalLogic);
+    return selectedField.conditionalLogic.rules;
+}
+
+/**
+ * Get the first field a new condition can read
+ * @returns {string} - Field ID, or '' if there is none
+ */
+function getDefaultConditionFieldId() {
+    return getSortedFields().find(f => f.id !== selectedField?.id && !['pagebreak', 'section'].includes(f.type))?.id || '';
+}
+
 /**
  * Toggle conditional logic
  */
 window.toggleConditionalLogic = function(enabled) {
-    if (!selectedField) return;
-    if (!selectedField.conditionalLogic) {
-        selectedField.conditionalLogic = { enabled: false, conditions: [] };
-    }
+    const rules = getSelectedRules();
+    if (!rules) return;
     selectedField.conditionalLogic.enabled = enabled;
+    if (enabled && rules.length === 0) {
+        rules.push(createRule(getDefaultConditionFieldId()));
+    }
+    saveHistory();
+    renderBuilder();
+};
+
+/**
+ * Add rule
+ */
+window.addLogicRule = function() {
+    const rules = getSelectedRules();
+    if (!rules) return;
+    rules.push(createRule(getDefaultConditionFieldId()));
+    saveHistory();
+    renderBuilder();
+};
+
+/**
+ * Update rule
+ */
+window.updateLogicRule = function(ruleIndex, property, value) {
+    const rule = getSelectedRules()?.[ruleIndex];
+    if (!rule) return;
+    rule[property] = value;
+    if (property === 'action') rule.value = '';
+    saveHistory();
+    renderBuilder();
+};
+
+/**
+ * Remove rule
+ */
+window.removeLogicRule = function(ruleIndex) {
+    const rules = getSelectedRules();
+    if (!rules) return;
+    rules.splice(ruleIndex, 1);
+    saveHistory();
+    renderBuilder();
+};
+
+/**
+ * Add condition group
+ */
+window.addLogicGroup = function(ruleIndex) {
+    const rule = getSelectedRules()?.[ruleIndex];
+    if (!rule) return;
+    rule.groups = rule.groups || [];
+    rule.groups.push({ match: 'all', conditions: [createCondition(getDefaultConditionFieldId())] });
+    saveHistory();
+    renderBuilder();
+};
+
+/**
+ * Update condition group
+ */
+window.updateLogicGroup = function(ruleIndex, groupIndex, property, value) {
+    const group = getSelectedRules()?.[ruleIndex]?.groups?.[groupIndex];
+    if (!group) return;
+    group[property] = value;
+    saveHistory();
+    updatePreview();
+};
+
+/**
+ * Remove condition group
+ */
+window.removeLogicGroup = function(ruleIndex, groupIndex) {
+    const rule = getSelectedRules()?.[ruleIndex];
+    if (!rule?.groups) return;
+    rule.groups.splice(groupIndex, 1);
     saveHistory();
     renderBuilder();
 };
@@ -2039,17 +2501,11 @@ window.toggleConditionalLogic = function(enabled) {
 /**
  * Add condition
  */
-window.addCondition = function() {
-    if (!selectedField || !selectedField.conditionalLogic) return;
-    if (!selectedField.conditionalLogic.conditions) {
-        selectedField.conditionalLogic.conditions = [];
-    }
-    selectedField.conditionalLogic.conditions.push({
-        fieldId: formData.fields[0]?.id || '',
-        operator: 'equals',
-        value: '',
-        action: 'show'
-    });
+window.addCondition = function(ruleIndex, groupIndex) {
+    const group = getSelectedRules()?.[ruleIndex]?.groups?.[groupIndex];
+    if (!group) return;
+    group.conditions = group.conditions || [];
+    group.conditions.push(createCondition(getDefaultConditionFieldId()));
     saveHistory();
     renderBuilder();
 };
@@ -2057,18 +2513,26 @@ window.addCondition = function() {
 /**
  * Update condition
  */
-window.updateCondition = function(index, property, value) {
-    if (!selectedField || !selectedField.conditionalLogic?.conditions) return;
-    selectedField.conditionalLogic.conditions[index][property] = value;
+window.updateCondition = function(ruleIndex, groupIndex, conditionIndex, property, value) {
+    const condition = getSelectedRules()?.[ruleIndex]?.groups?.[groupIndex]?.conditions?.[conditionIndex];
+    if (!condition) return;
+    condition[property] = value;
     saveHistory();
+    // Field and operator changes switch the value inputs
+    if (property === 'fieldId' || property === 'operator') {
+        renderBuilder();
+    } else {
+        updatePreview();
+    }
 };
 
 /**
  * Remove condition
  */
-window.removeCondition = function(index) {
-    if (!selectedField || !selectedField.conditionalLogic?.conditions) return;
-    selectedField.conditionalLogic.conditions.splice(index, 1);
+window.removeCondition = function(ruleIndex, groupIndex, conditionIndex) {
+    const group = getSelectedRules()?.[ruleIndex]?.groups?.[groupIndex];
+    if (!group?.conditions) return;
+    group.conditions.splice(conditionIndex, 1);
     saveHistory();
     renderBuilder();
 };
@@ -2118,6 +2582,324 @@ window.deleteSection = function(sectionId) {
     renderBuilder();
 };
 
+/**
+ * Get fields in canvas order
+ * @returns {Array<Object>} - New array of the field objects sorted by order
+ */
+function getSortedFields() {
+    return [...formData.fields].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * Make an ordered field list the form's field order (orders become 0..n-1)
+ * @param {Array<Object>} sortedFields - Field objects in their new order
+ */
+function applyFieldOrder(sortedFields) {
+    sortedFields.forEach((field, index) => {
+        field.order = index;
+    });
+    formData.fields = sortedFields;
+}
+
+/**
+ * Renumber field and section orders without moving anything
+ * Loaded forms may have gaps or duplicate orders from earlier versions
+ */
+function normalizeOrders() {
+    applyFieldOrder(getSortedFields());
+    [...formData.sections]
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+        .forEach((section, index) => {
+            section.order = index;
+        });
+}
+
+/**
+ * Find where a field should be inserted to land at the end of a section's block
+ * @param {Array<Object>} sortedFields - Fields in canvas order (without the field being placed)
+ * @param {string|null} sectionId - Target section, or null for no section
+ * @returns {number} - Insert index
+ */
+function getSectionInsertIndex(sortedFields, sectionId) {
+    if (!sectionId) return sortedFields.length;
+
+    let lastIndex = -1;
+    sortedFields.forEach((field, index) => {
+        if (field.type !== 'pagebreak' && field.sectionId === sectionId) lastIndex = index;
+    });
+    if (lastIndex >= 0) return lastIndex + 1;
+
+    // Empty section: put it after the last field of the section before it
+    const sortedSections = [...formData.sections].sort((a, b) => a.order - b.order);
+    const sectionIndex = sortedSections.findIndex(s => s.id === sectionId);
+    for (let i = sectionIndex - 1; i >= 0; i--) {
+        const previousEnd = sortedFields.reduce((end, field, index) => field.sectionId === sortedSections[i].id ? index + 1 : end, -1);
+        if (previousEnd >= 0) return previousEnd;
+    }
+    return sortedFields.length;
+}
+
+/**
+ * Move a field to the end of a section's block (no history entry)
+ * @param {Object} field - Field object
+ * @param {string|null} sectionId - Target section, or null for no section
+ */
+function placeFieldInSection(field, sectionId) {
+    const sorted = getSortedFields().filter(f => f !== field);
+    field.sectionId = sectionId;
+    sorted.splice(getSectionInsertIndex(sorted, sectionId), 0, field);
+    applyFieldOrder(sorted);
+}
+
+/**
+ * Reorder fields so each section's block follows the section order
+ * Section fields swap between the slots sections already occupy, so
+ * unsectioned fields and page breaks keep their positions
+ */
+function regroupFieldsBySection() {
+    const sectionRank = new Map(formData.sections.map(section => [section.id, section.order]));
+    const sorted = getSortedFields();
+    const slots = [];
+    const sectionFields = [];
+
+    sorted.forEach((field, index) => {
+        if (field.type !== 'pagebreak' && sectionRank.has(field.sectionId)) {
+            slots.push(index);
+            sectionFields.push(field);
+        }
+    });
+
+    sectionFields.sort((a, b) => sectionRank.get(a.sectionId) - sectionRank.get(b.sectionId) || a.order - b.order);
+    slots.forEach((slot, i) => {
+        sorted[slot] = sectionFields[i];
+    });
+    applyFieldOrder(sorted);
+}
+
+/**
+ * Make an ordered section list the form's section order and move their fields to match
+ * @param {Array<Object>} sortedSections - Section objects in their new order
+ */
+function applySectionOrder(sortedSections) {
+    sortedSections.forEach((section, index) => {
+        section.order = index;
+    });
+    formData.sections = sortedSections;
+    regroupFieldsBySection();
+}
+
+/**
+ * Record a reorder in history and re-render the builder
+ */
+function commitReorder() {
+    saveHistory();
+    renderBuilder();
+}
+
+/**
+ * Move a field one step up or down (keyboard alternative to dragging)
+ * At a section boundary the field first moves into the neighbouring section
+ * without changing position, so every step is visible
+ * @param {string} fieldId - Field ID
+ * @param {number} direction - -1 for up, 1 for down
+ */
+window.moveField = function(fieldId, direction) {
+    const sorted = getSortedFields();
+    const index = sorted.findIndex(f => f.id === fieldId);
+    const neighbor = sorted[index + direction];
+    if (index < 0 || !neighbor) return;
+
+    const field = sorted[index];
+    const crossesSection = field.type !== 'pagebreak' && neighbor.type !== 'pagebreak'
+        && (neighbor.sectionId || null) !== (field.sectionId || null);
+
+    if (crossesSection) {
+        field.sectionId = neighbor.sectionId || null;
+    } else {
+        sorted[index] = neighbor;
+        sorted[index + direction] = field;
+    }
+    applyFieldOrder(sorted);
+    commitReorder();
+};
+
+/**
+ * Move a section one step up or down (keyboard alternative to dragging)
+ * @param {string} sectionId - Section ID
+ * @param {number} direction - -1 for up, 1 for down
+ */
+window.moveSection = function(sectionId, direction) {
+    const sorted = [...formData.sections].sort((a, b) => a.order - b.order);
+    const index = sorted.findIndex(s => s.id === sectionId);
+    if (index < 0 || !sorted[index + direction]) return;
+
+    [sorted[index], sorted[index + direction]] = [sorted[index + direction], sorted[index]];
+    applySectionOrder(sorted);
+    commitReorder();
+};
+
+/**
+ * Drop a field before or after another field, joining that field's section
+ * @param {string} fieldId - Dragged field ID
+ * @param {string} targetId - Field it was dropped on
+ * @param {string} position - 'before' or 'after'
+ */
+function dropFieldOnField(fieldId, targetId, position) {
+    const sorted = getSortedFields();
+    const field = sorted.find(f => f.id === fieldId);
+    const target = sorted.find(f => f.id === targetId);
+    if (!field || !target || field === target) return;
+
+    sorted.splice(sorted.indexOf(field), 1);
+    sorted.splice(sorted.indexOf(target) + (position === 'after' ? 1 : 0), 0, field);
+    if (field.type !== 'pagebreak' && target.type !== 'pagebreak') {
+        field.sectionId = target.sectionId || null;
+    }
+    applyFieldOrder(sorted);
+    commitReorder();
+}
+
+/**
+ * Drop a section before or after another section
+ * @param {string} sectionId - Dragged section ID
+ * @param {string} targetId - Section it was dropped on
+ * @param {string} position - 'before' or 'after'
+ */
+function dropSectionOnSection(sectionId, targetId, position) {
+    const sorted = [...formData.sections].sort((a, b) => a.order - b.order);
+    const section = sorted.find(s => s.id === sectionId);
+    const target = sorted.find(s => s.id === targetId);
+    if (!section || !target || section === target) return;
+
+    sorted.splice(sorted.indexOf(section), 1);
+    sorted.splice(sorted.indexOf(target) + (position === 'after' ? 1 : 0), 0, section);
+    applySectionOrder(sorted);
+    commitReorder();
+}
+
+/**
+ * Work out what a drag is over
+ * @param {Event} e - Drag event
+ * @returns {{element: HTMLElement, action: Function}|null} - Drop target and what dropping does
+ */
+function resolveDropTarget(e) {
+    if (!draggedItem) return null;
+
+    const fieldEl = e.target.closest('.preview-field[data-field-id]');
+    const sectionEl = e.target.closest('.preview-section[data-section-id], .section-item[data-section-id]');
+    const previewEl = e.target.closest('#formPreview');
+    const getPosition = (el) => {
+        const rect = el.getBoundingClientRect();
+        return e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+    };
+
+    if (draggedItem.kind === 'section') {
+        if (!sectionEl || sectionEl.dataset.sectionId === draggedItem.id) return null;
+        const position = getPosition(sectionEl);
+        return { element: sectionEl, position, action: () => dropSectionOnSection(draggedItem.id, sectionEl.dataset.sectionId, position) };
+    }
+
+    // Fields (existing or new from the palette)
+    if (fieldEl && fieldEl.dataset.fieldId !== draggedItem.id) {
+        const position = getPosition(fieldEl);
+        return { element: fieldEl, position, action: (fieldId) => dropFieldOnField(fieldId, fieldEl.dataset.fieldId, position) };
+    }
+    if (sectionEl) {
+        return { element: sectionEl, position: 'inside', action: (fieldId) => {
+            const field = formData.fields.find(f => f.id === fieldId);
+            if (!field) return;
+            placeFieldInSection(field, sectionEl.dataset.sectionId);
+            commitReorder();
+        } };
+    }
+    if (previewEl && !fieldEl) {
+        return { element: previewEl, position: 'inside', action: (fieldId) => {
+            const field = formData.fields.find(f => f.id === fieldId);
+            if (!field) return;
+            placeFieldInSection(field, null);
+            commitReorder();
+        } };
+    }
+    return null;
+}
+
+/**
+ * Remove drop indicators
+ */
+function clearDropIndicators() {
+    document.querySelectorAll('.drop-before, .drop-after, .drop-inside').forEach(el => {
+        el.classList.remove('drop-before', 'drop-after', 'drop-inside');
+    });
+}
+
+/**
+ * Wire drag-and-drop on the stage 2 palette, canvas and sections list
+ * Containers are re-created by renderBuilder, so listeners are attached on each render
+ */
+function setupDragAndDrop() {
+    const containers = [
+        document.querySelector('.field-types-list'),
+        document.getElementById('formPreview'),
+        document.getElementById('sectionsList')
+    ].filter(Boolean);
+
+    containers.forEach(container => {
+        container.addEventListener('dragstart', (e) => {
+            const typeEl = e.target.closest('.field-type-item[data-type]');
+            const fieldEl = e.target.closest('.preview-field[data-field-id]');
+            const sectionEl = e.target.closest('.section-item[data-section-id], .preview-section[data-section-id]');
+
+            if (typeEl) {
+                draggedItem = { kind: 'new', id: typeEl.dataset.type };
+            } else if (fieldEl) {
+                draggedItem = { kind: 'field', id: fieldEl.dataset.fieldId };
+            } else if (sectionEl) {
+                draggedItem = { kind: 'section', id: sectionEl.dataset.sectionId };
+            } else {
+                return;
+            }
+            e.stopPropagation();
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedItem.id);
+        });
+
+        container.addEventListener('dragover', (e) => {
+            const target = resolveDropTarget(e);
+            if (!target) return;
+            e.preventDefault();
+            clearDropIndicators();
+            target.element.classList.add(`drop-${target.position}`);
+        });
+
+        container.addEventListener('dragleave', (e) => {
+            if (!container.contains(e.relatedTarget)) clearDropIndicators();
+        });
+
+        container.addEventListener('drop', (e) => {
+            const target = resolveDropTarget(e);
+            clearDropIndicators();
+            if (!target) return;
+            e.preventDefault();
+
+            const item = draggedItem;
+            draggedItem = null;
+            if (item.kind === 'new') {
+                // Adding and placing the field is one undo step
+                window.addField(item.id, { recordHistory: false });
+                target.action(selectedField.id);
+                saveHistory();
+            } else {
+                target.action(item.id);
+            }
+        });
+
+        container.addEventListener('dragend', () => {
+            draggedItem = null;
+            clearDropIndicators();
+        });
+    });
+}
+
 /**
  * Update preview
  */
@@ -2140,6 +2922,7 @@ function updatePreview() {
  * Save draft
  */
 window.saveDraft = async function() {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     try {
         if (currentStage === 1) {
             saveStage1Data();
@@ -2151,6 +2934,7 @@ window.saveDraft = async function() {
         }
 
         showLoading();
+        normalizeOrders();
         const user = getCurrentUser();
         const formDataToSave = {
             ...formData,
@@ -2158,18 +2942,9 @@ window.saveDraft = async function() {
             createdBy: user?.email || 'admin'
         };
 
-        if (!currentForm) {
-            formDataToSave.createdAt = Timestamp.now();
-            const formsRef = collection(db, 'forms');
-            const newDocRef = doc(formsRef);
-            await setDoc(newDocRef, formDataToSave);
-            currentForm = newDocRef.id;
-            showSuccess('Form saved as draft!');
-        } else {
-            const formRef = doc(db, 'forms', currentForm);
-            await updateDoc(formRef, formDataToSave);
-            showSuccess('Form updated!');
-        }
+        const isNew = !currentForm;
+        await writeForm(formDataToSave);
+        showSuccess(isNew ? 'Form saved as draft!' : 'Form updated!');
     } catch (error) {
         console.error('Error saving form:', error);
         alert('Failed to save form');
@@ -2178,10 +2953,44 @@ window.saveDraft = async function() {
     }
 };
 
+/**
+ * Create or update the current form, with its audit entry in the same batch,
+ * and remember the saved state for the next diff
+ * @param {Object} formDataToSave - Fields to write
+ * @returns {Promise<void>}
+ */
+async function writeForm(formDataToSave) {
+    const isNew = !currentForm;
+    const formRef = isNew ? doc(collection(db, 'forms')) : doc(db, 'forms', currentForm);
+    if (isNew) {
+        formDataToSave.createdAt = Timestamp.now();
+    }
+    const after = { ...(savedForm || {}), ...formDataToSave };
+
+    const batch = writeBatch(db);
+    if (isNew) {
+        batch.set(formRef, formDataToSave);
+    } else {
+        batch.update(formRef, formDataToSave);
+    }
+    addAuditEntry(batch, {
+        action: isNew ? AUDIT_ACTIONS.FORM_CREATE : AUDIT_ACTIONS.FORM_UPDATE,
+        targetPath: formRef.path,
+        targetLabel: formDataToSave.name,
+        before: savedForm,
+        after
+    });
+    await batch.commit();
+
+    currentForm = formRef.id;
+    savedForm = after;
+}
+
 /**
  * Publish form
  */
 window.publishForm = async function() {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     if (formData.fields.length === 0) {
         alert('Please add at least one field to the form');
         return;
@@ -2197,8 +3006,15 @@ window.publishForm = async function() {
         return;
     }
 
+    const logicIssues = validateFormLogic(formData.fields);
+    if (logicIssues.length > 0
+        && !confirm(`Some conditional logic rules need attention:\n\n${logicIssues.map(issue => `- ${issue.message}`).join('\n')}\n\nPublish anyway?`)) {
+        return;
+    }
+
     try {
         showLoading();
+        normalizeOrders();
         const user = getCurrentUser();
         const formDataToSave = {
             ...formData,
@@ -2207,16 +3023,7 @@ window.publishForm = async function() {
             createdBy: user?.email || 'admin'
         };
 
-        if (!currentForm) {
-            formDataToSave.createdAt = Timestamp.now();
-            const formsRef = collection(db, 'forms');
-            const newDocRef = doc(formsRef);
-            await setDoc(newDocRef, formDataToSave);
-            currentForm = newDocRef.id;
-        } else {
-            const formRef = doc(db, 'forms', currentForm);
-            await updateDoc(formRef, formDataToSave);
-        }
+        await writeForm(formDataToSave);
 
         showSuccess('Form published successfully!');
         setTimeout(() => {
@@ -2241,15 +3048,138 @@ window.backToForms = function() {
 
 /**
  * Save history for undo/redo
+ * Call after every change to formData; identical consecutive states are skipped
  */
 function saveHistory() {
+    const snapshot = structuredClone(formData);
+    if (historyIndex >= 0 && JSON.stringify(history[historyIndex]) === JSON.stringify(snapshot)) {
+        return;
+    }
+    
     history = history.slice(0, historyIndex + 1);
-    history.push(JSON.parse(JSON.stringify(formData)));
+    history.push(snapshot);
     historyIndex = history.length - 1;
-    if (history.length > 50) {
+    if (history.length > MAX_HISTORY) {
         history.shift();
         historyIndex--;
     }
+    updateHistoryButtons();
+}
+
+/**
+ * Start a fresh history with the current form as the only state
+ */
+function resetHistory() {
+    history = [structuredClone(formData)];
+    historyIndex = 0;
+}
+
+/**
+ * Check whether there is a change to undo
+ * @returns {boolean}
+ */
+function canUndo() {
+    return historyIndex > 0;
+}
+
+/**
+ * Check whether there is an undone change to redo
+ * @returns {boolean}
+ */
+function canRedo() {
+    return historyIndex < history.length - 1;
+}
+
+/**
+ * Sync the undo/redo buttons without re-rendering the builder
+ */
+function updateHistoryButtons() {
+    const undoBtn = document.getElementById('builderUndoBtn');
+    const redoBtn = document.getElementById('builderRedoBtn');
+    if (undoBtn) undoBtn.disabled = !canUndo();
+    if (redoBtn) redoBtn.disabled = !canRedo();
+}
+
+/**
+ * Stage 1 inputs are only read into formData on demand, so capture them
+ * before moving through history
+ */
+function captureStage1Edits() {
+    if (currentStage === 1 && document.getElementById('formName')) {
+        saveStage1Data();
+        saveHistory();
+    }
+}
+
+/**
+ * Replace formData with a history snapshot and re-render
+ * @param {number} index - History index to restore
+ */
+function restoreHistory(index) {
+    historyIndex = index;
+    formData = structuredClone(history[index]);
+    
+    // Selections point into the old formData, so re-resolve them by ID
+    selectedField = selectedField ? formData.fields.find(f => f.id === selectedField.id) || null : null;
+    selectedSection = selectedSection ? formData.sections.find(s => s.id === selectedSection.id) || null : null;
+    renderBuilder();
+}
+
+/**
+ * Undo the last builder change
+ */
+window.undoBuilderChange = function() {
+    captureStage1Edits();
+    if (!canUndo()) return;
+    restoreHistory(historyIndex - 1);
+};
+
+/**
+ * Redo the last undone builder change
+ */
+window.redoBuilderChange = function() {
+    captureStage1Edits();
+    if (!canRedo()) return;
+    restoreHistory(historyIndex + 1);
+};
+
+/**
+ * Bind builder keyboard shortcuts while the builder is open
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) for undo/redo, Alt+Up/Down to reorder
+ * Text inputs keep their native behaviour
+ */
+function bindBuilderShortcuts() {
+    if (builderShortcutsBound) return;
+    builderShortcutsBound = true;
+    
+    document.addEventListener('keydown', (e) => {
+        if (!document.getElementById('formBuilderPage')?.classList.contains('active')) return;
+        if (e.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+        
+        // Alt+Up/Down moves the selected field (or section)
+        if (e.altKey && !e.ctrlKey && !e.metaKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            const direction = e.key === 'ArrowUp' ? -1 : 1;
+            if (selectedField) {
+                e.preventDefault();
+                window.moveField(selectedField.id, direction);
+            } else if (selectedSection) {
+                e.preventDefault();
+                window.moveSection(selectedSection.id, direction);
+            }
+            return;
+        }
+        
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            window.undoBuilderChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            window.redoBuilderChange();
+        }
+    });
 }
 
 /**
@@ -1,7 +1,15 @@
 // Form Submissions Module
-import { db, collection, doc, getDoc, getDocs, deleteDoc, updateDoc, query, orderBy, where, Timestamp } from '../firebase-config.js';
+import { db, collection, doc, getDoc, getDocs, writeBatch, query, orderBy, where, Timestamp } from '../firebase-config.js';
 import { showLoading, hideLoading, formatNumber, showToast } from './utils.js';
 import { loadFormAnalytics } from './form-analytics.js';
+import { requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './services/audit-service.js';
+import { trashSubmission, isTrashed } from './services/trash-service.js';
+import { getTrashRetentionDays } from './services/settings-service.js';
+import { validateSubmissionData } from './utils/validation.js';
+import { isUploadedFile, formatFileSize, getUploadedFileUrl } from './services/upload-service.js';
+import { GITHUB_FIELD_TYPES, normalizeGitHubAnswer, resolveGitHubAnswers } from './services/github-field-service.js';
 
 let currentFormId = null;
 let currentFormData = null;
@@ -24,6 +32,12 @@ window.loadFormDetails = async function(formId) {
             backToForms();
             return;
         }
+        
+        if (isTrashed(formSnap.data())) {
+            alert('This form is in the trash. Restore it from the Trash view to open it.');
+            backToForms();
+            return;
+        }
 
         currentFormData = {
             id: formSnap.id,
@@ -58,6 +72,7 @@ async function loadSubmissions() {
         
         submissionsList = [];
         submissionsSnapshot.forEach(doc => {
+            if (isTrashed(doc.data())) return;
             submissionsList.push({
                 id: doc.id,
                 ...doc.data()
@@ -104,13 +119,19 @@ function renderFormDetails() {
                     </span>
                 </div>
                 <div class="form-details-actions">
-                    <button class="btn btn-secondary" onclick="editFormFromDetails('${currentFormId}')">
+                    <a class="btn btn-secondary" href="form.html?id=${encodeURIComponent(currentFormId)}" target="_blank" rel="noopener">
+                        <i class="fas fa-external-link-alt"></i> Open Form
+                    </a>
+                    <button class="btn btn-secondary" onclick="copyFormLink('${currentFormId}')">
+                        <i class="fas fa-link"></i> Copy Link
+                    </button>
+                    <button class="btn btn-secondary" data-permission="manage-forms" onclick="editFormFromDetails('${currentFormId}')">
                         <i class="fas fa-edit"></i> Edit Form
                     </button>
-                    <button class="btn btn-secondary" onclick="duplicateFormFromDetails('${currentFormId}')">
+                    <button class="btn btn-secondary" data-permission="manage-forms" onclick="duplicateFormFromDetails('${currentFormId}')">
                         <i class="fas fa-copy"></i> Duplicate
                     </button>
-                    <button class="btn btn-danger" onclick="deleteFormFromDetails('${currentFormId}')">
+                    <button class="btn btn-danger" data-permission="manage-forms" onclick="deleteFormFromDetails('${currentFormId}')">
                         <i class="fas fa-trash"></i> Delete
                     </button>
                     <button class="btn btn-secondary" onclick="backToForms()">
@@ -194,6 +215,7 @@ function renderFormDetails() {
                         <div>
                             <h3>Submissions</h3>
                             <span class="submission-count">${formatNumber(submissionsList.length)} total</span>
+                            ${renderSchemaIssueCount()}
                         </div>
                         <div class="submissions-actions">
                             <button class="btn btn-secondary" onclick="exportSubmissions('csv')">
@@ -209,6 +231,10 @@ function renderFormDetails() {
                             <input type="text" id="submissionSearch" placeholder="Search submissions..." onkeyup="filterSubmissions()">
                             <input type="date" id="submissionDateFrom" onchange="filterSubmissions()">
                             <input type="date" id="submissionDateTo" onchange="filterSubmissions()">
+                            <select id="submissionSchemaFilter" onchange="filterSubmissions()">
+                                <option value="">All submissions</option>
+                                <option value="issues">Not matching current form</option>
+                            </select>
                         </div>
                         <div id="submissionsTable" class="submissions-table-container">
                             ${renderSubmissionsTable()}
@@ -359,11 +385,105 @@ function renderFieldInputReadonly(field) {
             return `<div class="rating-preview">${Array(5).fill(0).map(() => `<i class="fas fa-star"></i>`).join('')}</div>`;
         case 'scale':
             return `<input type="range" min="1" max="10" value="5" disabled>`;
+        case 'file':
+            return `<input type="file" disabled>`;
+        case 'github_repo':
+        case 'github_link':
+        case 'github_username':
+            return `<input type="text" placeholder="${escapeHtml(field.placeholder || '')}" disabled>`;
         default:
             return '';
     }
 }
 
+/**
+ * Check a submission against the form's current fields
+ * Submissions stored before a field changed can break its current rules
+ * @param {Object} submission - Submission
+ * @returns {Object<string, string>} - Messages keyed by field ID (empty when it matches)
+ */
+function getSchemaErrors(submission) {
+    if (!currentFormData?.fields) return {};
+    return validateSubmissionData(currentFormData.fields, submission.data || {}).errors;
+}
+
+/**
+ * Describe schema errors with field labels
+ * @param {Object<string, string>} errors - Messages keyed by field ID
+ * @returns {Array<string>} - "Label: message" lines
+ */
+function describeSchemaErrors(errors) {
+    return Object.entries(errors).map(([fieldId, message]) => {
+        const field = currentFormData.fields?.find(f => f.id === fieldId);
+        return `${field?.label || fieldId}: ${message}`;
+    });
+}
+
+/**
+ * Render the count of submissions that no longer match the form
+ */
+function renderSchemaIssueCount() {
+    const count = submissionsList.filter(s => Object.keys(getSchemaErrors(s)).length > 0).length;
+    if (count === 0) return '';
+    return `
+        <span class="schema-issue-count" title="These submissions break the current field rules. Filter by 'Not matching current form' to review them.">
+            <i class="fas fa-exclamation-triangle"></i> ${formatNumber(count)} not matching current form
+        </span>
+    `;
+}
+
+/**
+ * Render a warning badge for a submission that breaks the current field rules
+ * @param {Object} submission - Submission
+ */
+function renderSchemaIssueBadge(submission) {
+    const issues = describeSchemaErrors(getSchemaErrors(submission));
+    if (issues.length === 0) return '';
+    return `
+        <span class="schema-issue-badge" title="${escapeHtml(issues.join('\n'))}">
+            <i class="fas fa-exclamation-triangle"></i> ${issues.length} issue${issues.length === 1 ? '' : 's'}
+        </span>
+    `;
+}
+
+/**
+ * Render a GitHub answer with the metadata resolved when it was submitted
+ * @param {Object} field - GitHub field
+ * @param {Object} submission - Submission
+ */
+function renderGitHubAnswer(field, submission) {
+    const value = submission.data?.[field.id];
+    if (!value) return '<span class="empty-text">-</span>';
+
+    const meta = submission.github?.[field.id];
+    if (!meta) {
+        return `<span class="github-answer" title="Not checked on GitHub">${escapeHtml(String(value))} <i class="fas fa-question-circle"></i></span>`;
+    }
+
+    if (field.type === 'github_link') {
+        return `
+            <a href="${escapeHtml(meta.url)}" target="_blank" rel="noopener" class="github-answer" title="${escapeHtml(meta.title)}">
+                <i class="fas ${meta.kind === 'pull' ? 'fa-code-pull-request' : 'fa-dot-circle'}"></i>
+                ${escapeHtml(meta.repo)}#${meta.number}
+                <span class="github-state github-state-${escapeHtml(meta.state)}">${escapeHtml(meta.state)}</span>
+            </a>
+        `;
+    }
+    if (field.type === 'github_repo') {
+        return `
+            <a href="${escapeHtml(meta.url)}" target="_blank" rel="noopener" class="github-answer" title="${escapeHtml(meta.description || '')}">
+                <i class="fab fa-github"></i> ${escapeHtml(meta.full_name)}
+                <span class="github-repo-stars"><i class="fas fa-star"></i> ${formatNumber(meta.stars || 0)}</span>
+            </a>
+        `;
+    }
+    return `
+        <a href="${escapeHtml(meta.html_url)}" target="_blank" rel="noopener" class="github-answer">
+            <img src="${escapeHtml(meta.avatar_url)}" alt="" class="github-avatar"> ${escapeHtml(meta.username)}
+        </a>
+    `;
+}
+
 /**
  * Render submissions table
  */
@@ -374,12 +494,15 @@ function renderSubmissionsTable(submissions = null) {
         return '<p class="empty-text">No submissions yet</p>';
     }
 
+    const githubFields = (currentFormData?.fields || []).filter(f => GITHUB_FIELD_TYPES.includes(f.type));
+
     return `
         <table class="submissions-table">
             <thead>
                 <tr>
                     <th>Date/Time</th>
                     <th>Submitted By</th>
+                    ${githubFields.map(field => `<th>${escapeHtml(field.label || 'GitHub')}</th>`).join('')}
                     <th>Actions</th>
                 </tr>
             </thead>
@@ -387,15 +510,19 @@ function renderSubmissionsTable(submissions = null) {
                 ${submissionsToRender.map(submission => `
                     <tr>
                         <td>${formatSubmissionDate(submission.submittedAt)}</td>
-                        <td>${escapeHtml(submission.submittedBy || 'Anonymous')}</td>
+                        <td>
+                            ${escapeHtml(submission.submittedBy || 'Anonymous')}
+                            ${renderSchemaIssueBadge(submission)}
+                        </td>
+                        ${githubFields.map(field => `<td>${renderGitHubAnswer(field, submission)}</td>`).join('')}
                         <td>
                             <button class="btn btn-sm btn-primary" onclick="viewSubmission('${submission.id}')">
                                 <i class="fas fa-eye"></i> View
                             </button>
-                            <button class="btn btn-sm btn-secondary" onclick="editSubmission('${submission.id}')">
+                            <button class="btn btn-sm btn-secondary" data-permission="manage-submissions" onclick="editSubmission('${submission.id}')">
                                 <i class="fas fa-edit"></i> Edit
                             </button>
-                            <button class="btn btn-sm btn-danger" onclick="deleteSubmission('${submission.id}')">
+                            <button class="btn btn-sm btn-danger" data-permission="manage-submissions" onclick="deleteSubmission('${submission.id}')">
                                 <i class="fas fa-trash"></i> Delete
                             </button>
                         </td>
@@ -455,15 +582,17 @@ window.viewSubmission = function(submissionId) {
                         </div>
                     ` : ''}
 
+                    ${renderSchemaIssueSection(submission)}
+
                     <div class="detail-section">
                         <h4>Form Data</h4>
-                        ${renderSubmissionData(submission.data)}
+                        ${renderSubmissionData(submission.data, submission)}
                     </div>
                 </div>
             </div>
             <div class="modal-footer">
                 <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
-                <button class="btn btn-primary" onclick="editSubmission('${submission.id}'); this.closest('.modal').remove();">
+                <button class="btn btn-primary" data-permission="manage-submissions" onclick="editSubmission('${submission.id}'); this.closest('.modal').remove();">
                     <i class="fas fa-edit"></i> Edit Submission
                 </button>
             </div>
@@ -471,6 +600,7 @@ window.viewSubmission = function(submissionId) {
     `;
 
     document.body.appendChild(modal);
+    resolveFileLinks(modal);
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
             modal.remove();
@@ -478,10 +608,29 @@ window.viewSubmission = function(submissionId) {
     });
 };
 
+/**
+ * Render the list of current-schema problems for the details modal
+ * @param {Object} submission - Submission
+ */
+function renderSchemaIssueSection(submission) {
+    const issues = describeSchemaErrors(getSchemaErrors(submission));
+    if (issues.length === 0) return '';
+    return `
+        <div class="detail-section schema-issue-section">
+            <h4><i class="fas fa-exclamation-triangle"></i> Does Not Match Current Form</h4>
+            <p>The form's fields changed after this response was stored. Editing it requires fixing these answers:</p>
+            <ul>
+                ${issues.map(issue => `<li>${escapeHtml(issue)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
 /**
  * Edit submission
  */
 window.editSubmission = async function(submissionId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_SUBMISSIONS)) return;
     const submission = submissionsList.find(s => s.id === submissionId);
     if (!submission) {
         if (typeof showToast === 'function') {
@@ -549,6 +698,7 @@ window.editSubmission = async function(submissionId) {
     `;
 
     document.body.appendChild(modal);
+    resolveFileLinks(modal);
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
             modal.remove();
@@ -593,6 +743,9 @@ function renderEditableFormData(data) {
                                 ${field.options.map(opt => `
                                     <option value="${escapeHtml(opt)}" ${fieldValue === opt ? 'selected' : ''}>${escapeHtml(opt)}</option>
                                 `).join('')}
+                                ${fieldValue && !field.options.includes(fieldValue) ? `
+                                    <option value="${escapeHtml(fieldValue)}" selected>${escapeHtml(fieldValue)}</option>
+                                ` : ''}
                             </select>
                         `;
                     } else {
@@ -620,9 +773,23 @@ function renderEditableFormData(data) {
                     }
                     break;
                 case 'date':
+                    if (field.rangeMode) {
+                        const [start = '', end = ''] = Array.isArray(value) ? value : [];
+                        inputHtml = `
+                            <input type="date" id="editField_${fieldId}" value="${escapeHtml(start)}" class="form-control">
+                            <input type="date" id="editField_${fieldId}_end" value="${escapeHtml(end)}" class="form-control">
+                        `;
+                        break;
+                    }
                     const dateValue = fieldValue ? new Date(fieldValue).toISOString().split('T')[0] : '';
                     inputHtml = `<input type="date" id="editField_${fieldId}" value="${dateValue}" class="form-control">`;
                     break;
+                case 'file':
+                    inputHtml = `
+                        <div class="submission-files">${renderFileLinks(value)}</div>
+                        <small class="form-help-text">Uploaded files can't be replaced here</small>
+                    `;
+                    break;
                 case 'time':
                     const timeValue = fieldValue ? fieldValue.split(' ')[0] : '';
                     inputHtml = `<input type="time" id="editField_${fieldId}" value="${timeValue}" class="form-control">`;
@@ -632,13 +799,14 @@ function renderEditableFormData(data) {
             }
 
             return `
-                <div class="form-group">
+                <div class="form-group" data-edit-field="${fieldId}">
                     <label>
                         ${escapeHtml(field.label || 'Untitled Field')}
                         ${field.required ? '<span class="required">*</span>' : ''}
                     </label>
                     ${inputHtml}
                     ${field.helpText ? `<small class="form-help-text">${escapeHtml(field.helpText)}</small>` : ''}
+                    <small class="field-error"></small>
                 </div>
             `;
         }).join('');
@@ -648,6 +816,7 @@ function renderEditableFormData(data) {
  * Save submission edit
  */
 window.saveSubmissionEdit = async function(submissionId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_SUBMISSIONS)) return;
     try {
         showLoading();
 
@@ -670,7 +839,9 @@ window.saveSubmissionEdit = async function(submissionId) {
         }
 
         // Get form data
+        const originalData = submissionsList.find(s => s.id === submissionId)?.data || {};
         const editedData = {};
+        const checkedData = {};
         if (currentFormData && currentFormData.fields) {
             currentFormData.fields
                 .filter(field => field.type !== 'section' && field.type !== 'pagebreak')
@@ -683,6 +854,13 @@ window.saveSubmissionEdit = async function(submissionId) {
                         const checkboxes = document.querySelectorAll(`input[type="checkbox"][data-field-id="${fieldId}"]:checked`);
                         fieldValue = Array.from(checkboxes).map(cb => cb.value);
                         if (fieldValue.length === 0) fieldValue = null;
+                    } else if (field.type === 'file') {
+                        // Files stay as uploaded
+                        fieldValue = originalData[fieldId] ?? null;
+                    } else if (field.type === 'date' && field.rangeMode) {
+                        const start = document.getElementById(`editField_${fieldId}`)?.value || '';
+                        const end = document.getElementById(`editField_${fieldId}_end`)?.value || '';
+                        fieldValue = start || end ? [start, end] : null;
                     } else {
                         const input = document.getElementById(`editField_${fieldId}`);
                         if (input) {
@@ -693,15 +871,52 @@ window.saveSubmissionEdit = async function(submissionId) {
                         }
                     }
 
+                    if (GITHUB_FIELD_TYPES.includes(field.type) && fieldValue !== null) {
+                        fieldValue = normalizeGitHubAnswer(field, fieldValue);
+                    }
+
+                    // Store numbers the way the public form does
+                    if (['number', 'scale', 'rating'].includes(field.type) && fieldValue !== null && fieldValue !== '' && !isNaN(fieldValue)) {
+                        fieldValue = Number(fieldValue);
+                    }
+
                     if (fieldValue !== null) {
                         editedData[fieldId] = fieldValue;
                     }
+                    // Fields the respondent never reached stay out unless the edit fills them in
+                    if (fieldValue !== null || fieldId in originalData) {
+                        checkedData[fieldId] = fieldValue ?? '';
+                    }
                 });
         }
 
+        const validation = validateSubmissionData(currentFormData?.fields, checkedData);
+
+        // Look up GitHub answers the edit changed; unchanged ones keep their stored metadata
+        const github = { ...(submissionsList.find(s => s.id === submissionId)?.github || {}) };
+        if (validation.valid) {
+            const changedFields = (currentFormData?.fields || []).filter(field => GITHUB_FIELD_TYPES.includes(field.type)
+                && editedData[field.id] !== originalData[field.id]);
+            const resolved = await resolveGitHubAnswers(changedFields, editedData);
+            changedFields.forEach(field => {
+                delete github[field.id];
+                if (resolved.meta[field.id]) github[field.id] = resolved.meta[field.id];
+            });
+            Object.assign(validation.errors, resolved.errors);
+            validation.valid = Object.keys(validation.errors).length === 0;
+        }
+
+        showEditFieldErrors(validation.errors);
+        if (!validation.valid) {
+            const count = Object.keys(validation.errors).length;
+            showToast(`${count} field${count === 1 ? '' : 's'} failed validation. Fix the highlighted answers and save again.`, 'error');
+            return;
+        }
+
         // Prepare update data
         const updateData = {
             data: editedData,
+            github,
             updatedAt: Timestamp.now()
         };
 
@@ -719,7 +934,17 @@ window.saveSubmissionEdit = async function(submissionId) {
 
         // Update in Firebase
         const submissionRef = doc(db, 'form_submissions', currentFormId, 'submissions', submissionId);
-        await updateDoc(submissionRef, updateData);
+        const { id, ...original } = submissionsList.find(s => s.id === submissionId) || {};
+        const batch = writeBatch(db);
+        batch.update(submissionRef, updateData);
+        addAuditEntry(batch, {
+            action: AUDIT_ACTIONS.SUBMISSION_UPDATE,
+            targetPath: submissionRef.path,
+            targetLabel: getSubmissionAuditLabel(original),
+            before: original,
+            after: { ...original, ...updateData }
+        });
+        await batch.commit();
 
         // Reload submissions
         await loadSubmissions();
@@ -756,10 +981,35 @@ window.saveSubmissionEdit = async function(submissionId) {
     }
 };
 
+/**
+ * Show validation errors under the edit modal's fields
+ * @param {Object<string, string>} errors - Messages keyed by field ID
+ */
+function showEditFieldErrors(errors) {
+    let firstInvalid = null;
+    document.querySelectorAll('#editFormDataFields [data-edit-field]').forEach(group => {
+        const message = errors[group.dataset.editField] || '';
+        group.querySelector('.field-error').textContent = message;
+        group.classList.toggle('has-error', !!message);
+        if (message && !firstInvalid) firstInvalid = group;
+    });
+    firstInvalid?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Describe a submission for audit entries
+ * @param {Object} submission - Submission data
+ * @returns {string} - Form name and submitter
+ */
+function getSubmissionAuditLabel(submission) {
+    const formName = currentFormData?.name || currentFormId;
+    return submission?.submittedBy ? `${formName} - ${submission.submittedBy}` : `${formName} submission`;
+}
+
 /**
  * Render submission data
  */
-function renderSubmissionData(data) {
+function renderSubmissionData(data, submission = {}) {
     if (!data || Object.keys(data).length === 0) {
         return '<p>No data</p>';
     }
@@ -771,24 +1021,94 @@ function renderSubmissionData(data) {
         return `
             <div class="detail-row">
                 <span class="detail-label">${escapeHtml(label)}</span>
-                <span class="detail-value">${escapeHtml(Array.isArray(value) ? value.join(', ') : String(value))}</span>
+                <span class="detail-value">${field?.type === 'file'
+                    ? renderFileLinks(value)
+                    : GITHUB_FIELD_TYPES.includes(field?.type)
+                        ? `${renderGitHubAnswer(field, submission)}${submission.github?.[fieldId]?.title ? `<div class="github-answer-title">${escapeHtml(submission.github[fieldId].title)}</div>` : ''}`
+                        : escapeHtml(Array.isArray(value) ? value.join(', ') : String(value))}</span>
             </div>
         `;
     }).join('');
 }
 
+/**
+ * Render uploaded files with image previews and download links
+ * Links are filled in by resolveFileLinks once the markup is on the page
+ * @param {*} value - Stored upload field value
+ */
+function renderFileLinks(value) {
+    const files = (Array.isArray(value) ? value : [value]).filter(isUploadedFile);
+    if (files.length === 0) return '<span class="empty-text">No files</span>';
+
+    return files.map(file => `
+        <div class="submission-file" data-file-path="${escapeHtml(file.path)}" data-file-url="${escapeHtml(file.url || '')}">
+            ${String(file.contentType).startsWith('image/') ? `
+                <a target="_blank" rel="noopener">
+                    <img alt="${escapeHtml(file.name)}" class="submission-file-thumb" loading="lazy">
+                </a>
+            ` : '<i class="fas fa-file"></i>'}
+            <a target="_blank" rel="noopener" download="${escapeHtml(file.name)}">${escapeHtml(file.name)}</a>
+            <span class="submission-file-size">${formatFileSize(file.size)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Look up download URLs for the files rendered by renderFileLinks
+ * Files whose upload never finished are marked as missing
+ * @param {HTMLElement} root - Element containing the file links
+ * @returns {Promise<void>}
+ */
+async function resolveFileLinks(root) {
+    await Promise.all([...root.querySelectorAll('.submission-file[data-file-path]')].map(async (el) => {
+        try {
+            const url = await getUploadedFileUrl({ path: el.dataset.filePath, url: el.dataset.fileUrl });
+            if (!url) {
+                el.insertAdjacentHTML('beforeend', '<span class="empty-text">File missing</span>');
+                return;
+            }
+            el.querySelectorAll('a').forEach(link => (link.href = url));
+            el.querySelectorAll('img').forEach(img => (img.src = url));
+        } catch (error) {
+            console.error('Error loading file link:', error);
+        }
+    }));
+}
+
+/**
+ * Copy submissions with a download URL on every uploaded file, for exports
+ * @param {Array<Object>} submissions - Submissions to export
+ * @returns {Promise<Array<Object>>} - Copies; files that are missing get `url: null`
+ */
+async function withFileUrls(submissions) {
+    const fileFieldIds = currentFormData.fields.filter(field => field.type === 'file').map(field => field.id);
+    if (fileFieldIds.length === 0) return submissions;
+
+    return Promise.all(submissions.map(async (sub) => {
+        const data = { ...sub.data };
+        await Promise.all(fileFieldIds.map(async (fieldId) => {
+            const value = data[fieldId];
+            if (!value) return;
+            const files = (Array.isArray(value) ? value : [value]).filter(isUploadedFile);
+            data[fieldId] = await Promise.all(files.map(async file => ({ ...file, url: await getUploadedFileUrl(file) })));
+        }));
+        return { ...sub, data };
+    }));
+}
+
 /**
  * Delete submission
  */
 window.deleteSubmission = async function(submissionId) {
-    if (!confirm('Are you sure you want to delete this submission? This action cannot be undone.')) return;
+    if (!requirePermission(PERMISSIONS.MANAGE_SUBMISSIONS)) return;
+    if (!confirm(`Move this submission to the trash? It can be restored for ${getTrashRetentionDays()} days.`)) return;
 
     try {
         showLoading();
         
-        // Delete from Firebase - correct path: form_submissions/{formId}/submissions/{submissionId}
-        const submissionRef = doc(db, 'form_submissions', currentFormId, 'submissions', submissionId);
-        await deleteDoc(submissionRef);
+        // Soft delete - the document stays at form_submissions/{formId}/submissions/{submissionId} until purged
+        const submission = submissionsList.find(s => s.id === submissionId);
+        await trashSubmission(currentFormId, submissionId, getSubmissionAuditLabel(submission));
         
         // Remove from local list
         submissionsList = submissionsList.filter(s => s.id !== submissionId);
@@ -805,9 +1125,9 @@ window.deleteSubmission = async function(submissionId) {
         }
         
         if (typeof showToast === 'function') {
-            showToast('Submission deleted successfully!', 'success');
+            showToast('Submission moved to trash.', 'success');
         } else {
-            alert('Submission deleted successfully!');
+            alert('Submission moved to trash.');
         }
     } catch (error) {
         console.error('Error deleting submission:', error);
@@ -829,6 +1149,7 @@ window.filterSubmissions = function() {
     const searchTerm = document.getElementById('submissionSearch')?.value.toLowerCase() || '';
     const dateFrom = document.getElementById('submissionDateFrom')?.value;
     const dateTo = document.getElementById('submissionDateTo')?.value;
+    const schemaFilter = document.getElementById('submissionSchemaFilter')?.value;
 
     let filtered = [...submissionsList];
 
@@ -857,6 +1178,10 @@ window.filterSubmissions = function() {
         });
     }
 
+    if (schemaFilter === 'issues') {
+        filtered = filtered.filter(s => Object.keys(getSchemaErrors(s)).length > 0);
+    }
+
     const table = document.getElementById('submissionsTable');
     if (table) {
         // Store filtered list temporarily for rendering
@@ -870,28 +1195,43 @@ window.filterSubmissions = function() {
 /**
  * Export submissions
  */
-window.exportSubmissions = function(format) {
+window.exportSubmissions = async function(format) {
     if (submissionsList.length === 0) {
         alert('No submissions to export');
         return;
     }
 
-    if (format === 'csv') {
-        exportSubmissionsCSV();
-    } else if (format === 'json') {
-        exportSubmissionsJSON();
+    try {
+        showLoading();
+        // Upload fields store Storage paths; exports get download links
+        const submissions = await withFileUrls(submissionsList);
+        if (format === 'csv') {
+            exportSubmissionsCSV(submissions);
+        } else if (format === 'json') {
+            exportSubmissionsJSON(submissions);
+        }
+    } catch (error) {
+        console.error('Error exporting submissions:', error);
+        showToast('Export failed. Please try again.', 'error');
+    } finally {
+        hideLoading();
     }
 };
 
 /**
  * Export submissions as CSV
+ * @param {Array<Object>} submissions - Submissions with file URLs (see withFileUrls)
  */
-function exportSubmissionsCSV() {
+function exportSubmissionsCSV(submissions) {
     const headers = ['Submission ID', 'Submitted At', 'Submitted By', ...currentFormData.fields.map(f => f.label)];
-    const rows = submissionsList.map(sub => {
+    const rows = submissions.map(sub => {
         const row = [sub.id, formatSubmissionDate(sub.submittedAt), sub.submittedBy || 'Anonymous'];
         currentFormData.fields.forEach(field => {
             const value = sub.data?.[field.id];
+            if (field.type === 'file') {
+                row.push((Array.isArray(value) ? value : [value]).filter(isUploadedFile).map(file => file.url || `${file.name} (missing)`).join('; '));
+                return;
+            }
             row.push(Array.isArray(value) ? value.join('; ') : (value || ''));
         });
         return row;
@@ -907,19 +1247,21 @@ function exportSubmissionsCSV() {
 
 /**
  * Export submissions as JSON
+ * @param {Array<Object>} submissions - Submissions with file URLs (see withFileUrls)
  */
-function exportSubmissionsJSON() {
+function exportSubmissionsJSON(submissions) {
     const data = {
         form: {
             id: currentFormId,
             name: currentFormData.name
         },
-        submissions: submissionsList.map(sub => ({
+        submissions: submissions.map(sub => ({
             id: sub.id,
             submittedAt: sub.submittedAt?.toDate ? sub.submittedAt.toDate().toISOString() : sub.submittedAt,
             submittedBy: sub.submittedBy,
             userInfo: sub.userInfo,
             data: sub.data,
+            github: sub.github,
             completionTime: sub.completionTime
         }))
     };
@@ -946,6 +1288,7 @@ function downloadFile(content, filename, contentType) {
  * Edit form from details
  */
 window.editFormFromDetails = function(formId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     window.location.href = `forms.html?edit=${formId}`;
 };
 
@@ -962,12 +1305,13 @@ window.duplicateFormFromDetails = async function(formId) {
  * Delete form from details
  */
 window.deleteFormFromDetails = async function(formId) {
-    if (!confirm('Are you sure you want to delete this form? All submissions will also be deleted.')) return;
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
+    if (!confirm(`Move this form and its submissions to the trash? It can be restored for ${getTrashRetentionDays()} days.`)) return;
 
     try {
         showLoading();
         if (typeof window.deleteForm === 'function') {
-            await window.deleteForm(formId);
+            await window.deleteForm(formId, true);
             backToForms();
         }
     } catch (error) {
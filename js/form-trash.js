@@ -0,0 +1,197 @@
+// Form Trash Module
+import { showLoading, hideLoading, showToast, handleError, escapeHtml } from './utils.js';
+import { requirePermission, hasPermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { loadAppSettings, getTrashRetentionDays } from './services/settings-service.js';
+import { loadTrash, restoreTrashItem, purgeTrashItem, purgeExpiredTrash, TRASH_TYPES } from './services/trash-service.js';
+
+let trashEntries = [];
+
+/**
+ * Permission needed to restore or purge an entry
+ * @param {Object} entry - Trash entry
+ * @returns {string} - Permission from PERMISSIONS
+ */
+function getEntryPermission(entry) {
+    return entry.type === TRASH_TYPES.FORM ? PERMISSIONS.MANAGE_FORMS : PERMISSIONS.MANAGE_SUBMISSIONS;
+}
+
+/**
+ * Open the Trash view
+ */
+window.openTrash = async function() {
+    document.querySelectorAll('.page').forEach(page => page.classList.remove('active'));
+    document.getElementById('trashPage')?.classList.add('active');
+
+    try {
+        showLoading();
+        await loadAppSettings();
+
+        const retentionNote = document.getElementById('trashRetentionNote');
+        if (retentionNote) {
+            retentionNote.textContent = `Deleted forms and submissions are kept for ${getTrashRetentionDays()} days, then purged permanently`;
+        }
+
+        trashEntries = await loadTrash();
+        const before = trashEntries.length;
+        // Only purge what this admin could delete by hand; viewers just see the list
+        trashEntries = await purgeExpiredTrash(trashEntries, entry => hasPermission(getEntryPermission(entry)));
+        if (trashEntries.length < before) {
+            showToast(`Purged ${before - trashEntries.length} expired item(s) from the trash.`, 'info');
+        }
+
+        renderTrash();
+    } catch (error) {
+        handleError(error, { module: 'form-trash', action: 'openTrash' }, { showToast: false });
+        showToast('Failed to load the trash. Please try again.', 'error');
+    } finally {
+        hideLoading();
+    }
+};
+
+/**
+ * Close the Trash view and reload the forms list (restored forms reappear)
+ */
+window.closeTrash = async function() {
+    document.getElementById('trashPage')?.classList.remove('active');
+    document.getElementById('formsListPage')?.classList.add('active');
+
+    const { loadForms } = await import('./forms.js');
+    loadForms();
+};
+
+/**
+ * Render trash entries matching the type filter
+ */
+window.renderTrash = function() {
+    const trashList = document.getElementById('trashList');
+    if (!trashList) return;
+
+    const typeFilter = document.getElementById('trashTypeFilter')?.value || '';
+    const entries = trashEntries.filter(entry => !typeFilter || entry.type === typeFilter);
+
+    if (entries.length === 0) {
+        trashList.innerHTML = `
+            <div class="empty-state" style="display: flex; flex-direction: column; align-items: center;">
+                <div class="empty-state-icon"><i class="fas fa-trash-restore"></i></div>
+                <h3>Trash is empty</h3>
+                <p>Deleted forms and submissions will appear here</p>
+            </div>
+        `;
+        return;
+    }
+
+    trashList.innerHTML = entries.map(entry => {
+        const isForm = entry.type === TRASH_TYPES.FORM;
+        const permission = getEntryPermission(entry);
+        const deletedAt = entry.deletedAt ? new Date(entry.deletedAt).toLocaleString() : 'Unknown';
+        const purgeAfter = entry.purgeAfter ? new Date(entry.purgeAfter).toLocaleDateString() : 'Unknown';
+
+        return `
+            <div class="form-list-item trash-item">
+                <div class="trash-item-icon"><i class="fas ${isForm ? 'fa-file-alt' : 'fa-inbox'}"></i></div>
+                <div class="form-list-item-info">
+                    <div class="form-list-item-title">
+                        <span>${escapeHtml(entry.label || 'Untitled')}</span>
+                        <span class="trash-type-badge">${isForm ? 'Form' : 'Submission'}</span>
+                    </div>
+                    <div class="form-list-item-meta">
+                        <span><i class="fas fa-user"></i> ${escapeHtml(entry.deletedBy || 'unknown')}</span>
+                        <span><i class="fas fa-clock"></i> Deleted ${deletedAt}</span>
+                        <span><i class="fas fa-hourglass-end"></i> Purged after ${purgeAfter}</span>
+                    </div>
+                </div>
+                <div class="form-list-item-actions">
+                    <button class="btn btn-secondary btn-sm" data-permission="${permission}" onclick="restoreTrashEntry('${entry.id}')">
+                        <i class="fas fa-undo"></i> Restore
+                    </button>
+                    <button class="btn btn-danger btn-sm" data-permission="${permission}" onclick="purgeTrashEntry('${entry.id}')">
+                        <i class="fas fa-times"></i> Delete Forever
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+};
+
+/**
+ * Restore a trash entry
+ * @param {string} entryId - Trash document ID
+ */
+window.restoreTrashEntry = async function(entryId) {
+    const entry = trashEntries.find(e => e.id === entryId);
+    if (!entry || !requirePermission(getEntryPermission(entry))) return;
+
+    try {
+        showLoading();
+        await restoreTrashItem(entry);
+        showToast(`${entry.label || 'Item'} restored.`, 'success');
+    } catch (error) {
+        handleError(error, { module: 'form-trash', action: 'restoreTrashEntry', entryId }, { showToast: false });
+        showToast(error.message || 'Failed to restore item.', 'error');
+    } finally {
+        trashEntries = trashEntries.filter(e => e.id !== entryId);
+        window.renderTrash();
+        hideLoading();
+    }
+};
+
+/**
+ * Permanently delete a trash entry
+ * @param {string} entryId - Trash document ID
+ */
+window.purgeTrashEntry = async function(entryId) {
+    const entry = trashEntries.find(e => e.id === entryId);
+    if (!entry || !requirePermission(getEntryPermission(entry))) return;
+
+    const warning = entry.type === TRASH_TYPES.FORM
+        ? `Permanently delete "${entry.label}" and all of its submissions? This cannot be undone.`
+        : `Permanently delete this submission? This cannot be undone.`;
+    if (!confirm(warning)) return;
+
+    try {
+        showLoading();
+        await purgeTrashItem(entry);
+        trashEntries = trashEntries.filter(e => e.id !== entryId
+            && !(entry.type === TRASH_TYPES.FORM && e.formId === entry.formId));
+        window.renderTrash();
+        showToast('Deleted permanently.', 'success');
+    } catch (error) {
+        handleError(error, { module: 'form-trash', action: 'purgeTrashEntry', entryId }, { showToast: false });
+        showToast('Failed to delete item. Please try again.', 'error');
+    } finally {
+        hideLoading();
+    }
+};
+
+/**
+ * Permanently delete everything in the trash
+ */
+window.emptyTrash = async function() {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
+    if (trashEntries.length === 0) {
+        showToast('Trash is already empty', 'info');
+        return;
+    }
+    if (!confirm(`Permanently delete ${trashEntries.length} item(s)? Trashed forms take all of their submissions with them. This cannot be undone.`)) return;
+
+    try {
+        showLoading();
+        // Forms first - purging a form also clears its submissions' entries
+        const ordered = [...trashEntries].sort((a, b) => (a.type === TRASH_TYPES.FORM ? -1 : 0) - (b.type === TRASH_TYPES.FORM ? -1 : 0));
+        const purgedFormIds = new Set();
+        for (const entry of ordered) {
+            if (entry.type === TRASH_TYPES.SUBMISSION && purgedFormIds.has(entry.formId)) continue;
+            await purgeTrashItem(entry);
+            if (entry.type === TRASH_TYPES.FORM) purgedFormIds.add(entry.formId);
+        }
+        trashEntries = [];
+        window.renderTrash();
+        showToast('Trash emptied.', 'success');
+    } catch (error) {
+        handleError(error, { module: 'form-trash', action: 'emptyTrash' }, { showToast: false });
+        showToast('Failed to empty the trash. Reopen it to see what is left.', 'error');
+    } finally {
+        hideLoading();
+    }
+};
@@ -1,7 +1,11 @@
 // Forms List Page Module
-import { db, collection, getDocs, doc, deleteDoc, setDoc, updateDoc, query, where, orderBy, Timestamp } from '../firebase-config.js';
+import { db, collection, getDocs, doc, writeBatch, query, where, orderBy, Timestamp } from '../firebase-config.js';
 import { showLoading, hideLoading, formatNumber, showToast, debounce, handleError } from './utils.js';
-import { getCurrentUser } from './auth.js';
+import { getCurrentUser, requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './services/audit-service.js';
+import { trashForm, isTrashed } from './services/trash-service.js';
+import { getTrashRetentionDays } from './services/settings-service.js';
 
 let formsList = [];
 let currentView = localStorage.getItem('formsView') || 'grid'; // 'grid' or 'list'
@@ -23,6 +27,7 @@ function setupEventListeners() {
     const createFormBtn = document.getElementById('createFormBtn');
     if (createFormBtn) {
         createFormBtn.addEventListener('click', () => {
+            if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
             openFormBuilder();
         });
     }
@@ -117,6 +122,8 @@ export async function loadForms() {
         
         formsList = [];
         formsSnapshot.forEach(doc => {
+            // Trashed forms only appear in the Trash view
+            if (isTrashed(doc.data())) return;
             formsList.push({
                 id: doc.id,
                 ...doc.data()
@@ -153,15 +160,17 @@ async function fetchSubmissionCounts() {
 
     for (const form of formsList) {
         try {
-            const submissionsRef = collection(db, 'forms', form.id, 'submissions');
+            const submissionsRef = collection(db, 'form_submissions', form.id, 'submissions');
             const submissionsSnapshot = await getDocs(submissionsRef);
             
-            const total = submissionsSnapshot.size;
+            let total = 0;
             let todayCount = 0;
             let weekCount = 0;
 
             submissionsSnapshot.forEach(subDoc => {
                 const data = subDoc.data();
+                if (isTrashed(data)) return;
+                total++;
                 const submittedAt = data.submittedAt?.toDate ? data.submittedAt.toDate() : new Date(data.submittedAt);
                 
                 if (submittedAt >= today) todayCount++;
@@ -412,14 +421,18 @@ function createFormCard(form) {
                         <i class="fas fa-ellipsis-v"></i>
                     </button>
                     <div class="quick-actions-dropdown">
-                        <div class="quick-actions-item" onclick="editForm('${form.id}')">
+                        <div class="quick-actions-item" data-permission="manage-forms" onclick="editForm('${form.id}')">
                             <i class="fas fa-edit"></i>
                             <span>Edit</span>
                         </div>
-                        <div class="quick-actions-item" onclick="duplicateForm('${form.id}')">
+                        <div class="quick-actions-item" data-permission="manage-forms" onclick="duplicateForm('${form.id}')">
                             <i class="fas fa-copy"></i>
                             <span>Duplicate</span>
                         </div>
+                        <div class="quick-actions-item" onclick="copyFormLink('${form.id}')">
+                            <i class="fas fa-link"></i>
+                            <span>Copy Public Link</span>
+                        </div>
                         <div class="quick-actions-item" onclick="exportForm('${form.id}')">
                             <i class="fas fa-download"></i>
                             <span>Export</span>
@@ -428,7 +441,7 @@ function createFormCard(form) {
                             <i class="fas fa-eye"></i>
                             <span>View Details</span>
                         </div>
-                        <div class="quick-actions-item danger" onclick="deleteForm('${form.id}')">
+                        <div class="quick-actions-item danger" data-permission="manage-forms" onclick="deleteForm('${form.id}')">
                             <i class="fas fa-trash"></i>
                             <span>Delete</span>
                         </div>
@@ -516,13 +529,13 @@ function createFormListItem(form) {
                 <div>${formatNumber(counts.today)} today</div>
             </div>
             <div class="form-list-item-actions">
-                <button class="btn-icon" onclick="event.stopPropagation(); editForm('${form.id}')" title="Edit">
+                <button class="btn-icon" data-permission="manage-forms" onclick="event.stopPropagation(); editForm('${form.id}')" title="Edit">
                     <i class="fas fa-edit"></i>
                 </button>
-                <button class="btn-icon" onclick="event.stopPropagation(); duplicateForm('${form.id}')" title="Duplicate">
+                <button class="btn-icon" data-permission="manage-forms" onclick="event.stopPropagation(); duplicateForm('${form.id}')" title="Duplicate">
                     <i class="fas fa-copy"></i>
                 </button>
-                <button class="btn-icon btn-icon-danger" onclick="event.stopPropagation(); deleteForm('${form.id}')" title="Delete">
+                <button class="btn-icon btn-icon-danger" data-permission="manage-forms" onclick="event.stopPropagation(); deleteForm('${form.id}')" title="Delete">
                     <i class="fas fa-trash"></i>
                 </button>
             </div>
@@ -579,6 +592,7 @@ window.openFormDetails = openFormDetails;
  * Edit form
  */
 window.editForm = function(formId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     openFormBuilder(formId);
 };
 
@@ -586,6 +600,7 @@ window.editForm = function(formId) {
  * Duplicate form
  */
 window.duplicateForm = async function(formId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     try {
         if (!confirm('Are you sure you want to duplicate this form?')) return;
         
@@ -600,6 +615,7 @@ window.duplicateForm = async function(formId) {
             ...form,
             name: form.name + ' (Copy)',
             status: 'draft',
+            submissionCount: 0,
             createdAt: Timestamp.now(),
             updatedAt: Timestamp.now()
         };
@@ -608,7 +624,15 @@ window.duplicateForm = async function(formId) {
         // Save to Firestore
         const formsRef = collection(db, 'forms');
         const newDocRef = doc(formsRef);
-        await setDoc(newDocRef, duplicateForm);
+        const batch = writeBatch(db);
+        batch.set(newDocRef, duplicateForm);
+        addAuditEntry(batch, {
+            action: AUDIT_ACTIONS.FORM_DUPLICATE,
+            targetPath: `forms/${newDocRef.id}`,
+            targetLabel: duplicateForm.name,
+            after: duplicateForm
+        });
+        await batch.commit();
 
         // Reload forms
         await loadForms();
@@ -622,23 +646,22 @@ window.duplicateForm = async function(formId) {
 };
 
 /**
- * Delete form
+ * Delete form (moves it and its submissions to the trash)
+ * @param {string} formId - Form ID
+ * @param {boolean} confirmed - Skip the confirmation when the caller already asked
  */
-window.deleteForm = async function(formId) {
+window.deleteForm = async function(formId, confirmed = false) {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     try {
-        if (!confirm('Are you sure you want to delete this form? This action cannot be undone.')) return;
+        if (!confirmed && !confirm(`Move this form and its submissions to the trash? It can be restored for ${getTrashRetentionDays()} days.`)) return;
         
         showLoading();
-        const formRef = doc(db, 'forms', formId);
-        await deleteDoc(formRef);
-
-        // Also delete submissions subcollection if exists
-        // Note: Firestore doesn't automatically delete subcollections
-        // We'll handle this in a separate cleanup function if needed
+        const form = formsList.find(f => f.id === formId);
+        await trashForm(formId, form?.name);
 
         // Reload forms
         await loadForms();
-        showToast('Form deleted successfully!', 'success');
+        showToast('Form moved to trash.', 'success');
     } catch (error) {
         console.error('Error deleting form:', error);
         showToast('Failed to delete form. Please try again.', 'error');
@@ -647,6 +670,34 @@ window.deleteForm = async function(formId) {
     }
 };
 
+/**
+ * Get the respondent-facing URL of a form
+ * @param {string} formId - Form ID
+ * @returns {string} - Absolute URL of form.html for this form
+ */
+export function getPublicFormUrl(formId) {
+    return new URL(`form.html?id=${encodeURIComponent(formId)}`, window.location.href).href;
+}
+
+/**
+ * Copy a form's public link to the clipboard
+ */
+window.copyFormLink = async function(formId) {
+    const url = getPublicFormUrl(formId);
+    const isActive = formsList.find(f => f.id === formId)?.status === 'active';
+    try {
+        await navigator.clipboard.writeText(url);
+        if (isActive) {
+            showToast('Public link copied to clipboard.', 'success');
+        } else {
+            showToast('Link copied. Respondents can only open active forms - publish it before sharing.', 'warning');
+        }
+    } catch (error) {
+        // Clipboard access can be blocked (e.g. insecure origin); show the link instead
+        prompt('Copy the public link:', url);
+    }
+};
+
 /**
  * Export form as JSON
  */
@@ -685,26 +736,27 @@ window.exportForm = async function(formId) {
  * Bulk delete forms
  */
 window.bulkDelete = async function() {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     if (selectedForms.size === 0) {
         showToast('No forms selected', 'warning');
         return;
     }
 
-    if (!confirm(`Are you sure you want to delete ${selectedForms.size} form(s)? This action cannot be undone.`)) {
+    if (!confirm(`Move ${selectedForms.size} form(s) and their submissions to the trash? They can be restored for ${getTrashRetentionDays()} days.`)) {
         return;
     }
 
     try {
         showLoading();
         const deletePromises = Array.from(selectedForms).map(formId => {
-            const formRef = doc(db, 'forms', formId);
-            return deleteDoc(formRef);
+            const form = formsList.find(f => f.id === formId);
+            return trashForm(formId, form?.name);
         });
 
         await Promise.all(deletePromises);
         selectedForms.clear();
         await loadForms();
-        showToast(`Successfully deleted ${deletePromises.length} form(s)!`, 'success');
+        showToast(`Moved ${deletePromises.length} form(s) to trash.`, 'success');
     } catch (error) {
         console.error('Error bulk deleting forms:', error);
         showToast('Failed to delete forms. Please try again.', 'error');
@@ -754,6 +806,7 @@ window.bulkExport = async function() {
  * Bulk change status
  */
 window.bulkChangeStatus = async function() {
+    if (!requirePermission(PERMISSIONS.MANAGE_FORMS)) return;
     if (selectedForms.size === 0) {
         showToast('No forms selected', 'warning');
         return;
@@ -767,12 +820,23 @@ window.bulkChangeStatus = async function() {
 
     try {
         showLoading();
-        const updatePromises = Array.from(selectedForms).map(formId => {
+        const updatePromises = Array.from(selectedForms).map(async formId => {
             const formRef = doc(db, 'forms', formId);
-            return updateDoc(formRef, {
+            const updates = {
                 status: newStatus.toLowerCase(),
                 updatedAt: Timestamp.now()
+            };
+            const form = formsList.find(f => f.id === formId);
+            const batch = writeBatch(db);
+            batch.update(formRef, updates);
+            addAuditEntry(batch, {
+                action: AUDIT_ACTIONS.FORM_STATUS,
+                targetPath: `forms/${formId}`,
+                targetLabel: form?.name,
+                before: { status: form?.status || null },
+                after: { status: updates.status }
             });
+            await batch.commit();
         });
 
         await Promise.all(updatePromises);
@@ -1,23 +1,60 @@
+import {
+    DEFAULT_QUOTA_KEY,
+    registerQuotaKeys,
+    disableQuotaKey,
+    getQuotaBucketForUrl,
+    getQuotaBucket,
+    recordQuotaFromResponse,
+    recordQuotaFromRateLimit,
+    markQuotaExhausted,
+    acquireQuota
+} from './services/quota-service.js';
+
 // GitHub API Configuration and Functions
-// Token is injected from environment variables at build time
-// For local development, create a .env file with VITE_GITHUB_TOKEN
-// Build script will replace this placeholder with actual value
+// Tokens are injected from environment variables at build time
+// For local development, create a .env file with VITE_GITHUB_TOKEN and/or
+// VITE_GITHUB_TOKENS (comma-separated pool of additional tokens)
+// Build script will replace these placeholders with actual values
 const GITHUB_TOKEN = 'VITE_GITHUB_TOKEN';
+const GITHUB_TOKENS = 'VITE_GITHUB_TOKENS';
+
+/**
+ * Check whether an injected token value is usable (not empty or a placeholder)
+ * @param {string} token - Token value
+ * @returns {boolean} - True if the token can be sent
+ */
+function isUsableToken(token) {
+    return !!token && token !== 'VITE_GITHUB_TOKEN' && token !== 'VITE_GITHUB_TOKENS' && token.trim() !== '';
+}
 
-// Debug: Log token status (only first 4 chars for security)
+// Token pool - each token has its own quota; requests go to the one with the most left
+// Tokens are only referred to by label outside this module
+const tokenPool = [...new Set([GITHUB_TOKEN, ...GITHUB_TOKENS.split(',')].map(t => t.trim()).filter(isUsableToken))]
+    .map((token, index) => ({
+        id: `token-${index + 1}`,
+        label: `Token ${index + 1}`,
+        token,
+        status: 'active', // 'active' or 'invalid' (401 - revoked or expired)
+        lastError: null,
+        lastUsedAt: null
+    }));
+
+registerQuotaKeys(tokenPool.map(entry => entry.id));
+
+// Debug: Log token pool size (token values are never logged)
 if (typeof window !== 'undefined') {
-    const tokenStatus = GITHUB_TOKEN === 'VITE_GITHUB_TOKEN' 
-        ? 'NOT SET (placeholder)' 
-        : `SET (${GITHUB_TOKEN.substring(0, 4)}...)`;
+    const tokenStatus = tokenPool.length > 0 
+        ? `${tokenPool.length} token(s) configured` 
+        : 'NOT SET (placeholder)';
     console.log(`[GitHub API] Token status: ${tokenStatus}`);
 }
 
 // Cache for GitHub user data
 export let githubUserCache = {};
 
-// Rate limit tracking
-let rateLimitReset = null;
-let rateLimitRemaining = null;
+// Cache Storage bucket for ETag conditional requests
+// A 304 Not Modified response does not count against the rate limit
+const ETAG_CACHE_NAME = 'github-api-etag-cache-v1';
 
 /**
  * Clears the GitHub user cache
@@ -27,31 +64,152 @@ export function clearGitHubCache() {
 }
 
 /**
- * Check rate limit headers and wait if needed
- * @param {Response} response - Fetch response object
- * @returns {Promise<void>}
+ * Check whether at least one usable GitHub token is in the pool
+ * @returns {boolean} - True if requests are authenticated
  */
-async function handleRateLimit(response) {
-    const remaining = response.headers.get('X-RateLimit-Remaining');
-    const reset = response.headers.get('X-RateLimit-Reset');
+export function hasGitHubToken() {
+    return tokenPool.some(entry => entry.status !== 'invalid');
+}
+
+/**
+ * Pick the pool token with the most remaining quota for a bucket
+ * Ties go to the token whose bucket resets first
+ * @param {string} bucket - Quota bucket (core, search or graphql)
+ * @param {Set<string>} skip - Token IDs to skip for this request
+ * @returns {Object|null} - Token pool entry or null if none is usable
+ */
+function selectToken(bucket, skip = new Set()) {
+    const candidates = tokenPool.filter(entry => entry.status !== 'invalid' && !skip.has(entry.id));
+    if (candidates.length === 0) return null;
     
-    if (remaining !== null) {
-        rateLimitRemaining = parseInt(remaining, 10);
-    }
-    if (reset !== null) {
-        rateLimitReset = parseInt(reset, 10) * 1000; // Convert to milliseconds
+    return candidates.reduce((best, entry) => {
+        const quota = getQuotaBucket(bucket, true, entry.id);
+        const bestQuota = getQuotaBucket(bucket, true, best.id);
+        if (quota.remaining !== bestQuota.remaining) {
+            return quota.remaining > bestQuota.remaining ? entry : best;
+        }
+        return (quota.reset ?? Infinity) < (bestQuota.reset ?? Infinity) ? entry : best;
+    });
+}
+
+/**
+ * Take a token out of rotation after GitHub rejects its credentials
+ * @param {Object} entry - Token pool entry
+ * @param {string} reason - Error description
+ * @returns {void}
+ */
+function markTokenInvalid(entry, reason) {
+    entry.status = 'invalid';
+    entry.lastError = reason;
+    disableQuotaKey(entry.id);
+    console.warn(`[GitHub API] ${entry.label} removed from rotation: ${reason}`);
+}
+
+/**
+ * Get the health of each pool token without exposing token values
+ * @returns {Array<Object>} - [{id, label, status, lastError, lastUsedAt, core, search, graphql}]
+ */
+export function getGitHubTokenHealth() {
+    return tokenPool.map(entry => {
+        const core = getQuotaBucket('core', true, entry.id);
+        let status = 'healthy';
+        if (entry.status === 'invalid') {
+            status = 'invalid';
+        } else if (core.known && core.remaining === 0) {
+            status = 'exhausted';
+        } else if (entry.lastError) {
+            status = 'degraded';
+        }
+        
+        return {
+            id: entry.id,
+            label: entry.label,
+            status,
+            lastError: entry.lastError,
+            lastUsedAt: entry.lastUsedAt,
+            core,
+            search: getQuotaBucket('search', true, entry.id),
+            graphql: getQuotaBucket('graphql', true, entry.id)
+        };
+    });
+}
+
+/**
+ * Check whether a response is a (primary or secondary) rate-limit rejection
+ * @param {Response} response - Fetch response object
+ * @returns {boolean} - True if the request was rejected for rate limiting
+ */
+function isRateLimited(response) {
+    if (response.status === 429) return true;
+    return response.status === 403 && (
+        response.headers.get('X-RateLimit-Remaining') === '0' ||
+        response.headers.get('Retry-After') !== null
+    );
+}
+
+/**
+ * Mark the request's quota bucket exhausted so the retry waits for its reset
+ * (or moves to another pool token with quota left)
+ * Honors Retry-After (secondary limits) before falling back to X-RateLimit-Reset
+ * @param {string} url - Request URL
+ * @param {Response} response - Fetch response object
+ * @param {string} quotaKey - Quota key the request was charged to
+ * @returns {void}
+ */
+function handleRateLimit(url, response, quotaKey) {
+    const retryAfter = response.headers.get('Retry-After');
+    const retryAfterMs = retryAfter !== null ? parseInt(retryAfter, 10) * 1000 : null;
+    const bucket = response.headers.get('X-RateLimit-Resource') || getQuotaBucketForUrl(url);
+    markQuotaExhausted(bucket, Number.isFinite(retryAfterMs) ? retryAfterMs : null, quotaKey);
+}
+
+/**
+ * Open the ETag response cache
+ * @returns {Promise<Cache|null>} - Cache or null if Cache Storage is unavailable (e.g. non-HTTPS)
+ */
+async function openEtagCache() {
+    try {
+        if (typeof caches === 'undefined') return null;
+        return await caches.open(ETAG_CACHE_NAME);
+    } catch (error) {
+        return null;
     }
-    
-    // If we hit rate limit (429 or remaining is 0), wait until reset
-    if (response.status === 429 || (rateLimitRemaining !== null && rateLimitRemaining === 0)) {
-        const waitTime = rateLimitReset ? Math.max(0, rateLimitReset - Date.now() + 1000) : 60000;
-        console.warn(`Rate limit hit. Waiting ${Math.round(waitTime / 1000)}s before retrying...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
+}
+
+/**
+ * Store a successful response that carries an ETag
+ * @param {string} url - Request URL
+ * @param {Response} response - Fetch response (cloned before caching)
+ * @returns {Promise<void>}
+ */
+async function storeEtagResponse(url, response) {
+    if (!response.ok || !response.headers.get('ETag')) return;
+    const cache = await openEtagCache();
+    if (!cache) return;
+    try {
+        await cache.put(url, response.clone());
+    } catch (error) {
+        console.warn(`Could not cache GitHub response for ${url}:`, error.message);
     }
 }
 
+/**
+ * Clears cached ETag responses so the next requests fetch full data
+ * @returns {Promise<void>}
+ */
+export async function clearGitHubEtagCache() {
+    if (typeof caches === 'undefined') return;
+    await caches.delete(ETAG_CACHE_NAME);
+}
+
 /**
  * Make a GitHub API request with rate limit handling
+ * Each request goes to the pool token with the most remaining quota and
+ * reserves a call from its bucket (core, search or graphql) first, so an empty
+ * bucket waits for its reset instead of being overdrawn. A 401 takes the token
+ * out of rotation; a 403 retries the request on another token.
+ * GET requests send If-None-Match with a cached ETag and replay the cached
+ * response on 304 Not Modified, so unchanged resources cost no quota
  * @param {string} url - API endpoint URL
  * @param {Object} options - Fetch options
  * @param {number} maxRetries - Maximum retry attempts
@@ -62,28 +220,73 @@ async function githubApiRequest(url, options = {}, maxRetries = 3) {
         'Accept': 'application/vnd.github.v3+json',
         ...options.headers
     };
+    const bucket = getQuotaBucketForUrl(url);
     
-    // Add token if available and not placeholder
-    const hasToken = GITHUB_TOKEN && GITHUB_TOKEN !== 'VITE_GITHUB_TOKEN' && GITHUB_TOKEN.trim() !== '';
-    if (hasToken) {
-        headers['Authorization'] = `token ${GITHUB_TOKEN}`;
-    } else {
-        // Log warning if token is missing (only once per session)
-        if (!window._githubTokenWarningShown) {
-            console.warn('GitHub token not found or invalid. Using unauthenticated requests (60 req/hour limit). Set VITE_GITHUB_TOKEN in Netlify environment variables.');
-            window._githubTokenWarningShown = true;
+    // Conditional request for GETs we have a cached ETag for
+    const isGet = !options.method || options.method.toUpperCase() === 'GET';
+    let cachedResponse = null;
+    if (isGet) {
+        const cache = await openEtagCache();
+        cachedResponse = cache ? await cache.match(url) : null;
+        const etag = cachedResponse?.headers.get('ETag');
+        if (etag) {
+            headers['If-None-Match'] = etag;
         }
     }
     
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
+    if (!hasGitHubToken() && !window._githubTokenWarningShown) {
+        // Log warning if token is missing (only once per session)
+        console.warn('GitHub token not found or invalid. Using unauthenticated requests (60 req/hour limit). Set VITE_GITHUB_TOKEN in Netlify environment variables.');
+        window._githubTokenWarningShown = true;
+    }
+    
+    // Tokens that failed this request with 401/403
+    const failedTokens = new Set();
+    let lastResponse = null;
+    let attempt = 0;
+    
+    while (attempt < maxRetries) {
+        const authenticated = hasGitHubToken();
+        const entry = authenticated ? selectToken(bucket, failedTokens) : null;
+        if (authenticated && !entry) {
+            // Every usable token has failed this request
+            return lastResponse;
+        }
+        
+        const quotaKey = entry ? entry.id : DEFAULT_QUOTA_KEY;
+        if (entry) {
+            headers['Authorization'] = `token ${entry.token}`;
+            entry.lastUsedAt = new Date().toISOString();
+        } else {
+            delete headers['Authorization'];
+        }
+        
+        await acquireQuota(bucket, quotaKey);
+        
         const response = await fetch(url, { ...options, headers });
+        recordQuotaFromResponse(url, response, quotaKey);
+        lastResponse = response;
         
-        // Handle rate limiting
-        if (response.status === 429) {
-            await handleRateLimit(response);
-            // Retry after waiting
-            if (attempt < maxRetries - 1) {
-                continue; // Retry after waiting
+        // Unchanged since last fetch - replay the cached body
+        if (response.status === 304 && cachedResponse) {
+            if (entry) entry.lastError = null;
+            return cachedResponse;
+        }
+        
+        // Revoked or expired token - drop it from rotation and fail over
+        if (response.status === 401 && entry) {
+            markTokenInvalid(entry, '401 Unauthorized (bad credentials)');
+            failedTokens.add(entry.id);
+            continue;
+        }
+        
+        // Handle rate limiting (GitHub returns 429, or 403 for primary/secondary limits)
+        if (isRateLimited(response)) {
+            handleRateLimit(url, response, quotaKey);
+            attempt++;
+            // The next attempt picks a token with quota left, or waits for a reset
+            if (attempt < maxRetries) {
+                continue;
             }
             // If all retries exhausted, return the response
             return response;
@@ -91,30 +294,60 @@ async function githubApiRequest(url, options = {}, maxRetries = 3) {
         
         // Handle 403 Forbidden
         if (response.status === 403) {
-            // Check if it's a rate limit (GitHub sometimes returns 403 for rate limits)
-            const rateLimitRemaining = response.headers.get('X-RateLimit-Remaining');
-            if (rateLimitRemaining === '0') {
-                await handleRateLimit(response);
-                if (attempt < maxRetries - 1) {
-                    continue; // Retry after waiting
-                }
-            }
-            
-            // If 403 and no token, log and return
-            if (!hasToken) {
-                console.warn(`GitHub API 403 Forbidden - token may be missing or invalid. Skipping request to ${url}`);
-            } else {
-                console.warn(`GitHub API 403 Forbidden - token may be invalid or expired. Request: ${url}`);
+            if (entry) {
+                // e.g. SSO enforcement or missing scope - another token may have access
+                entry.lastError = '403 Forbidden';
+                failedTokens.add(entry.id);
+                console.warn(`GitHub API 403 Forbidden with ${entry.label}. Trying another token if available. Request: ${url}`);
+                continue;
             }
+            console.warn(`GitHub API 403 Forbidden - token may be missing or invalid. Skipping request to ${url}`);
             return response; // Return the response but don't throw
         }
         
         // Success or other status codes
+        if (entry && response.ok) {
+            entry.lastError = null;
+        }
+        if (isGet) {
+            await storeEtagResponse(url, response);
+        }
         return response;
     }
     
-    // Should never reach here, but just in case
-    return fetch(url, { ...options, headers });
+    return lastResponse;
+}
+
+/**
+ * Fetch current quota for every rate-limit bucket of every pool token
+ * GET /rate_limit does not count against any limit
+ * @returns {Promise<void>}
+ */
+export async function fetchGitHubRateLimit() {
+    const entries = tokenPool.length > 0
+        ? tokenPool.filter(entry => entry.status !== 'invalid')
+        : [null];
+    
+    await Promise.all(entries.map(async (entry) => {
+        try {
+            const headers = { 'Accept': 'application/vnd.github.v3+json' };
+            if (entry) {
+                headers['Authorization'] = `token ${entry.token}`;
+            }
+            
+            const response = await fetch('https://api.github.com/rate_limit', { headers, cache: 'no-store' });
+            if (response.status === 401 && entry) {
+                markTokenInvalid(entry, '401 Unauthorized (bad credentials)');
+                return;
+            }
+            if (!response.ok) return;
+            
+            const data = await response.json();
+            recordQuotaFromRateLimit(data.resources, entry ? entry.id : DEFAULT_QUOTA_KEY);
+        } catch (error) {
+            console.warn(`Could not fetch GitHub rate limit status${entry ? ` for ${entry.label}` : ''}:`, error.message);
+        }
+    }));
 }
 
 /**
@@ -169,6 +402,144 @@ export async function fetchGitHubUserInfo(githubUsername, useCache = true) {
     }
 }
 
+/**
+ * Fetch a GitHub API resource that may not exist
+ * Unlike the activity fetchers, lookups used to check form answers must tell
+ * "does not exist" apart from "could not ask GitHub"
+ * @param {string} url - API endpoint URL
+ * @returns {Promise<Object|null>} - Response body, or null on 404 (and on 204, e.g. contributors of an empty repository)
+ * @throws {Error} If GitHub could not be reached, refused the request or is rate limiting
+ */
+async function fetchGitHubResource(url) {
+    const response = await githubApiRequest(url);
+    if (response?.status === 404 || response?.status === 204) return null;
+    if (!response?.ok) {
+        throw new Error(`GitHub API error: ${response ? response.status : 'no response'}`);
+    }
+    return response.json();
+}
+
+/**
+ * Look up a GitHub user to check that the account exists
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<{username: string, name: string|null, avatar_url: string, html_url: string}|null>} - Account, or null if it does not exist
+ * @throws {Error} If GitHub could not be reached
+ */
+export async function lookupGitHubUser(githubUsername) {
+    const user = await fetchGitHubResource(`https://api.github.com/users/${encodeURIComponent(githubUsername)}`);
+    if (!user) return null;
+    return {
+        username: user.login,
+        name: user.name || null,
+        avatar_url: user.avatar_url,
+        html_url: user.html_url
+    };
+}
+
+/**
+ * Look up a repository by its full name
+ * @param {string} fullName - Repository as owner/name
+ * @returns {Promise<{full_name: string, description: string, url: string, language: string|null, stars: number, is_private: boolean}|null>}
+ *   Repository, or null if it does not exist (or is private to the token)
+ * @throws {Error} If GitHub could not be reached
+ */
+export async function lookupGitHubRepository(fullName) {
+    const [owner, name] = fullName.split('/');
+    const repo = await fetchGitHubResource(`https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`);
+    if (!repo) return null;
+    return {
+        full_name: repo.full_name,
+        description: repo.description || '',
+        url: repo.html_url,
+        language: repo.language || null,
+        stars: repo.stargazers_count || 0,
+        is_private: repo.private
+    };
+}
+
+/**
+ * Look up a pull request or issue
+ * GitHub's issues endpoint serves both; pull requests carry a `pull_request`
+ * object whose `merged_at` tells merged apart from closed
+ * @param {{owner: string, repo: string, number: number}} ref - Parsed URL (see parseGitHubIssueUrl)
+ * @returns {Promise<{kind: string, number: number, title: string, state: string, repo: string, author: string|null, url: string}|null>}
+ *   Details with kind 'pull' or 'issue' and state 'open', 'closed' or 'merged'; null if it does not exist
+ * @throws {Error} If GitHub could not be reached
+ */
+export async function lookupGitHubIssueOrPullRequest({ owner, repo, number }) {
+    const item = await fetchGitHubResource(
+        `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}/issues/${number}`
+    );
+    if (!item) return null;
+
+    const isPull = !!item.pull_request;
+    return {
+        kind: isPull ? 'pull' : 'issue',
+        number: item.number,
+        title: item.title,
+        state: isPull && item.pull_request.merged_at ? 'merged' : item.state,
+        repo: item.repository_url ? item.repository_url.split('/repos/')[1] : `${owner}/${repo}`,
+        author: item.user?.login || null,
+        url: item.html_url
+    };
+}
+
+/**
+ * Fetch health metrics for a repository
+ * Time to merge is the median over merged pull requests among the 100 most
+ * recently updated closed ones; contributors are the top 100 by commits
+ * @param {string} fullName - Repository as owner/name
+ * @returns {Promise<Object|null>} - {fullName, url, description, stars, forks, openIssues, openPullRequests,
+ *   medianMergeHours, mergedSample, lastRelease, contributors, archived, pushedAt}, or null if the repository does not exist
+ * @throws {Error} If GitHub could not be reached
+ */
+export async function fetchRepositoryHealth(fullName) {
+    const [owner, name] = fullName.split('/');
+    const base = `https://api.github.com/repos/${encodeURIComponent(owner)}/${encodeURIComponent(name)}`;
+    const repo = await fetchGitHubResource(base);
+    if (!repo) return null;
+
+    const [openPullRequests, closedPulls, release, contributors] = await Promise.all([
+        fetchSearchTotalCount('issues', `repo:${repo.full_name} type:pr is:open`),
+        fetchGitHubResource(`${base}/pulls?state=closed&sort=updated&direction=desc&per_page=100`),
+        fetchGitHubResource(`${base}/releases/latest`),
+        fetchGitHubResource(`${base}/contributors?per_page=100`)
+    ]);
+
+    const mergeHours = (closedPulls || [])
+        .filter(pr => pr.merged_at)
+        .map(pr => (new Date(pr.merged_at) - new Date(pr.created_at)) / 3600000)
+        .sort((a, b) => a - b);
+    const middle = Math.floor(mergeHours.length / 2);
+    const medianMergeHours = mergeHours.length === 0
+        ? null
+        : mergeHours.length % 2 ? mergeHours[middle] : (mergeHours[middle - 1] + mergeHours[middle]) / 2;
+
+    return {
+        fullName: repo.full_name,
+        url: repo.html_url,
+        description: repo.description || '',
+        stars: repo.stargazers_count || 0,
+        forks: repo.forks_count || 0,
+        // open_issues_count includes open pull requests
+        openIssues: Math.max(0, (repo.open_issues_count || 0) - openPullRequests),
+        openPullRequests,
+        medianMergeHours: medianMergeHours === null ? null : Math.round(medianMergeHours * 10) / 10,
+        mergedSample: mergeHours.length,
+        lastRelease: release ? {
+            tag: release.tag_name,
+            name: release.name || release.tag_name,
+            publishedAt: release.published_at,
+            url: release.html_url
+        } : null,
+        contributors: (contributors || [])
+            .filter(contributor => contributor.type !== 'Bot')
+            .map(contributor => ({ login: contributor.login, contributions: contributor.contributions || 0 })),
+        archived: !!repo.archived,
+        pushedAt: repo.pushed_at || null
+    };
+}
+
 /**
  * Fallback: Count PRs repo-by-repo with pagination
  * Used when Search API fails or returns 1000 (limit)
@@ -311,10 +682,213 @@ async function countCommitsByRepos(repos, githubUsername) {
     return totalCommits;
 }
 
+// GitHub rejects search queries longer than 256 characters
+const SEARCH_QUERY_MAX_LENGTH = 256;
+
+/**
+ * Build search queries restricting a base query to the tracked scope
+ * Multiple org:/repo: qualifiers in one query are OR-ed by GitHub; long scopes
+ * are split across several queries so each stays under the length limit
+ * @param {Object} scope - Tracked scope {orgs, repos}
+ * @param {string} baseQuery - Query without scope qualifiers
+ * @returns {Array<string>} - Queries whose counts add up to the scoped total
+ */
+function buildScopedQueries(scope, baseQuery) {
+    const qualifiers = [
+        ...(scope.orgs || []).map(org => `org:${org}`),
+        ...(scope.repos || []).map(repo => `repo:${repo}`)
+    ];
+    
+    const chunks = [];
+    let current = [];
+    qualifiers.forEach(qualifier => {
+        const candidate = [baseQuery, ...current, qualifier].join(' ');
+        if (current.length > 0 && candidate.length > SEARCH_QUERY_MAX_LENGTH) {
+            chunks.push(current);
+            current = [];
+        }
+        current.push(qualifier);
+    });
+    if (current.length > 0) chunks.push(current);
+    
+    return chunks.map(chunk => [baseQuery, ...chunk].join(' '));
+}
+
+/**
+ * Get the total_count of a search query without fetching results
+ * @param {string} endpoint - Search endpoint ('commits' or 'issues')
+ * @param {string} searchQuery - Search query
+ * @returns {Promise<number>} - Total matching items
+ * @throws {Error} If the search fails - including 422, which GitHub returns for the
+ *   whole query when any repo:/org:/user qualifier doesn't exist or isn't visible,
+ *   so it must not be read as a count of 0
+ */
+async function fetchSearchTotalCount(endpoint, searchQuery) {
+    const response = await githubApiRequest(
+        `https://api.github.com/search/${endpoint}?q=${encodeURIComponent(searchQuery)}&per_page=1`
+    );
+    
+    if (response.status === 422) {
+        throw new Error(`GitHub rejected the search "${searchQuery}" - check that every organization, repository and user in it exists and is visible to the token`);
+    }
+    if (!response.ok) {
+        throw new Error(`Search API failed for "${searchQuery}" (status: ${response.status})`);
+    }
+    
+    const data = await response.json();
+    return data.total_count || 0;
+}
+
+/**
+ * Count a user's contributions inside the tracked organizations and repositories
+ * Reported separately from lifetime global totals
+ * @param {string} githubUsername - GitHub username
+ * @param {Object} scope - Tracked scope {orgs: Array<string>, repos: Array<string>} (repos as owner/name)
+ * @returns {Promise<Object|null>} - Scoped counts or null if the scope is empty
+ * @throws {Error} If any search fails, e.g. a tracked org or repo no longer exists
+ */
+export async function fetchScopedContributions(githubUsername, scope) {
+    if (!scope || ((scope.orgs || []).length === 0 && (scope.repos || []).length === 0)) {
+        return null;
+    }
+    
+    const searches = {
+        commits: ['commits', `author:${githubUsername}`],
+        pullRequests: ['issues', `author:${githubUsername} type:pr`],
+        mergedPRs: ['issues', `author:${githubUsername} type:pr is:merged`],
+        openPRs: ['issues', `author:${githubUsername} type:pr is:open`],
+        issues: ['issues', `author:${githubUsername} type:issue`]
+    };
+    
+    const counts = {};
+    for (const [key, [endpoint, baseQuery]] of Object.entries(searches)) {
+        counts[key] = 0;
+        for (const searchQuery of buildScopedQueries(scope, baseQuery)) {
+            counts[key] += await fetchSearchTotalCount(endpoint, searchQuery);
+        }
+    }
+    
+    return {
+        ...counts,
+        closedPRs: Math.max(0, counts.pullRequests - counts.mergedPRs - counts.openPRs),
+        orgs: [...(scope.orgs || [])],
+        repos: [...(scope.repos || [])]
+    };
+}
+
+/**
+ * Review, issue and discussion fields stored on GitHubActivity
+ * @type {Array<string>}
+ */
+export const ENGAGEMENT_FIELDS = [
+    'reviews',
+    'reviewComments',
+    'issuesOpened',
+    'issuesClosed',
+    'issueComments',
+    'discussions',
+    'discussionComments'
+];
+
+const ENGAGEMENT_QUERY = `
+    query($login: String!) {
+        user(login: $login) {
+            issuesOpened: issues { totalCount }
+            issueComments { totalCount }
+            repositoryDiscussions { totalCount }
+            repositoryDiscussionComments { totalCount }
+            contributionsCollection {
+                pullRequestReviewContributions(first: 100, orderBy: { direction: DESC }) {
+                    nodes {
+                        pullRequestReview {
+                            comments { totalCount }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+const USER_EVENTS_MAX_PAGES = 3; // GitHub serves at most 300 events from the last 90 days
+
+/**
+ * Count issues the user closed (on anyone's issue) from their public event feed
+ * GitHub keeps no lifetime count of closures by a user, and the feed only goes
+ * back 90 days / 300 events, so this is a recent-triage figure
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<number|null>} - Issues closed, or null if the feed could not be read
+ */
+async function fetchIssuesClosedByUser(githubUsername) {
+    let closed = 0;
+    for (let page = 1; page <= USER_EVENTS_MAX_PAGES; page++) {
+        const response = await githubApiRequest(
+            `https://api.github.com/users/${encodeURIComponent(githubUsername)}/events?per_page=100&page=${page}`
+        );
+        if (!response?.ok) return page === 1 ? null : closed;
+        
+        const events = await response.json();
+        closed += events.filter(event => event.type === 'IssuesEvent' && event.payload?.action === 'closed').length;
+        if (events.length < 100) break;
+    }
+    return closed;
+}
+
+/**
+ * Fetch code review, issue and discussion activity
+ * Reviews count pull requests by others that the user reviewed (Search API);
+ * review comments cover the user's 100 most recent reviews in the last year,
+ * which is as far back as GitHub's contribution data goes. Issues opened are
+ * issues the user authored; issues closed are issues the user closed in the
+ * last 90 days (public event feed). Fields are null when unavailable.
+ * @param {string} githubUsername - GitHub username
+ * @returns {Promise<Object|null>} - Counts keyed by ENGAGEMENT_FIELDS, or null without a token
+ */
+export async function fetchEngagementActivity(githubUsername) {
+    if (!hasGitHubToken()) {
+        return null;
+    }
+    
+    const engagement = Object.fromEntries(ENGAGEMENT_FIELDS.map(field => [field, null]));
+    
+    try {
+        engagement.reviews = await fetchSearchTotalCount(
+            'issues',
+            `type:pr reviewed-by:${githubUsername} -author:${githubUsername}`
+        );
+    } catch (err) {
+        console.warn(`Error fetching review count for ${githubUsername}:`, err.message);
+    }
+    
+    try {
+        engagement.issuesClosed = await fetchIssuesClosedByUser(githubUsername);
+    } catch (err) {
+        console.warn(`Error fetching closed issues for ${githubUsername}:`, err.message);
+    }
+    
+    const data = await githubGraphQLRequest(ENGAGEMENT_QUERY, { login: githubUsername });
+    const user = data?.user;
+    if (user) {
+        const reviewNodes = user.contributionsCollection?.pullRequestReviewContributions?.nodes || [];
+        engagement.reviewComments = reviewNodes.reduce(
+            (sum, node) => sum + (node?.pullRequestReview?.comments?.totalCount || 0), 0
+        );
+        engagement.issuesOpened = user.issuesOpened?.totalCount ?? null;
+        engagement.issueComments = user.issueComments?.totalCount ?? null;
+        engagement.discussions = user.repositoryDiscussions?.totalCount ?? null;
+        engagement.discussionComments = user.repositoryDiscussionComments?.totalCount ?? null;
+    }
+    
+    return engagement;
+}
+
 /**
  * Get user activity snapshot
+ * Global counts cover all of GitHub; when opts.scope is given, contributions
+ * inside the tracked orgs/repos are returned separately under `scoped`.
+ * Reviews, comments and discussions are returned under `engagement`
  * @param {string} githubUsername - GitHub username
- * @param {Object} opts - Options (from, to, prsFirst, lifetime)
+ * @param {Object} opts - Options (from, to, prsFirst, lifetime, scope)
  * @returns {Promise<Object>} - Activity snapshot
  */
 export async function getUserActivitySnapshot(githubUsername, opts = {}) {
@@ -349,6 +923,26 @@ export async function getUserActivitySnapshot(githubUsername, opts = {}) {
         let issues = 0;
         let recentPRs = [];
         
+        // Scoped counts don't depend on the member owning any repositories
+        let scoped = null;
+        try {
+            scoped = await fetchScopedContributions(githubUsername, opts.scope);
+        } catch (err) {
+            // Previous scoped counts are kept rather than overwritten with zeros
+            console.warn(`Error fetching scoped contributions for ${githubUsername}:`, err.message);
+        }
+        
+        // Reviews and discussions don't depend on owning repositories either
+        let engagement = null;
+        try {
+            engagement = await fetchEngagementActivity(githubUsername);
+            if (engagement?.issuesOpened !== null && engagement?.issuesOpened !== undefined) {
+                issues = engagement.issuesOpened;
+            }
+        } catch (err) {
+            console.warn(`Error fetching review and discussion activity for ${githubUsername}:`, err.message);
+        }
+        
         try {
             // Get user's repositories (lifetime - all repos)
             const repos = await fetchUserRepositories(githubUsername, 100);
@@ -365,10 +959,12 @@ export async function getUserActivitySnapshot(githubUsername, opts = {}) {
                     mergedPRs: 0,
                     openPRs: 0,
                     closedPRs: 0,
-                    issues: 0,
+                    issues,
                     recentPRs: [],
                     totalStars: 0,
-                    totalForks: 0
+                    totalForks: 0,
+                    scoped,
+                    engagement
                 };
             }
             
@@ -406,7 +1002,7 @@ export async function getUserActivitySnapshot(githubUsername, opts = {}) {
             }
             
             // Fetch PRs using GitHub Search API to get total count directly
-            if (GITHUB_TOKEN && GITHUB_TOKEN !== 'VITE_GITHUB_TOKEN' && GITHUB_TOKEN.trim() !== '') {
+            if (hasGitHubToken()) {
                 try {
                     console.log(`Fetching total PR count for ${githubUsername} using Search API...`);
                     const prsSearchResponse = await githubApiRequest(
@@ -569,7 +1165,9 @@ export async function getUserActivitySnapshot(githubUsername, opts = {}) {
             issues: issues,
             recentPRs: recentPRs,
             totalStars: 0, // Will be calculated from repos in github-refresh.js
-            totalForks: 0  // Will be calculated from repos in github-refresh.js
+            totalForks: 0, // Will be calculated from repos in github-refresh.js
+            scoped: scoped, // Contributions inside tracked orgs/repos (null if no scope)
+            engagement: engagement // Reviews, issue comments and discussions (null without a token)
         };
     } catch (error) {
         console.error(`Error in getUserActivitySnapshot for ${githubUsername}:`, error);
@@ -600,7 +1198,7 @@ export async function getUserActivitySnapshot(githubUsername, opts = {}) {
 export async function fetchUserLanguages(githubUsername, limit = 100) {
     try {
         // Return empty object if no token or token is placeholder
-        if (!GITHUB_TOKEN || GITHUB_TOKEN === 'VITE_GITHUB_TOKEN' || GITHUB_TOKEN.trim() === '') {
+        if (!hasGitHubToken()) {
             return {};
         }
         
@@ -725,26 +1323,199 @@ export async function fetchUserRepositories(githubUsername, limit = 100) {
     }
 }
 
+/**
+ * Make a GitHub GraphQL API request
+ * GraphQL always requires authentication, so callers must check for a token first
+ * @param {string} query - GraphQL query string
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object|null>} - Response data or null on failure
+ */
+async function githubGraphQLRequest(query, variables = {}) {
+    const response = await githubApiRequest('https://api.github.com/graphql', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query, variables })
+    });
+    
+    if (!response.ok) {
+        console.warn(`GitHub GraphQL API error: ${response.status} - ${response.statusText}`);
+        return null;
+    }
+    
+    const result = await response.json();
+    if (result.errors && result.errors.length > 0) {
+        console.warn('GitHub GraphQL errors:', result.errors.map(e => e.message).join('; '));
+    }
+    return result.data || null;
+}
+
+// GraphQL contribution levels mapped to heatmap intensity (0-4)
+const CONTRIBUTION_LEVELS = {
+    NONE: 0,
+    FIRST_QUARTILE: 1,
+    SECOND_QUARTILE: 2,
+    THIRD_QUARTILE: 3,
+    FOURTH_QUARTILE: 4
+};
+
+const CONTRIBUTION_CALENDAR_QUERY = `
+    query($login: String!, $from: DateTime!, $to: DateTime!) {
+        user(login: $login) {
+            contributionsCollection(from: $from, to: $to) {
+                contributionCalendar {
+                    totalContributions
+                    weeks {
+                        contributionDays {
+                            date
+                            contributionCount
+                            contributionLevel
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
 /**
  * Fetch contribution calendar
+ * Days are flattened into a single array because Firestore does not allow nested arrays
  * @param {string} login - GitHub username
+ * @param {Object} opts - Options
+ * @param {number} opts.days - Number of days to cover, ending today (default: 365, max: 365)
  * @returns {Promise<Object|null>} - Contribution calendar data
  */
-export async function fetchContributionCalendar(login) {
+export async function fetchContributionCalendar(login, { days = 365 } = {}) {
     try {
         // Return null if no token or token is placeholder
-        if (!GITHUB_TOKEN || GITHUB_TOKEN === 'VITE_GITHUB_TOKEN') {
+        if (!hasGitHubToken()) {
             return null;
         }
         
-        // This would require GraphQL API - simplified version
-        return null;
+        // GitHub rejects contributionsCollection ranges longer than one year
+        const to = new Date();
+        const from = new Date(to);
+        from.setDate(from.getDate() - Math.min(days, 365));
+        
+        const data = await githubGraphQLRequest(CONTRIBUTION_CALENDAR_QUERY, {
+            login,
+            from: from.toISOString(),
+            to: to.toISOString()
+        });
+        
+        const calendar = data?.user?.contributionsCollection?.contributionCalendar;
+        if (!calendar) {
+            return null;
+        }
+        
+        const calendarDays = [];
+        (calendar.weeks || []).forEach(week => {
+            (week.contributionDays || []).forEach(day => {
+                calendarDays.push({
+                    date: day.date,
+                    count: day.contributionCount || 0,
+                    level: CONTRIBUTION_LEVELS[day.contributionLevel] || 0
+                });
+            });
+        });
+        
+        return {
+            totalContributions: calendar.totalContributions || 0,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            days: calendarDays
+        };
     } catch (error) {
         console.error(`Error in fetchContributionCalendar for ${login}:`, error);
         return null;
     }
 }
 
+/**
+ * Rolling activity windows (in days) counted during a refresh
+ * @type {Array<number>}
+ */
+export const ACTIVITY_WINDOWS = [7, 30, 90, 365];
+
+/**
+ * Build a GraphQL query that reads one contributionsCollection per window
+ * Each window is aliased (w7, w30, ...) so all windows cost a single request
+ * @param {Array<number>} windows - Window lengths in days
+ * @returns {string} - GraphQL query string
+ */
+function buildActivityWindowsQuery(windows) {
+    const params = windows.map(days => `$from${days}: DateTime!`).join(', ');
+    const fields = windows.map(days => `
+            w${days}: contributionsCollection(from: $from${days}, to: $to) {
+                totalCommitContributions
+                totalPullRequestContributions
+                totalPullRequestReviewContributions
+                totalIssueContributions
+            }`).join('');
+    
+    return `
+    query($login: String!, $to: DateTime!, ${params}) {
+        user(login: $login) {${fields}
+        }
+    }
+`;
+}
+
+/**
+ * Fetch commit, PR, review and issue counts inside rolling windows ending now
+ * Counts come from GitHub's contribution data, so they follow the same rules
+ * as the profile graph (default branches, non-fork repositories)
+ * @param {string} login - GitHub username
+ * @param {Object} opts - Options
+ * @param {Array<number>} opts.windows - Window lengths in days (default: ACTIVITY_WINDOWS, max: 365)
+ * @returns {Promise<Object|null>} - Counts keyed by window length, or null without a token
+ */
+export async function fetchActivityWindows(login, { windows = ACTIVITY_WINDOWS } = {}) {
+    try {
+        // GraphQL requires a token
+        if (!hasGitHubToken()) {
+            return null;
+        }
+        
+        // GitHub rejects contributionsCollection ranges longer than one year
+        const lengths = [...new Set(windows.map(days => Math.min(Math.round(days), 365)))]
+            .filter(days => days > 0);
+        if (!lengths.length) {
+            return null;
+        }
+        
+        const to = new Date();
+        const variables = { login, to: to.toISOString() };
+        lengths.forEach(days => {
+            const from = new Date(to);
+            from.setDate(from.getDate() - days);
+            variables[`from${days}`] = from.toISOString();
+        });
+        
+        const data = await githubGraphQLRequest(buildActivityWindowsQuery(lengths), variables);
+        if (!data?.user) {
+            return null;
+        }
+        
+        const result = { computedAt: to.toISOString() };
+        lengths.forEach(days => {
+            const collection = data.user[`w${days}`];
+            if (!collection) return;
+            result[days] = {
+                commits: collection.totalCommitContributions || 0,
+                pullRequests: collection.totalPullRequestContributions || 0,
+                reviews: collection.totalPullRequestReviewContributions || 0,
+                issues: collection.totalIssueContributions || 0
+            };
+        });
+        
+        return result;
+    } catch (error) {
+        console.error(`Error in fetchActivityWindows for ${login}:`, error);
+        return null;
+    }
+}
+
 /**
  * Fetch user pull requests
  * @param {string} githubUsername - GitHub username
@@ -755,7 +1526,7 @@ export async function fetchContributionCalendar(login) {
 export async function fetchUserPullRequests(githubUsername, state = 'all', limit = 50) {
     try {
         // Return empty array if no token or token is placeholder
-        if (!GITHUB_TOKEN || GITHUB_TOKEN === 'VITE_GITHUB_TOKEN' || GITHUB_TOKEN.trim() === '') {
+        if (!hasGitHubToken()) {
             console.warn('GitHub token not available, cannot fetch pull requests');
             return [];
         }
@@ -901,7 +1672,7 @@ export async function fetchUserPullRequests(githubUsername, state = 'all', limit
 export async function fetchRecentCommits(githubUsername, limit = 30) {
     try {
         // Return empty array if no token or token is placeholder
-        if (!GITHUB_TOKEN || GITHUB_TOKEN === 'VITE_GITHUB_TOKEN' || GITHUB_TOKEN.trim() === '') {
+        if (!hasGitHubToken()) {
             return [];
         }
         
@@ -4,206 +4,656 @@
  * @module github-refresh
  */
 import { getMembers, loadMembersData } from './data-store.js';
-import { getUserActivitySnapshot, fetchUserRepositories, fetchUserLanguages } from './github-api.js';
-import { doc, updateDoc, db } from '../firebase-config.js';
+import {
+    getUserActivitySnapshot,
+    fetchUserRepositories,
+    fetchUserLanguages,
+    fetchContributionCalendar,
+    fetchActivityWindows,
+    ACTIVITY_WINDOWS,
+    ENGAGEMENT_FIELDS,
+    fetchGitHubRateLimit,
+    hasGitHubToken
+} from './github-api.js';
+import { doc, getDoc, setDoc, updateDoc, writeBatch, db } from '../firebase-config.js';
 import { handleError, showLoading, hideLoading, showToast } from './utils.js';
-import { calculateClubStats } from './services/stats-service.js';
+import { calculateClubStats, calculateEventStats, calculateProjectStats } from './services/stats-service.js';
+import { loadEvents } from './services/event-service.js';
+import { loadProjects } from './services/project-service.js';
 import { loadDashboard } from './dashboard.js';
-import { setLoadingState, updateLoadingProgress, clearAllLoadingStates } from './services/loading-service.js';
+import { setLoadingState, updateLoadingProgress } from './services/loading-service.js';
+import { getCurrentUser, requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { getAppSettings, getTrackedScope, hasTrackedScope } from './services/settings-service.js';
+import { recordMemberSnapshot, recordClubSnapshot } from './services/history-service.js';
+import { saveLeaderboard } from './services/leaderboard-service.js';
+import { planRefreshBudget, waitForQuotaBudget } from './services/quota-service.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './services/audit-service.js';
+
+const REFRESH_JOBS_COLLECTION = 'RefreshJobs';
+const ACTIVE_JOB_KEY = 'github_refresh_job_id';
+
+// Optimized batch size and delay - faster processing
+// Without token: 60 requests/hour, with token: 5000 requests/hour
+const BATCH_SIZE = 3; // Process 3 members at a time
+const DELAY_BETWEEN_BATCHES = 1000; // 1 second delay between batches
+const MEMBER_TIMEOUT_MS = 60000; // 60 second timeout per member
+
+let isRunning = false;
+let pauseRequested = false;
+
+/**
+ * Check whether a member's GitHub data is older than the staleness window
+ * @param {Object} member - Member object
+ * @param {number} staleHours - Staleness window in hours (0 = always stale)
+ * @returns {boolean} - True if the member should be refreshed
+ */
+export function isMemberStale(member, staleHours) {
+    if (!staleHours || staleHours <= 0) return true;
+    
+    const lastUpdated = member.githubActivity?.lastUpdated;
+    if (!lastUpdated) return true;
+    
+    const updatedAt = new Date(lastUpdated).getTime();
+    if (isNaN(updatedAt)) return true;
+    
+    return Date.now() - updatedAt > staleHours * 60 * 60 * 1000;
+}
 
 /**
  * Start background GitHub refresh with batching and progress UI
+ * Creates a persisted refresh job so progress survives reloads and can be resumed
+ * Members refreshed within the configured staleness window are skipped
  * @param {Object} options - Refresh options
- * @param {number} options.days - Number of days (default: 365, unused in lifetime mode)
+ * @param {number} options.days - Longest rolling activity window to count, in days (default: 365, max: 365)
+ * @param {boolean} options.force - Refresh every member regardless of staleness (default: false)
  * @returns {Promise<void>}
  */
-export async function startBackgroundGitHubRefresh({ days = 365 } = {}) {
+export async function startBackgroundGitHubRefresh({ days = 365, force = false } = {}) {
+    if (!requirePermission(PERMISSIONS.REFRESH_GITHUB)) return;
+    if (isRunning) {
+        showToast('A GitHub refresh is already running.', 'info');
+        return;
+    }
+    
     try {
-        // Use loading service for better state management
-        setLoadingState('github-refresh', true, { message: 'Starting GitHub refresh...', progress: 0 });
+        // Offer to resume an unfinished job instead of starting over
+        const existingJob = await loadActiveRefreshJob();
+        if (existingJob && existingJob.status !== 'completed') {
+            const counts = getJobCounts(existingJob);
+            if (confirm(`An unfinished refresh exists (${counts.done + counts.failed}/${counts.total} members processed). Resume it instead of starting over?`)) {
+                await resumeGitHubRefresh();
+                return;
+            }
+        }
+        
+        const connected = getMembers().filter(m => m.githubConnected && m.githubUsername);
+        
+        if (!connected.length) {
+            showToast('No members with GitHub connected.', 'info');
+            return;
+        }
         
-        const progressBar = document.getElementById('refreshProgressBar');
-        const progressText = document.getElementById('refreshProgressText');
-        const progressWrap = document.getElementById('refreshProgressWrap');
-        const members = getMembers().filter(m => m.githubConnected && m.githubUsername);
+        const staleHours = force ? 0 : Number(getAppSettings().refreshStaleHours) || 0;
+        const members = connected.filter(m => isMemberStale(m, staleHours));
+        const skipped = connected.length - members.length;
         
         if (!members.length) {
-            clearAllLoadingStates();
-            if (progressWrap) progressWrap.style.display = 'none';
+            showToast(`All ${connected.length} members were refreshed within the last ${staleHours} hours. Nothing to do.`, 'info', 5000);
             return;
         }
+        
+        if (skipped > 0) {
+            console.log(`Skipping ${skipped} members refreshed within the last ${staleHours} hours`);
+        }
+        
+        // Plan against the live budget; batches wait for resets rather than overdrawing
+        await fetchGitHubRateLimit();
+        const plan = planRefreshBudget(members, { hasToken: hasGitHubToken(), scoped: hasTrackedScope() });
+        console.log('GitHub refresh budget plan:', plan);
+        if (!plan.fitsNow) {
+            const resetText = plan.resetAt ? ` at ${new Date(plan.resetAt).toLocaleTimeString()}` : '';
+            showToast(
+                `Estimated ${plan.estimate.core} API calls exceed the remaining quota. ${plan.membersThisWindow} of ${members.length} members fit now; the rest will continue after the quota resets${resetText}.`,
+                'warning',
+                8000
+            );
+        }
+        
+        const job = await createRefreshJob(members, days, skipped);
+        await runRefreshJob(job);
+    } catch (error) {
+        setLoadingState('github-refresh', false);
+        handleError(error, { module: 'github-refresh', action: 'startBackgroundGitHubRefresh' });
+        showToast('Error refreshing GitHub data. Please try again.', 'error');
+    }
+}
 
-        let completed = 0;
-        let errorCount = 0;
-        // Optimized batch size and delay - faster processing
-        // Without token: 60 requests/hour, with token: 5000 requests/hour
-        // We now check fewer repos (5 instead of 10) and handle 409 errors gracefully
-        const batchSize = 3; // Process 3 members at a time
-        const delayBetween = 1000; // 1 second delay between batches
+/**
+ * Request the running refresh to pause after the current batch
+ * @returns {void}
+ */
+export function pauseGitHubRefresh() {
+    if (!isRunning || !requirePermission(PERMISSIONS.REFRESH_GITHUB)) return;
+    pauseRequested = true;
+    const progressText = document.getElementById('refreshProgressText');
+    if (progressText) progressText.textContent = 'Pausing after current batch...';
+}
 
-        if (progressWrap) progressWrap.style.display = 'block';
+/**
+ * Resume the active refresh job from its last checkpoint
+ * Members interrupted mid-fetch are re-queued
+ * @returns {Promise<void>}
+ */
+export async function resumeGitHubRefresh() {
+    if (isRunning || !requirePermission(PERMISSIONS.REFRESH_GITHUB)) return;
+    
+    try {
+        const job = await loadActiveRefreshJob();
+        if (!job) {
+            showToast('No refresh job to resume.', 'info');
+            return;
+        }
+        
+        Object.values(job.members).forEach(entry => {
+            if (entry.status === 'in-progress') entry.status = 'queued';
+        });
         
-        const updateUI = () => {
-            const pct = Math.round((completed / members.length) * 100);
-            // Update loading service
-            updateLoadingProgress('github-refresh', pct, `Refreshing ${completed}/${members.length} members...`);
-            // Also update UI elements directly for backward compatibility
-            if (progressBar) progressBar.style.width = pct + '%';
-            if (progressText) progressText.textContent = `Refreshing ${completed}/${members.length} members...`;
+        await runRefreshJob(job);
+    } catch (error) {
+        setLoadingState('github-refresh', false);
+        handleError(error, { module: 'github-refresh', action: 'resumeGitHubRefresh' });
+    }
+}
+
+/**
+ * Re-queue only the failed members of the active job and run them again
+ * @returns {Promise<void>}
+ */
+export async function retryFailedGitHubRefresh() {
+    if (isRunning || !requirePermission(PERMISSIONS.REFRESH_GITHUB)) return;
+    
+    try {
+        const job = await loadActiveRefreshJob();
+        if (!job) {
+            showToast('No refresh job to retry.', 'info');
+            return;
+        }
+        
+        const failed = Object.values(job.members).filter(entry => entry.status === 'failed');
+        if (!failed.length) {
+            showToast('No failed members to retry.', 'info');
+            return;
+        }
+        
+        failed.forEach(entry => {
+            entry.status = 'queued';
+            entry.error = null;
+        });
+        
+        await runRefreshJob(job);
+    } catch (error) {
+        setLoadingState('github-refresh', false);
+        handleError(error, { module: 'github-refresh', action: 'retryFailedGitHubRefresh' });
+    }
+}
+
+/**
+ * Restore refresh progress UI from the persisted job (e.g. after a page reload)
+ * A job left "running" by a closed tab is shown as paused so it can be resumed
+ * @returns {Promise<void>}
+ */
+export async function restoreGitHubRefreshState() {
+    if (isRunning) return;
+    
+    try {
+        const job = await loadActiveRefreshJob();
+        if (!job) return;
+        
+        if (job.status === 'running') {
+            job.status = 'paused';
+            await updateDoc(doc(db, REFRESH_JOBS_COLLECTION, job.id), {
+                status: 'paused',
+                updatedAt: new Date().toISOString()
+            });
+        }
+        
+        renderRefreshJobUI(job);
+    } catch (error) {
+        handleError(error, { module: 'github-refresh', action: 'restoreGitHubRefreshState' }, { showToast: false });
+    }
+}
+
+/**
+ * Create and persist a new refresh job
+ * @param {Array<Object>} members - Members to refresh
+ * @param {number} days - Days option passed to the refresh
+ * @param {number} skipped - Members skipped because their data is fresh
+ * @returns {Promise<Object>} - Created job
+ */
+async function createRefreshJob(members, days, skipped = 0) {
+    const now = new Date().toISOString();
+    const jobId = `refresh_${Date.now()}`;
+    const job = {
+        id: jobId,
+        status: 'running',
+        days,
+        skipped,
+        createdAt: now,
+        updatedAt: now,
+        startedBy: getCurrentUser()?.email || null,
+        members: {}
+    };
+    
+    members.forEach(member => {
+        job.members[member.id] = {
+            username: member.githubUsername,
+            status: 'queued',
+            error: null,
+            updatedAt: now
         };
-        updateUI();
+    });
+    
+    const batch = writeBatch(db);
+    batch.set(doc(db, REFRESH_JOBS_COLLECTION, jobId), job);
+    // The per-member map is progress state, so only the job's parameters are audited
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.REFRESH_START,
+        targetPath: `${REFRESH_JOBS_COLLECTION}/${jobId}`,
+        targetLabel: `${members.length} member(s), ${days} days`,
+        after: { status: job.status, days, skipped, members: members.length }
+    });
+    await batch.commit();
+    localStorage.setItem(ACTIVE_JOB_KEY, jobId);
+    return job;
+}
 
-        for (let i = 0; i < members.length; i += batchSize) {
-            const batch = members.slice(i, i + batchSize);
-            const batchNumber = Math.floor(i / batchSize) + 1;
-            console.log(`Processing batch ${batchNumber} (members ${i} to ${i + batchSize - 1})`);
+/**
+ * Load the active refresh job referenced in localStorage
+ * @returns {Promise<Object|null>} - Job or null if none
+ */
+async function loadActiveRefreshJob() {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) return null;
+    
+    const jobSnap = await getDoc(doc(db, REFRESH_JOBS_COLLECTION, jobId));
+    if (!jobSnap.exists()) {
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        return null;
+    }
+    
+    return { id: jobSnap.id, ...jobSnap.data() };
+}
+
+/**
+ * Count members by status in a job
+ * @param {Object} job - Refresh job
+ * @returns {{total: number, queued: number, inProgress: number, done: number, failed: number}}
+ */
+function getJobCounts(job) {
+    const entries = Object.values(job.members || {});
+    return {
+        total: entries.length,
+        queued: entries.filter(e => e.status === 'queued').length,
+        inProgress: entries.filter(e => e.status === 'in-progress').length,
+        done: entries.filter(e => e.status === 'done').length,
+        failed: entries.filter(e => e.status === 'failed').length
+    };
+}
+
+/**
+ * Persist a checkpoint for one or more members of a job
+ * @param {Object} job - Refresh job (updated in place)
+ * @param {Array<string>} memberIds - Member IDs to update
+ * @param {string} status - New member status
+ * @param {string|null} error - Error message for failed members
+ * @returns {Promise<void>}
+ */
+async function checkpointMembers(job, memberIds, status, error = null) {
+    const now = new Date().toISOString();
+    const updates = { updatedAt: now };
+    
+    memberIds.forEach(memberId => {
+        job.members[memberId] = { ...job.members[memberId], status, error, updatedAt: now };
+        updates[`members.${memberId}`] = job.members[memberId];
+    });
+    job.updatedAt = now;
+    
+    try {
+        await updateDoc(doc(db, REFRESH_JOBS_COLLECTION, job.id), updates);
+    } catch (err) {
+        // A lost checkpoint only means the member is re-fetched on resume
+        handleError(err, { module: 'github-refresh', action: 'checkpointMembers', jobId: job.id }, { showToast: false });
+    }
+}
+
+/**
+ * Update the refreshProgressWrap UI from job state
+ * @param {Object} job - Refresh job
+ * @returns {void}
+ */
+function renderRefreshJobUI(job) {
+    const progressBar = document.getElementById('refreshProgressBar');
+    const progressText = document.getElementById('refreshProgressText');
+    const progressWrap = document.getElementById('refreshProgressWrap');
+    const pauseBtn = document.getElementById('refreshPauseBtn');
+    const resumeBtn = document.getElementById('refreshResumeBtn');
+    const retryBtn = document.getElementById('refreshRetryBtn');
+    
+    const counts = getJobCounts(job);
+    const processed = counts.done + counts.failed;
+    const pct = counts.total > 0 ? Math.round((processed / counts.total) * 100) : 0;
+    
+    let message;
+    if (job.status === 'running') {
+        message = `Refreshing ${processed}/${counts.total} members...`;
+    } else if (job.status === 'paused') {
+        message = `Paused at ${processed}/${counts.total} members`;
+    } else {
+        message = `Last refresh: ${counts.done} updated`;
+    }
+    if (job.skipped > 0) {
+        message += `, ${job.skipped} up to date`;
+    }
+    if (counts.failed > 0) {
+        message += ` (${counts.failed} failed)`;
+    }
+    
+    if (job.status === 'running') {
+        updateLoadingProgress('github-refresh', pct, message);
+    }
+    
+    const showWrap = job.status !== 'completed' || counts.failed > 0;
+    if (progressWrap) progressWrap.style.display = showWrap ? 'block' : 'none';
+    if (progressBar) progressBar.style.width = pct + '%';
+    if (progressText) progressText.textContent = message;
+    if (pauseBtn) pauseBtn.style.display = job.status === 'running' ? 'inline-flex' : 'none';
+    if (resumeBtn) resumeBtn.style.display = job.status === 'paused' ? 'inline-flex' : 'none';
+    if (retryBtn) retryBtn.style.display = job.status !== 'running' && counts.failed > 0 ? 'inline-flex' : 'none';
+}
+
+/**
+ * Run all queued members of a job in batches, checkpointing each member
+ * @param {Object} job - Refresh job
+ * @returns {Promise<void>}
+ */
+async function runRefreshJob(job) {
+    isRunning = true;
+    pauseRequested = false;
+    
+    try {
+        setLoadingState('github-refresh', true, { message: 'Starting GitHub refresh...', progress: 0, background: true });
+        
+        job.status = 'running';
+        await updateDoc(doc(db, REFRESH_JOBS_COLLECTION, job.id), {
+            status: 'running',
+            members: job.members,
+            updatedAt: new Date().toISOString()
+        });
+        renderRefreshJobUI(job);
+        
+        const membersById = new Map(getMembers().map(m => [m.id, m]));
+        const queue = Object.keys(job.members).filter(id => job.members[id].status === 'queued');
+        
+        for (let i = 0; i < queue.length; i += BATCH_SIZE) {
+            if (pauseRequested) break;
             
-            // Process each member with timeout protection
-            await Promise.all(batch.map(async (member) => {
+            const batchIds = queue.slice(i, i + BATCH_SIZE);
+            const batchNumber = Math.floor(i / BATCH_SIZE) + 1;
+            console.log(`Processing batch ${batchNumber} (members ${i} to ${i + BATCH_SIZE - 1})`);
+            
+            // Hold the batch until every quota bucket can cover it
+            const budgetReady = await waitForQuotaBudget(
+                batchIds.map(id => membersById.get(id)).filter(Boolean),
+                {
+                    hasToken: hasGitHubToken(),
+                    scoped: hasTrackedScope(),
+                    shouldAbort: () => pauseRequested,
+                    onWait: (bucket, resetAt) => {
+                        const message = `Waiting for GitHub ${bucket} quota to reset at ${new Date(resetAt).toLocaleTimeString()}...`;
+                        updateLoadingProgress('github-refresh', null, message);
+                        const progressText = document.getElementById('refreshProgressText');
+                        if (progressText) progressText.textContent = message;
+                    }
+                }
+            );
+            if (!budgetReady) break;
+            
+            await checkpointMembers(job, batchIds, 'in-progress');
+            renderRefreshJobUI(job);
+            
+            await Promise.all(batchIds.map(async (memberId) => {
+                const member = membersById.get(memberId);
+                if (!member) {
+                    await checkpointMembers(job, [memberId], 'failed', 'Member no longer exists');
+                    return;
+                }
+                
+                // The race does not stop refreshMember, so a timed-out attempt is told not to write
+                let timedOut = false;
+                let timeoutId;
                 const timeoutPromise = new Promise((_, reject) => {
-                    setTimeout(() => reject(new Error(`Timeout: ${member.githubUsername} took too long`)), 60000); // 60 second timeout
+                    timeoutId = setTimeout(() => {
+                        timedOut = true;
+                        reject(new Error(`Timeout: ${member.githubUsername} took too long`));
+                    }, MEMBER_TIMEOUT_MS);
                 });
+                const isCancelled = () => timedOut || job.status !== 'running';
                 
-                const processPromise = (async () => {
-                    try {
-                        console.log(`Starting fetch for ${member.githubUsername}...`);
-                        
-                        // Fetch user info first (lightweight)
-                        const snap = await getUserActivitySnapshot(member.githubUsername, { lifetime: true, prsFirst: 50 });
-                        
-                        // Fetch repos (moderate API usage)
-                        const repos = await fetchUserRepositories(member.githubUsername, 100).catch((err) => {
-                            handleError(err, { 
-                                module: 'github-refresh', 
-                                action: 'fetchRepositories',
-                                username: member.githubUsername 
-                            }, { showToast: false });
-                            return [];
-                        });
-                        
-                        // Skip language fetching if no token (requires many API calls)
-                        // Only fetch languages if we have a valid token
-                        let languages = {};
-                        try {
-                            languages = await fetchUserLanguages(member.githubUsername, 100);
-                        } catch (err) {
-                            handleError(err, { 
-                                module: 'github-refresh', 
-                                action: 'fetchLanguages',
-                                username: member.githubUsername 
-                            }, { showToast: false });
-                        }
-                        
-                        // Calendar is not implemented, always null
-                        const calendar = null;
-                        
-                        console.log(`Completed API calls for ${member.githubUsername}`);
-                        
-                        // Validate that we got commits
-                        if (snap.commits === undefined) {
-                            console.warn(`Missing commits for ${member.githubUsername}:`, {
-                                commits: snap.commits
-                            });
-                        }
-                        
-                        // Calculate totalStars and totalForks from repositories
-                        const totalStars = repos.reduce((sum, repo) => sum + (repo.stars || 0), 0);
-                        const totalForks = repos.reduce((sum, repo) => sum + (repo.forks || 0), 0);
-                        const privateRepos = repos.filter(repo => repo.is_private).length;
-                        
-                        // Ensure commits are valid numbers
-                        const commits = Number.isFinite(snap.commits) && snap.commits >= 0 
-                            ? snap.commits 
-                            : (member.githubActivity?.commits || 0);
-                        
-                        console.log(`Updating Firebase for ${member.githubUsername}...`);
-                        const memberRef = doc(db, 'Members', member.id);
-                        await updateDoc(memberRef, {
-                            githubActivity: {
-                                ...(member.githubActivity || {}),
-                                publicRepos: snap.publicRepos !== undefined ? snap.publicRepos : (member.githubActivity?.publicRepos || 0),
-                                privateRepos: privateRepos,
-                                followers: snap.followers !== undefined ? snap.followers : (member.githubActivity?.followers || 0),
-                                following: snap.following !== undefined ? snap.following : (member.githubActivity?.following || 0),
-                                commits: commits,
-                                pullRequests: snap.pullRequests !== undefined ? snap.pullRequests : (member.githubActivity?.pullRequests || 0),
-                                mergedPRs: snap.mergedPRs !== undefined ? snap.mergedPRs : (member.githubActivity?.mergedPRs || 0),
-                                openPRs: snap.openPRs !== undefined ? snap.openPRs : (member.githubActivity?.openPRs || 0),
-                                closedPRs: snap.closedPRs !== undefined ? snap.closedPRs : (member.githubActivity?.closedPRs || 0),
-                                issues: snap.issues !== undefined ? snap.issues : (member.githubActivity?.issues || 0),
-                                recentPRs: snap.recentPRs || (member.githubActivity?.recentPRs || []),
-                                totalStars: totalStars,
-                                totalForks: totalForks,
-                                languages: languages, // Store language breakdown
-                                contributionCalendar: calendar, // Store calendar data for heatmap
-                                lastUpdated: new Date().toISOString()
-                            },
-                            lastUpdated: new Date().toISOString()
-                        });
-                        
-                        console.log(`Updated ${member.githubUsername}: ${commits} commits, ${snap.pullRequests || 0} PRs`);
-                    } catch (e) {
-                        handleError(e, { 
-                            module: 'github-refresh', 
-                            action: 'updateMemberData',
-                            username: member.githubUsername 
-                        }, { showToast: false });
-                        errorCount++;
-                        throw e; // Re-throw to be caught by Promise.race
-                    } finally {
-                        completed++;
-                        updateUI();
-                        // Notify listeners to update UI rows
-                        window.dispatchEvent(new CustomEvent('memberUpdated'));
-                    }
-                })();
-                
-                // Race between processing and timeout
                 try {
-                    await Promise.race([processPromise, timeoutPromise]);
-                } catch (timeoutError) {
-                    handleError(timeoutError, { 
+                    await Promise.race([refreshMember(member, job.days, isCancelled), timeoutPromise]);
+                    await checkpointMembers(job, [memberId], 'done');
+                } catch (e) {
+                    handleError(e, { 
                         module: 'github-refresh', 
                         action: 'processMember',
                         username: member.githubUsername 
                     }, { showToast: false });
-                    completed++;
-                    updateUI();
-                    errorCount++;
+                    await checkpointMembers(job, [memberId], 'failed', e.message || String(e));
+                } finally {
+                    clearTimeout(timeoutId);
+                    renderRefreshJobUI(job);
+                    // Notify listeners to update UI rows
+                    window.dispatchEvent(new CustomEvent('memberUpdated'));
                 }
             }));
             
-            console.log(`Batch ${batchNumber} completed. Waiting ${delayBetween}ms before next batch...`);
-            await new Promise(r => setTimeout(r, delayBetween));
+            if (i + BATCH_SIZE < queue.length && !pauseRequested) {
+                console.log(`Batch ${batchNumber} completed. Waiting ${DELAY_BETWEEN_BATCHES}ms before next batch...`);
+                await new Promise(r => setTimeout(r, DELAY_BETWEEN_BATCHES));
+            }
         }
-
-        // Force refresh from Firebase after manual refresh
-        await loadMembersData(true);
-        
-        // Update ClubStats after refresh
-        await updateClubStats();
         
-        if (progressWrap) progressWrap.style.display = 'none';
+        const counts = getJobCounts(job);
+        job.status = counts.queued > 0 ? 'paused' : 'completed';
+        await updateDoc(doc(db, REFRESH_JOBS_COLLECTION, job.id), {
+            status: job.status,
+            updatedAt: new Date().toISOString(),
+            ...(job.status === 'completed' ? { completedAt: new Date().toISOString() } : {})
+        });
         
-        // Show completion message
-        // Clear loading state
-        clearAllLoadingStates();
+        // Force refresh from Firebase so processed members show new data
+        await loadMembersData(true);
         
-        showToast(
-            `GitHub refresh complete. Updated: ${members.length - errorCount}, Errors: ${errorCount}`,
-            errorCount > 0 ? 'warning' : 'success',
-            5000
-        );
+        if (job.status === 'completed') {
+            // Update ClubStats after refresh
+            await updateClubStats();
+            showToast(
+                `GitHub refresh complete. Updated: ${counts.done}, Skipped (up to date): ${job.skipped || 0}, Errors: ${counts.failed}`,
+                counts.failed > 0 ? 'warning' : 'success',
+                5000
+            );
+        } else {
+            showToast(`GitHub refresh paused. ${counts.queued} members remaining.`, 'info', 5000);
+        }
         
         // Refresh dashboard analytics after completion
         loadDashboard();
-    } catch (error) {
-        clearAllLoadingStates();
-        handleError(error, { module: 'github-refresh', action: 'startBackgroundGitHubRefresh' });
-        showToast('Error refreshing GitHub data. Please try again.', 'error');
+    } finally {
+        isRunning = false;
+        pauseRequested = false;
+        setLoadingState('github-refresh', false);
+        // Re-render after the loading service hides the progress bar
+        renderRefreshJobUI(job);
     }
 }
 
+/**
+ * Get the rolling windows to count for a refresh
+ * Standard windows up to the requested length, plus the length itself
+ * @param {number} days - Longest window requested
+ * @returns {Array<number>} - Window lengths in days
+ */
+function getActivityWindows(days) {
+    const longest = Math.min(Number(days) || 365, 365);
+    const windows = ACTIVITY_WINDOWS.filter(w => w <= longest);
+    return windows.includes(longest) ? windows : [...windows, longest];
+}
+
+/**
+ * Fetch fresh GitHub data for a single member and write it to Firestore
+ * @param {Object} member - Member object
+ * @param {number} days - Longest rolling activity window to count (default: 365)
+ * @param {Function} [isCancelled] - Returns true once the attempt has been abandoned
+ *   (timed out, or the job stopped running); nothing is written after that
+ * @returns {Promise<void>}
+ * @throws {Error} If the attempt was cancelled before its data was written
+ */
+async function refreshMember(member, days = 365, isCancelled = () => false) {
+    console.log(`Starting fetch for ${member.githubUsername}...`);
+    
+    // Fetch user info first (lightweight)
+    const scope = hasTrackedScope() ? getTrackedScope() : null;
+    const snap = await getUserActivitySnapshot(member.githubUsername, { lifetime: true, prsFirst: 50, scope });
+    
+    // Fetch repos (moderate API usage)
+    const repos = await fetchUserRepositories(member.githubUsername, 100).catch((err) => {
+        handleError(err, { 
+            module: 'github-refresh', 
+            action: 'fetchRepositories',
+            username: member.githubUsername 
+        }, { showToast: false });
+        return [];
+    });
+    
+    // Skip language fetching if no token (requires many API calls)
+    // Only fetch languages if we have a valid token
+    let languages = {};
+    try {
+        languages = await fetchUserLanguages(member.githubUsername, 100);
+    } catch (err) {
+        handleError(err, { 
+            module: 'github-refresh', 
+            action: 'fetchLanguages',
+            username: member.githubUsername 
+        }, { showToast: false });
+    }
+    
+    // Contribution calendar via GraphQL (null without a token)
+    let calendar = null;
+    try {
+        calendar = await fetchContributionCalendar(member.githubUsername, { days: 365 });
+    } catch (err) {
+        handleError(err, { 
+            module: 'github-refresh', 
+            action: 'fetchContributionCalendar',
+            username: member.githubUsername 
+        }, { showToast: false });
+    }
+    
+    // Commits, PRs, reviews and issues inside rolling windows (null without a token)
+    let activityWindows = null;
+    try {
+        activityWindows = await fetchActivityWindows(member.githubUsername, { windows: getActivityWindows(days) });
+    } catch (err) {
+        handleError(err, { 
+            module: 'github-refresh', 
+            action: 'fetchActivityWindows',
+            username: member.githubUsername 
+        }, { showToast: false });
+    }
+    
+    console.log(`Completed API calls for ${member.githubUsername}`);
+    
+    // Validate that we got commits
+    if (snap.commits === undefined) {
+        console.warn(`Missing commits for ${member.githubUsername}:`, {
+            commits: snap.commits
+        });
+    }
+    
+    // Calculate totalStars and totalForks from repositories
+    const totalStars = repos.reduce((sum, repo) => sum + (repo.stars || 0), 0);
+    const totalForks = repos.reduce((sum, repo) => sum + (repo.forks || 0), 0);
+    const privateRepos = repos.filter(repo => repo.is_private).length;
+    
+    // Ensure commits are valid numbers
+    const commits = Number.isFinite(snap.commits) && snap.commits >= 0 
+        ? snap.commits 
+        : (member.githubActivity?.commits || 0);
+    
+    // Reviews, comments and discussions keep their previous values when a count is unavailable
+    const engagement = {};
+    ENGAGEMENT_FIELDS.forEach(field => {
+        const value = snap.engagement?.[field];
+        engagement[field] = Number.isFinite(value) ? value : (member.githubActivity?.[field] ?? null);
+    });
+    
+    console.log(`Updating Firebase for ${member.githubUsername}...`);
+    const memberRef = doc(db, 'Members', member.id);
+    const githubActivity = {
+        ...(member.githubActivity || {}),
+        publicRepos: snap.publicRepos !== undefined ? snap.publicRepos : (member.githubActivity?.publicRepos || 0),
+        privateRepos: privateRepos,
+        followers: snap.followers !== undefined ? snap.followers : (member.githubActivity?.followers || 0),
+        following: snap.following !== undefined ? snap.following : (member.githubActivity?.following || 0),
+        commits: commits,
+        pullRequests: snap.pullRequests !== undefined ? snap.pullRequests : (member.githubActivity?.pullRequests || 0),
+        mergedPRs: snap.mergedPRs !== undefined ? snap.mergedPRs : (member.githubActivity?.mergedPRs || 0),
+        openPRs: snap.openPRs !== undefined ? snap.openPRs : (member.githubActivity?.openPRs || 0),
+        closedPRs: snap.closedPRs !== undefined ? snap.closedPRs : (member.githubActivity?.closedPRs || 0),
+        issues: snap.issues !== undefined ? snap.issues : (member.githubActivity?.issues || 0),
+        ...engagement, // Reviews, review comments, issues opened/closed, issue comments, discussions
+        recentPRs: snap.recentPRs || (member.githubActivity?.recentPRs || []),
+        totalStars: totalStars,
+        totalForks: totalForks,
+        languages: languages, // Store language breakdown
+        contributionCalendar: calendar || member.githubActivity?.contributionCalendar || null, // Store calendar data for heatmap
+        scoped: scope ? (snap.scoped || member.githubActivity?.scoped || null) : null, // Contributions inside tracked orgs/repos
+        windows: activityWindows || member.githubActivity?.windows || null, // Counts inside rolling 7/30/90/365 day windows
+        lastUpdated: new Date().toISOString()
+    };
+    if (isCancelled()) {
+        throw new Error(`Refresh of ${member.githubUsername} was cancelled`);
+    }
+    const batch = writeBatch(db);
+    batch.update(memberRef, {
+        githubActivity,
+        lastUpdated: new Date().toISOString()
+    });
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.MEMBER_GITHUB_UPDATE,
+        targetPath: memberRef.path,
+        targetLabel: member.githubUsername,
+        before: { githubActivity: member.githubActivity || null },
+        after: { githubActivity }
+    });
+    await batch.commit();
+    
+    // Dated snapshot for trend charts - a failure here must not fail the refresh
+    try {
+        await recordMemberSnapshot(member.id, githubActivity);
+    } catch (err) {
+        handleError(err, { 
+            module: 'github-refresh', 
+            action: 'recordMemberSnapshot',
+            username: member.githubUsername 
+        }, { showToast: false });
+    }
+    
+    console.log(`Updated ${member.githubUsername}: ${commits} commits, ${snap.pullRequests || 0} PRs`);
+}
+
 /**
  * Update ClubStats in Firebase
  * Uses centralized stats service for consistent calculations
@@ -211,43 +661,56 @@ export async function startBackgroundGitHubRefresh({ days = 365 } = {}) {
 async function updateClubStats() {
     try {
         const { getMembers } = await import('./data-store.js');
-        const { doc, getDoc, setDoc, db } = await import('../firebase-config.js');
+        const { doc, setDoc, db } = await import('../firebase-config.js');
         const members = getMembers();
         const now = new Date().toISOString();
         
         // Use centralized stats calculation
         const stats = calculateClubStats(members);
         
-        // Get existing ClubStats to preserve 'events' if it exists
+        // Event and project figures come from the Events and Projects collections
         const statsRef = doc(db, 'ClubStats', 'main');
-        let existingEvents = 10; // Default value
+        let eventStats = null;
+        let projectStats = null;
         
         try {
-            const statsSnap = await getDoc(statsRef);
-            if (statsSnap.exists()) {
-                existingEvents = statsSnap.data().events || 10;
-            }
+            eventStats = calculateEventStats(await loadEvents());
+        } catch (e) {
+            handleError(e, { module: 'github-refresh', action: 'loadEvents' }, { showToast: false });
+        }
+        try {
+            projectStats = calculateProjectStats(await loadProjects());
         } catch (e) {
-            console.warn('Could not fetch existing ClubStats, using default events value');
+            handleError(e, { module: 'github-refresh', action: 'loadProjects' }, { showToast: false });
         }
         
         // Prepare stats object matching the format
         const clubStats = {
             calculatedAt: now,
-            events: existingEvents, // Preserve existing events value
             lastUpdated: now,
             members: stats.members,
             membersWithGitHub: stats.membersWithGitHub,
-            projects: stats.projects,
+            memberRepos: stats.memberRepos,
             stars: stats.stars,
             totalCommits: stats.totalCommits,
             totalForks: stats.totalForks,
-            totalPullRequests: stats.totalPullRequests
+            totalPullRequests: stats.totalPullRequests,
+            scopedCommits: stats.scopedCommits,
+            scopedPullRequests: stats.scopedPullRequests,
+            // Left out when they could not be loaded so the stored figures are kept
+            ...(eventStats || {}),
+            ...(projectStats || {})
         };
         
         // Update ClubStats document (create if doesn't exist, update if exists)
         await setDoc(statsRef, clubStats, { merge: true });
         
+        // Append today's totals to the ClubStats/history series
+        await recordClubSnapshot(clubStats);
+        
+        // Re-score members from the freshly stored activity
+        await saveLeaderboard(members);
+        
         console.log('ClubStats updated successfully:', clubStats);
     } catch (error) {
         handleError(error, { module: 'github-refresh', action: 'updateClubStats' }, { showToast: false });
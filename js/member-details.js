@@ -2,6 +2,7 @@
 import { fetchGitHubUserInfo, fetchUserRepositories, fetchUserPullRequests, fetchRecentCommits, fetchContributionCalendar } from './github-api.js';
 import { getMemberById } from './data-store.js';
 import { formatDate, formatDateTime, getMemberDisplayName, getMemberEmail, getMemberPhone, formatNumber } from './utils.js';
+import { renderContributionHeatmap } from './utils/heatmap.js';
 
 let currentMember = null;
 
@@ -137,6 +138,9 @@ async function loadMemberDetails(member) {
     const totalIssues = member.githubActivity ? formatNumber(member.githubActivity.issues || 0) : '0';
     const totalForks = member.githubActivity ? formatNumber(member.githubActivity.totalForks || 0) : '0';
     
+    // Contribution calendar is stored by the background refresh
+    const contributionCalendar = member.githubActivity?.contributionCalendar || null;
+    
     // Calculate PR stats from fetched data
     const fetchedOpenPRs = pullRequests.filter(pr => pr.state === 'open').length;
     const fetchedMergedPRs = pullRequests.filter(pr => pr.merged || pr.state === 'merged').length;
@@ -352,6 +356,27 @@ async function loadMemberDetails(member) {
                     </div>
                 </div>
 
+                <!-- Contribution Heatmap Card -->
+                ${member.githubConnected ? `
+                <div class="detail-card card-large">
+                    <div class="detail-card-header">
+                        <i class="fas fa-calendar-alt"></i>
+                        <h3>Contribution Activity</h3>
+                        ${contributionCalendar ? `<span class="detail-card-badge">${formatNumber(contributionCalendar.totalContributions || 0)} in the last year</span>` : ''}
+                    </div>
+                    <div class="detail-card-body">
+                        ${contributionCalendar && Array.isArray(contributionCalendar.days) && contributionCalendar.days.length > 0
+                            ? renderContributionHeatmap(contributionCalendar.days)
+                            : `
+                            <div class="empty-state">
+                                <i class="fas fa-calendar-alt"></i>
+                                <p>No contribution calendar yet. Run a GitHub refresh to load it.</p>
+                            </div>
+                            `}
+                    </div>
+                </div>
+                ` : ''}
+
                 <!-- Pull Request Details Card -->
                 ${member.githubConnected ? `
                 <div class="detail-card card-large">
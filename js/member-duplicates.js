@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Member Duplicates Module
+ * Lists likely duplicate members with their score and the signals that matched,
+ * and merges a pair after the admin picks which record to keep and which side
+ * each field comes from. Pairs marked "Not duplicates" are not suggested again
+ * @module member-duplicates
+ */
+import { getMembers, getMemberById } from './data-store.js';
+import { requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { MEMBER_FIELDS, isActiveMember } from './services/member-service.js';
+import { MEMBER_FIELD_LABELS } from './services/member-import-service.js';
+import {
+    findDuplicateCandidates,
+    suggestMergeOrder,
+    suggestFieldSelections,
+    mergeMembers,
+    dismissDuplicatePair
+} from './services/member-merge-service.js';
+import { showToast, handleError, showLoading, hideLoading, formatDate, formatNumber, getMemberDisplayName, escapeHtml } from './utils.js';
+
+// Callback run after a merge changes the members list
+let onMembersChanged = null;
+// Pair open in the merge modal: [member to keep, member to remove]
+let mergePair = null;
+
+/**
+ * Open the duplicate finder
+ * @param {Function} [onChanged] - Called after members are merged
+ */
+export function openDuplicateFinder(onChanged) {
+    if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+    onMembersChanged = onChanged || null;
+
+    const modal = openModal('memberDuplicatesModal', `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>Possible Duplicate Members</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="audit-summary">
+                    Pairs are scored on shared emails, phone or WhatsApp numbers, GitHub username and name similarity.
+                </p>
+                <div id="memberDuplicatesList"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Close</button>
+            </div>
+        </div>
+    `);
+    renderCandidates(modal);
+}
+
+/**
+ * Open a modal, replacing any open modal with the same ID
+ * @param {string} id - Modal element ID
+ * @param {string} html - Modal content HTML
+ * @returns {HTMLElement} - Modal element
+ */
+function openModal(id, html) {
+    document.getElementById(id)?.remove();
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = id;
+    modal.innerHTML = html;
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+    return modal;
+}
+
+/**
+ * Render the candidate pairs into the finder
+ * @param {HTMLElement} [modal] - Finder modal (looked up when omitted)
+ */
+function renderCandidates(modal = document.getElementById('memberDuplicatesModal')) {
+    const list = modal?.querySelector('#memberDuplicatesList');
+    if (!list) return;
+
+    const candidates = findDuplicateCandidates(getMembers());
+    if (candidates.length === 0) {
+        list.innerHTML = '<div class="empty-state"><p>No likely duplicates found</p></div>';
+        return;
+    }
+
+    list.innerHTML = `
+        <p class="audit-summary">${candidates.length} possible duplicate${candidates.length === 1 ? '' : 's'}, most likely first</p>
+        ${candidates.map(({ a, b, score, reasons }) => `
+            <div class="duplicate-pair">
+                <div class="duplicate-score ${getConfidence(score)}" title="Duplicate score out of 100">${score}</div>
+                <div class="duplicate-members">
+                    ${renderMemberSummary(a)}
+                    ${renderMemberSummary(b)}
+                    <div class="duplicate-reasons">${reasons.map(reason => `<span class="project-tag">${escapeHtml(reason)}</span>`).join('')}</div>
+                </div>
+                <div class="duplicate-actions">
+                    <button class="btn btn-primary btn-sm" onclick="openMemberMerge('${a.id}', '${b.id}')">
+                        <i class="fas fa-code-merge"></i> Review &amp; Merge
+                    </button>
+                    <button class="btn btn-secondary btn-sm" onclick="dismissMemberDuplicate(this, '${a.id}', '${b.id}')">
+                        Not duplicates
+                    </button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Get the confidence class for a score
+ * @param {number} score - Duplicate score
+ * @returns {string} - 'high', 'medium' or 'low'
+ */
+function getConfidence(score) {
+    if (score >= 70) return 'high';
+    if (score >= 45) return 'medium';
+    return 'low';
+}
+
+/**
+ * Render one side of a candidate pair
+ * @param {Object} member - Member
+ * @returns {string} - HTML
+ */
+function renderMemberSummary(member) {
+    const details = [
+        member.email,
+        member.personalEmail,
+        member.phoneNumber,
+        member.githubUsername ? `@${member.githubUsername}` : ''
+    ].filter(Boolean);
+    return `
+        <div class="duplicate-member">
+            <strong>${escapeHtml(getMemberDisplayName(member))}</strong>
+            ${!isActiveMember(member) ? '<span class="member-status-badge">Deactivated</span>' : ''}
+            <div class="event-meta">${escapeHtml(details.join(' · ') || 'No contact details')}</div>
+        </div>
+    `;
+}
+
+/**
+ * Mark a pair as different people
+ * @param {HTMLElement} button - Clicked button
+ * @param {string} aId - First member ID
+ * @param {string} bId - Second member ID
+ * @returns {Promise<void>}
+ */
+window.dismissMemberDuplicate = async function(button, aId, bId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+    const a = getMemberById(aId);
+    const b = getMemberById(bId);
+    if (!a || !b) return;
+
+    try {
+        button.disabled = true;
+        await dismissDuplicatePair(a, b);
+        renderCandidates();
+    } catch (error) {
+        handleError(error, { module: 'member-duplicates', action: 'dismissMemberDuplicate', aId, bId }, { showToast: false });
+        showToast('Failed to update members', 'error');
+        button.disabled = false;
+    }
+};
+
+/**
+ * Open the merge modal for a pair
+ * @param {string} aId - First member ID
+ * @param {string} bId - Second member ID
+ */
+window.openMemberMerge = function(aId, bId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+    const a = getMemberById(aId);
+    const b = getMemberById(bId);
+    if (!a || !b) {
+        showToast('Member not found', 'error');
+        return;
+    }
+
+    mergePair = suggestMergeOrder(a, b);
+    openModal('memberMergeModal', `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>Merge Members</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body" id="memberMergeBody"></div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                <button class="btn btn-primary" onclick="confirmMemberMerge(this)">
+                    <i class="fas fa-code-merge"></i> Merge
+                </button>
+            </div>
+        </div>
+    `);
+    renderMergeForm(suggestFieldSelections(...mergePair));
+};
+
+/**
+ * Render the field-by-field merge form
+ * Columns are the kept record then the removed record
+ * @param {Object<string, 'keep'|'remove'>} selections - Side per field
+ */
+function renderMergeForm(selections) {
+    const body = document.getElementById('memberMergeBody');
+    if (!body || !mergePair) return;
+    const [keep, remove] = mergePair;
+
+    body.innerHTML = `
+        <p class="audit-summary">
+            The record on the left is kept and the one on the right is deleted. Event attendance, organisers,
+            project maintainers, activity history and form submissions made with the removed record's emails move to the kept record.
+        </p>
+        <table class="members-table merge-table">
+            <thead>
+                <tr>
+                    <th>Field</th>
+                    <th>${escapeHtml(getMemberDisplayName(keep))} <span class="event-badge registered">Kept</span></th>
+                    <th>
+                        ${escapeHtml(getMemberDisplayName(remove))}
+                        <button class="btn btn-secondary btn-sm" onclick="swapMemberMerge()" title="Keep this record instead">
+                            <i class="fas fa-right-left"></i> Keep this one
+                        </button>
+                    </th>
+                </tr>
+            </thead>
+            <tbody>
+                ${MEMBER_FIELDS.map(field => `
+                    <tr>
+                        <td>${MEMBER_FIELD_LABELS[field]}</td>
+                        ${['keep', 'remove'].map((side, index) => `
+                            <td>
+                                <label class="merge-option">
+                                    <input type="radio" name="merge-${field}" value="${side}" ${selections[field] === side ? 'checked' : ''}>
+                                    <span>${escapeHtml(formatFieldValue(field, mergePair[index][field]))}</span>
+                                </label>
+                            </td>
+                        `).join('')}
+                    </tr>
+                `).join('')}
+                <tr>
+                    <td>GitHub activity</td>
+                    <td colspan="2" class="event-meta">${escapeHtml(describeActivity(keep, remove))}</td>
+                </tr>
+            </tbody>
+        </table>
+        <div id="memberMergeError" class="field-error"></div>
+    `;
+}
+
+/**
+ * Format a field value for the merge form
+ * @param {string} field - Member field
+ * @param {*} value - Stored value
+ * @returns {string} - Display text ('-' when empty)
+ */
+function formatFieldValue(field, value) {
+    if (!value || (Array.isArray(value) && value.length === 0)) return '-';
+    if (Array.isArray(value)) return value.join(', ');
+    return field === 'joinedAt' ? formatDate(value) : String(value);
+}
+
+/**
+ * Describe the activity each side brings to the merge
+ * @param {Object} keep - Member to keep
+ * @param {Object} remove - Member to remove
+ * @returns {string} - Summary
+ */
+function describeActivity(keep, remove) {
+    const describe = member => (member.githubActivity
+        ? `${member.githubUsername ? `@${member.githubUsername}` : 'no username'}: ${formatNumber(member.githubActivity.pullRequests || 0)} PRs, ${formatNumber(member.githubActivity.commits || 0)} commits`
+        : 'none');
+    return `Kept: ${describe(keep)}. Removed: ${describe(remove)}. The activity of the chosen GitHub username is kept, gaps are filled from the other record, and the next refresh recomputes it.`;
+}
+
+/**
+ * Read the chosen side of every field
+ * @returns {Object<string, 'keep'|'remove'>} - Side per field
+ */
+function getSelections() {
+    return Object.fromEntries(MEMBER_FIELDS.map(field => [
+        field,
+        document.querySelector(`input[name="merge-${field}"]:checked`)?.value || 'keep'
+    ]));
+}
+
+/**
+ * Keep the other record, carrying the chosen values across
+ */
+window.swapMemberMerge = function() {
+    if (!mergePair) return;
+    const flipped = Object.fromEntries(Object.entries(getSelections())
+        .map(([field, side]) => [field, side === 'keep' ? 'remove' : 'keep']));
+    mergePair = [mergePair[1], mergePair[0]];
+    renderMergeForm(flipped);
+};
+
+/**
+ * Merge the pair in the merge modal
+ * @param {HTMLElement} button - Merge button (its modal is closed on success)
+ * @returns {Promise<void>}
+ */
+window.confirmMemberMerge = async function(button) {
+    if (!mergePair || !requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+    const [keep, remove] = mergePair;
+    if (!confirm(`Merge ${getMemberDisplayName(remove)} into ${getMemberDisplayName(keep)}? The removed record is deleted.`)) {
+        return;
+    }
+
+    const errorEl = document.getElementById('memberMergeError');
+    try {
+        showLoading();
+        button.disabled = true;
+        const result = await mergeMembers(keep, remove, getSelections());
+        mergePair = null;
+        button.closest('.modal')?.remove();
+        const moved = [
+            result.events && `${result.events} event${result.events === 1 ? '' : 's'}`,
+            result.projects && `${result.projects} project${result.projects === 1 ? '' : 's'}`,
+            result.submissions && `${result.submissions} submission${result.submissions === 1 ? '' : 's'}`
+        ].filter(Boolean);
+        showToast(`Members merged${moved.length ? ` - updated ${moved.join(', ')}` : ''}`, 'success');
+        renderCandidates();
+        if (onMembersChanged) await onMembersChanged();
+    } catch (error) {
+        handleError(error, { module: 'member-duplicates', action: 'confirmMemberMerge', keepId: keep.id, removeId: remove.id }, { showToast: false });
+        if (errorEl) errorEl.textContent = error.message || 'Failed to merge members';
+        button.disabled = false;
+    } finally {
+        hideLoading();
+    }
+};
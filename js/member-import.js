@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Member Import Module
+ * Bulk import of members from a CSV or XLSX intake spreadsheet: pick a file,
+ * map its columns onto member fields, review a dry-run preview with per-row
+ * validation errors and duplicates, then create the valid rows
+ * @module member-import
+ */
+import { getMembers } from './data-store.js';
+import { requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import { MEMBER_FIELDS, importMembers } from './services/member-service.js';
+import {
+    parseSpreadsheet,
+    guessColumnMapping,
+    planMemberImport,
+    MEMBER_FIELD_LABELS,
+    IMPORT_ACTIONS
+} from './services/member-import-service.js';
+import { showToast, handleError, showLoading, hideLoading, escapeHtml } from './utils.js';
+
+const PREVIEW_ROW_LIMIT = 200; // Rows rendered in the preview table; the summary counts every row
+
+// State of the open import modal
+let importState = null;
+
+/**
+ * Open the import modal
+ * @param {Function} [onImported] - Called after members are imported
+ */
+export function openMemberImport(onImported) {
+    if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+    importState = { fileName: '', headers: [], rows: [], mapping: {}, plan: [], problemsOnly: false, onImported };
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.id = 'memberImportModal';
+    modal.innerHTML = `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>Import Members</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="audit-summary">
+                    Upload a .csv or .xlsx file whose first row holds column headers. Nothing is saved until you
+                    confirm the preview. Rows whose email or GitHub username already belongs to a member are skipped.
+                </p>
+                <div class="form-group">
+                    <label for="memberImportFile">Spreadsheet</label>
+                    <input type="file" id="memberImportFile" accept=".csv,.xlsx,.xls" onchange="handleMemberImportFile(this)">
+                </div>
+                <div id="memberImportMapping"></div>
+                <div id="memberImportPreview"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                <button class="btn btn-primary" id="memberImportConfirm" onclick="runMemberImport(this)" disabled>
+                    <i class="fas fa-file-import"></i> Import
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+/**
+ * Read the chosen file and guess the column mapping
+ * @param {HTMLInputElement} input - File input
+ * @returns {Promise<void>}
+ */
+window.handleMemberImportFile = async function(input) {
+    const file = input.files?.[0];
+    if (!file || !importState) return;
+
+    try {
+        showLoading();
+        const { headers, rows } = await parseSpreadsheet(file);
+        Object.assign(importState, { fileName: file.name, headers, rows, mapping: guessColumnMapping(headers) });
+        renderMapping();
+        updatePreview();
+    } catch (error) {
+        handleError(error, { module: 'member-import', action: 'handleMemberImportFile', fileName: file.name }, { showToast: false });
+        showToast(error.message || 'Could not read the file', 'error');
+        input.value = '';
+    } finally {
+        hideLoading();
+    }
+};
+
+/**
+ * Render one column select per member field
+ */
+function renderMapping() {
+    const container = document.getElementById('memberImportMapping');
+    if (!container) return;
+
+    const { headers, mapping } = importState;
+    container.innerHTML = `
+        <h4>Columns</h4>
+        <div class="member-form-grid">
+            ${MEMBER_FIELDS.map(field => `
+                <div class="form-group">
+                    <label for="memberImportMap-${field}">${MEMBER_FIELD_LABELS[field]}</label>
+                    <select id="memberImportMap-${field}" onchange="updateMemberImportMapping('${field}', this.value)">
+                        <option value="-1">Not imported</option>
+                        ${headers.map((header, index) => `
+                            <option value="${index}" ${mapping[field] === index ? 'selected' : ''}>
+                                ${escapeHtml(header || `Column ${index + 1}`)}
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Change which column a field is read from
+ * @param {string} field - Member field
+ * @param {string} value - Column index, or -1 to skip the field
+ */
+window.updateMemberImportMapping = function(field, value) {
+    if (!importState) return;
+    importState.mapping[field] = parseInt(value, 10);
+    updatePreview();
+};
+
+/**
+ * Show all rows or only rows that will not be imported
+ * @param {boolean} checked - True to show problems only
+ */
+window.toggleMemberImportProblems = function(checked) {
+    if (!importState) return;
+    importState.problemsOnly = checked;
+    renderPreview();
+};
+
+/**
+ * Re-plan the import for the current mapping and render the preview
+ */
+function updatePreview() {
+    importState.plan = planMemberImport(importState.rows, importState.mapping, getMembers());
+    renderPreview();
+}
+
+/**
+ * Render the dry-run summary and row table
+ */
+function renderPreview() {
+    const container = document.getElementById('memberImportPreview');
+    const confirmButton = document.getElementById('memberImportConfirm');
+    if (!container) return;
+
+    const { plan, mapping, problemsOnly } = importState;
+    const counts = countActions(plan);
+    const mappedFields = MEMBER_FIELDS.filter(field => mapping[field] >= 0);
+    const rows = problemsOnly ? plan.filter(entry => entry.action !== IMPORT_ACTIONS.CREATE) : plan;
+
+    container.innerHTML = `
+        <h4>Preview</h4>
+        <p class="audit-summary">
+            ${plan.length} row${plan.length === 1 ? '' : 's'}:
+            <strong>${counts.create}</strong> will be added,
+            ${counts.duplicate} duplicate${counts.duplicate === 1 ? '' : 's'} skipped,
+            ${counts.invalid} invalid row${counts.invalid === 1 ? '' : 's'} skipped
+        </p>
+        <label class="member-import-toggle">
+            <input type="checkbox" ${problemsOnly ? 'checked' : ''} onchange="toggleMemberImportProblems(this.checked)">
+            Only show rows that will be skipped
+        </label>
+        <div class="member-import-preview">
+            <table class="members-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Result</th>
+                        ${mappedFields.map(field => `<th>${MEMBER_FIELD_LABELS[field]}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.length === 0 ? `
+                        <tr><td colspan="${mappedFields.length + 2}" class="text-muted">No rows to show</td></tr>
+                    ` : rows.slice(0, PREVIEW_ROW_LIMIT).map(entry => renderPreviewRow(entry, mappedFields)).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${rows.length > PREVIEW_ROW_LIMIT ? `<p class="audit-summary">Showing the first ${PREVIEW_ROW_LIMIT} of ${rows.length} rows</p>` : ''}
+    `;
+
+    if (confirmButton) {
+        confirmButton.disabled = counts.create === 0;
+        confirmButton.innerHTML = `<i class="fas fa-file-import"></i> Import ${counts.create} member${counts.create === 1 ? '' : 's'}`;
+    }
+}
+
+/**
+ * Render one preview row
+ * @param {Object} entry - Planned row from planMemberImport
+ * @param {Array<string>} fields - Mapped fields, in column order
+ * @returns {string} - HTML
+ */
+function renderPreviewRow(entry, fields) {
+    const labels = {
+        [IMPORT_ACTIONS.CREATE]: 'Add',
+        [IMPORT_ACTIONS.DUPLICATE]: 'Duplicate',
+        [IMPORT_ACTIONS.INVALID]: 'Invalid'
+    };
+    return `
+        <tr class="member-import-row ${entry.action}">
+            <td>${entry.rowNumber}</td>
+            <td>
+                <span class="member-import-result ${entry.action}">${labels[entry.action]}</span>
+                ${entry.errors.map(error => `<div class="field-error">${escapeHtml(error)}</div>`).join('')}
+            </td>
+            ${fields.map(field => `<td>${escapeHtml([].concat(entry.details[field] || []).join(', '))}</td>`).join('')}
+        </tr>
+    `;
+}
+
+/**
+ * Count planned rows by outcome
+ * @param {Array<Object>} plan - Planned rows
+ * @returns {{create: number, duplicate: number, invalid: number}} - Counts
+ */
+function countActions(plan) {
+    return {
+        create: plan.filter(entry => entry.action === IMPORT_ACTIONS.CREATE).length,
+        duplicate: plan.filter(entry => entry.action === IMPORT_ACTIONS.DUPLICATE).length,
+        invalid: plan.filter(entry => entry.action === IMPORT_ACTIONS.INVALID).length
+    };
+}
+
+/**
+ * Import the rows the preview marks as Add
+ * The plan is rebuilt first so members added since the preview are not duplicated
+ * @param {HTMLElement} button - Import button (its modal is closed on success)
+ * @returns {Promise<void>}
+ */
+window.runMemberImport = async function(button) {
+    if (!importState || !requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+
+    updatePreview();
+    const rows = importState.plan
+        .filter(entry => entry.action === IMPORT_ACTIONS.CREATE)
+        .map(entry => entry.details);
+    if (rows.length === 0) return;
+
+    try {
+        showLoading();
+        button.disabled = true;
+        const created = await importMembers(rows, importState.fileName);
+        const { onImported } = importState;
+        importState = null;
+        button.closest('.modal')?.remove();
+        showToast(`Imported ${created.length} member${created.length === 1 ? '' : 's'}`, 'success');
+        if (onImported) await onImported();
+    } catch (error) {
+        handleError(error, { module: 'member-import', action: 'runMemberImport', rows: rows.length }, { showToast: false });
+        showToast('Import failed - members already written in earlier batches are kept; re-run the import to add the rest', 'error');
+        button.disabled = false;
+    } finally {
+        hideLoading();
+    }
+};
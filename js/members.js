@@ -1,11 +1,13 @@
 /**
  * @fileoverview Members Page Module
- * Handles member listing, filtering, sorting, and pagination
+ * Handles member listing, filtering, sorting, and pagination, and lets admins
+ * add, edit, deactivate, import and merge members and assign cohorts and tags
+ * one at a time or to a selection
  * @module members
  */
 
 // Members Page Module
-import { getMembers } from "./data-store.js";
+import { getMembers, getMemberById } from "./data-store.js";
 import { fetchGitHubUserInfo } from "./github-api.js";
 import {
   getMemberDisplayName,
@@ -16,19 +18,40 @@ import {
   formatNumber,
   debounce,
   handleError,
+  showToast,
+  formatDate,
+  escapeHtml,
 } from "./utils.js";
 import { validateMember } from "./utils/validation.js";
+import { getEngagementCounts } from "./services/stats-service.js";
 import { viewMember } from "./member-details.js";
+import { requirePermission } from "./auth.js";
+import { PERMISSIONS } from "./services/admin-service.js";
+import {
+  createMember,
+  updateMember,
+  setMemberActive,
+  updateMemberGroups,
+  isActiveMember,
+  MEMBER_FIELDS,
+} from "./services/member-service.js";
+import { getMemberCohorts, getMemberTags } from "./services/settings-service.js";
 
 // Make viewMember available globally for onclick handlers
 window.viewMember = viewMember;
 
 let currentPage = 1;
 const membersPerPage = 20;
+const NO_COHORT = "__none";
+// Members ticked for bulk cohort/tag changes (kept across pages and filters)
+const selectedMemberIds = new Set();
 
 // DOM elements (will be initialized when page loads)
 let membersTableBody,
   memberSearch,
+  membershipFilter,
+  cohortFilter,
+  tagFilter,
   statusFilter,
   prFilter,
   sortFilter,
@@ -43,6 +66,9 @@ let membersTableBody,
 export function initializeMembersPage() {
   membersTableBody = document.getElementById("membersTableBody");
   memberSearch = document.getElementById("memberSearch");
+  membershipFilter = document.getElementById("membershipFilter");
+  cohortFilter = document.getElementById("cohortFilter");
+  tagFilter = document.getElementById("tagFilter");
   statusFilter = document.getElementById("statusFilter");
   prFilter = document.getElementById("prFilter");
   sortFilter = document.getElementById("sortFilter");
@@ -79,6 +105,15 @@ export function initializeMembersPage() {
       }
     });
   }
+  if (membershipFilter) {
+    membershipFilter.addEventListener("change", filterMembers);
+  }
+  if (cohortFilter) {
+    cohortFilter.addEventListener("change", filterMembers);
+  }
+  if (tagFilter) {
+    tagFilter.addEventListener("change", filterMembers);
+  }
   if (statusFilter) {
     statusFilter.addEventListener("change", filterMembers);
   }
@@ -108,6 +143,36 @@ export function initializeMembersPage() {
       }
     });
   }
+  document
+    .getElementById("addMember")
+    ?.addEventListener("click", () => window.openMemberEditor());
+  document.getElementById("importMembers")?.addEventListener("click", async () => {
+    if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+    const { openMemberImport } = await import("./member-import.js");
+    openMemberImport(loadMembers);
+  });
+  document
+    .getElementById("selectAllMembers")
+    ?.addEventListener("change", (e) => {
+      getPageMembers().forEach((member) => {
+        if (e.target.checked) selectedMemberIds.add(member.id);
+        else selectedMemberIds.delete(member.id);
+      });
+      membersTableBody
+        ?.querySelectorAll(".member-select input")
+        .forEach((input) => (input.checked = e.target.checked));
+      updateBulkBar();
+    });
+  document
+    .getElementById("findDuplicateMembers")
+    ?.addEventListener("click", async () => {
+      if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+      const { openDuplicateFinder } = await import("./member-duplicates.js");
+      openDuplicateFinder(async () => {
+        await displayMembers();
+        updatePagination();
+      });
+    });
 }
 
 /**
@@ -118,6 +183,7 @@ export async function loadMembers() {
   try {
     showLoading();
     currentPage = 1;
+    populateGroupOptions();
     await displayMembers();
     updatePagination();
   } catch (error) {
@@ -136,13 +202,11 @@ async function displayMembers() {
   if (!membersTableBody) return;
 
   const filteredMembers = getFilteredMembers();
-  const startIndex = (currentPage - 1) * membersPerPage;
-  const endIndex = startIndex + membersPerPage;
-  const pageMembers = filteredMembers.slice(startIndex, endIndex);
+  const pageMembers = getPageMembers(filteredMembers);
 
   // Show loading state
   membersTableBody.innerHTML =
-    '<tr><td colspan="8" style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin"></i> Loading members...</td></tr>';
+    '<tr><td colspan="11" style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin"></i> Loading members...</td></tr>';
 
   // Update members page stats
   updateMembersPageStats(filteredMembers);
@@ -159,6 +223,17 @@ async function displayMembers() {
   rows.forEach((row) => fragment.appendChild(row));
   membersTableBody.innerHTML = "";
   membersTableBody.appendChild(fragment);
+  updateBulkBar();
+}
+
+/**
+ * Get the members shown on the current page
+ * @param {Array<Object>} [filteredMembers] - Filtered members (computed when omitted)
+ * @returns {Array<Object>} - Members on the current page
+ */
+function getPageMembers(filteredMembers = getFilteredMembers()) {
+  const startIndex = (currentPage - 1) * membersPerPage;
+  return filteredMembers.slice(startIndex, startIndex + membersPerPage);
 }
 
 /**
@@ -244,11 +319,23 @@ async function createMemberRow(member) {
   commits = commits !== undefined ? commits : 0;
 
   const totalRepos = publicRepos + privateRepos;
+  const engagement = getEngagementCounts(member);
 
   row.innerHTML = `
+        <td class="member-select" data-permission="manage-members">
+            <input type="checkbox" aria-label="Select ${escapeHtml(name)}" ${
+              selectedMemberIds.has(member.id) ? "checked" : ""
+            } onchange="toggleMemberSelection('${member.id}', this.checked)">
+        </td>
         <td>
             <div class="member-info">
-                <strong>${name}</strong>
+                <strong>${escapeHtml(name)}</strong>
+                ${
+                  isActiveMember(member)
+                    ? ""
+                    : `<span class="member-status-badge" title="Deactivated ${formatDate(member.deactivatedAt)}">Deactivated</span>`
+                }
+                ${renderMemberGroups(member)}
             </div>
         </td>
         <td>
@@ -322,17 +409,151 @@ async function createMemberRow(member) {
             }
         </td>
         <td>
+            ${
+              member.githubConnected
+                ? `
+                <span class="review-count" title="PRs reviewed: ${engagement.reviews}, Review comments (last year): ${engagement.reviewComments}">
+                    <i class="fas fa-magnifying-glass-chart"></i> ${formatNumber(engagement.reviews)}
+                </span>
+            `
+                : '<span class="text-muted">-</span>'
+            }
+        </td>
+        <td>
+            ${
+              member.githubConnected
+                ? `
+                <span class="issue-count" title="Opened: ${engagement.issuesOpened}, Closed (90d): ${engagement.issuesClosed}, Comments: ${engagement.issueComments}">
+                    <i class="fas fa-circle-dot"></i> ${formatNumber(engagement.issuesOpened)}
+                </span>
+            `
+                : '<span class="text-muted">-</span>'
+            }
+        </td>
+        <td>
+            ${
+              member.githubConnected
+                ? `
+                <span class="discussion-count" title="Started: ${engagement.discussions}, Comments: ${engagement.discussionComments}">
+                    <i class="fas fa-comments"></i> ${formatNumber(
+                      engagement.discussions + engagement.discussionComments
+                    )}
+                </span>
+            `
+                : '<span class="text-muted">-</span>'
+            }
+        </td>
+        <td class="member-actions">
             <button class="btn btn-primary" onclick="viewMember('${
               member.id
             }')">
                 <i class="fas fa-eye"></i> View
             </button>
+            <button class="btn btn-secondary btn-sm" data-permission="manage-members" title="Edit member" onclick="openMemberEditor('${
+              member.id
+            }')">
+                <i class="fas fa-pen"></i>
+            </button>
+            ${
+              isActiveMember(member)
+                ? `<button class="btn btn-secondary btn-sm" data-permission="manage-members" title="Deactivate member" onclick="toggleMemberActive('${member.id}', false)">
+                    <i class="fas fa-user-slash"></i>
+                </button>`
+                : `<button class="btn btn-secondary btn-sm" data-permission="manage-members" title="Reactivate member" onclick="toggleMemberActive('${member.id}', true)">
+                    <i class="fas fa-user-check"></i>
+                </button>`
+            }
         </td>
     `;
 
   return row;
 }
 
+/**
+ * Render a member's cohort and tags under their name
+ * @param {Object} member - Member object
+ * @returns {string} - HTML (empty when the member has neither)
+ */
+function renderMemberGroups(member) {
+  const tags = member.tags || [];
+  if (!member.cohort && tags.length === 0) return "";
+  return `
+    <div class="member-groups">
+      ${member.cohort ? `<span class="member-cohort">${escapeHtml(member.cohort)}</span>` : ""}
+      ${tags.map((tag) => `<span class="project-tag">${escapeHtml(tag)}</span>`).join("")}
+    </div>
+  `;
+}
+
+/**
+ * Fill the cohort and tag filters and bulk pickers
+ * Lists the cohorts and tags defined in Settings, plus any still on members
+ * after being removed from Settings
+ */
+function populateGroupOptions() {
+  const members = getMembers();
+  const cohorts = [
+    ...new Set([
+      ...getMemberCohorts(),
+      ...members.map((member) => member.cohort).filter(Boolean),
+    ]),
+  ];
+  const tags = [
+    ...new Set([
+      ...getMemberTags(),
+      ...members.flatMap((member) => member.tags || []),
+    ]),
+  ].sort();
+  const options = (values) =>
+    values
+      .map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+      .join("");
+
+  if (cohortFilter) {
+    const current = cohortFilter.value;
+    cohortFilter.innerHTML = `<option value="">All Cohorts</option><option value="${NO_COHORT}">No Cohort</option>${options(cohorts)}`;
+    cohortFilter.value = current;
+  }
+  if (tagFilter) {
+    const current = tagFilter.value;
+    tagFilter.innerHTML = `<option value="">All Tags</option>${options(tags)}`;
+    tagFilter.value = current;
+  }
+
+  // Bulk pickers only offer what is defined in Settings
+  const bulkCohort = document.getElementById("bulkCohortSelect");
+  if (bulkCohort) {
+    bulkCohort.innerHTML = `<option value="">Choose cohort...</option><option value="${NO_COHORT}">Remove cohort</option>${options(getMemberCohorts())}`;
+  }
+  const bulkTag = document.getElementById("bulkTagSelect");
+  if (bulkTag) {
+    bulkTag.innerHTML = `<option value="">Choose tag...</option>${options(getMemberTags())}`;
+  }
+}
+
+/**
+ * Get the position of a member's cohort for sorting
+ * Cohorts sort in the order defined in Settings; members without one sort last
+ * @param {Object} member - Member object
+ * @param {Array<string>} cohorts - Defined cohorts
+ * @returns {number} - Sort position
+ */
+function getCohortRank(member, cohorts) {
+  if (!member.cohort) return Infinity;
+  const index = cohorts.indexOf(member.cohort);
+  return index === -1 ? cohorts.length : index;
+}
+
+/**
+ * Total review, issue and discussion comments for a member
+ * @param {Object} member - Member object
+ * @returns {number} - Comment count
+ */
+function getTotalComments(member) {
+  const counts = getEngagementCounts(member);
+  return counts.reviewComments + counts.issueComments + counts.discussionComments;
+}
+
 /**
  * Get filtered and sorted members based on current filter settings
  * @returns {Array<Object>} - Filtered and sorted members array
@@ -351,6 +572,31 @@ function getFilteredMembers() {
     });
   }
 
+  // Membership filter (deactivated members are hidden by default)
+  if (membershipFilter && membershipFilter.value) {
+    filtered = filtered.filter((member) =>
+      membershipFilter.value === "inactive"
+        ? !isActiveMember(member)
+        : isActiveMember(member)
+    );
+  }
+
+  // Cohort filter
+  if (cohortFilter && cohortFilter.value) {
+    filtered = filtered.filter((member) =>
+      cohortFilter.value === NO_COHORT
+        ? !member.cohort
+        : member.cohort === cohortFilter.value
+    );
+  }
+
+  // Tag filter
+  if (tagFilter && tagFilter.value) {
+    filtered = filtered.filter((member) =>
+      (member.tags || []).includes(tagFilter.value)
+    );
+  }
+
   // Status filter
   if (statusFilter && statusFilter.value) {
     filtered = filtered.filter((member) => {
@@ -414,6 +660,24 @@ function getFilteredMembers() {
               (b.githubActivity.privateRepos || 0)
             : 0;
           return bRepos - aRepos;
+        case "reviews-desc":
+          return getEngagementCounts(b).reviews - getEngagementCounts(a).reviews;
+        case "issues-desc":
+          return getEngagementCounts(b).issuesOpened - getEngagementCounts(a).issuesOpened;
+        case "comments-desc":
+          return getTotalComments(b) - getTotalComments(a);
+        case "discussions-desc":
+          const aDiscussions = getEngagementCounts(a);
+          const bDiscussions = getEngagementCounts(b);
+          return (bDiscussions.discussions + bDiscussions.discussionComments) -
+            (aDiscussions.discussions + aDiscussions.discussionComments);
+        case "cohort-asc":
+          const cohorts = getMemberCohorts();
+          return (
+            getCohortRank(a, cohorts) - getCohortRank(b, cohorts) ||
+            (a.cohort || "").localeCompare(b.cohort || "") ||
+            aName.localeCompare(bName)
+          );
         case "joined-desc":
           const aJoined = a.joinedAt ? new Date(a.joinedAt) : new Date(0);
           const bJoined = b.joinedAt ? new Date(b.joinedAt) : new Date(0);
@@ -454,5 +718,326 @@ function updatePagination() {
   pageInfo.textContent = `Page ${currentPage} of ${totalPages}`;
 }
 
+/**
+ * Labels and input types for the member editor
+ * @type {Object<string, {label: string, type: string}>}
+ */
+const MEMBER_EDITOR_FIELDS = {
+  firstName: { label: "First Name", type: "text" },
+  lastName: { label: "Last Name", type: "text" },
+  displayName: { label: "Display Name", type: "text" },
+  email: { label: "Email", type: "email" },
+  personalEmail: { label: "Personal Email", type: "email" },
+  phoneNumber: { label: "Phone Number", type: "tel" },
+  whatsappNumber: { label: "WhatsApp Number", type: "tel" },
+  githubUsername: { label: "GitHub Username", type: "text" },
+  role: { label: "Role", type: "text" },
+  joinedAt: { label: "Joined", type: "date" },
+  cohort: { label: "Cohort", type: "cohort" },
+  tags: { label: "Tags", type: "tags" },
+};
+
+/**
+ * Get the editor input value for a member field
+ * @param {Object|null} member - Member being edited
+ * @param {string} field - Field from MEMBER_FIELDS
+ * @returns {string} - Input value
+ */
+function getEditorValue(member, field) {
+  const value = member?.[field];
+  if (!value) return "";
+  if (field === "joinedAt") {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? "" : date.toISOString().split("T")[0];
+  }
+  return String(value);
+}
+
+/**
+ * Render one member editor input
+ * Cohort is a picker and tags a checkbox list, both from the values defined in
+ * Settings plus any the member already has
+ * @param {Object|null} member - Member being edited
+ * @param {string} field - Field from MEMBER_FIELDS
+ * @returns {string} - HTML
+ */
+function renderEditorField(member, field) {
+  const { label, type } = MEMBER_EDITOR_FIELDS[field];
+
+  if (type === "cohort") {
+    const cohorts = [...new Set([...getMemberCohorts(), ...(member?.cohort ? [member.cohort] : [])])];
+    return `
+      <div class="form-group">
+          <label for="memberField-cohort">${label}</label>
+          <select id="memberField-cohort">
+              <option value="">No cohort</option>
+              ${cohorts
+                .map(
+                  (cohort) =>
+                    `<option value="${escapeHtml(cohort)}" ${cohort === member?.cohort ? "selected" : ""}>${escapeHtml(cohort)}</option>`
+                )
+                .join("")}
+          </select>
+      </div>
+    `;
+  }
+
+  if (type === "tags") {
+    const current = member?.tags || [];
+    const tags = [...new Set([...getMemberTags(), ...current])];
+    return `
+      <div class="form-group member-form-wide">
+          <label>${label}</label>
+          <div id="memberField-tags" class="member-tag-options">
+              ${
+                tags.length === 0
+                  ? '<span class="text-muted">No tags defined yet - add them in Settings</span>'
+                  : tags
+                      .map(
+                        (tag) => `
+                  <label class="member-tag-option">
+                      <input type="checkbox" value="${escapeHtml(tag)}" ${current.includes(tag) ? "checked" : ""}>
+                      ${escapeHtml(tag)}
+                  </label>
+              `
+                      )
+                      .join("")
+              }
+          </div>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="form-group">
+        <label for="memberField-${field}">${label}</label>
+        <input type="${type}" id="memberField-${field}" value="${escapeHtml(getEditorValue(member, field))}">
+    </div>
+  `;
+}
+
+/**
+ * Open the add/edit member modal
+ * @param {string} [memberId] - Member to edit; omitted to add one
+ */
+window.openMemberEditor = function (memberId) {
+  if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+  const member = memberId ? getMemberById(memberId) : null;
+  if (memberId && !member) {
+    showToast("Member not found", "error");
+    return;
+  }
+
+  const modal = document.createElement("div");
+  modal.className = "modal";
+  modal.innerHTML = `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>${member ? `Edit ${escapeHtml(getMemberDisplayName(member))}` : "Add Member"}</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <p class="audit-summary">A first name or display name is required. Email and GitHub username must not belong to another member.</p>
+                <div class="member-form-grid">
+                    ${MEMBER_FIELDS.map((field) => renderEditorField(member, field)).join("")}
+                </div>
+                <div id="memberEditorError" class="field-error"></div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                <button class="btn btn-primary" onclick="saveMember(this, ${member ? `'${member.id}'` : "null"})">
+                    <i class="fas fa-save"></i> ${member ? "Save Changes" : "Add Member"}
+                </button>
+            </div>
+        </div>
+    `;
+  document.body.appendChild(modal);
+  modal.addEventListener("click", (e) => {
+    if (e.target === modal) {
+      modal.remove();
+    }
+  });
+};
+
+/**
+ * Save the member editor
+ * Validation and duplicate errors are shown in the modal, which stays open
+ * @param {HTMLElement} button - Save button
+ * @param {string|null} memberId - Member being edited, or null when adding
+ * @returns {Promise<void>}
+ */
+window.saveMember = async function (button, memberId) {
+  if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+  const details = Object.fromEntries(
+    MEMBER_FIELDS.map((field) => [
+      field,
+      field === "tags"
+        ? [...document.querySelectorAll("#memberField-tags input:checked")].map((input) => input.value)
+        : document.getElementById(`memberField-${field}`)?.value || "",
+    ])
+  );
+  const errorEl = document.getElementById("memberEditorError");
+
+  try {
+    showLoading();
+    if (memberId) {
+      await updateMember(getMemberById(memberId), details);
+    } else {
+      await createMember(details);
+    }
+    button.closest(".modal")?.remove();
+    showToast(memberId ? "Member updated" : "Member added", "success");
+    await displayMembers();
+    updatePagination();
+  } catch (error) {
+    handleError(error, { module: "members", action: "saveMember", memberId }, { showToast: false });
+    if (errorEl) errorEl.textContent = error.message || "Failed to save member";
+  } finally {
+    hideLoading();
+  }
+};
+
+/**
+ * Deactivate or reactivate a member
+ * Deactivated members keep their record and history but are hidden from the list by default
+ * @param {string} memberId - Member ID
+ * @param {boolean} active - True to reactivate
+ * @returns {Promise<void>}
+ */
+window.toggleMemberActive = async function (memberId, active) {
+  if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+  const member = getMemberById(memberId);
+  if (!member) return;
+
+  const name = getMemberDisplayName(member);
+  if (!active && !confirm(`Deactivate ${name}? They will be hidden from the members list but their record is kept.`)) {
+    return;
+  }
+
+  try {
+    showLoading();
+    await setMemberActive(member, active);
+    showToast(active ? `${name} reactivated` : `${name} deactivated`, "success");
+    await displayMembers();
+    updatePagination();
+  } catch (error) {
+    handleError(error, { module: "members", action: "toggleMemberActive", memberId, active }, { showToast: false });
+    showToast(`Failed to ${active ? "reactivate" : "deactivate"} member`, "error");
+  } finally {
+    hideLoading();
+  }
+};
+
+/**
+ * Tick or untick a member for bulk changes
+ * @param {string} memberId - Member ID
+ * @param {boolean} checked - Whether the member is selected
+ */
+window.toggleMemberSelection = function (memberId, checked) {
+  if (checked) selectedMemberIds.add(memberId);
+  else selectedMemberIds.delete(memberId);
+  updateBulkBar();
+};
+
+/**
+ * Clear the bulk selection
+ */
+window.clearMemberSelection = function () {
+  selectedMemberIds.clear();
+  membersTableBody
+    ?.querySelectorAll(".member-select input")
+    .forEach((input) => (input.checked = false));
+  updateBulkBar();
+};
+
+/**
+ * Show the bulk action bar while members are selected
+ * Selected members that no longer exist (merged away) are dropped
+ */
+function updateBulkBar() {
+  const members = getMembers();
+  [...selectedMemberIds].forEach((id) => {
+    if (!members.some((member) => member.id === id)) selectedMemberIds.delete(id);
+  });
+
+  const bar = document.getElementById("memberBulkBar");
+  const count = document.getElementById("memberBulkCount");
+  if (bar) bar.style.display = selectedMemberIds.size > 0 ? "" : "none";
+  if (count) {
+    count.textContent = `${selectedMemberIds.size} member${selectedMemberIds.size === 1 ? "" : "s"} selected`;
+  }
+
+  const selectAll = document.getElementById("selectAllMembers");
+  if (selectAll) {
+    const pageMembers = getPageMembers();
+    selectAll.checked =
+      pageMembers.length > 0 && pageMembers.every((member) => selectedMemberIds.has(member.id));
+  }
+}
+
+/**
+ * Apply a cohort or tag change to every selected member
+ * @param {Object} change - Change for updateMemberGroups
+ * @param {string} description - What changed, for the toast
+ * @returns {Promise<void>}
+ */
+async function applyBulkChange(change, description) {
+  if (!requirePermission(PERMISSIONS.MANAGE_MEMBERS)) return;
+  const members = [...selectedMemberIds].map(getMemberById).filter(Boolean);
+  if (members.length === 0) return;
+
+  try {
+    showLoading();
+    const changed = await updateMemberGroups(members, change);
+    showToast(
+      changed > 0
+        ? `${description} for ${changed} member${changed === 1 ? "" : "s"}`
+        : "Selected members already match",
+      "success"
+    );
+    populateGroupOptions();
+    await displayMembers();
+    updatePagination();
+  } catch (error) {
+    handleError(error, { module: "members", action: "applyBulkChange", change }, { showToast: false });
+    showToast(error.message || "Failed to update members", "error");
+  } finally {
+    hideLoading();
+  }
+}
+
+/**
+ * Set (or remove) the cohort picked in the bulk bar on the selected members
+ * @returns {Promise<void>}
+ */
+window.applyBulkCohort = async function () {
+  const value = document.getElementById("bulkCohortSelect")?.value;
+  if (!value) {
+    showToast("Choose a cohort first", "warning");
+    return;
+  }
+  const cohort = value === NO_COHORT ? null : value;
+  await applyBulkChange({ cohort }, cohort ? `Cohort set to ${cohort}` : "Cohort removed");
+};
+
+/**
+ * Add or remove the tag picked in the bulk bar on the selected members
+ * @param {boolean} add - True to add the tag, false to remove it
+ * @returns {Promise<void>}
+ */
+window.applyBulkTag = async function (add) {
+  const tag = document.getElementById("bulkTagSelect")?.value;
+  if (!tag) {
+    showToast("Choose a tag first", "warning");
+    return;
+  }
+  await applyBulkChange(
+    add ? { addTags: [tag] } : { removeTags: [tag] },
+    add ? `Tag ${tag} added` : `Tag ${tag} removed`
+  );
+};
+
 // Make loadMembers available globally for navigation
 window.loadMembersPage = loadMembers;
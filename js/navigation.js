@@ -4,6 +4,15 @@
  * @module navigation
  */
 
+import { hasPermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+
+// Pages that need more than read-only access
+const PAGE_PERMISSIONS = {
+    settings: PERMISSIONS.EDIT_SETTINGS,
+    audit: PERMISSIONS.VIEW_AUDIT_LOG
+};
+
 // DOM elements (will be initialized)
 let loginScreen = null;
 let dashboard = null;
@@ -146,6 +155,12 @@ export function showDashboard() {
  * @param {string} pageId - Page ID to show
  */
 export function showPage(pageId) {
+    // Fall back to the dashboard when the role can't open the requested page
+    const requiredPermission = PAGE_PERMISSIONS[pageId];
+    if (requiredPermission && !hasPermission(requiredPermission)) {
+        pageId = 'dashboard';
+    }
+    
     if (!pages) {
         pages = document.querySelectorAll('.page');
     }
@@ -192,6 +207,18 @@ async function loadPageData(pageId) {
                 const { loadSettings } = await import('./settings.js');
                 loadSettings();
                 break;
+            case 'projects':
+                const { loadProjectsPage } = await import('./projects.js');
+                loadProjectsPage();
+                break;
+            case 'events':
+                const { loadEventsPage } = await import('./events.js');
+                loadEventsPage();
+                break;
+            case 'audit':
+                const { loadAuditPage } = await import('./audit.js');
+                loadAuditPage();
+                break;
             case 'forms':
                 // Navigate to forms.html
                 window.location.href = 'forms.html';
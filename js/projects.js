@@ -0,0 +1,457 @@
+/**
+ * @fileoverview Projects Page Module
+ * Registry of club-owned repositories with maintainers, status, tags and
+ * repository health fetched from GitHub
+ * @module projects
+ */
+import { getMembers } from './data-store.js';
+import { requirePermission } from './auth.js';
+import { PERMISSIONS } from './services/admin-service.js';
+import {
+    loadProjects,
+    createProject,
+    updateProject,
+    deleteProject,
+    refreshProjectHealth,
+    getProjectTrend,
+    syncProjectStats,
+    PROJECT_STATUSES,
+    PROJECT_STATUS_LABELS
+} from './services/project-service.js';
+import { showToast, handleError, showLoading, hideLoading, formatDate, formatNumber, getMemberDisplayName, getMemberEmail, escapeHtml } from './utils.js';
+
+let projects = [];
+let projectsListenersInitialized = false;
+
+/**
+ * Load the projects page
+ * @param {boolean} forceRefresh - Reload projects even if already loaded
+ * @returns {Promise<void>}
+ */
+export async function loadProjectsPage(forceRefresh = false) {
+    setupProjectsListeners();
+
+    if (projects.length > 0 && !forceRefresh) {
+        renderProjects();
+        return;
+    }
+
+    const tbody = document.getElementById('projectsTableBody');
+    if (tbody) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 40px;"><i class="fas fa-spinner fa-spin"></i> Loading projects...</td></tr>';
+    }
+
+    try {
+        projects = await loadProjects();
+        populateTagFilter();
+        renderProjects();
+    } catch (error) {
+        handleError(error, { module: 'projects', action: 'loadProjectsPage' }, { showToast: false });
+        showToast('Failed to load projects.', 'error');
+        if (tbody) {
+            tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 40px;">Could not load projects.</td></tr>';
+        }
+    }
+}
+
+/**
+ * Attach filter and toolbar listeners once
+ */
+function setupProjectsListeners() {
+    if (projectsListenersInitialized) return;
+    projectsListenersInitialized = true;
+
+    ['projectsStatusFilter', 'projectsTagFilter'].forEach(id => {
+        document.getElementById(id)?.addEventListener('change', renderProjects);
+    });
+    document.getElementById('projectsSearch')?.addEventListener('input', renderProjects);
+    document.getElementById('createProjectBtn')?.addEventListener('click', () => window.openProjectEditor());
+    document.getElementById('refreshProjectHealth')?.addEventListener('click', refreshAllProjectHealth);
+}
+
+/**
+ * Fill the tag select from the loaded projects, keeping the current selection
+ */
+function populateTagFilter() {
+    const select = document.getElementById('projectsTagFilter');
+    if (!select) return;
+    const selected = select.value;
+    const tags = [...new Set(projects.flatMap(project => project.tags || []))].sort();
+    select.innerHTML = '<option value="">All Tags</option>' + tags
+        .map(tag => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`)
+        .join('');
+    select.value = tags.includes(selected) ? selected : '';
+}
+
+/**
+ * Apply the page filters to the loaded projects
+ * @returns {Array<Object>} - Matching projects
+ */
+function getFilteredProjects() {
+    const status = document.getElementById('projectsStatusFilter')?.value || '';
+    const tag = document.getElementById('projectsTagFilter')?.value || '';
+    const search = (document.getElementById('projectsSearch')?.value || '').trim().toLowerCase();
+
+    return projects.filter(project => {
+        // The default view leaves archived projects out, like the club count
+        if (status ? project.status !== status : project.status === PROJECT_STATUSES.ARCHIVED) return false;
+        if (tag && !(project.tags || []).includes(tag)) return false;
+        if (search) {
+            const haystack = [project.name, project.repo, project.description, ...(project.tags || [])].join(' ').toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Render the filtered projects
+ */
+function renderProjects() {
+    const tbody = document.getElementById('projectsTableBody');
+    const summary = document.getElementById('projectsSummary');
+    if (!tbody) return;
+
+    const filtered = getFilteredProjects();
+    if (summary) {
+        summary.textContent = `Showing ${filtered.length} of ${projects.length} projects`;
+    }
+
+    if (filtered.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" style="text-align: center; padding: 40px;">No projects match these filters.</td></tr>';
+        return;
+    }
+
+    const membersById = new Map(getMembers().map(member => [member.id, member]));
+    tbody.innerHTML = filtered.map(project => {
+        const maintainers = (project.maintainers || [])
+            .map(id => membersById.get(id))
+            .filter(Boolean)
+            .map(getMemberDisplayName);
+
+        return `
+            <tr>
+                <td>
+                    <strong>${escapeHtml(project.name)}</strong>
+                    <span class="project-status status-${escapeHtml(project.status)}">${escapeHtml(PROJECT_STATUS_LABELS[project.status] || project.status)}</span>
+                    <a class="event-meta" href="https://github.com/${escapeHtml(project.repo)}" target="_blank" rel="noopener">
+                        <i class="fab fa-github"></i> ${escapeHtml(project.repo)}
+                    </a>
+                    ${(project.tags || []).length ? `
+                        <div class="project-tags">${project.tags.map(tag => `<span class="project-tag">${escapeHtml(tag)}</span>`).join('')}</div>
+                    ` : ''}
+                </td>
+                <td>${maintainers.length ? escapeHtml(maintainers.join(', ')) : '<span class="event-meta">None</span>'}</td>
+                ${renderHealthCells(project, membersById)}
+                <td class="event-actions">
+                    <button class="btn btn-sm btn-secondary" data-permission="manage-projects" onclick="openProjectEditor('${project.id}')" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-secondary" data-permission="manage-projects" onclick="refreshProjectHealthEntry('${project.id}')" title="Refresh health">
+                        <i class="fas fa-heartbeat"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger" data-permission="manage-projects" onclick="deleteProjectEntry('${project.id}')" title="Remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the health columns of a project row
+ * @param {Object} project - Project
+ * @param {Map<string, Object>} membersById - Members keyed by ID
+ * @returns {string} - HTML for four cells
+ */
+function renderHealthCells(project, membersById) {
+    const health = project.health;
+    if (!health) {
+        return '<td colspan="4"><span class="event-meta">Health not fetched yet</span></td>';
+    }
+    if (health.missing) {
+        return `<td colspan="4"><span class="project-health-warning">Repository not found on GitHub (checked ${formatDate(health.fetchedAt)})</span></td>`;
+    }
+
+    const trend = getProjectTrend(project);
+    const memberNames = (health.memberContributors || [])
+        .map(contributor => membersById.get(contributor.memberId))
+        .filter(Boolean)
+        .map(getMemberDisplayName);
+
+    return `
+        <td style="white-space: nowrap">
+            ${formatNumber(health.openIssues)} issues<br>
+            ${formatNumber(health.openPullRequests)} PRs
+            <span class="event-meta">${health.medianMergeHours === null ? 'No recent merges' : `Median merge ${formatDuration(health.medianMergeHours)}`}</span>
+        </td>
+        <td>
+            ${health.lastRelease ? `
+                <a href="${escapeHtml(health.lastRelease.url)}" target="_blank" rel="noopener">${escapeHtml(health.lastRelease.tag)}</a>
+                <span class="event-meta">${formatDate(health.lastRelease.publishedAt)}</span>
+            ` : '<span class="event-meta">No releases</span>'}
+        </td>
+        <td style="white-space: nowrap">
+            <i class="fas fa-star"></i> ${formatNumber(health.stars)} ${renderTrend(trend?.stars)}<br>
+            <i class="fas fa-code-branch"></i> ${formatNumber(health.forks)} ${renderTrend(trend?.forks)}
+            ${trend ? `<span class="event-meta">since ${formatDate(trend.since)}</span>` : ''}
+        </td>
+        <td>
+            <span title="${escapeHtml(memberNames.join(', '))}">
+                ${formatNumber(memberNames.length)} of ${formatNumber(health.contributorCount)}
+            </span>
+            <span class="event-meta">Checked ${formatDate(health.fetchedAt)}</span>
+        </td>
+    `;
+}
+
+/**
+ * Render a trend delta
+ * @param {number|undefined} delta - Change over the trend period
+ * @returns {string} - HTML, empty when unknown or zero
+ */
+function renderTrend(delta) {
+    if (!delta) return '';
+    return `<span class="project-trend ${delta > 0 ? 'up' : 'down'}">${delta > 0 ? '+' : ''}${formatNumber(delta)}</span>`;
+}
+
+/**
+ * Format a duration in hours
+ * @param {number} hours - Duration in hours
+ * @returns {string} - e.g. "5 h" or "3.2 days"
+ */
+function formatDuration(hours) {
+    if (hours < 48) return `${Math.round(hours)} h`;
+    return `${Math.round(hours / 2.4) / 10} days`;
+}
+
+/**
+ * Open the create/edit project modal
+ * @param {string} [projectId] - Project to edit; omitted to register one
+ */
+window.openProjectEditor = function(projectId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_PROJECTS)) return;
+    const project = projectId ? projects.find(p => p.id === projectId) : null;
+    if (projectId && !project) {
+        showToast('Project not found', 'error');
+        return;
+    }
+
+    const maintainers = new Set(project?.maintainers || []);
+    const members = [...getMembers()].sort((a, b) => getMemberDisplayName(a).localeCompare(getMemberDisplayName(b)));
+    const status = project?.status || PROJECT_STATUSES.ACTIVE;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal';
+    modal.innerHTML = `
+        <div class="modal-content modal-large">
+            <div class="modal-header">
+                <h3>${project ? 'Edit Project' : 'Register Project'}</h3>
+                <button class="btn-icon" onclick="this.closest('.modal').remove()">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="modal-body">
+                <div class="event-form-row">
+                    <div class="form-group">
+                        <label for="projectName">Name</label>
+                        <input type="text" id="projectName" maxlength="100" value="${escapeHtml(project?.name || '')}">
+                    </div>
+                    <div class="form-group">
+                        <label for="projectRepo">Repository</label>
+                        <input type="text" id="projectRepo" placeholder="owner/name" value="${escapeHtml(project?.repo || '')}" ${project ? 'disabled' : ''}>
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="projectDescription">Description</label>
+                    <textarea id="projectDescription" rows="2">${escapeHtml(project?.description || '')}</textarea>
+                </div>
+                <div class="event-form-row">
+                    <div class="form-group">
+                        <label for="projectStatus">Status</label>
+                        <select id="projectStatus">
+                            ${Object.values(PROJECT_STATUSES).map(value => `
+                                <option value="${value}" ${value === status ? 'selected' : ''}>${PROJECT_STATUS_LABELS[value]}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="projectTags">Tags (comma-separated)</label>
+                        <input type="text" id="projectTags" placeholder="web, tooling" value="${escapeHtml((project?.tags || []).join(', '))}">
+                    </div>
+                </div>
+                <div class="form-group">
+                    <label for="projectMaintainerSearch">Maintainers</label>
+                    <input type="text" id="projectMaintainerSearch" placeholder="Filter members..." oninput="filterProjectMaintainers(this.value)">
+                    <div id="projectMaintainerList" class="event-member-list">
+                        ${members.map(member => `
+                            <label class="event-member-option" data-search="${escapeHtml(`${getMemberDisplayName(member)} ${getMemberEmail(member)} ${member.githubUsername || ''}`.toLowerCase())}">
+                                <input type="checkbox" value="${escapeHtml(member.id)}" ${maintainers.has(member.id) ? 'checked' : ''}>
+                                <span>${escapeHtml(getMemberDisplayName(member))}</span>
+                                <span class="event-meta">${escapeHtml(member.githubUsername ? `@${member.githubUsername}` : getMemberEmail(member))}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+            <div class="modal-footer">
+                <button class="btn btn-secondary" onclick="this.closest('.modal').remove()">Cancel</button>
+                <button class="btn btn-primary" onclick="saveProject(this, ${project ? `'${project.id}'` : 'null'})">
+                    <i class="fas fa-save"></i> ${project ? 'Save Changes' : 'Register Project'}
+                </button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+};
+
+/**
+ * Filter the maintainer list by name, email or GitHub username
+ * @param {string} query - Search text
+ */
+window.filterProjectMaintainers = function(query) {
+    const search = (query || '').trim().toLowerCase();
+    document.querySelectorAll('#projectMaintainerList .event-member-option').forEach(option => {
+        option.style.display = !search || option.dataset.search.includes(search) ? '' : 'none';
+    });
+};
+
+/**
+ * Save the project editor
+ * A newly registered project has its health fetched straight away
+ * @param {HTMLElement} button - Save button (its modal is closed on success)
+ * @param {string|null} projectId - Project being edited, or null when registering
+ */
+window.saveProject = async function(button, projectId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_PROJECTS)) return;
+    const details = {
+        name: document.getElementById('projectName').value,
+        repo: document.getElementById('projectRepo').value,
+        description: document.getElementById('projectDescription').value,
+        status: document.getElementById('projectStatus').value,
+        tags: document.getElementById('projectTags').value.split(','),
+        maintainers: [...document.querySelectorAll('#projectMaintainerList input[type="checkbox"]:checked')].map(input => input.value)
+    };
+
+    try {
+        showLoading();
+        let newProjectId = null;
+        if (projectId) {
+            await updateProject(projects.find(p => p.id === projectId), details);
+        } else {
+            newProjectId = await createProject(details, projects);
+        }
+        button.closest('.modal')?.remove();
+        showToast(projectId ? 'Project updated' : 'Project registered', 'success');
+        await refreshAfterChange();
+
+        if (newProjectId && await refreshHealth(projects.find(p => p.id === newProjectId))) {
+            projects = await loadProjects();
+            renderProjects();
+        }
+    } catch (error) {
+        handleError(error, { module: 'projects', action: 'saveProject', projectId }, { showToast: false });
+        showToast(error.message || 'Failed to save project', 'error');
+    } finally {
+        hideLoading();
+    }
+};
+
+/**
+ * Remove a project from the registry
+ * @param {string} projectId - Project ID
+ */
+window.deleteProjectEntry = async function(projectId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_PROJECTS)) return;
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+    if (!confirm(`Remove "${project.name}" from the registry? Its health history is deleted too. To keep it, set its status to Archived instead.`)) return;
+
+    try {
+        await deleteProject(project);
+        showToast('Project removed', 'success');
+        await refreshAfterChange();
+    } catch (error) {
+        handleError(error, { module: 'projects', action: 'deleteProject', projectId }, { showToast: false });
+        showToast('Failed to remove project', 'error');
+    }
+};
+
+/**
+ * Fetch and store one project's health
+ * @param {Object} project - Project
+ * @returns {Promise<boolean>} - True if GitHub answered (found or not)
+ */
+async function refreshHealth(project) {
+    try {
+        await refreshProjectHealth(project, getMembers());
+        return true;
+    } catch (error) {
+        handleError(error, { module: 'projects', action: 'refreshProjectHealth', repo: project.repo }, { showToast: false });
+        return false;
+    }
+}
+
+/**
+ * Refresh one project's health
+ * @param {string} projectId - Project ID
+ */
+window.refreshProjectHealthEntry = async function(projectId) {
+    if (!requirePermission(PERMISSIONS.MANAGE_PROJECTS)) return;
+    const project = projects.find(p => p.id === projectId);
+    if (!project) return;
+
+    showLoading();
+    const ok = await refreshHealth(project);
+    projects = await loadProjects();
+    hideLoading();
+    renderProjects();
+    showToast(ok ? `Health refreshed for ${project.name}` : 'GitHub could not be reached. Try again later.', ok ? 'success' : 'error');
+};
+
+/**
+ * Refresh health for every project that is not archived, one at a time
+ */
+async function refreshAllProjectHealth() {
+    if (!requirePermission(PERMISSIONS.MANAGE_PROJECTS)) return;
+    const targets = projects.filter(project => project.status !== PROJECT_STATUSES.ARCHIVED);
+    if (targets.length === 0) {
+        showToast('No projects to refresh.', 'warning');
+        return;
+    }
+
+    showLoading();
+    let failed = 0;
+    for (const project of targets) {
+        if (!await refreshHealth(project)) failed++;
+    }
+    projects = await loadProjects();
+    hideLoading();
+    renderProjects();
+    showToast(
+        failed ? `Refreshed ${targets.length - failed} of ${targets.length} projects; GitHub could not be reached for the rest.` : `Refreshed ${targets.length} projects`,
+        failed ? 'warning' : 'success'
+    );
+}
+
+/**
+ * Reload projects after a change and recompute the ClubStats project count
+ * @returns {Promise<void>}
+ */
+async function refreshAfterChange() {
+    projects = await loadProjects();
+    populateTagFilter();
+    renderProjects();
+    try {
+        await syncProjectStats(projects);
+    } catch (error) {
+        handleError(error, { module: 'projects', action: 'syncProjectStats' }, { showToast: false });
+    }
+}
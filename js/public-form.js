@@ -0,0 +1,1039 @@
+/**
+ * @fileoverview Public Form Page Module
+ * Respondent-facing renderer for published forms (form.html?id={formId}).
+ * Renders the builder's `fields`/`sections` definition page by page, runs the
+ * conditional logic engine on every change, and stores the answers through
+ * submission-service
+ * @module public-form
+ */
+import { auth, db, doc, getDoc, getDocs, collection, query, where, limit, onAuthStateChanged, signInWithEmailAndPassword, signOut } from '../firebase-config.js';
+import { showLoading, hideLoading, showToast, handleError, escapeHtml } from './utils.js';
+import { isValidUrl, validateFieldValue } from './utils/validation.js';
+import { evaluateFormLogic } from './utils/form-logic.js';
+import { getFormAvailability, hasSubmitted, submitFormResponse } from './services/submission-service.js';
+import { formatFileSize, DEFAULT_MAX_FILE_SIZE_MB } from './services/upload-service.js';
+import { GITHUB_FIELD_TYPES, RESOLVE_STATUS, normalizeGitHubAnswer, resolveGitHubAnswer } from './services/github-field-service.js';
+import { fetchUserRepositories } from './github-api.js';
+
+const LAYOUT_TYPES = ['pagebreak', 'section'];
+const OTHER_VALUE = '__other__';
+
+/**
+ * Member data used by `autoFetch` fields
+ * @type {Object<string, Function>}
+ */
+const AUTO_FETCH_SOURCES = {
+    name: member => member.displayName || `${member.firstName || ''} ${member.lastName || ''}`.trim(),
+    email: member => member.email,
+    phone: member => member.phoneNumber,
+    whatsapp: member => member.whatsappNumber,
+    githubUsername: member => member.githubUsername
+};
+
+let formId = null;
+let form = null;
+let fields = []; // All fields in order, page breaks included
+let pages = []; // [{fields, breakBefore, breakAfter}]
+let currentPage = 0;
+let pageHistory = []; // Pages visited before the current one, for Back
+let startedAt = Date.now();
+let respondent = null; // Signed-in Firebase user, if any
+let fetchedValues = {}; // autoFetch values keyed by field ID
+let logicState = null;
+let pendingFiles = {}; // Files chosen in upload fields, keyed by field ID; uploaded on submit
+let githubChecks = {}; // Latest GitHub lookup per field ID: {value, result}
+let memberRepos = []; // Signed-in member's repositories (owner/name), suggested in repository fields
+
+/**
+ * Load the form named in the URL and render it
+ */
+async function initializePublicForm() {
+    formId = new URLSearchParams(window.location.search).get('id');
+    if (!formId) {
+        renderMessage('fa-exclamation-circle', 'Form not found', 'This link is missing a form ID.');
+        return;
+    }
+
+    try {
+        const formSnap = await getDoc(doc(db, 'forms', formId));
+        form = formSnap.exists() ? formSnap.data() : null;
+        renderHeader();
+
+        const availability = getFormAvailability(form);
+        if (!availability.available) {
+            renderMessage('fa-lock', 'Form unavailable', availability.message);
+            return;
+        }
+
+        fields = [...(form.fields || [])].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+        pages = splitIntoPages(fields);
+        respondent = await getSignedInUser();
+
+        if (!form.settings?.allowMultipleSubmissions && await hasSubmitted(formId, respondent?.email || null)) {
+            renderMessage('fa-check-circle', 'Already submitted', 'You have already responded to this form.');
+            return;
+        }
+
+        await loadAutoFetchValues();
+        renderSignInPanel();
+        startedAt = Date.now();
+        renderForm();
+    } catch (error) {
+        handleError(error, { module: 'public-form', action: 'initializePublicForm', formId }, { showToast: false });
+        if (error.code === 'permission-denied') {
+            // The rules only expose active forms
+            renderMessage('fa-lock', 'Form unavailable', 'This form is not accepting responses.');
+        } else {
+            renderMessage('fa-exclamation-circle', 'Something went wrong', 'The form could not be loaded. Please refresh and try again.');
+        }
+    }
+}
+
+/**
+ * Wait for Firebase Auth to restore any existing session
+ * @returns {Promise<Object|null>} - Signed-in user, or null
+ */
+function getSignedInUser() {
+    return new Promise(resolve => {
+        const unsubscribe = onAuthStateChanged(auth, user => {
+            unsubscribe();
+            resolve(user);
+        });
+    });
+}
+
+/**
+ * Split ordered fields into pages at each page break
+ * @param {Array<Object>} orderedFields - Fields in order
+ * @returns {Array<{fields: Array<Object>, breakBefore: Object|null, breakAfter: Object|null}>} - Pages
+ */
+function splitIntoPages(orderedFields) {
+    const result = [{ fields: [], breakBefore: null, breakAfter: null }];
+    orderedFields.forEach(field => {
+        if (field.type === 'pagebreak') {
+            result[result.length - 1].breakAfter = field;
+            result.push({ fields: [], breakBefore: field, breakAfter: null });
+        } else {
+            result[result.length - 1].fields.push(field);
+        }
+    });
+    return result;
+}
+
+/**
+ * Check whether the form reads the signed-in member's record
+ * @returns {boolean} - True for autoFetch fields or repository fields that suggest the member's repositories
+ */
+function usesMemberRecord() {
+    return fields.some(f => f.autoFetch?.enabled || (f.type === 'github_repo' && f.suggestMemberRepos !== false));
+}
+
+/**
+ * Look up the signed-in respondent's member record for autoFetch fields and
+ * repository suggestions
+ */
+async function loadAutoFetchValues() {
+    fetchedValues = {};
+    memberRepos = [];
+    const autoFetchFields = fields.filter(f => f.autoFetch?.enabled);
+    if (!usesMemberRecord() || !respondent?.email) return;
+
+    let member = { email: respondent.email };
+    try {
+        const memberSnap = await getDocs(query(collection(db, 'Members'), where('email', '==', respondent.email), limit(1)));
+        if (!memberSnap.empty) {
+            member = { ...member, ...memberSnap.docs[0].data() };
+        }
+    } catch (error) {
+        // Without read access to Members only the email can be filled in
+        handleError(error, { module: 'public-form', action: 'loadAutoFetchValues' }, { showToast: false });
+    }
+
+    autoFetchFields.forEach(field => {
+        const value = AUTO_FETCH_SOURCES[field.autoFetch.field]?.(member);
+        if (value) fetchedValues[field.id] = value;
+    });
+
+    if (member.githubUsername && fields.some(f => f.type === 'github_repo' && f.suggestMemberRepos !== false)) {
+        memberRepos = (await fetchUserRepositories(member.githubUsername, 100)).map(repo => repo.full_name);
+    }
+}
+
+/**
+ * Render the form title and description
+ */
+function renderHeader() {
+    const header = document.getElementById('publicFormHeader');
+    if (!header || !form) return;
+
+    document.title = `${form.name || 'Form'} - Vedam Open Source`;
+    header.innerHTML = `
+        <h1>${escapeHtml(form.name || 'Untitled Form')}</h1>
+        ${form.description ? `<p>${escapeHtml(form.description)}</p>` : ''}
+    `;
+}
+
+/**
+ * Replace the form with a status message
+ * @param {string} icon - Font Awesome icon class
+ * @param {string} title - Message title
+ * @param {string} text - Message text
+ */
+function renderMessage(icon, title, text) {
+    const content = document.getElementById('publicFormContent');
+    if (!content) return;
+
+    content.innerHTML = `
+        <div class="public-form-message">
+            <i class="fas ${icon}"></i>
+            <h2>${escapeHtml(title)}</h2>
+            <p>${escapeHtml(text)}</p>
+        </div>
+    `;
+    document.getElementById('memberSignIn')?.style.setProperty('display', 'none');
+}
+
+/**
+ * Render the optional member sign-in panel for forms with autoFetch fields
+ */
+function renderSignInPanel() {
+    const panel = document.getElementById('memberSignIn');
+    if (!panel) return;
+    if (!usesMemberRecord()) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    panel.style.display = 'block';
+    panel.innerHTML = respondent
+        ? `
+            <span><i class="fas fa-user-check"></i> Signed in as ${escapeHtml(respondent.email)} - your details are filled in where available.</span>
+            <button type="button" class="btn btn-sm btn-secondary" onclick="signOutRespondent()">Sign out</button>
+        `
+        : `
+            <details>
+                <summary><i class="fas fa-user"></i> Vedam member? Sign in to fill in your details automatically</summary>
+                <form id="memberSignInForm" class="public-form-signin-fields">
+                    <input type="email" id="memberEmail" placeholder="Email" autocomplete="email" required>
+                    <input type="password" id="memberPassword" placeholder="Password" autocomplete="current-password" required>
+                    <button type="submit" class="btn btn-sm btn-primary">Sign in</button>
+                </form>
+            </details>
+        `;
+
+    document.getElementById('memberSignInForm')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const answers = collectAnswers();
+            const credential = await signInWithEmailAndPassword(
+                auth,
+                document.getElementById('memberEmail').value.trim(),
+                document.getElementById('memberPassword').value
+            );
+            respondent = credential.user;
+            await reloadForRespondent(answers);
+        } catch (error) {
+            handleError(error, { module: 'public-form', action: 'signIn' }, { showToast: false });
+            showToast('Sign in failed. Check your email and password.', 'error');
+        }
+    });
+}
+
+/**
+ * Sign the respondent out and clear auto-filled values
+ */
+window.signOutRespondent = async function() {
+    const answers = collectAnswers();
+    await signOut(auth);
+    respondent = null;
+    Object.keys(fetchedValues).forEach(fieldId => delete answers[fieldId]);
+    await reloadForRespondent(answers);
+};
+
+/**
+ * Re-render after the respondent signs in or out, keeping what they typed
+ * @param {Object<string, *>} answers - Answers collected before the change
+ */
+async function reloadForRespondent(answers) {
+    if (!form.settings?.allowMultipleSubmissions && await hasSubmitted(formId, respondent?.email || null)) {
+        renderMessage('fa-check-circle', 'Already submitted', 'You have already responded to this form.');
+        return;
+    }
+    await loadAutoFetchValues();
+    renderSignInPanel();
+    renderForm(answers);
+}
+
+/**
+ * Render all pages (only the current one is visible) and wire events
+ * @param {Object<string, *>} [answers] - Values to restore into the inputs
+ */
+function renderForm(answers = {}) {
+    const content = document.getElementById('publicFormContent');
+    if (!content) return;
+
+    const values = { ...fetchedValues, ...answers };
+    content.innerHTML = `
+        <form id="publicForm" novalidate>
+            <div class="public-progress public-progress-top"></div>
+            ${pages.map((page, index) => `
+                <div class="public-page" data-page="${index}" ${index === currentPage ? '' : 'hidden'}>
+                    ${page.breakBefore?.pageTitle ? `<h2 class="public-page-title">${escapeHtml(page.breakBefore.pageTitle)}</h2>` : ''}
+                    ${renderFieldsWithSections(page.fields, values)}
+                </div>
+            `).join('')}
+            <div class="public-progress public-progress-bottom"></div>
+            <div class="public-form-nav">
+                <button type="button" class="btn btn-secondary" id="publicPrevBtn"></button>
+                <button type="button" class="btn btn-primary" id="publicNextBtn"></button>
+                <button type="submit" class="btn btn-primary" id="publicSubmitBtn">
+                    <i class="fas fa-paper-plane"></i> Submit
+                </button>
+            </div>
+        </form>
+    `;
+
+    const formEl = document.getElementById('publicForm');
+    formEl.addEventListener('input', handleFormChange);
+    formEl.addEventListener('change', handleFormChange);
+    formEl.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitForm();
+    });
+    document.getElementById('publicPrevBtn').addEventListener('click', goToPreviousPage);
+    document.getElementById('publicNextBtn').addEventListener('click', goToNextPage);
+
+    applyLogic();
+    updateNavigation();
+}
+
+/**
+ * Render fields, grouping consecutive fields of the same section
+ * @param {Array<Object>} pageFields - Fields on one page
+ * @param {Object<string, *>} values - Initial values
+ * @returns {string} - HTML
+ */
+function renderFieldsWithSections(pageFields, values) {
+    const groups = [];
+    pageFields.forEach(field => {
+        const sectionId = field.sectionId || null;
+        const last = groups[groups.length - 1];
+        if (last && last.sectionId === sectionId) {
+            last.fields.push(field);
+        } else {
+            groups.push({ sectionId, fields: [field] });
+        }
+    });
+
+    return groups.map(group => {
+        const section = group.sectionId ? (form.sections || []).find(s => s.id === group.sectionId) : null;
+        const fieldsHtml = group.fields.map(field => renderField(field, values)).join('');
+        if (!section) return fieldsHtml;
+
+        const headerHtml = `
+            ${section.icon ? `<i class="${escapeHtml(section.icon)}"></i>` : ''}
+            <h3>${escapeHtml(section.title || '')}</h3>
+        `;
+        const bodyHtml = `
+            ${section.description ? `<p class="section-description">${escapeHtml(section.description)}</p>` : ''}
+            <div class="section-fields">${fieldsHtml}</div>
+        `;
+        return section.collapsible
+            ? `<details class="public-section section-${section.backgroundStyle || 'none'}" data-section-id="${section.id}" open>
+                    <summary class="section-header">${headerHtml}</summary>${bodyHtml}
+               </details>`
+            : `<div class="public-section section-${section.backgroundStyle || 'none'}" data-section-id="${section.id}">
+                    <div class="section-header">${headerHtml}</div>${bodyHtml}
+               </div>`;
+    }).join('');
+}
+
+/**
+ * Check whether an autoFetch field keeps its fetched value out of view
+ * @param {Object} field - Field
+ * @returns {boolean} - True for hidden-mode fields that found a value
+ */
+function isFetchedHidden(field) {
+    return field.autoFetch?.enabled && field.autoFetch.mode === 'hidden' && field.id in fetchedValues;
+}
+
+/**
+ * Render one field
+ * @param {Object} field - Field
+ * @param {Object<string, *>} values - Initial values
+ * @returns {string} - HTML
+ */
+function renderField(field, values) {
+    if (field.type === 'section') {
+        return `
+            <div class="public-field public-section-break" data-field-id="${field.id}">
+                <h3>${escapeHtml(field.label || '')}</h3>
+                ${field.helpText ? `<p class="field-help-text">${escapeHtml(field.helpText)}</p>` : ''}
+            </div>
+        `;
+    }
+
+    const value = field.id in values ? values[field.id] : (field.defaultValue ?? '');
+    const widthClass = field.width === 6 ? 'field-width-half' : field.width === 4 ? 'field-width-third' : 'field-width-full';
+    const invisible = field.hidden || isFetchedHidden(field);
+
+    return `
+        <div class="public-field ${widthClass}" data-field-id="${field.id}" ${invisible ? 'hidden data-always-hidden="true"' : ''}>
+            <label for="input_${field.id}">
+                ${field.icon ? `<i class="${escapeHtml(field.icon)}"></i>` : ''}
+                ${escapeHtml(field.label || '')}
+                <span class="required" ${field.required ? '' : 'hidden'}>*</span>
+                ${field.showTooltip && field.tooltip ? `<i class="fas fa-info-circle field-tooltip" title="${escapeHtml(field.tooltip)}"></i>` : ''}
+            </label>
+            <div class="field-input-wrapper">
+                ${field.prefix ? `<span class="field-prefix">${escapeHtml(field.prefix)}</span>` : ''}
+                ${renderInput(field, value)}
+                ${field.suffix ? `<span class="field-suffix">${escapeHtml(field.suffix)}</span>` : ''}
+            </div>
+            ${field.helpText ? `<small class="field-help-text">${escapeHtml(field.helpText)}</small>` : ''}
+            ${field.charLimit && field.showCharCounter ? `<small class="char-counter">${String(value || '').length} / ${field.charLimit}</small>` : ''}
+            <div class="field-error" role="alert"></div>
+        </div>
+    `;
+}
+
+/**
+ * Render the input for a field
+ * @param {Object} field - Field
+ * @param {*} value - Initial value
+ * @returns {string} - HTML
+ */
+function renderInput(field, value) {
+    const id = `input_${field.id}`;
+    const name = `field_${field.id}`;
+    const readonly = field.readonly || (field.autoFetch?.enabled && field.autoFetch.mode === 'readonly' && field.id in fetchedValues);
+    const common = `id="${id}" name="${name}" class="${escapeHtml(field.customClass || '')}" ${readonly ? 'readonly' : ''}`;
+    const text = escapeHtml(Array.isArray(value) ? value.join(', ') : String(value ?? ''));
+    const selected = Array.isArray(value) ? value : (value === '' || value === null || value === undefined ? [] : [String(value)]);
+    const otherValue = selected.find(v => !(field.options || []).includes(v)) || '';
+    const otherInput = (show) => field.allowOther
+        ? `<input type="text" class="other-input" data-other-for="${field.id}" placeholder="Please specify" value="${escapeHtml(otherValue)}" ${show ? '' : 'style="display: none;"'}>`
+        : '';
+
+    switch (field.type) {
+        case 'text':
+        case 'email': {
+            const inputType = field.type === 'email' ? 'email' : (field.inputType || 'text');
+            const transform = field.autoCapitalize === 'uppercase' || field.autoCapitalize === 'lowercase'
+                ? `style="text-transform: ${field.autoCapitalize};"` : '';
+            return `<input type="${inputType}" ${common} value="${text}" placeholder="${escapeHtml(field.placeholder || '')}"
+                           ${field.charLimit ? `maxlength="${field.charLimit}"` : ''} ${transform}>`;
+        }
+
+        case 'number': {
+            const min = field.validation?.min ?? '';
+            const max = field.validation?.max ?? '';
+            const step = field.allowDecimals === false ? 1 : (field.step ?? 'any');
+            return `<input type="number" ${common} value="${text}" placeholder="${escapeHtml(field.placeholder || '')}"
+                           ${min !== '' && min !== null ? `min="${min}"` : ''} ${max !== '' && max !== null ? `max="${max}"` : ''} step="${step}">`;
+        }
+
+        case 'textarea':
+            return `<textarea ${common} rows="${field.rows || 3}" placeholder="${escapeHtml(field.placeholder || '')}"
+                              ${field.charLimit ? `maxlength="${field.charLimit}"` : ''}
+                              style="${field.resizable === false ? 'resize: none;' : ''}">${text}</textarea>`;
+
+        case 'dropdown': {
+            const current = selected[0] || field.defaultOption || '';
+            const isOther = current && !(field.options || []).includes(current);
+            return `
+                <select ${common} ${readonly ? 'disabled' : ''}>
+                    <option value="">Select...</option>
+                    ${(field.options || []).map(opt => `<option value="${escapeHtml(opt)}" ${opt === current ? 'selected' : ''}>${escapeHtml(opt)}</option>`).join('')}
+                    ${field.allowOther ? `<option value="${OTHER_VALUE}" ${isOther ? 'selected' : ''}>${escapeHtml(field.otherLabel || 'Other')}</option>` : ''}
+                </select>
+                ${otherInput(isOther)}
+            `;
+        }
+
+        case 'multiselect':
+            return `
+                <select ${common} multiple ${field.maxSelections ? `data-max="${field.maxSelections}"` : ''} ${readonly ? 'disabled' : ''}>
+                    ${(field.options || []).map(opt => `<option value="${escapeHtml(opt)}" ${selected.includes(opt) ? 'selected' : ''}>${escapeHtml(opt)}</option>`).join('')}
+                </select>
+            `;
+
+        case 'checkbox':
+        case 'radio': {
+            const inputType = field.type;
+            const current = field.type === 'radio' && selected.length === 0 && field.defaultSelection ? [field.defaultSelection] : selected;
+            const otherChecked = !!otherValue;
+            return `
+                <div class="${inputType}-group ${field.layout || 'stacked'}-layout ${field.layout === 'button-style' ? 'button-style' : ''}" id="${id}">
+                    ${(field.options || []).map(opt => `
+                        <label>
+                            <input type="${inputType}" name="${name}" value="${escapeHtml(opt)}" ${current.includes(opt) ? 'checked' : ''} ${readonly ? 'disabled' : ''}>
+                            ${escapeHtml(opt)}
+                        </label>
+                    `).join('')}
+                    ${field.allowOther ? `
+                        <label>
+                            <input type="${inputType}" name="${name}" value="${OTHER_VALUE}" ${otherChecked ? 'checked' : ''} ${readonly ? 'disabled' : ''}>
+                            ${escapeHtml(field.otherLabel || 'Other')}
+                        </label>
+                        ${otherInput(otherChecked)}
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        case 'date':
+            if (field.rangeMode) {
+                const [start = '', end = ''] = Array.isArray(value) ? value : [];
+                return `
+                    <div class="public-date-range" id="${id}">
+                        <input type="date" name="${name}" data-range="start" value="${escapeHtml(start)}" ${field.minDate ? `min="${field.minDate}"` : ''} ${field.maxDate ? `max="${field.maxDate}"` : ''} ${readonly ? 'readonly' : ''}>
+                        <span>to</span>
+                        <input type="date" name="${name}" data-range="end" value="${escapeHtml(end)}" ${field.minDate ? `min="${field.minDate}"` : ''} ${field.maxDate ? `max="${field.maxDate}"` : ''} ${readonly ? 'readonly' : ''}>
+                    </div>
+                `;
+            }
+            return `<input type="date" ${common} value="${text || escapeHtml(field.defaultDate || '')}" ${field.minDate ? `min="${field.minDate}"` : ''} ${field.maxDate ? `max="${field.maxDate}"` : ''}>`;
+
+        case 'time': {
+            const timeStep = field.step || 60;
+            return `<input type="time" ${common} value="${text}" step="${field.includeSeconds ? timeStep : timeStep * 60}"
+                           ${field.minTime ? `min="${field.minTime}"` : ''} ${field.maxTime ? `max="${field.maxTime}"` : ''}>`;
+        }
+
+        case 'rating': {
+            const starCount = field.starCount || 5;
+            const icon = field.iconType === 'heart' ? 'fa-heart' : 'fa-star';
+            const current = Number(value) || 0;
+            return `
+                <div class="public-rating rating-${field.iconType || 'star'}" id="${id}" role="radiogroup" style="--rating-color: ${escapeHtml(field.colorTheme || '#ffc107')}">
+                    ${Array.from({ length: starCount }, (_, i) => i + 1).map(n => `
+                        <label class="${n <= current ? 'active' : ''}" title="${n} of ${starCount}">
+                            <input type="radio" name="${name}" value="${n}" ${n === current ? 'checked' : ''} ${readonly ? 'disabled' : ''}>
+                            ${field.iconType === 'emoji' ? '⭐' : `<i class="fas ${icon}"></i>`}
+                        </label>
+                    `).join('')}
+                </div>
+            `;
+        }
+
+        case 'scale': {
+            const min = field.validation?.min ?? 1;
+            const max = field.validation?.max ?? 10;
+            const current = value === '' || value === null || value === undefined ? (min + max) / 2 : value;
+            return `
+                <div class="scale-wrapper">
+                    <input type="range" ${common} min="${min}" max="${max}" step="${field.step || 1}" value="${escapeHtml(String(current))}"
+                           style="accent-color: ${escapeHtml(field.color || '#667eea')}">
+                    ${field.showValueLabel !== false ? `<span class="scale-value">${escapeHtml(String(current))}</span>` : ''}
+                </div>
+            `;
+        }
+
+        case 'github_repo':
+        case 'github_link':
+        case 'github_username': {
+            const suggestions = field.type === 'github_repo' && field.suggestMemberRepos !== false
+                ? memberRepos.filter(repo => !field.repoOwner || repo.split('/')[0].toLowerCase() === field.repoOwner.trim().toLowerCase())
+                : [];
+            return `
+                <input type="${field.type === 'github_link' ? 'url' : 'text'}" ${common} value="${text}" placeholder="${escapeHtml(field.placeholder || '')}"
+                       autocomplete="off" spellcheck="false" ${suggestions.length > 0 ? `list="repos_${field.id}"` : ''}>
+                ${suggestions.length > 0 ? `
+                    <datalist id="repos_${field.id}">
+                        ${suggestions.map(repo => `<option value="${escapeHtml(repo)}"></option>`).join('')}
+                    </datalist>
+                ` : ''}
+                <div class="github-field-status" data-github-for="${field.id}"></div>
+            `;
+        }
+
+        case 'file': {
+            const maxFiles = field.maxFiles || 1;
+            return `
+                <input type="file" ${common} accept="${escapeHtml((field.acceptedTypes || []).join(','))}" ${maxFiles > 1 ? 'multiple' : ''} ${readonly ? 'disabled' : ''}>
+                <small class="field-help-text">Up to ${maxFiles} file${maxFiles === 1 ? '' : 's'}, ${field.maxFileSize || DEFAULT_MAX_FILE_SIZE_MB} MB each</small>
+                <ul class="public-file-list" data-files-for="${field.id}"></ul>
+            `;
+        }
+
+        default:
+            return `<input type="text" ${common} value="${text}">`;
+    }
+}
+
+/**
+ * Read a field's current value from the page
+ * @param {Object} field - Field
+ * @returns {*} - Value (arrays for multi-value fields, numbers for numeric fields)
+ */
+function readFieldValue(field) {
+    const name = `field_${field.id}`;
+    const otherText = () => document.querySelector(`[data-other-for="${field.id}"]`)?.value.trim() || '';
+    const replaceOther = values => values.map(v => v === OTHER_VALUE ? otherText() : v).filter(v => v !== '');
+
+    switch (field.type) {
+        case 'checkbox':
+            return replaceOther([...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value));
+        case 'radio':
+            return replaceOther([...document.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value))[0] || '';
+        case 'rating': {
+            const checked = document.querySelector(`input[name="${name}"]:checked`);
+            return checked ? Number(checked.value) : '';
+        }
+        case 'multiselect':
+            return [...(document.getElementById(`input_${field.id}`)?.selectedOptions || [])].map(option => option.value);
+        case 'dropdown': {
+            const selected = document.getElementById(`input_${field.id}`)?.value || '';
+            return selected === OTHER_VALUE ? otherText() : selected;
+        }
+        case 'date':
+            if (field.rangeMode) {
+                const start = document.querySelector(`input[name="${name}"][data-range="start"]`)?.value || '';
+                const end = document.querySelector(`input[name="${name}"][data-range="end"]`)?.value || '';
+                return start || end ? [start, end] : [];
+            }
+            return document.getElementById(`input_${field.id}`)?.value || '';
+        case 'github_repo':
+        case 'github_link':
+        case 'github_username':
+            return normalizeGitHubAnswer(field, document.getElementById(`input_${field.id}`)?.value ?? '');
+        case 'file':
+            // Details only - the files themselves are uploaded on submit
+            return (pendingFiles[field.id] || []).map(file => ({ name: file.name, size: file.size, contentType: file.type }));
+        case 'number':
+        case 'scale': {
+            const raw = document.getElementById(`input_${field.id}`)?.value ?? '';
+            return raw === '' ? '' : Number(raw);
+        }
+        default:
+            return document.getElementById(`input_${field.id}`)?.value ?? '';
+    }
+}
+
+/**
+ * Read every answerable field from the page
+ * @returns {Object<string, *>} - Values keyed by field ID
+ */
+function collectAnswers() {
+    const answers = {};
+    fields.filter(f => !LAYOUT_TYPES.includes(f.type)).forEach(field => {
+        answers[field.id] = readFieldValue(field);
+    });
+    return answers;
+}
+
+/**
+ * React to input: update counters, "Other" inputs and rule results
+ * @param {Event} e - Input or change event
+ */
+function handleFormChange(e) {
+    const fieldEl = e.target.closest('.public-field');
+    if (!fieldEl) return;
+    const field = fields.find(f => f.id === fieldEl.dataset.fieldId);
+    if (!field) return;
+
+    if (field.type === 'file' && e.target.type === 'file') {
+        pendingFiles[field.id] = [...e.target.files];
+        renderFileList(field);
+    }
+
+    const counter = fieldEl.querySelector('.char-counter');
+    if (counter) counter.textContent = `${String(e.target.value || '').length} / ${field.charLimit}`;
+
+    const scaleValue = fieldEl.querySelector('.scale-value');
+    if (scaleValue && e.target.type === 'range') scaleValue.textContent = e.target.value;
+
+    if (field.type === 'rating') {
+        const value = Number(readFieldValue(field)) || 0;
+        fieldEl.querySelectorAll('.public-rating label').forEach((label, index) => label.classList.toggle('active', index < value));
+    }
+
+    const otherInput = fieldEl.querySelector('.other-input');
+    if (otherInput && e.target !== otherInput) {
+        const otherSelected = field.type === 'dropdown'
+            ? e.target.value === OTHER_VALUE
+            : !!fieldEl.querySelector(`input[value="${OTHER_VALUE}"]:checked`);
+        otherInput.style.display = otherSelected ? '' : 'none';
+    }
+
+    if (field.maxSelections && field.type === 'multiselect') {
+        const selected = [...e.target.selectedOptions];
+        if (selected.length > field.maxSelections) {
+            selected.slice(field.maxSelections).forEach(option => { option.selected = false; });
+            showToast(`Select up to ${field.maxSelections} options.`, 'warning');
+        }
+    }
+
+    fieldEl.querySelector('.field-error').textContent = '';
+    fieldEl.classList.remove('has-error');
+    applyLogic();
+    updateNavigation();
+
+    // Report a wrong type or size as soon as files are chosen
+    if (field.type === 'file') validateFields([field]);
+    if (GITHUB_FIELD_TYPES.includes(field.type) && e.type === 'change') checkGitHubField(field);
+}
+
+/**
+ * Look up a GitHub field's answer and show what was found
+ * @param {Object} field - GitHub field
+ * @returns {Promise<void>}
+ */
+async function checkGitHubField(field) {
+    const value = readFieldValue(field);
+    const status = document.querySelector(`.github-field-status[data-github-for="${field.id}"]`);
+    if (githubChecks[field.id]?.value === value && githubChecks[field.id].result) return;
+
+    if (!value || validateFieldValue(field, value, { required: false })) {
+        delete githubChecks[field.id];
+        if (status) status.innerHTML = '';
+        return;
+    }
+
+    githubChecks[field.id] = { value, result: null };
+    if (status) status.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Checking on GitHub...';
+    const result = await resolveGitHubAnswer(field, value);
+
+    // The answer changed while GitHub was being asked
+    if (githubChecks[field.id]?.value !== value) return;
+    githubChecks[field.id] = { value, result };
+    if (status) status.innerHTML = renderGitHubStatus(result);
+    if (result?.status === RESOLVE_STATUS.REJECTED) validateFields([field]);
+}
+
+/**
+ * Look up every GitHub answer among the given fields that hasn't been checked yet
+ * @param {Array<Object>} fieldsToCheck - Fields about to be validated
+ * @returns {Promise<void>}
+ */
+async function checkGitHubFields(fieldsToCheck) {
+    await Promise.all(fieldsToCheck
+        .filter(field => GITHUB_FIELD_TYPES.includes(field.type) && !logicState?.hidden.has(field.id))
+        .map(field => checkGitHubField(field)));
+}
+
+/**
+ * Describe a GitHub lookup result under the field
+ * @param {Object|null} result - resolveGitHubAnswer result
+ * @returns {string} - HTML
+ */
+function renderGitHubStatus(result) {
+    if (!result) return '';
+    if (result.status === RESOLVE_STATUS.UNAVAILABLE) {
+        return `<span class="github-status-unavailable"><i class="fas fa-exclamation-circle"></i> ${escapeHtml(result.message)} You can still submit.</span>`;
+    }
+    if (result.status !== RESOLVE_STATUS.FOUND) return '';
+
+    const meta = result.meta;
+    if (meta.kind) {
+        return `<span class="github-status-found"><i class="fas fa-check-circle"></i> ${escapeHtml(meta.repo)}#${meta.number}: ${escapeHtml(meta.title)} <span class="github-state github-state-${escapeHtml(meta.state)}">${escapeHtml(meta.state)}</span></span>`;
+    }
+    if (meta.full_name) {
+        return `<span class="github-status-found"><i class="fas fa-check-circle"></i> ${escapeHtml(meta.full_name)}${meta.description ? ` - ${escapeHtml(meta.description)}` : ''}</span>`;
+    }
+    return `<span class="github-status-found"><img src="${escapeHtml(meta.avatar_url)}" alt="" class="github-avatar"> ${escapeHtml(meta.name || meta.username)}</span>`;
+}
+
+/**
+ * List the files chosen in an upload field
+ * @param {Object} field - Upload field
+ */
+function renderFileList(field) {
+    const list = document.querySelector(`.public-file-list[data-files-for="${field.id}"]`);
+    if (!list) return;
+    list.innerHTML = (pendingFiles[field.id] || []).map(file => `
+        <li><i class="fas fa-paperclip"></i> ${escapeHtml(file.name)} <span>${formatFileSize(file.size)}</span></li>
+    `).join('');
+}
+
+/**
+ * Evaluate conditional logic and update visibility, required markers and set values
+ * @returns {Object} - evaluateFormLogic result
+ */
+function applyLogic() {
+    logicState = evaluateFormLogic(fields, { ...fetchedValues, ...collectAnswers() });
+
+    document.querySelectorAll('#publicForm .public-field').forEach(fieldEl => {
+        const fieldId = fieldEl.dataset.fieldId;
+        const field = fields.find(f => f.id === fieldId);
+        fieldEl.hidden = fieldEl.dataset.alwaysHidden === 'true' || logicState.hidden.has(fieldId);
+
+        const marker = fieldEl.querySelector('.required');
+        if (marker) marker.hidden = !(field?.required || logicState.required.has(fieldId));
+
+        if (fieldId in logicState.setValues) {
+            const input = document.getElementById(`input_${fieldId}`);
+            if (input && 'value' in input && input.value !== String(logicState.setValues[fieldId])) {
+                input.value = logicState.setValues[fieldId];
+            }
+        }
+    });
+
+    // Sections with every field hidden disappear too
+    document.querySelectorAll('#publicForm .public-section').forEach(sectionEl => {
+        sectionEl.hidden = ![...sectionEl.querySelectorAll('.public-field')].some(fieldEl => !fieldEl.hidden);
+    });
+
+    return logicState;
+}
+
+/**
+ * Check the given fields and show their errors
+ * @param {Array<Object>} fieldsToCheck - Fields to validate
+ * @returns {boolean} - True if every visible field is valid
+ */
+function validateFields(fieldsToCheck) {
+    let firstInvalid = null;
+
+    fieldsToCheck.filter(f => !LAYOUT_TYPES.includes(f.type)).forEach(field => {
+        const fieldEl = document.querySelector(`.public-field[data-field-id="${field.id}"]`);
+        if (!fieldEl || fieldEl.hidden) return;
+
+        const value = readFieldValue(field);
+        const check = githubChecks[field.id];
+        const message = validateFieldValue(field, value, {
+            required: field.required || logicState?.required.has(field.id)
+        }) || (check?.value === value && check.result?.status === RESOLVE_STATUS.REJECTED ? check.result.message : '');
+        fieldEl.querySelector('.field-error').textContent = message;
+        fieldEl.classList.toggle('has-error', !!message);
+        if (message && !firstInvalid) firstInvalid = fieldEl;
+    });
+
+    if (firstInvalid) {
+        firstInvalid.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        firstInvalid.querySelector('input, select, textarea')?.focus({ preventScroll: true });
+    }
+    return !firstInvalid;
+}
+
+/**
+ * Show errors returned when the submission was rejected
+ * Moves to the first page with an error, as long as the respondent visited it
+ * @param {Object<string, string>} fieldErrors - Messages keyed by field ID
+ */
+function showFieldErrors(fieldErrors) {
+    const errorPage = [...pageHistory, currentPage].find(pageIndex => pages[pageIndex].fields.some(f => fieldErrors[f.id]));
+    if (errorPage !== undefined && errorPage !== currentPage) {
+        pageHistory = pageHistory.slice(0, pageHistory.indexOf(errorPage));
+        showPage(errorPage);
+    }
+
+    Object.entries(fieldErrors).forEach(([fieldId, message]) => {
+        const fieldEl = document.querySelector(`.public-field[data-field-id="${fieldId}"]`);
+        if (!fieldEl) return;
+        fieldEl.querySelector('.field-error').textContent = message;
+        fieldEl.classList.add('has-error');
+    });
+}
+
+/**
+ * Check whether a page has anything visible to answer
+ * @param {number} pageIndex - Page index
+ * @returns {boolean} - True if at least one field is visible
+ */
+function pageHasVisibleFields(pageIndex) {
+    return [...document.querySelectorAll(`.public-page[data-page="${pageIndex}"] .public-field`)].some(fieldEl => !fieldEl.hidden);
+}
+
+/**
+ * Work out which page Next leads to
+ * Skip-to-page rules on the current page's fields (or the page break that ends
+ * it) win; otherwise it is the next page, passing over empty pages when the
+ * page break has Conditional Skip on
+ * @returns {number} - Page index (pages.length means "submit")
+ */
+function getNextPageIndex() {
+    const page = pages[currentPage];
+    const candidates = [...page.fields, page.breakAfter].filter(Boolean);
+    const skipFrom = candidates.find(field => logicState.skipTo[field.id] && !logicState.hidden.has(field.id));
+    if (skipFrom) {
+        const target = pages.findIndex(p => p.breakBefore?.id === logicState.skipTo[skipFrom.id]);
+        if (target > currentPage) return target;
+    }
+
+    let next = currentPage + 1;
+    while (next < pages.length && pages[next].breakBefore?.conditionalSkip && !pageHasVisibleFields(next)) {
+        next++;
+    }
+    return next;
+}
+
+/**
+ * Move to the next page after validating the current one
+ */
+async function goToNextPage() {
+    applyLogic();
+    const page = pages[currentPage];
+    await checkGitHubFields(page.fields);
+    if ((page.breakAfter?.validationMode || 'page') === 'page' && !validateFields(page.fields)) return;
+
+    const next = getNextPageIndex();
+    if (next >= pages.length) {
+        submitForm();
+        return;
+    }
+    pageHistory.push(currentPage);
+    showPage(next);
+}
+
+/**
+ * Return to the previously visited page
+ */
+function goToPreviousPage() {
+    if (pageHistory.length === 0) return;
+    showPage(pageHistory.pop());
+}
+
+/**
+ * Show one page
+ * @param {number} pageIndex - Page index
+ */
+function showPage(pageIndex) {
+    currentPage = pageIndex;
+    document.querySelectorAll('.public-page').forEach(pageEl => {
+        pageEl.hidden = Number(pageEl.dataset.page) !== pageIndex;
+    });
+    updateNavigation();
+
+    const scrollBreak = pages[pageIndex].breakBefore || pages[pageIndex - 1]?.breakAfter;
+    if (scrollBreak?.autoScroll !== false) {
+        document.querySelector('.public-form-container')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Update navigation buttons and the progress indicator
+ */
+function updateNavigation() {
+    const page = pages[currentPage];
+    const isLast = getNextPageIndex() >= pages.length;
+    const prevBtn = document.getElementById('publicPrevBtn');
+    const nextBtn = document.getElementById('publicNextBtn');
+
+    prevBtn.hidden = pageHistory.length === 0;
+    prevBtn.textContent = page.breakBefore?.navigationButtons?.prev || '← Back';
+    nextBtn.hidden = isLast;
+    nextBtn.textContent = page.breakAfter?.navigationButtons?.next || 'Next →';
+    document.getElementById('publicSubmitBtn').hidden = !isLast;
+
+    renderProgress();
+}
+
+/**
+ * Render the progress indicator using the first page break's settings
+ */
+function renderProgress() {
+    const settings = pages[0].breakAfter;
+    const top = document.querySelector('.public-progress-top');
+    const bottom = document.querySelector('.public-progress-bottom');
+    if (!top || !bottom) return;
+
+    if (pages.length < 2 || !settings) {
+        top.innerHTML = bottom.innerHTML = '';
+        return;
+    }
+
+    const total = pages.length;
+    const pageNumber = settings.showPageNumber !== false
+        ? `<span class="public-progress-label">Page ${currentPage + 1} of ${total}</span>` : '';
+    let indicator = '';
+    if (settings.showProgressBar !== false) {
+        if (settings.progressType === 'steps' || settings.progressType === 'dots') {
+            indicator = `<div class="public-progress-${settings.progressType}">
+                ${pages.map((p, index) => `<span class="${index < currentPage ? 'done' : index === currentPage ? 'current' : ''}">${settings.progressType === 'steps' ? index + 1 : ''}</span>`).join('')}
+            </div>`;
+        } else {
+            indicator = `<div class="public-progress-bar"><div style="width: ${((currentPage + 1) / total) * 100}%"></div></div>`;
+        }
+    }
+
+    const html = indicator + pageNumber;
+    const position = settings.progressPosition || 'top';
+    top.innerHTML = position === 'top' || position === 'both' ? html : '';
+    bottom.innerHTML = position === 'bottom' || position === 'both' ? html : '';
+}
+
+/**
+ * Validate and store the submission
+ */
+async function submitForm() {
+    applyLogic();
+    await checkGitHubFields([...pageHistory, currentPage].flatMap(pageIndex => pages[pageIndex].fields));
+
+    // Validate everything reachable; jump to the first page with an error
+    for (const pageIndex of [...pageHistory, currentPage]) {
+        if (!validateFields(pages[pageIndex].fields)) {
+            if (pageIndex !== currentPage) {
+                pageHistory = pageHistory.slice(0, pageHistory.indexOf(pageIndex));
+                showPage(pageIndex);
+                validateFields(pages[pageIndex].fields);
+            }
+            return;
+        }
+    }
+
+    // Only pages the respondent actually went through count
+    const visited = new Set([...pageHistory, currentPage]);
+    const answers = logicState.values;
+    const data = {};
+    pages.forEach((page, pageIndex) => {
+        if (!visited.has(pageIndex)) return;
+        page.fields.filter(f => !LAYOUT_TYPES.includes(f.type) && !logicState.hidden.has(f.id)).forEach(field => {
+            data[field.id] = answers[field.id] ?? '';
+        });
+    });
+
+    const files = {};
+    const github = {};
+    Object.keys(data).forEach(fieldId => {
+        if (pendingFiles[fieldId]?.length) files[fieldId] = pendingFiles[fieldId];
+        const check = githubChecks[fieldId];
+        if (check?.value === data[fieldId] && check.result?.status === RESOLVE_STATUS.FOUND) github[fieldId] = check.result.meta;
+    });
+
+    const submitBtn = document.getElementById('publicSubmitBtn');
+    try {
+        showLoading();
+        if (submitBtn) submitBtn.disabled = true;
+        await submitFormResponse(formId, {
+            data,
+            completionTime: Math.round((Date.now() - startedAt) / 1000),
+            submittedBy: respondent?.email || null,
+            files,
+            github
+        });
+        showConfirmation();
+    } catch (error) {
+        handleError(error, { module: 'public-form', action: 'submitForm', formId }, { showToast: false });
+        if (error.saved) {
+            // The answers are stored; only the files are missing
+            showToast(error.message, 'warning', 8000);
+            showConfirmation();
+            return;
+        }
+        if (error.fieldErrors) showFieldErrors(error.fieldErrors);
+        showToast(error.message || 'Failed to submit the form. Please try again.', 'error');
+        if (submitBtn) submitBtn.disabled = false;
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Show the confirmation message or follow the form's redirect setting
+ */
+function showConfirmation() {
+    const settings = form.settings || {};
+    if (settings.redirectType === 'custom' && isValidUrl(settings.redirectUrl)) {
+        window.location.href = settings.redirectUrl;
+        return;
+    }
+    if (settings.redirectType === 'dashboard') {
+        window.location.href = 'index.html';
+        return;
+    }
+    renderMessage('fa-check-circle', 'Response recorded', settings.confirmationMessage || 'Thank you for your submission!');
+}
+
+initializePublicForm();
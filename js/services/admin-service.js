@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Admin Management Service
+ * Roles and permissions for dashboard users, stored in the Firestore `admins`
+ * collection (lower-cased email as document ID)
+ * @module admin-service
+ */
+import { collection, getDocs, doc, getDoc, updateDoc, writeBatch, db } from '../../firebase-config.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './audit-service.js';
+
+const ADMINS_COLLECTION = 'admins';
+
+/**
+ * Admin roles, from most to least privileged
+ * @type {{OWNER: string, EDITOR: string, FORMS_MANAGER: string, VIEWER: string}}
+ */
+export const ROLES = {
+    OWNER: 'owner',
+    EDITOR: 'editor',
+    FORMS_MANAGER: 'forms-manager',
+    VIEWER: 'viewer'
+};
+
+/**
+ * Display labels for roles
+ * @type {Object<string, string>}
+ */
+export const ROLE_LABELS = {
+    [ROLES.OWNER]: 'Owner',
+    [ROLES.EDITOR]: 'Editor',
+    [ROLES.FORMS_MANAGER]: 'Forms Manager',
+    [ROLES.VIEWER]: 'Viewer (read-only)'
+};
+
+/**
+ * Actions gated by role
+ * @type {Object<string, string>}
+ */
+export const PERMISSIONS = {
+    REFRESH_GITHUB: 'refresh-github',
+    MANAGE_MEMBERS: 'manage-members',
+    MANAGE_FORMS: 'manage-forms',
+    MANAGE_SUBMISSIONS: 'manage-submissions',
+    MANAGE_EVENTS: 'manage-events',
+    MANAGE_PROJECTS: 'manage-projects',
+    EDIT_SETTINGS: 'edit-settings',
+    MANAGE_ADMINS: 'manage-admins',
+    VIEW_AUDIT_LOG: 'view-audit-log'
+};
+
+// The dashboard only hides what a role may not do; the Firestore rules in
+// SETUP.md (Admin Roles) enforce the same map - change both together
+const ROLE_PERMISSIONS = {
+    [ROLES.OWNER]: Object.values(PERMISSIONS),
+    [ROLES.EDITOR]: [
+        PERMISSIONS.REFRESH_GITHUB,
+        PERMISSIONS.MANAGE_MEMBERS,
+        PERMISSIONS.MANAGE_FORMS,
+        PERMISSIONS.MANAGE_SUBMISSIONS,
+        PERMISSIONS.MANAGE_EVENTS,
+        PERMISSIONS.MANAGE_PROJECTS,
+        PERMISSIONS.EDIT_SETTINGS,
+        PERMISSIONS.VIEW_AUDIT_LOG
+    ],
+    [ROLES.FORMS_MANAGER]: [
+        PERMISSIONS.MANAGE_FORMS,
+        PERMISSIONS.MANAGE_SUBMISSIONS
+    ],
+    [ROLES.VIEWER]: []
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string|null} role - Role
+ * @param {string} permission - Permission from PERMISSIONS
+ * @returns {boolean} - True if allowed
+ */
+export function roleHasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Check whether a value is a known role
+ * @param {string} role - Role to check
+ * @returns {boolean} - True if valid
+ */
+export function isValidRole(role) {
+    return Object.values(ROLES).includes(role);
+}
+
+/**
+ * Normalize an email for use as an admins document ID
+ * @param {string} email - Email address
+ * @returns {string} - Trimmed, lower-cased email
+ */
+function normalizeEmail(email) {
+    return (email || '').trim().toLowerCase();
+}
+
+/**
+ * Resolve the role stored for an email
+ * Legacy documents with `isAdmin: true` and no role are treated as owners
+ * @param {string} email - Email address
+ * @returns {Promise<string|null>} - Role, or null if the email is not an admin
+ */
+export async function getAdminRole(email) {
+    const adminSnap = await getDoc(doc(db, ADMINS_COLLECTION, normalizeEmail(email)));
+    if (!adminSnap.exists()) return null;
+
+    const data = adminSnap.data();
+    if (isValidRole(data.role)) return data.role;
+    return data.isAdmin === true ? ROLES.OWNER : null;
+}
+
+/**
+ * Record a successful login on the admin's document
+ * @param {string} email - Email address
+ * @returns {Promise<void>}
+ */
+export async function recordAdminLogin(email) {
+    await updateDoc(doc(db, ADMINS_COLLECTION, normalizeEmail(email)), {
+        lastLoginAt: new Date().toISOString()
+    });
+}
+
+/**
+ * List all admins
+ * @returns {Promise<Array<Object>>} - Admins sorted by email ({email, role, invitedBy, invitedAt, lastLoginAt})
+ */
+export async function listAdmins() {
+    const adminsSnap = await getDocs(collection(db, ADMINS_COLLECTION));
+    return adminsSnap.docs
+        .map(d => ({ email: d.id, ...d.data() }))
+        .map(admin => ({ ...admin, role: isValidRole(admin.role) ? admin.role : (admin.isAdmin ? ROLES.OWNER : null) }))
+        .sort((a, b) => a.email.localeCompare(b.email));
+}
+
+/**
+ * Grant dashboard access to an email
+ * The person signs in with their own Firebase Auth account for that email
+ * @param {string} email - Email address
+ * @param {string} role - Role from ROLES
+ * @param {string} invitedBy - Email of the owner sending the invite
+ * @returns {Promise<void>}
+ */
+export async function inviteAdmin(email, role, invitedBy) {
+    if (!isValidRole(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+
+    const id = normalizeEmail(email);
+    const existing = await getDoc(doc(db, ADMINS_COLLECTION, id));
+    if (existing.exists()) {
+        throw new Error(`${id} already has access.`);
+    }
+
+    const admin = {
+        email: id,
+        role,
+        invitedBy: invitedBy || null,
+        invitedAt: new Date().toISOString()
+    };
+    const batch = writeBatch(db);
+    batch.set(doc(db, ADMINS_COLLECTION, id), admin);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.ADMIN_INVITE,
+        targetPath: `${ADMINS_COLLECTION}/${id}`,
+        after: admin
+    });
+    await batch.commit();
+}
+
+/**
+ * Ensure an owner change leaves at least one owner
+ * @param {string} email - Admin being changed or removed
+ * @returns {Promise<void>}
+ */
+async function assertNotLastOwner(email) {
+    const owners = (await listAdmins()).filter(admin => admin.role === ROLES.OWNER);
+    if (owners.length === 1 && owners[0].email === normalizeEmail(email)) {
+        throw new Error('At least one owner is required.');
+    }
+}
+
+/**
+ * Change an admin's role
+ * @param {string} email - Email address
+ * @param {string} role - New role from ROLES
+ * @returns {Promise<void>}
+ */
+export async function updateAdminRole(email, role) {
+    if (!isValidRole(role)) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+    if (role !== ROLES.OWNER) {
+        await assertNotLastOwner(email);
+    }
+    
+    const id = normalizeEmail(email);
+    const previousRole = await getAdminRole(id);
+    const batch = writeBatch(db);
+    batch.update(doc(db, ADMINS_COLLECTION, id), { role });
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.ADMIN_ROLE,
+        targetPath: `${ADMINS_COLLECTION}/${id}`,
+        before: { role: previousRole },
+        after: { role }
+    });
+    await batch.commit();
+}
+
+/**
+ * Revoke an admin's access
+ * @param {string} email - Email address
+ * @returns {Promise<void>}
+ */
+export async function removeAdmin(email) {
+    await assertNotLastOwner(email);
+    
+    const id = normalizeEmail(email);
+    const adminSnap = await getDoc(doc(db, ADMINS_COLLECTION, id));
+    const batch = writeBatch(db);
+    batch.delete(doc(db, ADMINS_COLLECTION, id));
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.ADMIN_REMOVE,
+        targetPath: `${ADMINS_COLLECTION}/${id}`,
+        before: adminSnap.exists() ? adminSnap.data() : null
+    });
+    await batch.commit();
+}
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Audit Log Service
+ * Append-only trail of admin mutations stored in the Firestore `AuditLog`
+ * collection. Entries are only ever created - this module exposes no update or
+ * delete, and the Firestore rules in SETUP.md reject both
+ * Derived writes (refresh job progress, history snapshots, ClubStats, the
+ * stored leaderboard) are not audited; the mutations that produce them are
+ * Where a mutation is a single batch, addAuditEntry writes the entry in that
+ * batch so the change and its entry succeed or fail together; recordAudit is
+ * for changes spread over several writes and warns the admin if it fails
+ * @module audit-service
+ */
+import { auth, collection, getDocs, doc, setDoc, query, orderBy, limit, db } from '../../firebase-config.js';
+import { handleError, showToast } from '../utils.js';
+
+const AUDIT_COLLECTION = 'AuditLog';
+const MAX_VALUE_LENGTH = 500; // Longer values are summarised so one entry can't approach the 1 MB doc limit
+
+/**
+ * Audited actions
+ * @type {Object<string, string>}
+ */
+export const AUDIT_ACTIONS = {
+    FORM_CREATE: 'form.create',
+    FORM_UPDATE: 'form.update',
+    FORM_DUPLICATE: 'form.duplicate',
+    FORM_DELETE: 'form.delete',
+    FORM_STATUS: 'form.status',
+    FORM_TRASH: 'form.trash',
+    FORM_RESTORE: 'form.restore',
+    SUBMISSION_UPDATE: 'submission.update',
+    SUBMISSION_TRASH: 'submission.trash',
+    SUBMISSION_RESTORE: 'submission.restore',
+    SUBMISSION_DELETE: 'submission.delete',
+    MEMBER_CREATE: 'member.create',
+    MEMBER_UPDATE: 'member.update',
+    MEMBER_DEACTIVATE: 'member.deactivate',
+    MEMBER_REACTIVATE: 'member.reactivate',
+    MEMBER_IMPORT: 'member.import',
+    MEMBER_GROUPS: 'member.groups',
+    MEMBER_MERGE: 'member.merge',
+    MEMBER_NOT_DUPLICATE: 'member.not-duplicate',
+    MEMBER_GITHUB_UPDATE: 'member.github-update',
+    EVENT_CREATE: 'event.create',
+    EVENT_UPDATE: 'event.update',
+    EVENT_ARCHIVE: 'event.archive',
+    EVENT_RESTORE: 'event.restore',
+    EVENT_ATTENDANCE: 'event.attendance',
+    PROJECT_CREATE: 'project.create',
+    PROJECT_UPDATE: 'project.update',
+    PROJECT_DELETE: 'project.delete',
+    REFRESH_START: 'refresh.start',
+    SETTINGS_UPDATE: 'settings.update',
+    ADMIN_INVITE: 'admin.invite',
+    ADMIN_ROLE: 'admin.role',
+    ADMIN_REMOVE: 'admin.remove'
+};
+
+/**
+ * Check whether a value is a plain object (not an array, Timestamp or Date)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Convert a leaf value into something Firestore can store and a CSV can show
+ * @param {*} value - Leaf value
+ * @returns {string|number|boolean|null} - Storable value (Timestamps and Dates become ISO strings)
+ */
+function toAuditValue(value) {
+    if (value === undefined) return null;
+    if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object') {
+        // Stored as JSON text - Firestore rejects nested arrays, and text exports cleanly
+        const json = JSON.stringify(value);
+        if (json.length > MAX_VALUE_LENGTH) {
+            return Array.isArray(value) ? `[${value.length} items]` : `[object, ${json.length} chars]`;
+        }
+        return json;
+    }
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+        return `${value.slice(0, MAX_VALUE_LENGTH)}…`;
+    }
+    return value;
+}
+
+/**
+ * Flatten nested plain objects into dotted field paths
+ * @param {Object} obj - Object to flatten
+ * @param {string} prefix - Path prefix
+ * @param {Object} out - Accumulator
+ * @returns {Object<string, *>} - Leaf values keyed by dotted path
+ */
+function flattenFields(obj, prefix = '', out = {}) {
+    Object.entries(obj || {}).forEach(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value) && Object.keys(value).length > 0) {
+            flattenFields(value, path, out);
+        } else {
+            out[path] = value;
+        }
+    });
+    return out;
+}
+
+/**
+ * Diff two versions of a document
+ * @param {Object|null} before - Document before the write (null when created)
+ * @param {Object|null} after - Document after the write (null when deleted)
+ * @returns {Array<{field: string, before: *, after: *}>} - Changed fields sorted by path
+ */
+export function diffDocuments(before, after) {
+    const beforeFields = flattenFields(before);
+    const afterFields = flattenFields(after);
+    const paths = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+    return [...paths]
+        .map(field => ({
+            field,
+            before: toAuditValue(beforeFields[field]),
+            after: toAuditValue(afterFields[field])
+        }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+        .sort((a, b) => a.field.localeCompare(b.field));
+}
+
+/**
+ * Build the stored form of an audit entry
+ * @param {Object} entry - Entry details (see recordAudit)
+ * @returns {Object} - AuditLog document
+ */
+function buildAuditEntry({ action, targetPath, targetLabel = '', before = null, after = null }) {
+    return {
+        action,
+        actor: auth.currentUser?.email || null,
+        targetPath,
+        targetType: targetPath.split('/')[0],
+        targetLabel: targetLabel || targetPath.split('/').pop(),
+        changes: diffDocuments(before, after),
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Add an audit entry to the batch or transaction that makes the change
+ * @param {Object} batch - Firestore WriteBatch or Transaction
+ * @param {Object} entry - Entry details (see recordAudit)
+ */
+export function addAuditEntry(batch, entry) {
+    batch.set(doc(collection(db, AUDIT_COLLECTION)), buildAuditEntry(entry));
+}
+
+/**
+ * Append an audit entry for a completed write
+ * Failures are not thrown - the mutation has already happened - but the admin
+ * is warned that the change is missing from the log
+ * @param {Object} entry - Entry details
+ * @param {string} entry.action - Action from AUDIT_ACTIONS
+ * @param {string} entry.targetPath - Firestore path of the written document
+ * @param {string} [entry.targetLabel] - Human-readable name of the target
+ * @param {Object|null} [entry.before] - Document before the write
+ * @param {Object|null} [entry.after] - Document after the write
+ * @returns {Promise<void>}
+ */
+export async function recordAudit(entry) {
+    try {
+        await setDoc(doc(collection(db, AUDIT_COLLECTION)), buildAuditEntry(entry));
+    } catch (error) {
+        handleError(error, { module: 'audit-service', action: 'recordAudit', auditAction: entry.action, targetPath: entry.targetPath }, { showToast: false });
+        showToast(`The change was saved, but its audit log entry could not be written (${entry.action}).`, 'warning', 8000);
+    }
+}
+
+/**
+ * Load the most recent audit entries
+ * @param {number} maxEntries - Maximum entries to load (default: 1000)
+ * @returns {Promise<Array<Object>>} - Entries, newest first
+ */
+export async function loadAuditLog(maxEntries = 1000) {
+    const auditQuery = query(
+        collection(db, AUDIT_COLLECTION),
+        orderBy('createdAt', 'desc'),
+        limit(maxEntries)
+    );
+    const auditSnap = await getDocs(auditQuery);
+    return auditSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Event Service
+ * Club events stored in the Firestore `Events` collection. An event can link a
+ * registration form from the forms module, and attendance is recorded as a list
+ * of member IDs. The event figures in ClubStats/main (`events`, `upcomingEvents`,
+ * `eventAttendance`) are computed from these records after every change and on
+ * each GitHub refresh
+ * @module event-service
+ */
+import { auth, collection, getDocs, doc, setDoc, updateDoc, writeBatch, db } from '../../firebase-config.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './audit-service.js';
+import { isTrashed } from './trash-service.js';
+import { calculateEventStats } from './stats-service.js';
+import { validateEvent } from '../utils/validation.js';
+
+const EVENTS_COLLECTION = 'Events';
+
+/**
+ * Ways an event can be attended
+ * @type {{IN_PERSON: string, ONLINE: string, HYBRID: string}}
+ */
+export const EVENT_MODES = {
+    IN_PERSON: 'in-person',
+    ONLINE: 'online',
+    HYBRID: 'hybrid'
+};
+
+/**
+ * Display labels for event modes
+ * @type {Object<string, string>}
+ */
+export const EVENT_MODE_LABELS = {
+    [EVENT_MODES.IN_PERSON]: 'In person',
+    [EVENT_MODES.ONLINE]: 'Online',
+    [EVENT_MODES.HYBRID]: 'Hybrid'
+};
+
+/**
+ * Check whether an event is archived
+ * @param {Object} event - Event
+ * @returns {boolean} - True if archived
+ */
+export function isArchived(event) {
+    return !!event?.archivedAt;
+}
+
+/**
+ * Keep only the editable event fields, trimmed and typed
+ * @param {Object} details - Event details from the editor
+ * @returns {Object} - Fields to store
+ */
+function toEventFields(details) {
+    const capacity = Number(details.capacity);
+    return {
+        name: String(details.name || '').trim(),
+        description: String(details.description || '').trim(),
+        startsAt: details.startsAt || null,
+        endsAt: details.endsAt || null,
+        mode: details.mode || EVENT_MODES.IN_PERSON,
+        venue: String(details.venue || '').trim(),
+        onlineUrl: String(details.onlineUrl || '').trim(),
+        capacity: details.capacity === '' || details.capacity === null || details.capacity === undefined || isNaN(capacity) ? null : capacity,
+        organizers: [...new Set(details.organizers || [])],
+        registrationFormId: details.registrationFormId || null
+    };
+}
+
+/**
+ * Throw when event fields do not pass validateEvent
+ * @param {Object} fields - Event fields
+ * @throws {Error} With the first validation message
+ */
+function assertValidEvent(fields) {
+    const validation = validateEvent(fields);
+    if (!validation.valid) {
+        throw new Error(validation.errors[0]);
+    }
+}
+
+/**
+ * Load every event, archived ones included
+ * @returns {Promise<Array<Object>>} - Events sorted by start, newest first
+ */
+export async function loadEvents() {
+    const snapshot = await getDocs(collection(db, EVENTS_COLLECTION));
+    return snapshot.docs
+        .map(eventDoc => ({ id: eventDoc.id, ...eventDoc.data() }))
+        .sort((a, b) => String(b.startsAt || '').localeCompare(String(a.startsAt || '')));
+}
+
+/**
+ * Create an event
+ * @param {Object} details - Event details (name, description, startsAt, endsAt, mode, venue,
+ *   onlineUrl, capacity, organizers, registrationFormId)
+ * @returns {Promise<string>} - New event ID
+ * @throws {Error} If the details are invalid
+ */
+export async function createEvent(details) {
+    const fields = toEventFields(details);
+    assertValidEvent(fields);
+
+    const now = new Date().toISOString();
+    const eventRef = doc(collection(db, EVENTS_COLLECTION));
+    const event = {
+        ...fields,
+        attendees: [],
+        archivedAt: null,
+        createdAt: now,
+        createdBy: auth.currentUser?.email || null,
+        updatedAt: now
+    };
+
+    const batch = writeBatch(db);
+    batch.set(eventRef, event);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.EVENT_CREATE,
+        targetPath: eventRef.path,
+        targetLabel: event.name,
+        after: event
+    });
+    await batch.commit();
+    return eventRef.id;
+}
+
+/**
+ * Update an event's details
+ * @param {Object} event - Event as loaded (with id)
+ * @param {Object} details - New event details
+ * @returns {Promise<void>}
+ * @throws {Error} If the details are invalid
+ */
+export async function updateEvent(event, details) {
+    const fields = toEventFields(details);
+    assertValidEvent(fields);
+
+    const eventRef = doc(db, EVENTS_COLLECTION, event.id);
+    const update = { ...fields, updatedAt: new Date().toISOString() };
+    const batch = writeBatch(db);
+    batch.update(eventRef, update);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.EVENT_UPDATE,
+        targetPath: eventRef.path,
+        targetLabel: fields.name,
+        before: pick(event, Object.keys(update)),
+        after: update
+    });
+    await batch.commit();
+}
+
+/**
+ * Archive an event, hiding it from the upcoming list
+ * Archived events that already took place still count as held
+ * @param {Object} event - Event as loaded (with id)
+ * @returns {Promise<void>}
+ */
+export async function archiveEvent(event) {
+    await setArchivedAt(event, new Date().toISOString(), AUDIT_ACTIONS.EVENT_ARCHIVE);
+}
+
+/**
+ * Restore an archived event
+ * @param {Object} event - Event as loaded (with id)
+ * @returns {Promise<void>}
+ */
+export async function restoreEvent(event) {
+    await setArchivedAt(event, null, AUDIT_ACTIONS.EVENT_RESTORE);
+}
+
+/**
+ * Write an event's archivedAt and audit it
+ * @param {Object} event - Event as loaded (with id)
+ * @param {string|null} archivedAt - Archive time, or null to restore
+ * @param {string} action - Action from AUDIT_ACTIONS
+ * @returns {Promise<void>}
+ */
+async function setArchivedAt(event, archivedAt, action) {
+    const eventRef = doc(db, EVENTS_COLLECTION, event.id);
+    const update = { archivedAt, updatedAt: new Date().toISOString() };
+    const batch = writeBatch(db);
+    batch.update(eventRef, update);
+    addAuditEntry(batch, {
+        action,
+        targetPath: eventRef.path,
+        targetLabel: event.name,
+        before: pick(event, Object.keys(update)),
+        after: update
+    });
+    await batch.commit();
+}
+
+/**
+ * Replace the members recorded as attending an event
+ * @param {Object} event - Event as loaded (with id)
+ * @param {Array<string>} attendees - Member IDs
+ * @returns {Promise<void>}
+ */
+export async function setEventAttendance(event, attendees) {
+    const eventRef = doc(db, EVENTS_COLLECTION, event.id);
+    const update = { attendees: [...new Set(attendees)], updatedAt: new Date().toISOString() };
+    const batch = writeBatch(db);
+    batch.update(eventRef, update);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.EVENT_ATTENDANCE,
+        targetPath: eventRef.path,
+        targetLabel: event.name,
+        before: { attendees: event.attendees || [] },
+        after: { attendees: update.attendees }
+    });
+    await batch.commit();
+}
+
+/**
+ * Copy selected keys of an object
+ * @param {Object} obj - Source
+ * @param {Array<string>} keys - Keys to copy
+ * @returns {Object} - Copy with only those keys (missing ones as null)
+ */
+function pick(obj, keys) {
+    return Object.fromEntries(keys.map(key => [key, obj?.[key] ?? null]));
+}
+
+/**
+ * Load the forms an event can use for registration
+ * @returns {Promise<Array<{id: string, name: string, status: string}>>} - Forms not in the trash, by name
+ */
+export async function loadRegistrationForms() {
+    const snapshot = await getDocs(collection(db, 'forms'));
+    return snapshot.docs
+        .map(formDoc => ({ id: formDoc.id, ...formDoc.data() }))
+        .filter(form => !isTrashed(form))
+        .map(form => ({ id: form.id, name: form.name || 'Untitled form', status: form.status || 'draft' }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Match a registration form's submissions to members
+ * A submission belongs to a member when the email it was submitted with while
+ * signed in (`submittedBy`) is the member's email or personal email. Email
+ * answers are not used - a respondent can type anyone's address - so anonymous
+ * submissions are always unmatched
+ * @param {string} formId - Registration form ID
+ * @param {Array<Object>} members - Members to match against
+ * @returns {Promise<{memberIds: Array<string>, submissions: number, unmatched: number}>}
+ *   Registered member IDs, submissions counted and submissions no member matched
+ */
+export async function loadEventRegistrants(formId, members) {
+    const snapshot = await getDocs(collection(db, 'form_submissions', formId, 'submissions'));
+    const submissions = snapshot.docs.map(submissionDoc => submissionDoc.data()).filter(submission => !isTrashed(submission));
+
+    const membersByEmail = new Map();
+    members.forEach(member => {
+        [member.email, member.personalEmail].filter(Boolean).forEach(email => {
+            membersByEmail.set(email.trim().toLowerCase(), member.id);
+        });
+    });
+
+    const memberIds = new Set();
+    let unmatched = 0;
+    submissions.forEach(submission => {
+        const matched = typeof submission.submittedBy === 'string'
+            ? membersByEmail.get(submission.submittedBy.trim().toLowerCase())
+            : null;
+        if (matched) {
+            memberIds.add(matched);
+        } else {
+            unmatched++;
+        }
+    });
+
+    return { memberIds: [...memberIds], submissions: submissions.length, unmatched };
+}
+
+/**
+ * Recompute the event figures and merge them into ClubStats/main
+ * @param {Array<Object>} [events] - Events already loaded (loaded when omitted)
+ * @returns {Promise<{events: number, upcomingEvents: number, eventAttendance: number}>} - Stored figures
+ */
+export async function syncEventStats(events) {
+    const stats = calculateEventStats(events || await loadEvents());
+    await setDoc(doc(db, 'ClubStats', 'main'), { ...stats, lastUpdated: new Date().toISOString() }, { merge: true });
+    return stats;
+}
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview GitHub Form Field Service
+ * Resolves answers to the GitHub field types (repository, pull request/issue
+ * link, username) through js/github-api.js. A submission stores the resolved
+ * metadata in a `github` map keyed by field ID, next to its `data`
+ * @module github-field-service
+ */
+import { lookupGitHubUser, lookupGitHubRepository, lookupGitHubIssueOrPullRequest } from '../github-api.js';
+import { parseGitHubIssueUrl, validateFieldValue } from '../utils/validation.js';
+
+/**
+ * Field types whose answers are looked up on GitHub
+ * @type {Array<string>}
+ */
+export const GITHUB_FIELD_TYPES = ['github_repo', 'github_link', 'github_username'];
+
+/**
+ * Outcomes of resolving an answer
+ * REJECTED means GitHub answered and the answer is wrong (missing, or the wrong
+ * kind of link); UNAVAILABLE means GitHub could not be asked
+ * @type {{FOUND: string, REJECTED: string, UNAVAILABLE: string}}
+ */
+export const RESOLVE_STATUS = {
+    FOUND: 'found',
+    REJECTED: 'rejected',
+    UNAVAILABLE: 'unavailable'
+};
+
+// Settled lookups keyed by "type:answer"; failures to reach GitHub are not kept
+const resolveCache = new Map();
+
+/**
+ * Tidy an answer the way respondents tend to paste it
+ * Usernames lose a leading @ or profile URL; repositories accept a github.com URL
+ * and lose a trailing .git
+ * @param {Object} field - Field
+ * @param {*} value - Answer
+ * @returns {*} - Normalized answer (unchanged for other field types)
+ */
+export function normalizeGitHubAnswer(field, value) {
+    if (!GITHUB_FIELD_TYPES.includes(field.type) || typeof value !== 'string') return value;
+    let text = value.trim();
+
+    if (field.type === 'github_username') {
+        text = text.replace(/^https?:\/\/(www\.)?github\.com\//i, '').replace(/^@/, '').replace(/\/+$/, '');
+    } else if (field.type === 'github_repo') {
+        text = text.replace(/^https?:\/\/(www\.)?github\.com\//i, '').replace(/\.git$/i, '').replace(/\/+$/, '');
+    }
+    return text;
+}
+
+/**
+ * Look up one answer on GitHub
+ * @param {Object} field - GitHub field
+ * @param {string} value - Normalized answer
+ * @returns {Promise<{status: string, meta: Object|null, message: string}|null>}
+ *   Outcome (see RESOLVE_STATUS) with metadata or a respondent-facing message;
+ *   null when there is nothing to look up (other type, empty or badly formatted)
+ */
+export async function resolveGitHubAnswer(field, value) {
+    if (!GITHUB_FIELD_TYPES.includes(field.type) || !value || validateFieldValue(field, value, { required: false })) {
+        return null;
+    }
+
+    const cacheKey = `${field.type}:${String(value).toLowerCase()}`;
+    let result = resolveCache.get(cacheKey);
+    if (!result) {
+        try {
+            result = await lookupAnswer(field.type, value);
+            resolveCache.set(cacheKey, result);
+        } catch (error) {
+            console.warn(`Could not check ${value} on GitHub:`, error.message);
+            return { status: RESOLVE_STATUS.UNAVAILABLE, meta: null, message: 'GitHub could not be reached to check this.' };
+        }
+    }
+
+    // The issues URL of a pull request still resolves, so the kind is checked on the result
+    if (result.status === RESOLVE_STATUS.FOUND && field.type === 'github_link' && field.linkKind && field.linkKind !== 'any'
+        && result.meta.kind !== field.linkKind) {
+        return {
+            status: RESOLVE_STATUS.REJECTED,
+            meta: null,
+            message: field.linkKind === 'pull' ? 'That link is an issue, not a pull request.' : 'That link is a pull request, not an issue.'
+        };
+    }
+    return result;
+}
+
+/**
+ * Ask GitHub about an answer
+ * @param {string} type - Field type
+ * @param {string} value - Normalized answer
+ * @returns {Promise<{status: string, meta: Object|null, message: string}>} - Found or rejected outcome
+ * @throws {Error} If GitHub could not be reached
+ */
+async function lookupAnswer(type, value) {
+    const resolvedAt = new Date().toISOString();
+
+    if (type === 'github_username') {
+        const user = await lookupGitHubUser(value);
+        return user
+            ? { status: RESOLVE_STATUS.FOUND, meta: { ...user, resolvedAt }, message: '' }
+            : { status: RESOLVE_STATUS.REJECTED, meta: null, message: `There is no GitHub account named ${value}.` };
+    }
+
+    if (type === 'github_repo') {
+        const repo = await lookupGitHubRepository(value);
+        return repo
+            ? { status: RESOLVE_STATUS.FOUND, meta: { ...repo, resolvedAt }, message: '' }
+            : { status: RESOLVE_STATUS.REJECTED, meta: null, message: 'Repository not found. Check the name, and that it is public.' };
+    }
+
+    const item = await lookupGitHubIssueOrPullRequest(parseGitHubIssueUrl(value));
+    return item
+        ? { status: RESOLVE_STATUS.FOUND, meta: { ...item, resolvedAt }, message: '' }
+        : { status: RESOLVE_STATUS.REJECTED, meta: null, message: 'Pull request or issue not found. Check the link, and that the repository is public.' };
+}
+
+/**
+ * Resolve every GitHub answer in submission data
+ * @param {Array<Object>} fields - Form fields
+ * @param {Object<string, *>} data - Answers keyed by field ID
+ * @returns {Promise<{meta: Object<string, Object>, errors: Object<string, string>, unavailable: Array<string>}>}
+ *   Metadata and rejection messages keyed by field ID, and the fields GitHub could not be asked about
+ */
+export async function resolveGitHubAnswers(fields, data) {
+    const meta = {};
+    const errors = {};
+    const unavailable = [];
+
+    await Promise.all(fields
+        .filter(field => GITHUB_FIELD_TYPES.includes(field.type) && data[field.id])
+        .map(async field => {
+            const result = await resolveGitHubAnswer(field, data[field.id]);
+            if (!result) return;
+            if (result.status === RESOLVE_STATUS.FOUND) meta[field.id] = result.meta;
+            if (result.status === RESOLVE_STATUS.REJECTED) errors[field.id] = result.message;
+            if (result.status === RESOLVE_STATUS.UNAVAILABLE) unavailable.push(field.id);
+        }));
+
+    return { meta, errors, unavailable };
+}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Activity History Service
+ * Persists dated snapshots of GitHub activity so trends can be charted over time
+ * Member snapshots live in Members/{id}/activityHistory/{YYYY-MM-DD}
+ * Club snapshots live in the ClubStats/history document, keyed by date
+ * @module history-service
+ */
+import { collection, getDocs, doc, getDoc, setDoc, query, orderBy, db } from '../../firebase-config.js';
+
+const MEMBER_HISTORY_COLLECTION = 'activityHistory';
+const CLUB_HISTORY_DOC_PATH = ['ClubStats', 'history'];
+
+/**
+ * Numeric githubActivity fields captured in each member snapshot
+ * @type {Array<string>}
+ */
+export const SNAPSHOT_METRICS = [
+    'commits',
+    'pullRequests',
+    'mergedPRs',
+    'issues',
+    'reviews',
+    'issueComments',
+    'discussions',
+    'publicRepos',
+    'totalStars',
+    'totalForks',
+    'followers'
+];
+
+let clubHistoryCache = null;
+
+/**
+ * Get the snapshot key for a date (one snapshot per day, later refreshes overwrite)
+ * @param {Date} date - Date (default: now)
+ * @returns {string} - Date key (YYYY-MM-DD, UTC)
+ */
+function getSnapshotKey(date = new Date()) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Write a dated snapshot of a member's GitHub activity
+ * @param {string} memberId - Member document ID
+ * @param {Object} activity - githubActivity object just written to the member
+ * @returns {Promise<void>}
+ */
+export async function recordMemberSnapshot(memberId, activity) {
+    const now = new Date();
+    const date = getSnapshotKey(now);
+    const snapshot = { date, capturedAt: now.toISOString() };
+
+    SNAPSHOT_METRICS.forEach(metric => {
+        snapshot[metric] = Number(activity?.[metric]) || 0;
+    });
+
+    await setDoc(doc(db, 'Members', memberId, MEMBER_HISTORY_COLLECTION, date), snapshot);
+}
+
+/**
+ * Write a dated snapshot of club totals into the ClubStats/history series
+ * @param {Object} clubStats - Club stats as written to ClubStats/main
+ * @returns {Promise<void>}
+ */
+export async function recordClubSnapshot(clubStats) {
+    const now = new Date();
+    const date = getSnapshotKey(now);
+    const snapshot = {
+        date,
+        capturedAt: now.toISOString(),
+        members: clubStats.members || 0,
+        membersWithGitHub: clubStats.membersWithGitHub || 0,
+        totalCommits: clubStats.totalCommits || 0,
+        totalPullRequests: clubStats.totalPullRequests || 0,
+        stars: clubStats.stars || 0,
+        totalForks: clubStats.totalForks || 0,
+        projects: clubStats.projects || 0,
+        memberRepos: clubStats.memberRepos || 0,
+        scopedCommits: clubStats.scopedCommits || 0,
+        scopedPullRequests: clubStats.scopedPullRequests || 0,
+        events: clubStats.events || 0,
+        eventAttendance: clubStats.eventAttendance || 0
+    };
+
+    // Merge so each day's entry is added without rewriting the whole series
+    await setDoc(doc(db, ...CLUB_HISTORY_DOC_PATH), {
+        snapshots: { [date]: snapshot },
+        lastUpdated: now.toISOString()
+    }, { merge: true });
+
+    if (clubHistoryCache) {
+        clubHistoryCache = [...clubHistoryCache.filter(s => s.date !== date), snapshot]
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+}
+
+/**
+ * Load the club history series
+ * @param {boolean} forceRefresh - Bypass the in-memory cache
+ * @returns {Promise<Array<Object>>} - Snapshots sorted by date ascending
+ */
+export async function loadClubHistory(forceRefresh = false) {
+    if (clubHistoryCache && !forceRefresh) {
+        return clubHistoryCache;
+    }
+
+    const historySnap = await getDoc(doc(db, ...CLUB_HISTORY_DOC_PATH));
+    const snapshots = historySnap.exists() ? historySnap.data().snapshots || {} : {};
+
+    clubHistoryCache = Object.values(snapshots).sort((a, b) => a.date.localeCompare(b.date));
+    return clubHistoryCache;
+}
+
+/**
+ * Load a member's activity history
+ * @param {string} memberId - Member document ID
+ * @returns {Promise<Array<Object>>} - Snapshots sorted by date ascending
+ */
+export async function loadMemberHistory(memberId) {
+    const historyQuery = query(
+        collection(db, 'Members', memberId, MEMBER_HISTORY_COLLECTION),
+        orderBy('date', 'asc')
+    );
+    const historySnap = await getDocs(historyQuery);
+    return historySnap.docs.map(d => d.data());
+}
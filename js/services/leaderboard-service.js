@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Contribution Leaderboard Service
+ * Scores members from their stored githubActivity and persists the ranked
+ * leaderboard in the ClubStats/leaderboard document. Recomputing never calls
+ * the GitHub API, so it is safe to run whenever the scoring weights change
+ * @module leaderboard-service
+ */
+import { doc, getDoc, setDoc, db } from '../../firebase-config.js';
+import { calculateLeaderboard } from './stats-service.js';
+import { getScoringWeights } from './settings-service.js';
+
+const LEADERBOARD_DOC_PATH = ['ClubStats', 'leaderboard'];
+
+let leaderboardCache = null;
+
+/**
+ * Recompute the leaderboard with the current weights and store it in ClubStats
+ * @param {Array} members - Array of member objects
+ * @returns {Promise<Object>} - Stored leaderboard {weights, entries, calculatedAt}
+ */
+export async function saveLeaderboard(members) {
+    const weights = getScoringWeights();
+    const leaderboard = {
+        weights,
+        entries: calculateLeaderboard(members, weights),
+        calculatedAt: new Date().toISOString()
+    };
+
+    await setDoc(doc(db, ...LEADERBOARD_DOC_PATH), leaderboard);
+    leaderboardCache = leaderboard;
+    return leaderboard;
+}
+
+/**
+ * Load the stored leaderboard
+ * @param {boolean} forceRefresh - Bypass the in-memory cache
+ * @returns {Promise<Object|null>} - Stored leaderboard, or null if never calculated
+ */
+export async function loadLeaderboard(forceRefresh = false) {
+    if (leaderboardCache && !forceRefresh) {
+        return leaderboardCache;
+    }
+
+    const leaderboardSnap = await getDoc(doc(db, ...LEADERBOARD_DOC_PATH));
+    leaderboardCache = leaderboardSnap.exists() ? leaderboardSnap.data() : null;
+    return leaderboardCache;
+}
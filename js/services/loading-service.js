@@ -16,15 +16,17 @@ class LoadingService {
      * @param {Object} options - Additional options
      * @param {string} options.message - Loading message
      * @param {number} options.progress - Progress percentage (0-100)
+     * @param {boolean} options.background - Don't block the page with the global overlay
      */
     setLoading(operationId, isLoading, options = {}) {
-        const { message = '', progress = null } = options;
+        const { message = '', progress = null, background = false } = options;
         
         if (isLoading) {
             this.loadingStates.set(operationId, {
                 isLoading: true,
                 message,
                 progress,
+                background,
                 startTime: Date.now()
             });
         } else {
@@ -78,9 +80,10 @@ class LoadingService {
         const progressWrap = document.getElementById('refreshProgressWrap');
 
         if (this.loadingStates.size > 0) {
-            // Show global overlay if any operation is loading
+            // Show global overlay only for blocking (non-background) operations
+            const hasBlocking = Array.from(this.loadingStates.values()).some(state => !state.background);
             if (globalOverlay) {
-                globalOverlay.classList.add('active');
+                globalOverlay.classList.toggle('active', hasBlocking);
             }
 
             // Update progress UI if available
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview Member Import Service
+ * Reads CSV and XLSX intake spreadsheets, maps their columns onto member fields
+ * and plans an import without writing anything: each row is normalized, checked
+ * with validateMember and compared with existing members (and earlier rows) by
+ * email and GitHub username. The plan is written by member-service importMembers
+ * @module member-import-service
+ */
+import {
+    MEMBER_FIELDS,
+    normalizeMemberDetails,
+    validateMemberDetails,
+    findDuplicateMembers
+} from './member-service.js';
+
+const XLSX_MODULE_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/xlsx.mjs';
+const MAX_IMPORT_ROWS = 2000;
+
+/**
+ * Display labels for importable member fields
+ * @type {Object<string, string>}
+ */
+export const MEMBER_FIELD_LABELS = {
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    displayName: 'Display Name',
+    email: 'Email',
+    personalEmail: 'Personal Email',
+    phoneNumber: 'Phone Number',
+    whatsappNumber: 'WhatsApp Number',
+    githubUsername: 'GitHub Username',
+    role: 'Role',
+    joinedAt: 'Joined',
+    cohort: 'Cohort',
+    tags: 'Tags'
+};
+
+/**
+ * Header spellings recognised for each field when guessing the mapping
+ * Compared after lower-casing and removing everything but letters and digits
+ * @type {Object<string, Array<string>>}
+ */
+const FIELD_ALIASES = {
+    firstName: ['firstname', 'first', 'givenname', 'forename'],
+    lastName: ['lastname', 'last', 'surname', 'familyname'],
+    displayName: ['displayname', 'name', 'fullname', 'preferredname'],
+    email: ['email', 'emailaddress', 'workemail', 'universityemail', 'studentemail', 'schoolemail'],
+    personalEmail: ['personalemail', 'personalemailaddress', 'otheremail', 'alternateemail'],
+    phoneNumber: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'cell', 'contactnumber'],
+    whatsappNumber: ['whatsapp', 'whatsappnumber'],
+    githubUsername: ['github', 'githubusername', 'githubhandle', 'githublogin', 'githubprofile', 'githuburl'],
+    role: ['role', 'position', 'title'],
+    joinedAt: ['joined', 'joinedat', 'joindate', 'datejoined', 'membersince', 'timestamp'],
+    cohort: ['cohort', 'batch', 'intake', 'intakebatch', 'batchyear'],
+    tags: ['tags', 'labels', 'groups']
+};
+
+/**
+ * Import row outcomes
+ * @type {{CREATE: string, INVALID: string, DUPLICATE: string}}
+ */
+export const IMPORT_ACTIONS = {
+    CREATE: 'create',
+    INVALID: 'invalid',
+    DUPLICATE: 'duplicate'
+};
+
+/**
+ * Reduce a header to letters and digits for alias matching
+ * @param {string} header - Column header
+ * @returns {string} - Comparable key
+ */
+function toHeaderKey(header) {
+    return String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse CSV text into rows of cells
+ * Handles quoted cells with commas, doubled quotes and line breaks
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, blank lines dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read the first sheet of an XLSX workbook into rows of cells
+ * SheetJS is loaded from its CDN the first time a workbook is imported
+ * @param {ArrayBuffer} buffer - Workbook contents
+ * @returns {Promise<Array<Array<string>>>} - Rows, blank rows dropped
+ */
+async function parseXlsx(buffer) {
+    const XLSX = await import(XLSX_MODULE_URL);
+    const workbook = XLSX.read(buffer, { type: 'array', cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return [];
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, dateNF: 'yyyy-mm-dd', defval: '' });
+    return rows
+        .map(cells => cells.map(value => String(value ?? '')))
+        .filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read a spreadsheet file
+ * The first row holds the column headers
+ * @param {File} file - .csv or .xlsx file
+ * @returns {Promise<{headers: Array<string>, rows: Array<Array<string>>}>} - Headers and data rows
+ * @throws {Error} If the file type is unsupported, the file is empty or too long
+ */
+export async function parseSpreadsheet(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    let rows;
+    if (extension === 'csv') {
+        rows = parseCsv(await file.text());
+    } else if (extension === 'xlsx' || extension === 'xls') {
+        rows = await parseXlsx(await file.arrayBuffer());
+    } else {
+        throw new Error('Choose a .csv or .xlsx file');
+    }
+
+    if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one member');
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+        throw new Error(`Import at most ${MAX_IMPORT_ROWS} members at a time`);
+    }
+
+    const [headers, ...data] = rows;
+    return { headers: headers.map(header => header.trim()), rows: data };
+}
+
+/**
+ * Guess which column holds each member field from the headers
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object<string, number>} - Column index per field (-1 when unmapped)
+ */
+export function guessColumnMapping(headers) {
+    const keys = headers.map(toHeaderKey);
+    const used = new Set();
+    const mapping = {};
+
+    MEMBER_FIELDS.forEach(field => {
+        const index = keys.findIndex((key, i) => !used.has(i) && FIELD_ALIASES[field].includes(key));
+        mapping[field] = index;
+        if (index !== -1) used.add(index);
+    });
+
+    return mapping;
+}
+
+/**
+ * Plan an import: map, normalize, validate and de-duplicate every row
+ * A row that shares an email or GitHub username with an existing member, or with
+ * an earlier row in the file, is skipped as a duplicate
+ * @param {Array<Array<string>>} rows - Data rows from parseSpreadsheet
+ * @param {Object<string, number>} mapping - Column index per field
+ * @param {Array<Object>} members - Existing members
+ * @returns {Array<{rowNumber: number, details: Object, action: string, errors: Array<string>, duplicateOf: string|null}>}
+ *   One entry per row; rowNumber counts the header as row 1 and skips blank rows
+ */
+export function planMemberImport(rows, mapping, members) {
+    const accepted = [];
+
+    return rows.map((cells, index) => {
+        const raw = Object.fromEntries(MEMBER_FIELDS
+            .filter(field => mapping[field] >= 0)
+            .map(field => [field, cells[mapping[field]]]));
+        const details = normalizeMemberDetails(raw);
+        const entry = { rowNumber: index + 2, details, action: IMPORT_ACTIONS.CREATE, errors: [], duplicateOf: null };
+
+        const validation = validateMemberDetails(details);
+        if (!validation.valid) {
+            entry.action = IMPORT_ACTIONS.INVALID;
+            entry.errors = validation.errors;
+            return entry;
+        }
+
+        const [existing] = findDuplicateMembers(details, members);
+        const [earlier] = existing ? [] : findDuplicateMembers(details, accepted);
+        const duplicate = existing || earlier;
+        if (duplicate) {
+            const label = duplicate.field === 'email' ? 'email' : 'GitHub username';
+            entry.action = IMPORT_ACTIONS.DUPLICATE;
+            entry.duplicateOf = existing
+                ? existing.member.displayName || `${existing.member.firstName || ''} ${existing.member.lastName || ''}`.trim()
+                : `row ${earlier.member.rowNumber}`;
+            entry.errors = [`Same ${label} as ${entry.duplicateOf}`];
+            return entry;
+        }
+
+        accepted.push({ ...details, rowNumber: entry.rowNumber });
+        return entry;
+    });
+}
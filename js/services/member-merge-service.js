@@ -0,0 +1,516 @@
+/**
+ * @fileoverview Member Duplicate Detection and Merge Service
+ * Scores pairs of members that may be the same person (shared email or personal
+ * email, phone or WhatsApp number, GitHub username, similar names) and merges a
+ * pair into one record. A merge keeps one document, takes each field from the
+ * side the admin picks, combines `githubActivity`, moves references to the
+ * removed member (event organisers and attendees, project maintainers, form
+ * submissions by email, activity history) onto the kept one, then deletes the
+ * removed document
+ * @module member-merge-service
+ */
+import { collection, getDocs, doc, writeBatch, db } from '../../firebase-config.js';
+import { getMembers, setMembers } from '../data-store.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './audit-service.js';
+import {
+    MEMBER_FIELDS,
+    MEMBER_STATUSES,
+    getEmptyFieldValue,
+    normalizeMemberDetails,
+    validateMemberDetails,
+    findDuplicateMembers,
+    isActiveMember
+} from './member-service.js';
+import { loadEvents, syncEventStats } from './event-service.js';
+import { loadProjects } from './project-service.js';
+import { getMemberDisplayName } from '../utils.js';
+
+const MEMBERS_COLLECTION = 'Members';
+const MEMBER_HISTORY_COLLECTION = 'activityHistory';
+const BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+/**
+ * Points each signal adds to a pair's score (capped at 100)
+ * @type {{email: number, githubUsername: number, phone: number, name: number}}
+ */
+export const DUPLICATE_WEIGHTS = {
+    email: 45,
+    githubUsername: 45,
+    phone: 30,
+    name: 30 // Scaled by similarity; only names at least NAME_SIMILARITY_THRESHOLD alike count
+};
+
+const NAME_SIMILARITY_THRESHOLD = 0.8;
+const PHONE_DIGITS = 10; // Compare the last 10 digits so country prefixes don't matter
+
+/**
+ * Lowest score listed by findDuplicateCandidates by default
+ * An identical name on its own reaches it; anything weaker is not shown
+ * @type {number}
+ */
+export const DEFAULT_MIN_SCORE = 30;
+
+/**
+ * Get a member's emails, lower-cased
+ * @param {Object} member - Member
+ * @returns {Array<string>} - Work and personal emails
+ */
+function getEmails(member) {
+    return [member.email, member.personalEmail].filter(Boolean).map(email => email.trim().toLowerCase());
+}
+
+/**
+ * Get a member's phone and WhatsApp numbers as comparable digits
+ * @param {Object} member - Member
+ * @returns {Array<string>} - Last PHONE_DIGITS digits of each number
+ */
+function getPhones(member) {
+    return [member.phoneNumber, member.whatsappNumber]
+        .map(phone => String(phone || '').replace(/\D/g, '').slice(-PHONE_DIGITS))
+        .filter(digits => digits.length >= 7);
+}
+
+/**
+ * Normalize a member's name for comparison
+ * Accents and punctuation are dropped and the words sorted, so "Sharma, Priya"
+ * and "priya sharma" compare equal
+ * @param {Object} member - Member
+ * @returns {string} - Normalized name ('' when the member has none)
+ */
+function getNameKey(member) {
+    const name = member.displayName || `${member.firstName || ''} ${member.lastName || ''}`;
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+/**
+ * Similarity of two strings from their edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 1 for identical strings, 0 for nothing in common
+ */
+function stringSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Score how likely two members are the same person
+ * @param {Object} a - First member
+ * @param {Object} b - Second member
+ * @returns {{score: number, reasons: Array<string>}} - Score from 0 to 100 and the signals that matched
+ */
+export function scoreDuplicatePair(a, b) {
+    const reasons = [];
+    let score = 0;
+
+    const bEmails = getEmails(b);
+    const sharedEmail = getEmails(a).find(email => bEmails.includes(email));
+    if (sharedEmail) {
+        score += DUPLICATE_WEIGHTS.email;
+        reasons.push(`Same email (${sharedEmail})`);
+    }
+
+    const aUsername = (a.githubUsername || '').toLowerCase();
+    if (aUsername && aUsername === (b.githubUsername || '').toLowerCase()) {
+        score += DUPLICATE_WEIGHTS.githubUsername;
+        reasons.push(`Same GitHub username (${a.githubUsername})`);
+    }
+
+    const bPhones = getPhones(b);
+    if (getPhones(a).some(phone => bPhones.includes(phone))) {
+        score += DUPLICATE_WEIGHTS.phone;
+        reasons.push('Same phone or WhatsApp number');
+    }
+
+    const similarity = stringSimilarity(getNameKey(a), getNameKey(b));
+    if (similarity >= NAME_SIMILARITY_THRESHOLD) {
+        score += Math.round(DUPLICATE_WEIGHTS.name * similarity);
+        reasons.push(similarity === 1 ? 'Same name' : `Similar name (${Math.round(similarity * 100)}%)`);
+    }
+
+    return { score: Math.min(score, 100), reasons };
+}
+
+/**
+ * Get the keys a member is grouped under before pairs are scored
+ * Only members sharing a key are compared, which keeps the search well below
+ * comparing every pair
+ * @param {Object} member - Member
+ * @returns {Array<string>} - Blocking keys
+ */
+function getBlockingKeys(member) {
+    const nameTokens = getNameKey(member).split(' ').filter(token => token.length >= 2);
+    return [
+        ...getEmails(member).map(email => `email:${email}`),
+        ...getPhones(member).map(phone => `phone:${phone}`),
+        ...(member.githubUsername ? [`github:${member.githubUsername.toLowerCase()}`] : []),
+        ...nameTokens.map(token => `name:${token}`)
+    ];
+}
+
+/**
+ * Check whether an admin has marked a pair as different people
+ * @param {Object} a - First member
+ * @param {Object} b - Second member
+ * @returns {boolean} - True if either side lists the other in `notDuplicateOf`
+ */
+function isDismissedPair(a, b) {
+    return (a.notDuplicateOf || []).includes(b.id) || (b.notDuplicateOf || []).includes(a.id);
+}
+
+/**
+ * Find likely duplicate pairs among members
+ * @param {Array<Object>} members - Members to search
+ * @param {number} minScore - Lowest score to include (default: DEFAULT_MIN_SCORE)
+ * @returns {Array<{a: Object, b: Object, score: number, reasons: Array<string>}>} - Pairs, highest score first
+ */
+export function findDuplicateCandidates(members, minScore = DEFAULT_MIN_SCORE) {
+    const blocks = new Map();
+    members.forEach((member, index) => {
+        new Set(getBlockingKeys(member)).forEach(key => {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(index);
+        });
+    });
+
+    const seen = new Set();
+    const pairs = [];
+    blocks.forEach(indexes => {
+        for (let i = 0; i < indexes.length; i++) {
+            for (let j = i + 1; j < indexes.length; j++) {
+                const pairKey = `${indexes[i]}:${indexes[j]}`;
+                if (seen.has(pairKey)) continue;
+                seen.add(pairKey);
+
+                const a = members[indexes[i]];
+                const b = members[indexes[j]];
+                if (isDismissedPair(a, b)) continue;
+                const { score, reasons } = scoreDuplicatePair(a, b);
+                if (score >= minScore) {
+                    pairs.push({ a, b, score, reasons });
+                }
+            }
+        }
+    });
+
+    return pairs.sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Suggest which member of a pair to keep
+ * Prefers the record with GitHub connected, then the one with activity, then the older one
+ * @param {Object} a - First member
+ * @param {Object} b - Second member
+ * @returns {[Object, Object]} - [member to keep, member to remove]
+ */
+export function suggestMergeOrder(a, b) {
+    const rank = member => [
+        member.githubConnected && member.githubUsername ? 1 : 0,
+        member.githubActivity ? 1 : 0,
+        -new Date(member.joinedAt || Date.now()).getTime()
+    ];
+    const ra = rank(a);
+    const rb = rank(b);
+    for (let i = 0; i < ra.length; i++) {
+        if (ra[i] !== rb[i]) return ra[i] > rb[i] ? [a, b] : [b, a];
+    }
+    return [a, b];
+}
+
+/**
+ * Suggest which side each field is taken from
+ * The kept member's value wins unless it is empty; the earlier join date always wins
+ * @param {Object} keep - Member to keep
+ * @param {Object} remove - Member to remove
+ * @returns {Object<string, 'keep'|'remove'>} - Side per field in MEMBER_FIELDS
+ */
+export function suggestFieldSelections(keep, remove) {
+    return Object.fromEntries(MEMBER_FIELDS.map(field => {
+        if (field === 'joinedAt' && keep.joinedAt && remove.joinedAt) {
+            return [field, new Date(remove.joinedAt) < new Date(keep.joinedAt) ? 'remove' : 'keep'];
+        }
+        return [field, keep[field] || !remove[field] ? 'keep' : 'remove'];
+    }));
+}
+
+/**
+ * Combine two members' GitHub activity
+ * The activity of the account whose username is kept is the base (or the more
+ * recently refreshed one when neither matches); fields it lacks are filled from
+ * the other. The next GitHub refresh recomputes everything for the kept username
+ * @param {Object} keep - Member to keep
+ * @param {Object} remove - Member to remove
+ * @param {string} username - GitHub username of the merged member
+ * @returns {Object|null} - Combined activity, or null when neither side has any
+ */
+export function combineGitHubActivity(keep, remove, username) {
+    const sides = [keep.githubActivity, remove.githubActivity].filter(Boolean);
+    if (sides.length < 2) return sides[0] || null;
+
+    const login = (username || '').toLowerCase();
+    const owner = [keep, remove].find(member => member.githubActivity && (member.githubUsername || '').toLowerCase() === login);
+    const [base, other] = owner
+        ? [owner.githubActivity, (owner === keep ? remove : keep).githubActivity]
+        : [...sides].sort((x, y) => new Date(y.lastUpdated || 0) - new Date(x.lastUpdated || 0));
+
+    const combined = { ...base };
+    Object.entries(other).forEach(([key, value]) => {
+        if (combined[key] === undefined || combined[key] === null) {
+            combined[key] = value;
+        }
+    });
+    return combined;
+}
+
+/**
+ * Replace a member ID in a list, without duplicates
+ * @param {Array<string>} ids - Member IDs
+ * @param {string} fromId - ID to replace
+ * @param {string} toId - Replacement ID
+ * @returns {Array<string>|null} - New list, or null when fromId is not in it
+ */
+function replaceMemberId(ids, fromId, toId) {
+    if (!(ids || []).includes(fromId)) return null;
+    return [...new Set(ids.map(id => (id === fromId ? toId : id)))];
+}
+
+/**
+ * Plan the moves of event organiser and attendee entries from one member to another
+ * @param {string} fromId - Removed member
+ * @param {string} toId - Kept member
+ * @returns {Promise<{writes: Array<Function>, events: Array<Object>}>} - One write per
+ *   event to update, and every event as it will be once they are committed
+ */
+async function planEventMoves(fromId, toId) {
+    const events = await loadEvents();
+    const writes = [];
+
+    const updatedEvents = events.map(event => {
+        const organizers = replaceMemberId(event.organizers, fromId, toId);
+        const attendees = replaceMemberId(event.attendees, fromId, toId);
+        if (!organizers && !attendees) return event;
+
+        const update = {
+            ...(organizers ? { organizers } : {}),
+            ...(attendees ? { attendees } : {})
+        };
+        writes.push(batch => batch.update(doc(db, 'Events', event.id), update));
+        return { ...event, ...update };
+    });
+    return { writes, events: updatedEvents };
+}
+
+/**
+ * Plan the moves of project maintainer entries from one member to another
+ * @param {string} fromId - Removed member
+ * @param {string} toId - Kept member
+ * @returns {Promise<Array<Function>>} - One write per project to update
+ */
+async function planProjectMoves(fromId, toId) {
+    const projects = await loadProjects();
+    return projects.flatMap(project => {
+        const maintainers = replaceMemberId(project.maintainers, fromId, toId);
+        return maintainers ? [batch => batch.update(doc(db, 'Projects', project.id), { maintainers })] : [];
+    });
+}
+
+/**
+ * Plan pointing submissions made with the removed member's emails at the merged email
+ * Submissions link to members through `submittedBy`, which holds the email as
+ * the respondent's sign-in provider reported it, so it is compared ignoring case
+ * (a Firestore query cannot). Emails the merged record still has are left alone
+ * @param {Array<string>} emails - Lower-cased emails only the removed member had
+ * @param {string|null} email - Merged member's email
+ * @returns {Promise<Array<Function>>} - One write per submission to update
+ */
+async function planSubmissionMoves(emails, email) {
+    if (emails.length === 0 || !email) return [];
+
+    const formsSnap = await getDocs(collection(db, 'forms'));
+    const submissionSnaps = await Promise.all(formsSnap.docs.map(formDoc =>
+        getDocs(collection(db, 'form_submissions', formDoc.id, 'submissions'))
+    ));
+    return submissionSnaps
+        .flatMap(submissionsSnap => submissionsSnap.docs)
+        .filter(submissionDoc => emails.includes(String(submissionDoc.data().submittedBy || '').trim().toLowerCase()))
+        .map(submissionDoc => batch => batch.update(submissionDoc.ref, { submittedBy: email }));
+}
+
+/**
+ * Plan copying the removed member's activity history to the kept member
+ * Days the kept member already has are not overwritten
+ * @param {string} fromId - Removed member
+ * @param {string} toId - Kept member
+ * @returns {Promise<{writes: Array<Function>, history: Array<Object>}>} - One write per
+ *   day to copy, and the removed member's history documents (deleted with the member)
+ */
+async function planHistoryMoves(fromId, toId) {
+    const [fromSnap, toSnap] = await Promise.all([
+        getDocs(collection(db, MEMBERS_COLLECTION, fromId, MEMBER_HISTORY_COLLECTION)),
+        getDocs(collection(db, MEMBERS_COLLECTION, toId, MEMBER_HISTORY_COLLECTION))
+    ]);
+    const existingDays = new Set(toSnap.docs.map(d => d.id));
+    const writes = fromSnap.docs
+        .filter(d => !existingDays.has(d.id))
+        .map(historyDoc => batch => batch.set(
+            doc(db, MEMBERS_COLLECTION, toId, MEMBER_HISTORY_COLLECTION, historyDoc.id),
+            historyDoc.data()
+        ));
+    return { writes, history: fromSnap.docs };
+}
+
+/**
+ * Commit planned writes in batches of BATCH_SIZE
+ * @param {Array<Function>} writes - Each adds one write to the batch it is given
+ * @returns {Promise<void>}
+ */
+async function commitWrites(writes) {
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        writes.slice(i, i + BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+}
+
+/**
+ * Merge two members into one
+ * Every write is planned first. When they fit in one batch (the usual case) the
+ * merge is committed at once, so it either happens completely or not at all.
+ * Larger merges move references and copy history first and change the member
+ * documents last; if one of those batches fails, both members still exist, the
+ * moves made so far point at the kept member and its copied history days are
+ * skipped next time, so merging the same pair again finishes the job
+ * @param {Object} keep - Member whose document is kept (with id)
+ * @param {Object} remove - Member whose document is deleted (with id)
+ * @param {Object<string, 'keep'|'remove'>} selections - Side each field in MEMBER_FIELDS is taken from
+ * @returns {Promise<{member: Object, events: number, projects: number, submissions: number}>}
+ *   Merged member and how many references were moved
+ * @throws {Error} If the merged details are invalid or clash with a third member
+ */
+export async function mergeMembers(keep, remove, selections) {
+    if (keep.id === remove.id) {
+        throw new Error('Choose two different members');
+    }
+
+    const details = normalizeMemberDetails(Object.fromEntries(MEMBER_FIELDS.map(field => [
+        field,
+        (selections[field] === 'remove' ? remove : keep)[field]
+    ])));
+    const validation = validateMemberDetails(details, [keep, remove]);
+    if (!validation.valid) {
+        throw new Error(validation.errors[0]);
+    }
+    const others = getMembers().filter(member => member.id !== remove.id);
+    const [clash] = findDuplicateMembers(details, others, keep.id);
+    if (clash) {
+        throw new Error(`${getMemberDisplayName(clash.member)} already uses ${clash.value}`);
+    }
+
+    const mergedEmails = getEmails(details);
+    const droppedEmails = getEmails(remove).filter(email => !mergedEmails.includes(email));
+    const eventMoves = await planEventMoves(remove.id, keep.id);
+    const projectMoves = await planProjectMoves(remove.id, keep.id);
+    const submissionMoves = await planSubmissionMoves(droppedEmails, details.email || details.personalEmail || null);
+    const historyMoves = await planHistoryMoves(remove.id, keep.id);
+    const history = historyMoves.history;
+    const events = eventMoves.writes.length;
+    const projects = projectMoves.length;
+    const submissions = submissionMoves.length;
+
+    const now = new Date().toISOString();
+    const update = {
+        ...Object.fromEntries(MEMBER_FIELDS.map(field => [field, details[field] ?? getEmptyFieldValue(field)])),
+        githubConnected: !!details.githubUsername,
+        githubActivity: combineGitHubActivity(keep, remove, details.githubUsername),
+        status: isActiveMember(keep) || isActiveMember(remove) ? MEMBER_STATUSES.ACTIVE : MEMBER_STATUSES.INACTIVE,
+        mergedFrom: [...new Set([...(keep.mergedFrom || []), remove.id, ...(remove.mergedFrom || [])])],
+        notDuplicateOf: [...new Set([...(keep.notDuplicateOf || []), ...(remove.notDuplicateOf || [])])]
+            .filter(id => id !== keep.id && id !== remove.id),
+        lastUpdated: now
+    };
+    if (update.status === MEMBER_STATUSES.ACTIVE) {
+        update.deactivatedAt = null;
+    }
+
+    const moves = [...eventMoves.writes, ...projectMoves, ...submissionMoves, ...historyMoves.writes];
+    const historyDeletes = history.map(historyDoc => batch => batch.delete(historyDoc.ref));
+    const fitsOneBatch = moves.length + historyDeletes.length <= BATCH_SIZE;
+    if (!fitsOneBatch) {
+        await commitWrites(moves);
+    }
+
+    const batch = writeBatch(db);
+    (fitsOneBatch ? [...moves, ...historyDeletes] : historyDeletes.slice(0, BATCH_SIZE)).forEach(write => write(batch));
+    batch.update(doc(db, MEMBERS_COLLECTION, keep.id), update);
+    batch.delete(doc(db, MEMBERS_COLLECTION, remove.id));
+    const pick = member => Object.fromEntries(MEMBER_FIELDS.map(field => [field, member[field] ?? getEmptyFieldValue(field)]));
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.MEMBER_MERGE,
+        targetPath: `${MEMBERS_COLLECTION}/${keep.id}`,
+        targetLabel: getMemberDisplayName({ ...keep, ...details }),
+        before: { kept: pick(keep), removed: { id: remove.id, ...pick(remove) } },
+        after: { kept: pick(update), moved: { events, projects, submissions, historyDays: history.length } }
+    });
+    await batch.commit();
+    if (!fitsOneBatch) {
+        // Histories longer than one batch are cleared after the member is gone
+        await commitWrites(historyDeletes.slice(BATCH_SIZE));
+    }
+    if (events > 0) {
+        await syncEventStats(eventMoves.events); // Attendance drops when both records attended the same event
+    }
+
+    const member = { ...keep, ...update };
+    setMembers(getMembers()
+        .filter(m => m.id !== remove.id)
+        .map(m => (m.id === keep.id ? member : m)));
+    return { member, events, projects, submissions };
+}
+
+/**
+ * Record that two members are different people so the pair is no longer suggested
+ * @param {Object} a - First member (with id)
+ * @param {Object} b - Second member (with id)
+ * @returns {Promise<void>}
+ */
+export async function dismissDuplicatePair(a, b) {
+    const aList = [...new Set([...(a.notDuplicateOf || []), b.id])];
+    const bList = [...new Set([...(b.notDuplicateOf || []), a.id])];
+
+    const batch = writeBatch(db);
+    batch.update(doc(db, MEMBERS_COLLECTION, a.id), { notDuplicateOf: aList });
+    batch.update(doc(db, MEMBERS_COLLECTION, b.id), { notDuplicateOf: bList });
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.MEMBER_NOT_DUPLICATE,
+        targetPath: `${MEMBERS_COLLECTION}/${a.id}`,
+        targetLabel: `${getMemberDisplayName(a)} / ${getMemberDisplayName(b)}`,
+        before: { notDuplicateOf: a.notDuplicateOf || [] },
+        after: { notDuplicateOf: aList }
+    });
+    await batch.commit();
+
+    setMembers(getMembers().map(m => {
+        if (m.id === a.id) return { ...m, notDuplicateOf: aList };
+        if (m.id === b.id) return { ...m, notDuplicateOf: bList };
+        return m;
+    }));
+}
@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Member Management Service
+ * Admin writes to the Firestore `Members` collection: add, edit, deactivate and
+ * reactivate members, and write bulk imports. Details are checked with
+ * validateMember, and a member may not share an email or GitHub username with
+ * another. Deactivated members keep their document with `status: 'inactive'`.
+ * Cohorts and tags must be defined in Settings before members are given them
+ * @module member-service
+ */
+import { auth, collection, doc, writeBatch, db } from '../../firebase-config.js';
+import { getMembers, setMembers } from '../data-store.js';
+import { addAuditEntry, recordAudit, AUDIT_ACTIONS } from './audit-service.js';
+import { validateMember } from '../utils/validation.js';
+import { getMemberCohorts, getMemberTags } from './settings-service.js';
+
+const MEMBERS_COLLECTION = 'Members';
+const BATCH_SIZE = 400; // Firestore allows 500 writes per batch
+
+/**
+ * Member statuses
+ * @type {{ACTIVE: string, INACTIVE: string}}
+ */
+export const MEMBER_STATUSES = {
+    ACTIVE: 'active',
+    INACTIVE: 'inactive'
+};
+
+/**
+ * Editable member fields, in form order
+ * @type {Array<string>}
+ */
+export const MEMBER_FIELDS = [
+    'firstName',
+    'lastName',
+    'displayName',
+    'email',
+    'personalEmail',
+    'phoneNumber',
+    'whatsappNumber',
+    'githubUsername',
+    'role',
+    'joinedAt',
+    'cohort',
+    'tags'
+];
+
+/**
+ * Check whether a member is active
+ * Members stored before statuses existed have none and count as active
+ * @param {Object} member - Member
+ * @returns {boolean} - False only for deactivated members
+ */
+export function isActiveMember(member) {
+    return member?.status !== MEMBER_STATUSES.INACTIVE;
+}
+
+/**
+ * Get the stored value of an empty member field
+ * @param {string} field - Field from MEMBER_FIELDS
+ * @returns {Array|null} - [] for tags, null otherwise
+ */
+export function getEmptyFieldValue(field) {
+    return field === 'tags' ? [] : null;
+}
+
+/**
+ * Tidy a list of tags
+ * @param {Array<string>|string} tags - Tags, or text separated by commas or semicolons
+ * @returns {Array<string>} - Unique lower-case tags
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(/[,;]/);
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Trim and tidy member details from a form or import row
+ * Emails are lower-cased; GitHub usernames lose a leading @ or profile URL;
+ * joinedAt becomes an ISO string; a cohort takes the spelling defined in
+ * Settings; tags become a lower-case list
+ * @param {Object} details - Raw details keyed by MEMBER_FIELDS
+ * @returns {Object} - Details with empty values left out
+ */
+export function normalizeMemberDetails(details) {
+    const normalized = {};
+
+    MEMBER_FIELDS.forEach(field => {
+        let value = details[field];
+        if (value === undefined || value === null) return;
+        if (field === 'tags') {
+            const tags = normalizeTags(value);
+            if (tags.length > 0) normalized.tags = tags;
+            return;
+        }
+        value = String(value).trim();
+        if (!value) return;
+
+        if (field === 'email' || field === 'personalEmail') {
+            value = value.toLowerCase();
+        } else if (field === 'githubUsername') {
+            value = value.replace(/^https?:\/\/(www\.)?github\.com\//i, '').replace(/^@/, '').replace(/\/+$/, '');
+        } else if (field === 'joinedAt') {
+            const date = new Date(value);
+            value = isNaN(date.getTime()) ? value : date.toISOString();
+        } else if (field === 'cohort') {
+            value = getMemberCohorts().find(cohort => cohort.toLowerCase() === value.toLowerCase()) || value;
+        }
+        normalized[field] = value;
+    });
+
+    return normalized;
+}
+
+/**
+ * Validate member details, including a readable join date and defined cohort and tags
+ * A cohort or tag removed from Settings stays valid on members that already have it
+ * @param {Object} details - Normalized details
+ * @param {Array<Object>} [current] - Stored versions of the member(s) being saved
+ * @returns {{valid: boolean, errors: Array<string>}} - Validation result
+ */
+export function validateMemberDetails(details, current = []) {
+    const { valid, errors } = validateMember(details);
+    const allErrors = [...errors];
+    if (details.joinedAt && isNaN(new Date(details.joinedAt).getTime())) {
+        allErrors.push('Invalid join date');
+    }
+
+    allErrors.push(...validateGroups(details, current));
+
+    return { valid: valid && allErrors.length === errors.length, errors: allErrors };
+}
+
+/**
+ * Check that a cohort and tags are defined in Settings
+ * @param {{cohort: string, tags: Array<string>}} details - Normalized cohort and tags
+ * @param {Array<Object>} current - Members whose existing cohort and tags are also accepted
+ * @returns {Array<string>} - Error messages
+ */
+function validateGroups({ cohort, tags }, current) {
+    const errors = [];
+    const cohorts = new Set([...getMemberCohorts(), ...current.map(member => member.cohort).filter(Boolean)]);
+    if (cohort && !cohorts.has(cohort)) {
+        errors.push(`Unknown cohort "${cohort}" - add it in Settings first`);
+    }
+    const knownTags = new Set([...getMemberTags(), ...current.flatMap(member => member.tags || [])]);
+    const unknownTags = (tags || []).filter(tag => !knownTags.has(tag));
+    if (unknownTags.length > 0) {
+        errors.push(`Unknown tag${unknownTags.length === 1 ? '' : 's'} ${unknownTags.join(', ')} - add ${unknownTags.length === 1 ? 'it' : 'them'} in Settings first`);
+    }
+    return errors;
+}
+
+/**
+ * Find members that share an email or GitHub username with some details
+ * Work and personal emails are compared with each other in both directions
+ * @param {Object} details - Normalized details
+ * @param {Array<Object>} members - Members to compare against
+ * @param {string} [excludeId] - Member being edited
+ * @returns {Array<{member: Object, field: string, value: string}>} - Matches ('email' or 'githubUsername')
+ */
+export function findDuplicateMembers(details, members, excludeId = null) {
+    const emails = [details.email, details.personalEmail].filter(Boolean).map(email => email.toLowerCase());
+    const username = (details.githubUsername || '').toLowerCase();
+    const matches = [];
+
+    members.forEach(member => {
+        if (member.id === excludeId) return;
+        const memberEmails = [member.email, member.personalEmail].filter(Boolean).map(email => email.toLowerCase());
+        const sharedEmail = emails.find(email => memberEmails.includes(email));
+        if (sharedEmail) {
+            matches.push({ member, field: 'email', value: sharedEmail });
+        } else if (username && (member.githubUsername || '').toLowerCase() === username) {
+            matches.push({ member, field: 'githubUsername', value: details.githubUsername });
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Throw when details are invalid or clash with another member
+ * @param {Object} details - Normalized details
+ * @param {Object} [current] - Stored member being edited
+ * @throws {Error} With the first problem found
+ */
+function assertSavable(details, current = null) {
+    const excludeId = current?.id || null;
+    const validation = validateMemberDetails(details, current ? [current] : []);
+    if (!validation.valid) {
+        throw new Error(validation.errors[0]);
+    }
+    const [duplicate] = findDuplicateMembers(details, getMembers(), excludeId);
+    if (duplicate) {
+        const label = duplicate.field === 'email' ? 'email' : 'GitHub username';
+        throw new Error(`Another member already uses the ${label} ${duplicate.value}`);
+    }
+}
+
+/**
+ * Build a new member document
+ * @param {Object} details - Normalized details
+ * @param {string} now - Creation time (ISO string)
+ * @returns {Object} - Member document
+ */
+function buildMemberDocument(details, now) {
+    return {
+        ...details,
+        cohort: details.cohort || null,
+        tags: details.tags || [],
+        githubConnected: !!details.githubUsername,
+        status: MEMBER_STATUSES.ACTIVE,
+        joinedAt: details.joinedAt || now,
+        createdBy: auth.currentUser?.email || null,
+        lastUpdated: now
+    };
+}
+
+/**
+ * Replace or add a member in the shared data store
+ * @param {Object} member - Member with id
+ */
+function storeMember(member) {
+    const members = getMembers();
+    const exists = members.some(m => m.id === member.id);
+    setMembers(exists ? members.map(m => (m.id === member.id ? member : m)) : [...members, member]);
+}
+
+/**
+ * Add a member
+ * @param {Object} details - Member details keyed by MEMBER_FIELDS
+ * @returns {Promise<Object>} - New member with id
+ * @throws {Error} If the details are invalid or duplicate another member
+ */
+export async function createMember(details) {
+    const normalized = normalizeMemberDetails(details);
+    assertSavable(normalized);
+
+    const memberRef = doc(collection(db, MEMBERS_COLLECTION));
+    const member = buildMemberDocument(normalized, new Date().toISOString());
+    const batch = writeBatch(db);
+    batch.set(memberRef, member);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.MEMBER_CREATE,
+        targetPath: memberRef.path,
+        targetLabel: member.displayName || `${member.firstName || ''} ${member.lastName || ''}`.trim(),
+        after: normalized
+    });
+    await batch.commit();
+
+    const created = { id: memberRef.id, ...member };
+    storeMember(created);
+    return created;
+}
+
+/**
+ * Update a member's details
+ * Cleared fields are removed; GitHub activity is kept unless the username changes
+ * @param {Object} member - Member as loaded (with id)
+ * @param {Object} details - New details keyed by MEMBER_FIELDS
+ * @returns {Promise<Object>} - Updated member
+ * @throws {Error} If the details are invalid or duplicate another member
+ */
+export async function updateMember(member, details) {
+    const normalized = normalizeMemberDetails(details);
+    assertSavable(normalized, member);
+
+    const audited = [...MEMBER_FIELDS];
+    const update = Object.fromEntries(MEMBER_FIELDS.map(field => [field, normalized[field] ?? getEmptyFieldValue(field)]));
+    const usernameChanged = (member.githubUsername || '').toLowerCase() !== (normalized.githubUsername || '').toLowerCase();
+    if (usernameChanged) {
+        update.githubConnected = !!normalized.githubUsername;
+        update.githubActivity = null;
+        audited.push('githubConnected', 'githubActivity'); // The fetched activity is dropped, so the entry keeps it
+    }
+    update.lastUpdated = new Date().toISOString();
+    const before = Object.fromEntries(audited.map(field => [field, member[field] ?? getEmptyFieldValue(field)]));
+
+    const memberRef = doc(db, MEMBERS_COLLECTION, member.id);
+    const batch = writeBatch(db);
+    batch.update(memberRef, update);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.MEMBER_UPDATE,
+        targetPath: memberRef.path,
+        targetLabel: normalized.displayName || `${normalized.firstName || ''} ${normalized.lastName || ''}`.trim(),
+        before,
+        after: Object.fromEntries(audited.map(field => [field, update[field]]))
+    });
+    await batch.commit();
+
+    const updated = { ...member, ...update };
+    storeMember(updated);
+    return updated;
+}
+
+/**
+ * Deactivate or reactivate a member
+ * @param {Object} member - Member as loaded (with id)
+ * @param {boolean} active - True to reactivate
+ * @returns {Promise<Object>} - Updated member
+ */
+export async function setMemberActive(member, active) {
+    const now = new Date().toISOString();
+    const update = {
+        status: active ? MEMBER_STATUSES.ACTIVE : MEMBER_STATUSES.INACTIVE,
+        deactivatedAt: active ? null : now,
+        lastUpdated: now
+    };
+
+    const memberRef = doc(db, MEMBERS_COLLECTION, member.id);
+    const batch = writeBatch(db);
+    batch.update(memberRef, update);
+    addAuditEntry(batch, {
+        action: active ? AUDIT_ACTIONS.MEMBER_REACTIVATE : AUDIT_ACTIONS.MEMBER_DEACTIVATE,
+        targetPath: memberRef.path,
+        targetLabel: member.displayName || `${member.firstName || ''} ${member.lastName || ''}`.trim(),
+        before: { status: member.status || MEMBER_STATUSES.ACTIVE, deactivatedAt: member.deactivatedAt || null },
+        after: { status: update.status, deactivatedAt: update.deactivatedAt }
+    });
+    await batch.commit();
+
+    const updated = { ...member, ...update };
+    storeMember(updated);
+    return updated;
+}
+
+/**
+ * Change the cohort and tags of several members at once
+ * One audit entry records the change for every member
+ * @param {Array<Object>} members - Members as loaded (with ids)
+ * @param {Object} change - Change to apply
+ * @param {string|null} [change.cohort] - Cohort to set ('' or null clears it; omit to leave as is)
+ * @param {Array<string>} [change.addTags] - Tags to add
+ * @param {Array<string>} [change.removeTags] - Tags to remove
+ * @returns {Promise<number>} - Members changed
+ * @throws {Error} If the cohort or a tag to add is not defined in Settings
+ */
+export async function updateMemberGroups(members, { cohort, addTags = [], removeTags = [] }) {
+    const change = normalizeMemberDetails({ cohort: cohort || null, tags: addTags });
+    const [error] = validateGroups(change, []);
+    if (error) {
+        throw new Error(error);
+    }
+    const removing = new Set(normalizeTags(removeTags));
+
+    const now = new Date().toISOString();
+    const updates = members.map(member => {
+        const tags = [...new Set([...(member.tags || []), ...(change.tags || [])])].filter(tag => !removing.has(tag));
+        const nextCohort = cohort === undefined ? (member.cohort || null) : (change.cohort || null);
+        return { member, update: { cohort: nextCohort, tags } };
+    }).filter(({ member, update }) =>
+        update.cohort !== (member.cohort || null) ||
+        JSON.stringify(update.tags) !== JSON.stringify(member.tags || []));
+
+    if (updates.length === 0) return 0;
+
+    for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+        const batch = writeBatch(db);
+        updates.slice(i, i + BATCH_SIZE).forEach(({ member, update }) => {
+            batch.update(doc(db, MEMBERS_COLLECTION, member.id), { ...update, lastUpdated: now });
+        });
+        // The entry covers every member, so it goes with the last batch
+        if (i + BATCH_SIZE >= updates.length) {
+            addAuditEntry(batch, {
+                action: AUDIT_ACTIONS.MEMBER_GROUPS,
+                targetPath: MEMBERS_COLLECTION,
+                targetLabel: `${updates.length} member${updates.length === 1 ? '' : 's'}`,
+                after: {
+                    ...(cohort === undefined ? {} : { cohort: change.cohort || null }),
+                    addTags: change.tags || [],
+                    removeTags: [...removing],
+                    memberIds: updates.map(({ member }) => member.id)
+                }
+            });
+        }
+        await batch.commit();
+    }
+
+    const changed = new Map(updates.map(({ member, update }) => [member.id, { ...update, lastUpdated: now }]));
+    setMembers(getMembers().map(m => (changed.has(m.id) ? { ...m, ...changed.get(m.id) } : m)));
+    return updates.length;
+}
+
+/**
+ * Write imported members in batches
+ * Rows must already be normalized, validated and checked for duplicates
+ * (see member-import-service). Each committed batch is added to the data store
+ * straight away, so a failed import can be re-planned without duplicating the
+ * rows already written; one audit entry records what was written
+ * @param {Array<Object>} rows - Normalized member details
+ * @param {string} source - File name the rows came from
+ * @returns {Promise<Array<Object>>} - Created members with ids
+ * @throws {Error} If a batch fails (earlier batches stay written)
+ */
+export async function importMembers(rows, source) {
+    const now = new Date().toISOString();
+    const created = [];
+
+    try {
+        for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+            const batch = writeBatch(db);
+            const chunk = rows.slice(i, i + BATCH_SIZE).map(details => {
+                const memberRef = doc(collection(db, MEMBERS_COLLECTION));
+                const member = { ...buildMemberDocument(details, now), importedFrom: source };
+                batch.set(memberRef, member);
+                return { id: memberRef.id, ...member };
+            });
+            await batch.commit();
+            created.push(...chunk);
+            setMembers([...getMembers(), ...chunk]);
+        }
+    } finally {
+        if (created.length > 0) {
+            await recordAudit({
+                action: AUDIT_ACTIONS.MEMBER_IMPORT,
+                targetPath: MEMBERS_COLLECTION,
+                targetLabel: source,
+                after: { imported: created.length, memberIds: created.map(member => member.id) }
+            });
+        }
+    }
+
+    return created;
+}
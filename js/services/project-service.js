@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Project Registry Service
+ * Club-owned repositories stored in the Firestore `Projects` collection, with
+ * maintainers (member IDs), a status and tags. Health metrics are fetched through
+ * js/github-api.js and kept on the project as `health`, with a dated stars/forks
+ * series in `healthHistory` for trends. ClubStats/main `projects` is the number of
+ * registered projects that are not archived
+ * @module project-service
+ */
+import { auth, collection, getDocs, doc, setDoc, updateDoc, writeBatch, db } from '../../firebase-config.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './audit-service.js';
+import { calculateProjectStats } from './stats-service.js';
+import { fetchRepositoryHealth } from '../github-api.js';
+import { validateProject } from '../utils/validation.js';
+
+const PROJECTS_COLLECTION = 'Projects';
+const HEALTH_HISTORY_DAYS = 180; // Older trend points are dropped on refresh
+
+/**
+ * Project statuses
+ * @type {{ACTIVE: string, INCUBATING: string, MAINTENANCE: string, ARCHIVED: string}}
+ */
+export const PROJECT_STATUSES = {
+    ACTIVE: 'active',
+    INCUBATING: 'incubating',
+    MAINTENANCE: 'maintenance',
+    ARCHIVED: 'archived'
+};
+
+/**
+ * Display labels for project statuses
+ * @type {Object<string, string>}
+ */
+export const PROJECT_STATUS_LABELS = {
+    [PROJECT_STATUSES.ACTIVE]: 'Active',
+    [PROJECT_STATUSES.INCUBATING]: 'Incubating',
+    [PROJECT_STATUSES.MAINTENANCE]: 'Maintenance',
+    [PROJECT_STATUSES.ARCHIVED]: 'Archived'
+};
+
+/**
+ * Get the document ID for a repository
+ * One project per repository, so the lower-cased full name (with / replaced) is the ID
+ * @param {string} repo - Repository as owner/name
+ * @returns {string} - Document ID
+ */
+function getProjectId(repo) {
+    return repo.trim().toLowerCase().replace('/', '__');
+}
+
+/**
+ * Keep only the editable project fields, trimmed and typed
+ * @param {Object} details - Project details from the editor
+ * @returns {Object} - Fields to store
+ */
+function toProjectFields(details) {
+    return {
+        name: String(details.name || '').trim(),
+        repo: String(details.repo || '').trim().replace(/^https?:\/\/(www\.)?github\.com\//i, '').replace(/\.git$/i, '').replace(/\/+$/, ''),
+        description: String(details.description || '').trim(),
+        status: details.status || PROJECT_STATUSES.ACTIVE,
+        tags: [...new Set((details.tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean))],
+        maintainers: [...new Set(details.maintainers || [])]
+    };
+}
+
+/**
+ * Throw when project fields do not pass validateProject
+ * @param {Object} fields - Project fields
+ * @throws {Error} With the first validation message
+ */
+function assertValidProject(fields) {
+    const validation = validateProject(fields);
+    if (!validation.valid) {
+        throw new Error(validation.errors[0]);
+    }
+}
+
+/**
+ * Load every registered project
+ * @returns {Promise<Array<Object>>} - Projects sorted by name
+ */
+export async function loadProjects() {
+    const snapshot = await getDocs(collection(db, PROJECTS_COLLECTION));
+    return snapshot.docs
+        .map(projectDoc => ({ id: projectDoc.id, ...projectDoc.data() }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+/**
+ * Register a project
+ * @param {Object} details - Project details (name, repo, description, status, tags, maintainers)
+ * @param {Array<Object>} [existing] - Loaded projects, to reject a repository registered twice
+ * @returns {Promise<string>} - New project ID
+ * @throws {Error} If the details are invalid or the repository is already registered
+ */
+export async function createProject(details, existing = []) {
+    const fields = toProjectFields(details);
+    assertValidProject(fields);
+
+    const projectId = getProjectId(fields.repo);
+    if (existing.some(project => project.id === projectId)) {
+        throw new Error(`${fields.repo} is already registered`);
+    }
+
+    const now = new Date().toISOString();
+    const projectRef = doc(db, PROJECTS_COLLECTION, projectId);
+    const project = {
+        ...fields,
+        health: null,
+        healthHistory: {},
+        createdAt: now,
+        createdBy: auth.currentUser?.email || null,
+        updatedAt: now
+    };
+
+    const batch = writeBatch(db);
+    batch.set(projectRef, project);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.PROJECT_CREATE,
+        targetPath: projectRef.path,
+        targetLabel: fields.name,
+        after: fields
+    });
+    await batch.commit();
+    return projectId;
+}
+
+/**
+ * Update a project's details
+ * The repository cannot change; register the new repository instead
+ * @param {Object} project - Project as loaded (with id)
+ * @param {Object} details - New project details
+ * @returns {Promise<void>}
+ * @throws {Error} If the details are invalid
+ */
+export async function updateProject(project, details) {
+    const fields = { ...toProjectFields(details), repo: project.repo };
+    assertValidProject(fields);
+
+    const projectRef = doc(db, PROJECTS_COLLECTION, project.id);
+    const update = { ...fields, updatedAt: new Date().toISOString() };
+    const batch = writeBatch(db);
+    batch.update(projectRef, update);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.PROJECT_UPDATE,
+        targetPath: projectRef.path,
+        targetLabel: fields.name,
+        before: Object.fromEntries(Object.keys(fields).map(key => [key, project[key] ?? null])),
+        after: fields
+    });
+    await batch.commit();
+}
+
+/**
+ * Remove a project from the registry
+ * @param {Object} project - Project as loaded (with id)
+ * @returns {Promise<void>}
+ */
+export async function deleteProject(project) {
+    const projectRef = doc(db, PROJECTS_COLLECTION, project.id);
+    const batch = writeBatch(db);
+    batch.delete(projectRef);
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.PROJECT_DELETE,
+        targetPath: projectRef.path,
+        targetLabel: project.name,
+        before: toProjectFields(project)
+    });
+    await batch.commit();
+}
+
+/**
+ * Fetch a project's health metrics and store them
+ * Contributors are matched to members by GitHub username. The day's stars and
+ * forks are added to `healthHistory`
+ * @param {Object} project - Project as loaded (with id)
+ * @param {Array<Object>} members - Members to match contributors against
+ * @returns {Promise<Object|null>} - Stored health, or null if the repository no longer exists
+ * @throws {Error} If GitHub could not be reached
+ */
+export async function refreshProjectHealth(project, members) {
+    const metrics = await fetchRepositoryHealth(project.repo);
+    const now = new Date();
+    const projectRef = doc(db, PROJECTS_COLLECTION, project.id);
+
+    if (!metrics) {
+        const health = { missing: true, fetchedAt: now.toISOString() };
+        await updateDoc(projectRef, { health });
+        return null;
+    }
+
+    const membersByLogin = new Map(members
+        .filter(member => member.githubUsername)
+        .map(member => [member.githubUsername.toLowerCase(), member.id]));
+    const { contributors, ...rest } = metrics;
+    const health = {
+        ...rest,
+        contributorCount: contributors.length,
+        memberContributors: contributors
+            .filter(contributor => membersByLogin.has(contributor.login.toLowerCase()))
+            .map(contributor => ({ ...contributor, memberId: membersByLogin.get(contributor.login.toLowerCase()) })),
+        fetchedAt: now.toISOString()
+    };
+
+    const date = now.toISOString().split('T')[0];
+    const cutoff = new Date(now.getTime() - HEALTH_HISTORY_DAYS * 86400000).toISOString().split('T')[0];
+    const healthHistory = Object.fromEntries(
+        Object.entries({ ...(project.healthHistory || {}), [date]: { stars: health.stars, forks: health.forks } })
+            .filter(([day]) => day >= cutoff)
+    );
+
+    await updateDoc(projectRef, { health, healthHistory });
+    return health;
+}
+
+/**
+ * Get a project's stars and forks change over a period
+ * @param {Object} project - Project
+ * @param {number} days - Period in days (default: 30)
+ * @returns {{stars: number, forks: number, since: string}|null} - Change since the oldest point
+ *   inside the period, or null with fewer than two points
+ */
+export function getProjectTrend(project, days = 30) {
+    const points = Object.entries(project.healthHistory || {}).sort(([a], [b]) => a.localeCompare(b));
+    if (points.length < 2) return null;
+
+    const cutoff = new Date(Date.now() - days * 86400000).toISOString().split('T')[0];
+    const [since, first] = points.find(([day]) => day >= cutoff) || points[0];
+    const [, last] = points[points.length - 1];
+    if (first === last) return null;
+    return { stars: (last.stars || 0) - (first.stars || 0), forks: (last.forks || 0) - (first.forks || 0), since };
+}
+
+/**
+ * Recompute the project figures and merge them into ClubStats/main
+ * @param {Array<Object>} [projects] - Projects already loaded (loaded when omitted)
+ * @returns {Promise<{projects: number}>} - Stored figures
+ */
+export async function syncProjectStats(projects) {
+    const stats = calculateProjectStats(projects || await loadProjects());
+    await setDoc(doc(db, 'ClubStats', 'main'), { ...stats, lastUpdated: new Date().toISOString() }, { merge: true });
+    return stats;
+}
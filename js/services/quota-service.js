@@ -0,0 +1,497 @@
+/**
+ * GitHub Quota Management Service
+ * Tracks the core, search and GraphQL rate-limit buckets from response headers,
+ * paces requests so a bucket is never overdrawn, and plans refresh batches
+ * against the remaining budget
+ * Buckets are tracked per quota key (one key per token in the pool); planning
+ * and the header meter use the total across all enabled keys
+ */
+
+const BUCKETS = ['core', 'search', 'graphql'];
+
+// Quota key used for unauthenticated requests (and before keys are registered)
+export const DEFAULT_QUOTA_KEY = 'default';
+
+// Documented limits, used until the first response reports real values
+const DEFAULT_LIMITS = {
+    authenticated: { core: 5000, search: 30, graphql: 5000 },
+    anonymous: { core: 60, search: 10, graphql: 0 }
+};
+
+// Fallback window when a bucket is empty but its reset time is unknown
+const DEFAULT_WINDOW_MS = {
+    core: 60 * 60 * 1000,
+    search: 60 * 1000,
+    graphql: 60 * 60 * 1000
+};
+
+/**
+ * Estimated API calls per member refresh, by bucket
+ * Core covers user info, two repository listings, PR detail sampling (up to 30),
+ * up to three pages of the public event feed (issues closed) and one languages
+ * call per repository; search covers the commit count,
+ * PR count, PR list and reviewed-PR count queries (plus five count queries
+ * when a tracked org/repo scope is configured); GraphQL covers the
+ * contribution calendar, the rolling activity window counts and the
+ * issue/discussion engagement counts
+ */
+const MEMBER_COST = {
+    coreBase: 37,
+    corePerRepo: 1,
+    maxReposPerMember: 100,
+    search: 4,
+    scopedSearch: 5,
+    graphql: 3
+};
+
+/**
+ * Create empty bucket state for a quota key
+ * @returns {Map<string, Object>} - Bucket name to state
+ */
+function createBuckets() {
+    const buckets = new Map();
+    BUCKETS.forEach(name => {
+        buckets.set(name, { limit: null, remaining: null, reset: null, used: null, updatedAt: null });
+    });
+    return buckets;
+}
+
+class QuotaService {
+    constructor() {
+        this.pools = new Map([[DEFAULT_QUOTA_KEY, createBuckets()]]);
+        this.activeKeys = [DEFAULT_QUOTA_KEY];
+    }
+
+    /**
+     * Register the quota keys in use (one per token), keeping known state
+     * @param {Array<string>} keys - Quota keys
+     */
+    registerKeys(keys) {
+        keys.forEach(key => {
+            if (!this.pools.has(key)) this.pools.set(key, createBuckets());
+        });
+        this.activeKeys = keys.length ? [...keys] : [DEFAULT_QUOTA_KEY];
+        this.updateUI();
+    }
+
+    /**
+     * Stop counting a key towards the pool (e.g. a revoked token)
+     * @param {string} key - Quota key
+     */
+    disableKey(key) {
+        this.activeKeys = this.activeKeys.filter(k => k !== key);
+        if (this.activeKeys.length === 0) {
+            // Requests fall back to unauthenticated once every token is gone
+            this.activeKeys = [DEFAULT_QUOTA_KEY];
+        }
+        this.updateUI();
+    }
+
+    /**
+     * Get the mutable bucket state for a key
+     * @param {string} name - Bucket name
+     * @param {string} key - Quota key
+     * @returns {Object|null} - Bucket state
+     */
+    getState(name, key = DEFAULT_QUOTA_KEY) {
+        if (!this.pools.has(key)) this.pools.set(key, createBuckets());
+        return this.pools.get(key).get(name) || null;
+    }
+
+    /**
+     * Resolve the rate-limit bucket a request URL is charged against
+     * @param {string} url - Request URL
+     * @returns {string} - Bucket name (core, search or graphql)
+     */
+    getBucketForUrl(url) {
+        if (url.includes('/graphql')) return 'graphql';
+        if (url.includes('/search/')) return 'search';
+        return 'core';
+    }
+
+    /**
+     * Update a bucket from GitHub rate-limit response headers
+     * @param {string} url - Request URL (used when X-RateLimit-Resource is absent)
+     * @param {Response} response - Fetch response
+     * @param {string} key - Quota key the request was charged to
+     */
+    updateFromResponse(url, response, key = DEFAULT_QUOTA_KEY) {
+        const limit = response.headers.get('X-RateLimit-Limit');
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        if (limit === null || remaining === null) return;
+
+        const name = response.headers.get('X-RateLimit-Resource') || this.getBucketForUrl(url);
+        if (!BUCKETS.includes(name)) return;
+
+        const reset = response.headers.get('X-RateLimit-Reset');
+        const used = response.headers.get('X-RateLimit-Used');
+        this.setBucket(name, key, {
+            limit: parseInt(limit, 10),
+            remaining: parseInt(remaining, 10),
+            reset: reset !== null ? parseInt(reset, 10) * 1000 : null,
+            used: used !== null ? parseInt(used, 10) : null
+        });
+    }
+
+    /**
+     * Update all buckets from a GET /rate_limit response body
+     * @param {Object} resources - The `resources` object of the response
+     * @param {string} key - Quota key the response belongs to
+     */
+    updateFromRateLimitResources(resources, key = DEFAULT_QUOTA_KEY) {
+        BUCKETS.forEach(name => {
+            const resource = resources?.[name];
+            if (!resource) return;
+            this.setBucket(name, key, {
+                limit: resource.limit,
+                remaining: resource.remaining,
+                reset: resource.reset * 1000,
+                used: resource.used ?? null
+            });
+        });
+    }
+
+    /**
+     * Mark a bucket as exhausted (e.g. after a 429 or secondary rate limit)
+     * @param {string} name - Bucket name
+     * @param {number|null} retryAfterMs - Server-provided wait, if any
+     * @param {string} key - Quota key
+     */
+    markExhausted(name, retryAfterMs = null, key = DEFAULT_QUOTA_KEY) {
+        const bucket = this.getState(name, key);
+        if (!bucket) return;
+        const reset = retryAfterMs !== null
+            ? Date.now() + retryAfterMs
+            : (bucket.reset && bucket.reset > Date.now() ? bucket.reset : Date.now() + DEFAULT_WINDOW_MS[name]);
+        this.setBucket(name, key, { remaining: 0, reset });
+    }
+
+    /**
+     * Merge new values into a bucket and refresh the meter
+     * @param {string} name - Bucket name
+     * @param {string} key - Quota key
+     * @param {Object} values - Bucket fields to update
+     */
+    setBucket(name, key, values) {
+        const bucket = this.getState(name, key);
+        Object.assign(bucket, values, { updatedAt: Date.now() });
+        this.updateUI();
+    }
+
+    /**
+     * Roll a bucket over to its full limit once its reset time has passed
+     * @param {Object} bucket - Bucket state
+     */
+    rollOverIfReset(bucket) {
+        if (bucket.reset !== null && Date.now() >= bucket.reset) {
+            bucket.remaining = bucket.limit;
+            bucket.used = 0;
+            bucket.reset = null;
+        }
+    }
+
+    /**
+     * Reserve one call from a bucket, waiting for its reset if it is empty
+     * The reservation is taken synchronously so concurrent callers cannot overdraw
+     * @param {string} name - Bucket name
+     * @param {string} key - Quota key
+     * @returns {Promise<void>}
+     */
+    async acquire(name, key = DEFAULT_QUOTA_KEY) {
+        const bucket = this.getState(name, key);
+        if (!bucket) return;
+
+        while (true) {
+            this.rollOverIfReset(bucket);
+
+            if (bucket.remaining === null || bucket.remaining > 0) {
+                if (bucket.remaining !== null) {
+                    bucket.remaining--;
+                    this.updateUI();
+                }
+                return;
+            }
+
+            if (bucket.reset === null) {
+                bucket.reset = Date.now() + DEFAULT_WINDOW_MS[name];
+            }
+            const waitTime = Math.max(0, bucket.reset - Date.now()) + 1000;
+            console.warn(`GitHub ${name} quota exhausted. Waiting ${Math.round(waitTime / 1000)}s for reset...`);
+            this.updateUI();
+            await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+    }
+
+    /**
+     * Get a copy of a bucket's state for one key
+     * @param {string} name - Bucket name
+     * @param {boolean} hasToken - Whether requests are authenticated (for default limits)
+     * @param {string} key - Quota key
+     * @returns {Object} - {limit, remaining, reset, used, updatedAt, known}
+     */
+    getBucket(name, hasToken = true, key = DEFAULT_QUOTA_KEY) {
+        const bucket = this.getState(name, key);
+        this.rollOverIfReset(bucket);
+        const defaults = DEFAULT_LIMITS[hasToken ? 'authenticated' : 'anonymous'];
+        return {
+            ...bucket,
+            limit: bucket.limit ?? defaults[name],
+            remaining: bucket.remaining ?? bucket.limit ?? defaults[name],
+            known: bucket.remaining !== null
+        };
+    }
+
+    /**
+     * Get a bucket's combined state across all enabled keys
+     * The reset is the earliest one, i.e. when the pool next gains budget
+     * @param {string} name - Bucket name
+     * @param {boolean} hasToken - Whether requests are authenticated
+     * @returns {Object} - {limit, remaining, reset, known}
+     */
+    getPoolBucket(name, hasToken = true) {
+        const buckets = this.activeKeys.map(key => this.getBucket(name, hasToken, key));
+        const resets = buckets.map(b => b.reset).filter(reset => reset !== null);
+        return {
+            limit: buckets.reduce((sum, b) => sum + b.limit, 0),
+            remaining: buckets.reduce((sum, b) => sum + b.remaining, 0),
+            reset: resets.length ? Math.min(...resets) : null,
+            known: buckets.some(b => b.known)
+        };
+    }
+
+    /**
+     * Estimate API calls needed to refresh a single member
+     * @param {Object} member - Member object
+     * @param {Object} options - Estimate options
+     * @param {boolean} options.scoped - Whether scoped contribution counts are fetched
+     * @returns {{core: number, search: number, graphql: number}} - Calls per bucket
+     */
+    estimateMemberCost(member, { scoped = false } = {}) {
+        const repos = Number(member?.githubActivity?.publicRepos) || 0;
+        return {
+            core: MEMBER_COST.coreBase + Math.min(repos, MEMBER_COST.maxReposPerMember) * MEMBER_COST.corePerRepo,
+            search: MEMBER_COST.search + (scoped ? MEMBER_COST.scopedSearch : 0),
+            graphql: MEMBER_COST.graphql
+        };
+    }
+
+    /**
+     * Estimate API calls needed to refresh a set of members
+     * @param {Array<Object>} members - Member objects
+     * @param {Object} options - Estimate options ({scoped})
+     * @returns {{core: number, search: number, graphql: number}} - Calls per bucket
+     */
+    estimateCost(members, options = {}) {
+        return members.reduce((total, member) => {
+            const cost = this.estimateMemberCost(member, options);
+            BUCKETS.forEach(name => { total[name] += cost[name]; });
+            return total;
+        }, { core: 0, search: 0, graphql: 0 });
+    }
+
+    /**
+     * Plan a refresh against the remaining budget
+     * Hourly buckets (core, GraphQL) decide how many members fit before a reset;
+     * the per-minute search bucket only sets the pace
+     * @param {Array<Object>} members - Members to refresh
+     * @param {Object} options - Plan options
+     * @param {boolean} options.hasToken - Whether requests are authenticated
+     * @param {boolean} options.scoped - Whether scoped contribution counts are fetched
+     * @returns {Object} - {estimate, membersThisWindow, fitsNow, resetAt, minutesForSearch}
+     */
+    planRefresh(members, { hasToken = true, scoped = false } = {}) {
+        const estimate = this.estimateCost(members, { scoped });
+        let spent = { core: 0, graphql: 0 };
+        let membersThisWindow = 0;
+
+        const core = this.getPoolBucket('core', hasToken);
+        const graphql = this.getPoolBucket('graphql', hasToken);
+
+        for (const member of members) {
+            const cost = this.estimateMemberCost(member, { scoped });
+            const graphqlCost = hasToken ? cost.graphql : 0;
+            if (spent.core + cost.core > core.remaining || spent.graphql + graphqlCost > graphql.remaining) {
+                break;
+            }
+            spent = { core: spent.core + cost.core, graphql: spent.graphql + graphqlCost };
+            membersThisWindow++;
+        }
+
+        const search = this.getPoolBucket('search', hasToken);
+        return {
+            estimate,
+            membersThisWindow,
+            fitsNow: membersThisWindow === members.length,
+            resetAt: core.reset,
+            minutesForSearch: Math.ceil(estimate.search / Math.max(1, search.limit))
+        };
+    }
+
+    /**
+     * Wait until every bucket can cover a batch of members
+     * Waiting here, between batches, keeps per-request waits (and member timeouts) rare
+     * @param {Array<Object>} members - Members in the next batch
+     * @param {Object} options - Wait options
+     * @param {boolean} options.hasToken - Whether requests are authenticated
+     * @param {boolean} options.scoped - Whether scoped contribution counts are fetched
+     * @param {Function} options.onWait - Called with (bucket, resetAt) before waiting
+     * @param {Function} options.shouldAbort - Polled every second; return true to stop waiting
+     * @returns {Promise<boolean>} - False if the wait was aborted
+     */
+    async waitForBudget(members, { hasToken = true, scoped = false, onWait = null, shouldAbort = null } = {}) {
+        const cost = this.estimateCost(members, { scoped });
+        const needed = hasToken ? BUCKETS : ['core', 'search'];
+
+        for (const name of needed) {
+            const bucket = this.getPoolBucket(name, hasToken);
+            // Cap at the limit so an oversized batch cannot wait forever
+            if (!bucket.known || bucket.remaining >= Math.min(cost[name], bucket.limit)) continue;
+
+            const resetAt = bucket.reset ?? Date.now() + DEFAULT_WINDOW_MS[name];
+            if (onWait) onWait(name, resetAt);
+
+            while (Date.now() < resetAt + 1000) {
+                if (shouldAbort && shouldAbort()) return false;
+                await new Promise(resolve => setTimeout(resolve, Math.min(1000, resetAt + 1000 - Date.now())));
+            }
+            this.activeKeys.forEach(key => this.rollOverIfReset(this.getState(name, key)));
+        }
+        return true;
+    }
+
+    /**
+     * Render the header quota meter
+     */
+    updateUI() {
+        const meter = document.getElementById('githubQuotaMeter');
+        if (!meter) return;
+
+        const items = BUCKETS.map(name => {
+            const states = this.activeKeys.map(key => this.getState(name, key)).filter(b => b.remaining !== null && b.limit);
+            const resets = states.map(b => b.reset).filter(reset => reset !== null);
+            const bucket = {
+                limit: states.reduce((sum, b) => sum + b.limit, 0),
+                remaining: states.reduce((sum, b) => sum + b.remaining, 0),
+                reset: resets.length ? Math.min(...resets) : null
+            };
+            if (!states.length) {
+                return `<span class="quota-item quota-unknown" title="${name}: not used yet">${name} –</span>`;
+            }
+            const pct = Math.max(0, Math.min(100, Math.round((bucket.remaining / bucket.limit) * 100)));
+            const level = pct <= 10 ? 'quota-low' : pct <= 40 ? 'quota-medium' : 'quota-ok';
+            const resetText = bucket.reset ? ` · resets ${new Date(bucket.reset).toLocaleTimeString()}` : '';
+            const keysText = this.activeKeys.length > 1 ? ` across ${this.activeKeys.length} tokens` : '';
+            return `
+                <span class="quota-item ${level}" title="${name}: ${bucket.remaining}/${bucket.limit} remaining${keysText}${resetText}">
+                    ${name}
+                    <span class="quota-bar"><span class="quota-bar-fill" style="width: ${pct}%"></span></span>
+                </span>
+            `;
+        }).join('');
+
+        meter.innerHTML = `<i class="fab fa-github" aria-hidden="true"></i>${items}`;
+    }
+}
+
+// Create singleton instance
+const quotaService = new QuotaService();
+
+/**
+ * Register the quota keys in use (one per token)
+ * @param {Array<string>} keys - Quota keys
+ * @returns {void}
+ */
+export function registerQuotaKeys(keys) {
+    quotaService.registerKeys(keys);
+}
+
+/**
+ * Stop counting a key towards the pool
+ * @param {string} key - Quota key
+ * @returns {void}
+ */
+export function disableQuotaKey(key) {
+    quotaService.disableKey(key);
+}
+
+/**
+ * Resolve the rate-limit bucket for a request URL
+ * @param {string} url - Request URL
+ * @returns {string} - Bucket name
+ */
+export function getQuotaBucketForUrl(url) {
+    return quotaService.getBucketForUrl(url);
+}
+
+/**
+ * Record rate-limit headers from a GitHub response
+ * @param {string} url - Request URL
+ * @param {Response} response - Fetch response
+ * @param {string} key - Quota key the request was charged to
+ * @returns {void}
+ */
+export function recordQuotaFromResponse(url, response, key = DEFAULT_QUOTA_KEY) {
+    quotaService.updateFromResponse(url, response, key);
+}
+
+/**
+ * Record all buckets from a GET /rate_limit response
+ * @param {Object} resources - The `resources` object of the response
+ * @param {string} key - Quota key the response belongs to
+ * @returns {void}
+ */
+export function recordQuotaFromRateLimit(resources, key = DEFAULT_QUOTA_KEY) {
+    quotaService.updateFromRateLimitResources(resources, key);
+}
+
+/**
+ * Mark a bucket as exhausted
+ * @param {string} bucket - Bucket name
+ * @param {number|null} retryAfterMs - Server-provided wait, if any
+ * @param {string} key - Quota key
+ * @returns {void}
+ */
+export function markQuotaExhausted(bucket, retryAfterMs = null, key = DEFAULT_QUOTA_KEY) {
+    quotaService.markExhausted(bucket, retryAfterMs, key);
+}
+
+/**
+ * Reserve one call from a bucket, waiting for reset if needed
+ * @param {string} bucket - Bucket name
+ * @param {string} key - Quota key
+ * @returns {Promise<void>}
+ */
+export function acquireQuota(bucket, key = DEFAULT_QUOTA_KEY) {
+    return quotaService.acquire(bucket, key);
+}
+
+/**
+ * Get a bucket's current state for one key
+ * @param {string} bucket - Bucket name
+ * @param {boolean} hasToken - Whether requests are authenticated
+ * @param {string} key - Quota key
+ * @returns {Object} - Bucket state
+ */
+export function getQuotaBucket(bucket, hasToken = true, key = DEFAULT_QUOTA_KEY) {
+    return quotaService.getBucket(bucket, hasToken, key);
+}
+
+/**
+ * Plan a refresh against the remaining budget
+ * @param {Array<Object>} members - Members to refresh
+ * @param {Object} options - Plan options ({hasToken, scoped})
+ * @returns {Object} - Refresh plan
+ */
+export function planRefreshBudget(members, options = {}) {
+    return quotaService.planRefresh(members, options);
+}
+
+/**
+ * Wait until every bucket can cover a batch of members
+ * @param {Array<Object>} members - Members in the next batch
+ * @param {Object} options - Wait options ({hasToken, scoped, onWait, shouldAbort})
+ * @returns {Promise<boolean>} - False if the wait was aborted
+ */
+export function waitForQuotaBudget(members, options = {}) {
+    return quotaService.waitForBudget(members, options);
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview App Settings Service
+ * Loads and saves admin-configurable settings stored in Firestore (Settings/app)
+ * @module settings-service
+ */
+import { doc, getDoc, writeBatch, db } from '../../firebase-config.js';
+import { DEFAULT_SCORING_WEIGHTS, normalizeScoringWeights } from './stats-service.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './audit-service.js';
+
+const SETTINGS_DOC_PATH = ['Settings', 'app'];
+const CACHE_KEY = 'app_settings_cache';
+
+/**
+ * Default settings used until an admin saves their own
+ * @type {Object}
+ */
+export const DEFAULT_SETTINGS = {
+    refreshStaleHours: 24, // Members refreshed within this window are skipped (0 = refresh all)
+    trackedOrgs: [], // GitHub organizations whose contributions count as club work
+    trackedRepos: [], // Individual repositories (owner/name) that count as club work
+    scoringWeights: { ...DEFAULT_SCORING_WEIGHTS }, // Points per merged PR, review, issue, star and commit
+    trashRetentionDays: 30, // Deleted forms and submissions are purged after this many days
+    memberCohorts: [], // Cohort names (intake batches) a member can belong to, in display order
+    memberTags: [] // Tags (campus, track, ...) members can carry, lower-case
+};
+
+let settings = loadFromCache();
+
+/**
+ * Load settings from localStorage cache
+ * @returns {Object} - Cached settings merged over defaults
+ */
+function loadFromCache() {
+    try {
+        const cached = localStorage.getItem(CACHE_KEY);
+        return cached ? { ...DEFAULT_SETTINGS, ...JSON.parse(cached) } : { ...DEFAULT_SETTINGS };
+    } catch (error) {
+        console.error('Error loading settings from cache:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Load settings from Firebase and refresh the cache
+ * @returns {Promise<Object>} - Settings merged over defaults
+ */
+export async function loadAppSettings() {
+    try {
+        const settingsSnap = await getDoc(doc(db, ...SETTINGS_DOC_PATH));
+        settings = settingsSnap.exists()
+            ? { ...DEFAULT_SETTINGS, ...settingsSnap.data() }
+            : { ...DEFAULT_SETTINGS };
+        localStorage.setItem(CACHE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not load settings from Firebase, using cached values:', error);
+    }
+    return settings;
+}
+
+/**
+ * Get current settings from memory (no Firebase read)
+ * @returns {Object} - Current settings
+ */
+export function getAppSettings() {
+    return settings;
+}
+
+/**
+ * Save a partial settings update to Firebase
+ * @param {Object} updates - Settings fields to update
+ * @returns {Promise<Object>} - Updated settings
+ */
+export async function saveAppSettings(updates) {
+    const next = { ...settings, ...updates, lastUpdated: new Date().toISOString() };
+    const batch = writeBatch(db);
+    batch.set(doc(db, ...SETTINGS_DOC_PATH), next, { merge: true });
+    addAuditEntry(batch, {
+        action: AUDIT_ACTIONS.SETTINGS_UPDATE,
+        targetPath: SETTINGS_DOC_PATH.join('/'),
+        targetLabel: 'App settings',
+        before: settings,
+        after: next
+    });
+    await batch.commit();
+    settings = next;
+    localStorage.setItem(CACHE_KEY, JSON.stringify(settings));
+    return settings;
+}
+
+/**
+ * Get the tracked contribution scope (organizations and repositories)
+ * @returns {{orgs: Array<string>, repos: Array<string>}} - Tracked scope
+ */
+export function getTrackedScope() {
+    return {
+        orgs: Array.isArray(settings.trackedOrgs) ? settings.trackedOrgs : [],
+        repos: Array.isArray(settings.trackedRepos) ? settings.trackedRepos : []
+    };
+}
+
+/**
+ * Check whether any organizations or repositories are tracked
+ * @returns {boolean} - True if a tracked scope is configured
+ */
+export function hasTrackedScope() {
+    const scope = getTrackedScope();
+    return scope.orgs.length > 0 || scope.repos.length > 0;
+}
+
+/**
+ * Get how long deleted forms and submissions stay in the trash
+ * @returns {number} - Retention in days (at least 1)
+ */
+export function getTrashRetentionDays() {
+    const days = Number(settings.trashRetentionDays);
+    return Number.isFinite(days) && days >= 1 ? Math.floor(days) : DEFAULT_SETTINGS.trashRetentionDays;
+}
+
+/**
+ * Get the contribution scoring weights
+ * @returns {Object<string, number>} - Points per unit of each score metric
+ */
+export function getScoringWeights() {
+    return normalizeScoringWeights(settings.scoringWeights);
+}
+
+/**
+ * Get the admin-defined member cohorts
+ * @returns {Array<string>} - Cohort names in display order
+ */
+export function getMemberCohorts() {
+    return Array.isArray(settings.memberCohorts) ? settings.memberCohorts : [];
+}
+
+/**
+ * Get the admin-defined member tags
+ * @returns {Array<string>} - Tags, lower-case
+ */
+export function getMemberTags() {
+    return Array.isArray(settings.memberTags) ? settings.memberTags : [];
+}
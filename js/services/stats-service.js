@@ -12,6 +12,54 @@ import {
     validateNumber
 } from '../utils/calculations.js';
 
+/**
+ * Contribution scopes for leaderboards
+ * 'global' counts all of GitHub; 'tracked' counts only the configured orgs/repos
+ * @type {{GLOBAL: string, TRACKED: string}}
+ */
+export const CONTRIBUTION_SCOPES = {
+    GLOBAL: 'global',
+    TRACKED: 'tracked'
+};
+
+/**
+ * Get a member's contribution counts for a scope and date range
+ * Rolling windows are only collected across all of GitHub, so a range takes precedence over the scope
+ * @param {Object} member - Member object
+ * @param {string} scope - 'global' or 'tracked'
+ * @param {number|null} days - Rolling window in days, or null for lifetime totals
+ * @returns {Object|null} - Counts {commits, pullRequests, mergedPRs, openPRs, closedPRs, issues} or null
+ */
+function getScopeCounts(member, scope, days = null) {
+    const activity = member.githubActivity;
+    if (!activity) return null;
+    if (days) return activity.windows?.[days] || null;
+    return scope === CONTRIBUTION_SCOPES.TRACKED ? activity.scoped || null : activity;
+}
+
+/**
+ * Total connected members' counts inside a rolling window
+ * @param {Array} members - Array of member objects
+ * @param {number} days - Rolling window in days
+ * @returns {Object} - Totals {commits, pullRequests, reviews, issues, membersWithData}
+ */
+function calculateWindowTotals(members, days) {
+    const totals = { commits: 0, pullRequests: 0, reviews: 0, issues: 0, membersWithData: 0 };
+
+    members.forEach(member => {
+        if (!member.githubConnected) return;
+        const counts = getScopeCounts(member, CONTRIBUTION_SCOPES.GLOBAL, days);
+        if (!counts) return;
+
+        totals.membersWithData++;
+        ['commits', 'pullRequests', 'reviews', 'issues'].forEach(key => {
+            totals[key] += validateNumber(counts[key]) ? Number(counts[key]) : 0;
+        });
+    });
+
+    return totals;
+}
+
 /**
  * Calculate dashboard statistics
  * @param {Array} members - Array of member objects
@@ -44,10 +92,14 @@ export function calculateDashboardStats(members) {
 
 /**
  * Calculate analytics statistics
+ * Commits, PRs, reviews and issues honour the date range; repository, star
+ * and fork totals are always current lifetime values
  * @param {Array} members - Array of member objects
+ * @param {Object} options - Analytics options
+ * @param {number|null} options.days - Rolling window in days (7, 30, 90, 365), or null for lifetime (default)
  * @returns {Object} - Analytics statistics
  */
-export function calculateAnalyticsStats(members) {
+export function calculateAnalyticsStats(members, { days = null } = {}) {
     if (!Array.isArray(members) || members.length === 0) {
         return {
             totalRepos: 0,
@@ -55,11 +107,17 @@ export function calculateAnalyticsStats(members) {
             totalPRs: 0,
             totalCommits: 0,
             totalIssues: 0,
+            totalReviews: 0,
             totalForks: 0,
             avgRepos: 0,
             avgStars: 0,
             avgPRs: 0,
-            connectedMembers: 0
+            connectedMembers: 0,
+            rangeDays: days,
+            membersWithRangeData: 0,
+            scopedCommits: 0,
+            scopedPRs: 0,
+            scopedIssues: 0
         };
     }
 
@@ -68,33 +126,67 @@ export function calculateAnalyticsStats(members) {
         countOnlyConnected: true // Only count connected members for analytics
     });
 
-    // Calculate issues separately
+    // Calculate issues and reviews separately
     let totalIssues = 0;
+    let totalReviews = 0;
     members.forEach(member => {
         if (member.githubConnected && member.githubActivity) {
             totalIssues += validateNumber(member.githubActivity.issues) 
                 ? member.githubActivity.issues : 0;
+            totalReviews += getEngagementCounts(member).reviews;
         }
     });
 
-    return {
-        totalRepos: stats.totalRepos,
-        totalStars: stats.totalStars,
+    const scoped = calculateScopedStats(members);
+
+    const lifetime = {
         totalPRs: stats.totalPullRequests,
         totalCommits: stats.totalCommits,
         totalIssues: Math.round(totalIssues),
-        totalForks: stats.totalForks,
-        avgRepos: stats.avgRepos,
-        avgStars: stats.avgStars,
+        totalReviews: Math.round(totalReviews),
         avgPRs: stats.membersWithActivity > 0 
             ? Math.round(safeDivide(stats.totalPullRequests, stats.membersWithActivity, 0))
             : 0,
-        connectedMembers: stats.membersWithGitHub
+        membersWithRangeData: stats.membersWithGitHub
+    };
+
+    let activity = lifetime;
+    if (days) {
+        const windowTotals = calculateWindowTotals(members, days);
+        activity = {
+            totalPRs: windowTotals.pullRequests,
+            totalCommits: windowTotals.commits,
+            totalIssues: windowTotals.issues,
+            totalReviews: windowTotals.reviews,
+            avgPRs: Math.round(safeDivide(windowTotals.pullRequests, windowTotals.membersWithData, 0)),
+            membersWithRangeData: windowTotals.membersWithData
+        };
+    }
+
+    return {
+        totalRepos: stats.totalRepos,
+        totalStars: stats.totalStars,
+        totalPRs: activity.totalPRs,
+        totalCommits: activity.totalCommits,
+        totalIssues: activity.totalIssues,
+        totalReviews: activity.totalReviews,
+        totalForks: stats.totalForks,
+        avgRepos: stats.avgRepos,
+        avgStars: stats.avgStars,
+        avgPRs: activity.avgPRs,
+        connectedMembers: stats.membersWithGitHub,
+        rangeDays: days,
+        membersWithRangeData: activity.membersWithRangeData,
+        scopedCommits: scoped.commits,
+        scopedPRs: scoped.pullRequests,
+        scopedIssues: scoped.issues
     };
 }
 
 /**
  * Calculate club statistics for Firebase
+ * `memberRepos` totals members' personal repositories; the club's `projects`
+ * count comes from the project registry (see calculateProjectStats)
  * @param {Array} members - Array of member objects
  * @returns {Object} - Club statistics
  */
@@ -103,11 +195,13 @@ export function calculateClubStats(members) {
         return {
             members: 0,
             membersWithGitHub: 0,
-            projects: 0,
+            memberRepos: 0,
             stars: 0,
             totalCommits: 0,
             totalForks: 0,
-            totalPullRequests: 0
+            totalPullRequests: 0,
+            scopedCommits: 0,
+            scopedPullRequests: 0
         };
     }
 
@@ -115,18 +209,175 @@ export function calculateClubStats(members) {
         includePrivateRepos: true,
         countOnlyConnected: false
     });
+    const scoped = calculateScopedStats(members);
 
     return {
         members: members.length,
         membersWithGitHub: stats.membersWithGitHub,
-        projects: stats.totalRepos,
+        memberRepos: stats.totalRepos,
         stars: stats.totalStars,
         totalCommits: stats.totalCommits,
         totalForks: stats.totalForks,
-        totalPullRequests: stats.totalPullRequests
+        totalPullRequests: stats.totalPullRequests,
+        scopedCommits: scoped.commits,
+        scopedPullRequests: scoped.pullRequests
     };
 }
 
+/**
+ * Calculate club project figures from the project registry
+ * Archived projects are registered but not counted
+ * @param {Array} projects - Project objects from the Projects collection
+ * @returns {Object} - {projects}
+ */
+export function calculateProjectStats(projects) {
+    if (!Array.isArray(projects)) return { projects: 0 };
+    return { projects: projects.filter(project => project.status !== 'archived').length };
+}
+
+/**
+ * Calculate club event figures from event records
+ * An event counts as held once it has started, archived or not; upcoming
+ * events leave out archived (cancelled) ones
+ * @param {Array} events - Event objects from the Events collection
+ * @param {Date} now - Time to compare against (default: now)
+ * @returns {Object} - {events, upcomingEvents, eventAttendance}
+ */
+export function calculateEventStats(events, now = new Date()) {
+    const totals = { events: 0, upcomingEvents: 0, eventAttendance: 0 };
+    if (!Array.isArray(events)) return totals;
+
+    events.forEach(event => {
+        const startsAt = new Date(event.startsAt);
+        if (isNaN(startsAt.getTime())) return;
+
+        if (startsAt <= now) {
+            totals.events++;
+            totals.eventAttendance += Array.isArray(event.attendees) ? event.attendees.length : 0;
+        } else if (!event.archivedAt) {
+            totals.upcomingEvents++;
+        }
+    });
+
+    return totals;
+}
+
+/**
+ * Compare contribution figures between member cohorts
+ * Members without a cohort are grouped under `cohort: null`. Averages are per
+ * connected member with data for the range; `activeRate` is the share of a
+ * cohort's members with at least one commit or pull request in the range
+ * @param {Array} members - Array of member objects
+ * @param {Object} options - Comparison options
+ * @param {Array<string>} options.cohorts - Cohort names in display order; cohorts
+ *   with no members are still listed, unlisted cohorts found on members follow
+ * @param {number|null} options.days - Rolling window in days, or null for lifetime (default)
+ * @param {Object} options.weights - Scoring weights for the average contribution score (lifetime only)
+ * @returns {Array<Object>} - Rows {cohort, members, connected, connectedRate, activeContributors, activeRate,
+ *   commits, pullRequests, mergedPRs, reviews, issues, avgCommits, avgPRs, avgReviews, avgScore}
+ */
+export function calculateCohortComparison(members, { cohorts = [], days = null, weights = DEFAULT_SCORING_WEIGHTS } = {}) {
+    const groups = new Map(cohorts.map(cohort => [cohort, []]));
+    const unassigned = [];
+    (Array.isArray(members) ? members : []).forEach(member => {
+        if (!member.cohort) {
+            unassigned.push(member);
+            return;
+        }
+        if (!groups.has(member.cohort)) groups.set(member.cohort, []);
+        groups.get(member.cohort).push(member);
+    });
+    if (unassigned.length > 0) groups.set(null, unassigned);
+
+    const count = (value) => validateNumber(value) ? Number(value) : 0;
+
+    return [...groups.entries()].map(([cohort, cohortMembers]) => {
+        const row = {
+            cohort,
+            members: cohortMembers.length,
+            connected: 0,
+            activeContributors: 0,
+            commits: 0,
+            pullRequests: 0,
+            mergedPRs: 0,
+            reviews: 0,
+            issues: 0
+        };
+        let membersWithData = 0;
+        let totalScore = 0;
+
+        cohortMembers.forEach(member => {
+            if (!member.githubConnected) return;
+            row.connected++;
+            const counts = getScopeCounts(member, CONTRIBUTION_SCOPES.GLOBAL, days);
+            if (!counts) return;
+
+            const engagement = days ? null : getEngagementCounts(member);
+            const memberCounts = {
+                commits: count(counts.commits),
+                pullRequests: count(counts.pullRequests),
+                mergedPRs: count(counts.mergedPRs),
+                reviews: days ? count(counts.reviews) : engagement.reviews,
+                issues: count(counts.issues)
+            };
+            membersWithData++;
+            Object.keys(memberCounts).forEach(key => {
+                row[key] += memberCounts[key];
+            });
+            if (memberCounts.commits + memberCounts.pullRequests > 0) {
+                row.activeContributors++;
+            }
+            if (!days) {
+                totalScore += calculateContributionScore(member, weights).score;
+            }
+        });
+
+        return {
+            ...row,
+            connectedRate: Math.round(safeDivide(row.connected, row.members, 0) * 100),
+            activeRate: Math.round(safeDivide(row.activeContributors, row.members, 0) * 100),
+            avgCommits: Math.round(safeDivide(row.commits, membersWithData, 0)),
+            avgPRs: Math.round(safeDivide(row.pullRequests, membersWithData, 0) * 10) / 10,
+            avgReviews: Math.round(safeDivide(row.reviews, membersWithData, 0) * 10) / 10,
+            avgScore: days ? null : Math.round(safeDivide(totalScore, membersWithData, 0))
+        };
+    });
+}
+
+/**
+ * Calculate club totals inside the tracked orgs/repos
+ * Only members refreshed since a scope was configured have scoped data
+ * @param {Array} members - Array of member objects
+ * @returns {Object} - {commits, pullRequests, mergedPRs, issues, membersWithData, membersContributing}
+ */
+export function calculateScopedStats(members) {
+    const totals = {
+        commits: 0,
+        pullRequests: 0,
+        mergedPRs: 0,
+        issues: 0,
+        membersWithData: 0,
+        membersContributing: 0
+    };
+
+    if (!Array.isArray(members)) return totals;
+
+    members.forEach(member => {
+        const scoped = getScopeCounts(member, CONTRIBUTION_SCOPES.TRACKED);
+        if (!scoped) return;
+
+        totals.membersWithData++;
+        ['commits', 'pullRequests', 'mergedPRs', 'issues'].forEach(key => {
+            totals[key] += validateNumber(scoped[key]) ? Number(scoped[key]) : 0;
+        });
+        if ((Number(scoped.commits) || 0) + (Number(scoped.pullRequests) || 0) > 0) {
+            totals.membersContributing++;
+        }
+    });
+
+    return totals;
+}
+
 /**
  * Calculate repository statistics
  * @param {Array} members - Array of member objects
@@ -182,25 +433,29 @@ export function calculateRepositoryStats(members) {
  * Get top contributors by commits
  * @param {Array} members - Array of member objects
  * @param {number} limit - Number of top contributors to return (default: 10)
- * @returns {Array} - Top contributors array
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.scope - 'global' (default) or 'tracked' orgs/repos only
+ * @param {number|null} options.days - Rolling window in days, or null for lifetime (default); overrides scope
+ * @returns {Array} - Top contributors array ({commits} is the count in the chosen scope and range)
  */
-export function getTopCommitters(members, limit = 10) {
+export function getTopCommitters(members, limit = 10, { scope = CONTRIBUTION_SCOPES.GLOBAL, days = null } = {}) {
     if (!Array.isArray(members) || members.length === 0) {
         return [];
     }
 
     return members
-        .filter(member => 
-            member.githubActivity &&
-            validateNumber(member.githubActivity.commits) &&
-            member.githubActivity.commits > 0
-        )
+        .filter(member => {
+            const counts = getScopeCounts(member, scope, days);
+            return counts && validateNumber(counts.commits) && counts.commits > 0;
+        })
         .map(member => ({
             name: member.displayName ||
                   `${member.firstName || ''} ${member.lastName || ''}`.trim() ||
                   member.githubUsername ||
                   'Unknown',
-            commits: member.githubActivity.commits || 0,
+            commits: getScopeCounts(member, scope, days).commits || 0,
+            globalCommits: member.githubActivity.commits || 0,
+            scopedCommits: member.githubActivity.scoped?.commits ?? null,
             username: member.githubUsername || null
         }))
         .sort((a, b) => b.commits - a.commits)
@@ -211,31 +466,426 @@ export function getTopCommitters(members, limit = 10) {
  * Get top PR creators
  * @param {Array} members - Array of member objects
  * @param {number} limit - Number of top PR creators to return (default: 10)
- * @returns {Array} - Top PR creators array
+ * @param {Object} options - Leaderboard options
+ * @param {string} options.scope - 'global' (default) or 'tracked' orgs/repos only
+ * @param {number|null} options.days - Rolling window in days, or null for lifetime (default); overrides scope
+ * @returns {Array} - Top PR creators array ({prs, merged, open, closed} are in the chosen scope and range;
+ *   windows don't split PRs by state, so merged/open/closed are 0 when a range is set)
  */
-export function getTopPRCreators(members, limit = 10) {
+export function getTopPRCreators(members, limit = 10, { scope = CONTRIBUTION_SCOPES.GLOBAL, days = null } = {}) {
     if (!Array.isArray(members) || members.length === 0) {
         return [];
     }
 
     return members
-        .filter(member =>
-            member.githubActivity &&
-            validateNumber(member.githubActivity.pullRequests) &&
-            member.githubActivity.pullRequests > 0
-        )
-        .map(member => ({
-            name: member.displayName ||
-                  `${member.firstName || ''} ${member.lastName || ''}`.trim() ||
-                  member.githubUsername ||
-                  'Unknown',
-            prs: member.githubActivity.pullRequests || 0,
-            merged: member.githubActivity.mergedPRs || 0,
-            open: member.githubActivity.openPRs || 0,
-            closed: member.githubActivity.closedPRs || 0,
-            username: member.githubUsername || null
-        }))
+        .filter(member => {
+            const counts = getScopeCounts(member, scope, days);
+            return counts && validateNumber(counts.pullRequests) && counts.pullRequests > 0;
+        })
+        .map(member => {
+            const counts = getScopeCounts(member, scope, days);
+            return {
+                name: member.displayName ||
+                      `${member.firstName || ''} ${member.lastName || ''}`.trim() ||
+                      member.githubUsername ||
+                      'Unknown',
+                prs: counts.pullRequests || 0,
+                merged: counts.mergedPRs || 0,
+                open: counts.openPRs || 0,
+                closed: counts.closedPRs || 0,
+                globalPRs: member.githubActivity.pullRequests || 0,
+                scopedPRs: member.githubActivity.scoped?.pullRequests ?? null,
+                username: member.githubUsername || null
+            };
+        })
         .sort((a, b) => b.prs - a.prs)
         .slice(0, limit);
 }
 
+/**
+ * Get a member's display name for leaderboards
+ * @param {Object} member - Member object
+ * @returns {string} - Display name
+ */
+function getLeaderboardName(member) {
+    return member.displayName ||
+           `${member.firstName || ''} ${member.lastName || ''}`.trim() ||
+           member.githubUsername ||
+           'Unknown';
+}
+
+/**
+ * Get a member's code review, issue and discussion counts
+ * Members not refreshed since these were tracked read as 0
+ * @param {Object} member - Member object
+ * @returns {Object} - Counts {reviews, reviewComments, issuesOpened, issuesClosed, issueComments, discussions, discussionComments}
+ */
+export function getEngagementCounts(member) {
+    const activity = member?.githubActivity || {};
+    const count = (value) => validateNumber(value) ? Number(value) : 0;
+
+    return {
+        reviews: count(activity.reviews),
+        reviewComments: count(activity.reviewComments),
+        issuesOpened: count(activity.issuesOpened ?? activity.issues),
+        issuesClosed: count(activity.issuesClosed),
+        issueComments: count(activity.issueComments),
+        discussions: count(activity.discussions),
+        discussionComments: count(activity.discussionComments)
+    };
+}
+
+/**
+ * Get top code reviewers
+ * @param {Array} members - Array of member objects
+ * @param {number} limit - Number of top reviewers to return (default: 10)
+ * @param {Object} options - Leaderboard options
+ * @param {number|null} options.days - Rolling window in days, or null for lifetime (default)
+ * @returns {Array} - Top reviewers array ({reviewComments} is null when a range is set)
+ */
+export function getTopReviewers(members, limit = 10, { days = null } = {}) {
+    if (!Array.isArray(members) || members.length === 0) {
+        return [];
+    }
+
+    return members
+        .filter(member => member.githubActivity)
+        .map(member => {
+            const counts = getEngagementCounts(member);
+            const windowCounts = days ? getScopeCounts(member, CONTRIBUTION_SCOPES.GLOBAL, days) : null;
+            return {
+                name: getLeaderboardName(member),
+                reviews: days ? Number(windowCounts?.reviews) || 0 : counts.reviews,
+                reviewComments: days ? null : counts.reviewComments,
+                username: member.githubUsername || null
+            };
+        })
+        .filter(reviewer => reviewer.reviews > 0)
+        .sort((a, b) => b.reviews - a.reviews)
+        .slice(0, limit);
+}
+
+/**
+ * Get top issue contributors, ranked by issues opened, issues closed (triage) and issue comments
+ * @param {Array} members - Array of member objects
+ * @param {number} limit - Number of top contributors to return (default: 10)
+ * @param {Object} options - Leaderboard options
+ * @param {number|null} options.days - Rolling window in days, or null for lifetime (default);
+ *   windows only count issues opened, so closed and comments are null when a range is set
+ * @returns {Array} - Top issue contributors array
+ */
+export function getTopIssueContributors(members, limit = 10, { days = null } = {}) {
+    if (!Array.isArray(members) || members.length === 0) {
+        return [];
+    }
+
+    return members
+        .filter(member => member.githubActivity)
+        .map(member => {
+            const counts = getEngagementCounts(member);
+            if (days) {
+                const opened = Number(getScopeCounts(member, CONTRIBUTION_SCOPES.GLOBAL, days)?.issues) || 0;
+                return {
+                    name: getLeaderboardName(member),
+                    total: opened,
+                    opened,
+                    closed: null,
+                    comments: null,
+                    username: member.githubUsername || null
+                };
+            }
+            return {
+                name: getLeaderboardName(member),
+                total: counts.issuesOpened + counts.issuesClosed + counts.issueComments,
+                opened: counts.issuesOpened,
+                closed: counts.issuesClosed,
+                comments: counts.issueComments,
+                username: member.githubUsername || null
+            };
+        })
+        .filter(contributor => contributor.total > 0)
+        .sort((a, b) => b.total - a.total)
+        .slice(0, limit);
+}
+
+/**
+ * Get top discussion participants, ranked by discussions started plus discussion comments
+ * Discussions are lifetime totals only
+ * @param {Array} members - Array of member objects
+ * @param {number} limit - Number of top participants to return (default: 10)
+ * @returns {Array} - Top discussion participants array
+ */
+export function getTopDiscussionParticipants(members, limit = 10) {
+    if (!Array.isArray(members) || members.length === 0) {
+        return [];
+    }
+
+    return members
+        .filter(member => member.githubActivity)
+        .map(member => {
+            const counts = getEngagementCounts(member);
+            return {
+                name: getLeaderboardName(member),
+                total: counts.discussions + counts.discussionComments,
+                discussions: counts.discussions,
+                comments: counts.discussionComments,
+                username: member.githubUsername || null
+            };
+        })
+        .filter(participant => participant.total > 0)
+        .sort((a, b) => b.total - a.total)
+        .slice(0, limit);
+}
+
+/**
+ * Metrics combined into the contribution score, read from stored githubActivity
+ * @type {Array<{key: string, label: string}>}
+ */
+export const SCORE_METRICS = [
+    { key: 'mergedPRs', label: 'Merged PRs' },
+    { key: 'reviews', label: 'Reviews' },
+    { key: 'issues', label: 'Issues opened' },
+    { key: 'stars', label: 'Stars earned' },
+    { key: 'commits', label: 'Commits' }
+];
+
+/**
+ * Default points per unit of each score metric
+ * @type {Object<string, number>}
+ */
+export const DEFAULT_SCORING_WEIGHTS = {
+    mergedPRs: 10,
+    reviews: 5,
+    issues: 3,
+    stars: 2,
+    commits: 1
+};
+
+/**
+ * Leaderboard tiers by rank percentile among members who scored
+ * @type {Array<{id: string, label: string, topPercent: number}>}
+ */
+export const SCORE_TIERS = [
+    { id: 'platinum', label: 'Platinum', topPercent: 10 },
+    { id: 'gold', label: 'Gold', topPercent: 25 },
+    { id: 'silver', label: 'Silver', topPercent: 50 },
+    { id: 'bronze', label: 'Bronze', topPercent: 100 }
+];
+
+/**
+ * Badges awarded when a raw metric reaches a threshold
+ * @type {Array<{id: string, label: string, icon: string, metric: string, min: number}>}
+ */
+export const SCORE_BADGES = [
+    { id: 'merge-master', label: 'Merge Master', icon: 'fa-code-merge', metric: 'mergedPRs', min: 25 },
+    { id: 'code-reviewer', label: 'Code Reviewer', icon: 'fa-magnifying-glass-chart', metric: 'reviews', min: 25 },
+    { id: 'issue-hunter', label: 'Issue Hunter', icon: 'fa-bug', metric: 'issues', min: 10 },
+    { id: 'rising-star', label: 'Rising Star', icon: 'fa-star', metric: 'stars', min: 50 },
+    { id: 'prolific-committer', label: 'Prolific Committer', icon: 'fa-code-commit', metric: 'commits', min: 500 }
+];
+
+/**
+ * Normalize scoring weights, falling back to defaults for missing or invalid values
+ * @param {Object} weights - Weights keyed by score metric
+ * @returns {Object<string, number>} - Non-negative weights for every score metric
+ */
+export function normalizeScoringWeights(weights = {}) {
+    const normalized = {};
+    SCORE_METRICS.forEach(({ key }) => {
+        const value = Number(weights?.[key]);
+        normalized[key] = Number.isFinite(value) && value >= 0 ? value : DEFAULT_SCORING_WEIGHTS[key];
+    });
+    return normalized;
+}
+
+/**
+ * Calculate a member's contribution score from stored githubActivity (no API calls)
+ * @param {Object} member - Member object
+ * @param {Object} weights - Points per unit of each score metric
+ * @returns {{score: number, metrics: Object<string, number>, breakdown: Object<string, number>}} - Score and its parts
+ */
+export function calculateContributionScore(member, weights = DEFAULT_SCORING_WEIGHTS) {
+    const activity = member?.githubActivity || {};
+    const normalized = normalizeScoringWeights(weights);
+    const engagement = getEngagementCounts(member);
+    const count = (value) => validateNumber(value) ? Number(value) : 0;
+
+    const metrics = {
+        mergedPRs: count(activity.mergedPRs),
+        reviews: engagement.reviews,
+        issues: engagement.issuesOpened,
+        stars: count(activity.totalStars),
+        commits: count(activity.commits)
+    };
+
+    const breakdown = {};
+    let score = 0;
+    SCORE_METRICS.forEach(({ key }) => {
+        breakdown[key] = Math.round(metrics[key] * normalized[key]);
+        score += breakdown[key];
+    });
+
+    return { score, metrics, breakdown };
+}
+
+/**
+ * Build the ranked contribution leaderboard with tiers and badges
+ * Members with equal scores share a rank
+ * @param {Array} members - Array of member objects
+ * @param {Object} weights - Points per unit of each score metric
+ * @param {Object} options - Leaderboard options
+ * @param {number} options.limit - Maximum entries to return (default: all)
+ * @returns {Array<Object>} - Entries {memberId, name, username, score, rank, tier, badges, metrics, breakdown}
+ */
+export function calculateLeaderboard(members, weights = DEFAULT_SCORING_WEIGHTS, { limit = Infinity } = {}) {
+    if (!Array.isArray(members) || members.length === 0) {
+        return [];
+    }
+
+    const scored = members
+        .filter(member => member.githubConnected && member.githubActivity)
+        .map(member => ({
+            memberId: member.id || null,
+            name: getLeaderboardName(member),
+            username: member.githubUsername || null,
+            ...calculateContributionScore(member, weights)
+        }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+    let previousScore = null;
+    let rank = 0;
+    return scored.slice(0, limit).map((entry, index) => {
+        if (entry.score !== previousScore) {
+            rank = index + 1;
+            previousScore = entry.score;
+        }
+        // Share of scored members ranked above this one, so the leader is always in the top tier
+        const percentile = ((rank - 1) / scored.length) * 100;
+        const tier = SCORE_TIERS.find(t => percentile < t.topPercent) || SCORE_TIERS[SCORE_TIERS.length - 1];
+        const badges = SCORE_BADGES
+            .filter(badge => entry.metrics[badge.metric] >= badge.min)
+            .map(({ id, label, icon }) => ({ id, label, icon }));
+
+        return { ...entry, rank, tier: tier.id, badges };
+    });
+}
+
+
+/**
+ * Aggregate member contribution calendars into a club-wide calendar
+ * Levels are recalculated relative to the busiest club day
+ * @param {Array} members - Array of member objects
+ * @returns {Object} - Club calendar {totalContributions, membersIncluded, days}
+ */
+export function aggregateContributionCalendars(members) {
+    if (!Array.isArray(members) || members.length === 0) {
+        return { totalContributions: 0, membersIncluded: 0, days: [] };
+    }
+
+    const countsByDate = {};
+    let membersIncluded = 0;
+
+    members.forEach(member => {
+        const calendarDays = member.githubActivity?.contributionCalendar?.days;
+        if (!Array.isArray(calendarDays) || calendarDays.length === 0) {
+            return;
+        }
+
+        membersIncluded++;
+        calendarDays.forEach(day => {
+            if (!day || !day.date) return;
+            const count = validateNumber(day.count) ? Number(day.count) : 0;
+            countsByDate[day.date] = (countsByDate[day.date] || 0) + count;
+        });
+    });
+
+    const counts = Object.values(countsByDate);
+    const maxCount = counts.length > 0 ? Math.max(...counts) : 0;
+
+    const days = Object.entries(countsByDate)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, count]) => ({
+            date,
+            count,
+            level: count === 0 ? 0 : Math.max(1, Math.ceil(safeDivide(count, maxCount, 0) * 4))
+        }));
+
+    return {
+        totalContributions: calculateTotal(counts),
+        membersIncluded,
+        days
+    };
+}
+
+/**
+ * Get the latest snapshot value on or before a date
+ * @param {Array<Object>} snapshots - Snapshots sorted by date ascending
+ * @param {string} date - Boundary date (YYYY-MM-DD)
+ * @param {string} metric - Metric field name
+ * @returns {number|null} - Value, or null if no snapshot exists yet
+ */
+function getSnapshotValueAt(snapshots, date, metric) {
+    let value = null;
+    for (const snapshot of snapshots) {
+        if (snapshot.date > date) break;
+        if (validateNumber(snapshot[metric])) value = Number(snapshot[metric]);
+    }
+    return value;
+}
+
+/**
+ * Calculate per-period deltas from a dated snapshot series
+ * Week periods are rolling 7-day windows ending today; month periods are calendar months
+ * A period without a snapshot at both ends yields null (rendered as a gap)
+ * @param {Array<Object>} snapshots - Snapshots with a date (YYYY-MM-DD) field
+ * @param {Array<string>} metrics - Metric field names to diff
+ * @param {string} period - 'week' or 'month' (default: 'week')
+ * @param {number} count - Number of periods to return (default: 12)
+ * @returns {Object} - {labels, series: {[metric]: Array<number|null>}, hasData}
+ */
+export function calculatePeriodDeltas(snapshots, metrics, period = 'week', count = 12) {
+    const sorted = Array.isArray(snapshots)
+        ? [...snapshots].filter(s => s && s.date).sort((a, b) => a.date.localeCompare(b.date))
+        : [];
+    const toKey = (date) => date.toISOString().split('T')[0];
+
+    // Period boundaries, oldest first; boundaries[0] is the baseline for the first period
+    const today = new Date();
+    const boundaries = [];
+    for (let i = count; i >= 0; i--) {
+        if (period === 'month') {
+            const end = i === 0
+                ? today
+                : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - i + 1, 0));
+            boundaries.push(end);
+        } else {
+            const end = new Date(today);
+            end.setUTCDate(end.getUTCDate() - i * 7);
+            boundaries.push(end);
+        }
+    }
+
+    const labels = boundaries.slice(1).map((end, index) => {
+        if (period === 'month') {
+            return end.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+        }
+        const start = new Date(boundaries[index]);
+        start.setUTCDate(start.getUTCDate() + 1);
+        return start.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    });
+
+    let hasData = false;
+    const series = {};
+    metrics.forEach(metric => {
+        const values = boundaries.map(end => getSnapshotValueAt(sorted, toKey(end), metric));
+        series[metric] = values.slice(1).map((value, index) => {
+            const previous = values[index];
+            if (value === null || previous === null) return null;
+            hasData = true;
+            return value - previous;
+        });
+    });
+
+    return { labels, series, hasData };
+}
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Form Submission Service
+ * Availability checks and the write path for respondent submissions from the
+ * public form page (form.html). Submissions are stored in
+ * form_submissions/{formId}/submissions, and each accepted submission bumps the
+ * form's `submissionCount` in the same transaction so `submissionLimit` holds
+ * even when several respondents submit at once. Answers are checked against the
+ * form's current field definitions inside the same transaction, so a stale or
+ * tampered page cannot store data the form does not allow. Files from upload
+ * fields are uploaded to Storage after the submission is stored, so a rejected
+ * submission leaves no files behind
+ * @module submission-service
+ */
+import { db, collection, doc, getDocs, query, where, limit, runTransaction, Timestamp } from '../../firebase-config.js';
+import { isTrashed } from './trash-service.js';
+import { validateSubmissionData } from '../utils/validation.js';
+import { describeSubmissionFiles, uploadSubmissionFiles } from './upload-service.js';
+
+const SUBMITTED_KEY_PREFIX = 'vedam_form_submitted_';
+
+/**
+ * Convert a stored date setting (Timestamp, Date or string) into a Date
+ * @param {*} value - Stored value
+ * @returns {Date|null} - Date, or null when unset or invalid
+ */
+function toDate(value) {
+    if (!value) return null;
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Check whether a form is accepting submissions
+ * @param {Object|null} form - Form document data
+ * @param {Date} [now] - Time to check against
+ * @returns {{available: boolean, message: string}} - Result and a respondent-facing reason
+ */
+export function getFormAvailability(form, now = new Date()) {
+    if (!form || isTrashed(form)) {
+        return { available: false, message: 'This form does not exist.' };
+    }
+    if (form.status !== 'active') {
+        return { available: false, message: 'This form is not accepting responses.' };
+    }
+
+    const startDate = toDate(form.settings?.startDate);
+    const endDate = toDate(form.settings?.endDate);
+    if (startDate && now < startDate) {
+        return { available: false, message: `This form opens on ${startDate.toLocaleString()}.` };
+    }
+    if (endDate && now > endDate) {
+        return { available: false, message: `This form closed on ${endDate.toLocaleString()}.` };
+    }
+
+    const submissionLimit = form.settings?.submissionLimit;
+    if (submissionLimit && (form.submissionCount || 0) >= submissionLimit) {
+        return { available: false, message: 'This form has reached its response limit.' };
+    }
+
+    return { available: true, message: '' };
+}
+
+/**
+ * Check whether a respondent has already submitted a form
+ * Signed-in respondents are matched by email; anonymous ones by a marker this
+ * browser stored on their last submission
+ * @param {string} formId - Form ID
+ * @param {string|null} email - Respondent email, if signed in
+ * @returns {Promise<boolean>} - True if a previous submission was found
+ */
+export async function hasSubmitted(formId, email) {
+    if (localStorage.getItem(SUBMITTED_KEY_PREFIX + formId)) return true;
+    if (!email) return false;
+
+    const previousSnap = await getDocs(query(
+        collection(db, 'form_submissions', formId, 'submissions'),
+        where('submittedBy', '==', email),
+        limit(1)
+    ));
+    return !previousSnap.empty;
+}
+
+/**
+ * Store a submission
+ * @param {string} formId - Form ID
+ * @param {Object} submission - Submission details
+ * @param {Object<string, *>} submission.data - Answers keyed by field ID
+ * @param {number} submission.completionTime - Seconds from opening the form to submitting
+ * @param {string|null} [submission.submittedBy] - Respondent email, if signed in
+ * @param {Object<string, Array<File>>} [submission.files] - Files chosen in upload fields, keyed by field ID
+ * @param {Object<string, Object>} [submission.github] - Resolved GitHub metadata keyed by field ID (see github-field-service)
+ * @returns {Promise<string>} - New submission ID
+ * @throws {Error} If the form stopped accepting submissions (message is respondent-facing),
+ *   if the answers fail validation (`fieldErrors` holds messages keyed by field ID),
+ *   or if the files could not be uploaded after the answers were saved (`saved` is true)
+ */
+export async function submitFormResponse(formId, { data, completionTime, submittedBy = null, files = {}, github = {} }) {
+    const formRef = doc(db, 'forms', formId);
+    const submissionRef = doc(collection(db, 'form_submissions', formId, 'submissions'));
+
+    // Files are uploaded once the submission exists, so a rejected submission leaves nothing in Storage
+    const fileDetails = describeSubmissionFiles(formId, submissionRef.id, files);
+    data = { ...data, ...fileDetails };
+
+    await saveSubmission(formRef, submissionRef, { data, completionTime, submittedBy, github });
+    localStorage.setItem(SUBMITTED_KEY_PREFIX + formId, submissionRef.id);
+
+    try {
+        await uploadSubmissionFiles(files, fileDetails);
+    } catch (cause) {
+        const error = new Error('Your answers were saved, but the files could not be uploaded. Please contact the form owner.');
+        error.saved = true;
+        error.cause = cause;
+        throw error;
+    }
+    return submissionRef.id;
+}
+
+/**
+ * Check the form and write the submission in one transaction
+ * @param {Object} formRef - Form document reference
+ * @param {Object} submissionRef - New submission document reference
+ * @param {Object} submission - Submission fields to store (data, completionTime, submittedBy, github)
+ * @returns {Promise<void>}
+ */
+async function saveSubmission(formRef, submissionRef, { data, completionTime, submittedBy, github }) {
+    await runTransaction(db, async (transaction) => {
+        const formSnap = await transaction.get(formRef);
+        const form = formSnap.exists() ? formSnap.data() : null;
+        const availability = getFormAvailability(form);
+        if (!availability.available) {
+            throw new Error(availability.message);
+        }
+
+        const validation = validateSubmissionData(form.fields || [], data);
+        if (!validation.valid) {
+            const error = new Error('Some answers are not valid. Please review the highlighted fields.');
+            error.fieldErrors = validation.errors;
+            throw error;
+        }
+
+        transaction.set(submissionRef, {
+            data,
+            // Metadata only for answers that were actually stored
+            github: Object.fromEntries(Object.entries(github).filter(([fieldId]) => fieldId in data)),
+            completionTime,
+            submittedBy,
+            submittedAt: Timestamp.now()
+        });
+        // lastSubmissionId lets the Firestore rules check the bump comes with a new submission
+        transaction.update(formRef, { submissionCount: (form.submissionCount || 0) + 1, lastSubmissionId: submissionRef.id });
+    });
+}
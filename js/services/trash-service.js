@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Trash Service
+ * Soft delete for forms and submissions. Deleting marks the document with
+ * `deletedAt`/`deletedBy` and adds an entry to the Firestore `Trash` collection;
+ * the document itself stays in place until it is restored or purged. A
+ * trashed submission no longer counts towards its form's `submissionCount`
+ * (and so its `submissionLimit`) until it is restored
+ * A trashed form hides its submissions with it, and purging a form also purges
+ * its form_submissions/{formId}/submissions subcollection. Purging a submission
+ * also deletes the files its upload fields stored
+ * @module trash-service
+ */
+import { auth, collection, getDocs, doc, getDoc, deleteDoc, writeBatch, increment, db } from '../../firebase-config.js';
+import { getTrashRetentionDays } from './settings-service.js';
+import { addAuditEntry, AUDIT_ACTIONS } from './audit-service.js';
+import { deleteSubmissionFiles } from './upload-service.js';
+
+const TRASH_COLLECTION = 'Trash';
+
+/**
+ * Trash entry types
+ * @type {{FORM: string, SUBMISSION: string}}
+ */
+export const TRASH_TYPES = {
+    FORM: 'form',
+    SUBMISSION: 'submission'
+};
+
+/**
+ * Check whether a form or submission is in the trash
+ * @param {Object} item - Form or submission data
+ * @returns {boolean} - True if soft-deleted
+ */
+export function isTrashed(item) {
+    return !!item?.deletedAt;
+}
+
+/**
+ * Get the Trash document ID for a target
+ * @param {string} type - Entry type from TRASH_TYPES
+ * @param {string} formId - Form ID
+ * @param {string} [submissionId] - Submission ID (submissions only)
+ * @returns {string} - Trash document ID
+ */
+function getTrashId(type, formId, submissionId) {
+    return type === TRASH_TYPES.FORM ? `form_${formId}` : `submission_${formId}_${submissionId}`;
+}
+
+/**
+ * Get the Firestore path of a trash entry's target
+ * @param {Object} entry - Trash entry
+ * @returns {Array<string>} - Path segments
+ */
+function getTargetPath(entry) {
+    return entry.type === TRASH_TYPES.FORM
+        ? ['forms', entry.formId]
+        : ['form_submissions', entry.formId, 'submissions', entry.submissionId];
+}
+
+/**
+ * Mark a document as deleted and add its Trash entry
+ * @param {Object} entry - Trash entry fields ({type, formId, submissionId, label})
+ * @param {string} action - Audit action
+ * @returns {Promise<Object>} - Stored trash entry
+ */
+async function moveToTrash(entry, action) {
+    const now = new Date();
+    const retentionDays = getTrashRetentionDays();
+    const marker = {
+        deletedAt: now.toISOString(),
+        deletedBy: auth.currentUser?.email || null
+    };
+    const trashEntry = {
+        ...entry,
+        submissionId: entry.submissionId || null,
+        ...marker,
+        purgeAfter: new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+    };
+
+    const targetPath = getTargetPath(trashEntry);
+    const batch = writeBatch(db);
+    batch.update(doc(db, ...targetPath), marker);
+    batch.set(doc(db, TRASH_COLLECTION, getTrashId(entry.type, entry.formId, entry.submissionId)), trashEntry);
+    if (entry.type === TRASH_TYPES.SUBMISSION) {
+        batch.update(doc(db, 'forms', entry.formId), { submissionCount: increment(-1) });
+    }
+    addAuditEntry(batch, {
+        action,
+        targetPath: targetPath.join('/'),
+        targetLabel: entry.label,
+        before: { deletedAt: null, deletedBy: null },
+        after: marker
+    });
+    await batch.commit();
+    return trashEntry;
+}
+
+/**
+ * Move a form to the trash (its submissions are hidden along with it)
+ * @param {string} formId - Form ID
+ * @param {string} name - Form name
+ * @returns {Promise<Object>} - Stored trash entry
+ */
+export async function trashForm(formId, name) {
+    return moveToTrash({ type: TRASH_TYPES.FORM, formId, label: name || formId }, AUDIT_ACTIONS.FORM_TRASH);
+}
+
+/**
+ * Move a submission to the trash
+ * @param {string} formId - Form ID
+ * @param {string} submissionId - Submission ID
+ * @param {string} label - Description shown in the Trash view
+ * @returns {Promise<Object>} - Stored trash entry
+ */
+export async function trashSubmission(formId, submissionId, label) {
+    return moveToTrash({ type: TRASH_TYPES.SUBMISSION, formId, submissionId, label }, AUDIT_ACTIONS.SUBMISSION_TRASH);
+}
+
+/**
+ * Load all trash entries
+ * @returns {Promise<Array<Object>>} - Entries with their Trash document ID, most recently deleted first
+ */
+export async function loadTrash() {
+    const trashSnap = await getDocs(collection(db, TRASH_COLLECTION));
+    return trashSnap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => (b.deletedAt || '').localeCompare(a.deletedAt || ''));
+}
+
+/**
+ * Restore a trashed form or submission
+ * @param {Object} entry - Trash entry (as returned by loadTrash)
+ * @returns {Promise<void>}
+ */
+export async function restoreTrashItem(entry) {
+    const targetPath = getTargetPath(entry);
+    const targetSnap = await getDoc(doc(db, ...targetPath));
+
+    const batch = writeBatch(db);
+    if (targetSnap.exists()) {
+        batch.update(doc(db, ...targetPath), { deletedAt: null, deletedBy: null });
+        if (entry.type === TRASH_TYPES.SUBMISSION) {
+            batch.update(doc(db, 'forms', entry.formId), { submissionCount: increment(1) });
+        }
+        addAuditEntry(batch, {
+            action: entry.type === TRASH_TYPES.FORM ? AUDIT_ACTIONS.FORM_RESTORE : AUDIT_ACTIONS.SUBMISSION_RESTORE,
+            targetPath: targetPath.join('/'),
+            targetLabel: entry.label,
+            before: { deletedAt: entry.deletedAt, deletedBy: entry.deletedBy },
+            after: { deletedAt: null, deletedBy: null }
+        });
+    }
+    batch.delete(doc(db, TRASH_COLLECTION, entry.id));
+    await batch.commit();
+
+    if (!targetSnap.exists()) {
+        throw new Error(`${entry.label || 'Item'} no longer exists and was removed from the trash.`);
+    }
+}
+
+/**
+ * Permanently delete every submission of a form
+ * @param {string} formId - Form ID
+ * @returns {Promise<number>} - Submissions deleted
+ */
+async function purgeFormSubmissions(formId) {
+    const submissionsSnap = await getDocs(collection(db, 'form_submissions', formId, 'submissions'));
+    await Promise.all(submissionsSnap.docs.map(async submissionDoc => {
+        await deleteSubmissionFiles(submissionDoc.data().data);
+        await deleteDoc(submissionDoc.ref);
+        // Submissions trashed on their own have entries that would otherwise dangle
+        await deleteDoc(doc(db, TRASH_COLLECTION, getTrashId(TRASH_TYPES.SUBMISSION, formId, submissionDoc.id)));
+    }));
+    return submissionsSnap.size;
+}
+
+/**
+ * Permanently delete a trashed form (with all its submissions) or submission
+ * @param {Object} entry - Trash entry (as returned by loadTrash)
+ * @returns {Promise<void>}
+ */
+export async function purgeTrashItem(entry) {
+    const targetPath = getTargetPath(entry);
+    const targetRef = doc(db, ...targetPath);
+    const targetSnap = await getDoc(targetRef);
+
+    let purgedSubmissions = 0;
+    if (entry.type === TRASH_TYPES.FORM) {
+        purgedSubmissions = await purgeFormSubmissions(entry.formId);
+    }
+
+    const batch = writeBatch(db);
+    if (targetSnap.exists()) {
+        if (entry.type === TRASH_TYPES.SUBMISSION) {
+            await deleteSubmissionFiles(targetSnap.data().data);
+        }
+        batch.delete(targetRef);
+        addAuditEntry(batch, {
+            action: entry.type === TRASH_TYPES.FORM ? AUDIT_ACTIONS.FORM_DELETE : AUDIT_ACTIONS.SUBMISSION_DELETE,
+            targetPath: targetPath.join('/'),
+            targetLabel: entry.type === TRASH_TYPES.FORM
+                ? `${entry.label} (+${purgedSubmissions} submission${purgedSubmissions === 1 ? '' : 's'})`
+                : entry.label,
+            before: targetSnap.data()
+        });
+    }
+    batch.delete(doc(db, TRASH_COLLECTION, entry.id));
+    await batch.commit();
+}
+
+/**
+ * Purge entries whose retention period has passed
+ * @param {Array<Object>} entries - Trash entries (as returned by loadTrash)
+ * @param {Function} [canPurge] - Called with each expired entry; entries it rejects
+ *   (e.g. ones the signed-in admin may not delete) are kept
+ * @returns {Promise<Array<Object>>} - Entries that were not purged
+ */
+export async function purgeExpiredTrash(entries, canPurge = () => true) {
+    const now = new Date().toISOString();
+    const expired = entries.filter(entry => entry.purgeAfter && entry.purgeAfter <= now && canPurge(entry));
+
+    for (const entry of expired) {
+        await purgeTrashItem(entry);
+    }
+
+    // Purging a form also removes its submissions' entries
+    const purgedFormIds = new Set(expired.filter(e => e.type === TRASH_TYPES.FORM).map(e => e.formId));
+    return entries.filter(entry => !expired.includes(entry) && !purgedFormIds.has(entry.formId));
+}
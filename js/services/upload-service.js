@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Upload Service
+ * Stores files from form upload fields in Firebase Storage under
+ * form_uploads/{formId}/{submissionId}/{fieldId}/. A submission keeps only the
+ * file details ({name, size, contentType, path}) in its `data`. Files are
+ * uploaded after the submission is stored - the Storage rules only accept files
+ * for an existing submission - and download URLs are looked up by admins when
+ * the viewer or an export needs them, since respondents cannot read the bucket
+ * @module upload-service
+ */
+import { storage, storageRef, uploadBytes, getDownloadURL, deleteObject } from '../../firebase-config.js';
+
+/**
+ * File type choices offered in the builder
+ * @type {Array<{label: string, types: Array<string>}>}
+ */
+export const FILE_TYPE_PRESETS = [
+    { label: 'Images', types: ['image/*'] },
+    { label: 'PDF', types: ['application/pdf'] },
+    {
+        label: 'Documents (Word, text)',
+        types: ['application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', 'text/plain']
+    },
+    {
+        label: 'Spreadsheets (Excel, CSV)',
+        types: ['application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'text/csv']
+    },
+    { label: 'ZIP archives', types: ['application/zip'] }
+];
+
+/**
+ * Default maximum file size in MB
+ * @type {number}
+ */
+export const DEFAULT_MAX_FILE_SIZE_MB = 5;
+
+/**
+ * Check whether a stored value is an uploaded file's details
+ * Older submissions also stored a download `url`
+ * @param {*} value - Stored value
+ * @returns {boolean} - True for objects with a Storage path
+ */
+export function isUploadedFile(value) {
+    return !!value && typeof value === 'object' && typeof value.path === 'string';
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} - e.g. "1.2 MB"
+ */
+export function formatFileSize(bytes) {
+    if (!bytes) return '0 KB';
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Make a file name safe to use in a Storage path
+ * @param {string} name - Original file name
+ * @returns {string} - Name with path separators and unusual characters replaced
+ */
+function toSafeFileName(name) {
+    return String(name || 'file').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(-100);
+}
+
+/**
+ * Work out the stored details of the files chosen for a submission
+ * Paths are fixed before anything is uploaded, so the details can be saved with
+ * the submission and the files uploaded once it exists
+ * @param {string} formId - Form ID
+ * @param {string} submissionId - ID the submission will be stored under
+ * @param {Object<string, Array<File>>} files - Chosen files keyed by field ID
+ * @returns {Object<string, Array<Object>>} - File details keyed by field ID
+ */
+export function describeSubmissionFiles(formId, submissionId, files) {
+    return Object.fromEntries(Object.entries(files || {}).map(([fieldId, fieldFiles]) => [
+        fieldId,
+        fieldFiles.map((file, index) => ({
+            name: file.name,
+            size: file.size,
+            contentType: file.type || 'application/octet-stream',
+            path: `form_uploads/${formId}/${submissionId}/${fieldId}/${index}_${toSafeFileName(file.name)}`
+        }))
+    ]));
+}
+
+/**
+ * Upload the files chosen for a stored submission
+ * @param {Object<string, Array<File>>} files - Chosen files keyed by field ID
+ * @param {Object<string, Array<Object>>} details - Their details from describeSubmissionFiles
+ * @returns {Promise<void>}
+ */
+export async function uploadSubmissionFiles(files, details) {
+    await Promise.all(Object.entries(files || {}).flatMap(([fieldId, fieldFiles]) =>
+        fieldFiles.map((file, index) => {
+            const { path, contentType } = details[fieldId][index];
+            return uploadBytes(storageRef(storage, path), file, { contentType });
+        })
+    ));
+}
+
+/**
+ * Get a download URL for an uploaded file (admins only - respondents cannot read the bucket)
+ * @param {Object} file - Stored file details
+ * @returns {Promise<string|null>} - URL, or null if the file is missing (e.g. its upload failed)
+ */
+export async function getUploadedFileUrl(file) {
+    if (file.url) return file.url;
+    try {
+        return await getDownloadURL(storageRef(storage, file.path));
+    } catch (error) {
+        if (error?.code === 'storage/object-not-found') return null;
+        throw error;
+    }
+}
+
+/**
+ * Delete every uploaded file referenced by submission data
+ * Files that are already gone are ignored
+ * @param {Object<string, *>} [data] - Submission answers keyed by field ID
+ * @returns {Promise<number>} - Files deleted
+ */
+export async function deleteSubmissionFiles(data) {
+    const paths = Object.values(data || {})
+        .flatMap(value => (Array.isArray(value) ? value : [value]))
+        .filter(isUploadedFile)
+        .map(file => file.path);
+
+    await Promise.all(paths.map(async path => {
+        try {
+            await deleteObject(storageRef(storage, path));
+        } catch (error) {
+            if (error?.code !== 'storage/object-not-found') throw error;
+        }
+    }));
+    return paths.length;
+}
@@ -1,10 +1,21 @@
 // Settings Page Module
-import { getCurrentUser } from './auth.js';
+import { getCurrentUser, getCurrentRoleLabel, hasPermission, requirePermission } from './auth.js';
+import { listAdmins, inviteAdmin, updateAdminRole, removeAdmin, ROLES, ROLE_LABELS, PERMISSIONS } from './services/admin-service.js';
+import { loadAppSettings, saveAppSettings, getScoringWeights, getTrashRetentionDays, getMemberCohorts, getMemberTags } from './services/settings-service.js';
+import { SCORE_METRICS, DEFAULT_SCORING_WEIGHTS } from './services/stats-service.js';
+import { saveLeaderboard } from './services/leaderboard-service.js';
+import { getMembers } from './data-store.js';
+import { startBackgroundGitHubRefresh } from './github-refresh.js';
+import { fetchGitHubRateLimit, getGitHubTokenHealth, lookupGitHubUser, lookupGitHubRepository } from './github-api.js';
+import { showToast, handleError } from './utils.js';
+import { isValidEmail, isValidGitHubUsername, isValidGitHubRepo } from './utils/validation.js';
+
+let settingsListenersInitialized = false;
 
 /**
  * Load settings page
  */
-export function loadSettings() {
+export async function loadSettings() {
     const user = getCurrentUser();
     
     const adminEmailInput = document.getElementById('adminEmailInput');
@@ -14,6 +25,11 @@ export function loadSettings() {
         adminEmailInput.value = user.email;
     }
     
+    const adminRoleInput = document.getElementById('adminRoleInput');
+    if (adminRoleInput) {
+        adminRoleInput.value = getCurrentRoleLabel();
+    }
+    
     if (lastUpdated) {
         lastUpdated.textContent = new Date().toLocaleDateString('en-US', {
             year: 'numeric',
@@ -23,5 +39,434 @@ export function loadSettings() {
             minute: '2-digit'
         });
     }
+    
+    setupSettingsListeners();
+    
+    const settings = await loadAppSettings();
+    const refreshStaleHoursInput = document.getElementById('refreshStaleHoursInput');
+    if (refreshStaleHoursInput) {
+        refreshStaleHoursInput.value = settings.refreshStaleHours;
+    }
+    
+    const trashRetentionDaysInput = document.getElementById('trashRetentionDaysInput');
+    if (trashRetentionDaysInput) {
+        trashRetentionDaysInput.value = getTrashRetentionDays();
+    }
+    
+    const trackedOrgsInput = document.getElementById('trackedOrgsInput');
+    const trackedReposInput = document.getElementById('trackedReposInput');
+    if (trackedOrgsInput) {
+        trackedOrgsInput.value = (settings.trackedOrgs || []).join('\n');
+    }
+    if (trackedReposInput) {
+        trackedReposInput.value = (settings.trackedRepos || []).join('\n');
+    }
+    
+    const memberCohortsInput = document.getElementById('memberCohortsInput');
+    const memberTagsInput = document.getElementById('memberTagsInput');
+    if (memberCohortsInput) {
+        memberCohortsInput.value = getMemberCohorts().join('\n');
+    }
+    if (memberTagsInput) {
+        memberTagsInput.value = getMemberTags().join('\n');
+    }
+    
+    renderScoringWeights(getScoringWeights());
+    renderTokenHealth();
+    renderAdminList();
 }
 
+/**
+ * Render the admins list with role pickers (owners only)
+ * @returns {Promise<void>}
+ */
+async function renderAdminList() {
+    const container = document.getElementById('adminList');
+    if (!container || !hasPermission(PERMISSIONS.MANAGE_ADMINS)) return;
+    
+    const roleOptions = (selected) => Object.values(ROLES)
+        .map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${ROLE_LABELS[role]}</option>`)
+        .join('');
+    
+    const inviteRole = document.getElementById('inviteAdminRole');
+    if (inviteRole && !inviteRole.options.length) {
+        inviteRole.innerHTML = roleOptions(ROLES.VIEWER);
+    }
+    
+    try {
+        const admins = await listAdmins();
+        const currentEmail = (getCurrentUser()?.email || '').toLowerCase();
+        
+        if (admins.length === 0) {
+            container.innerHTML = '<p style="color: #64748b">No admins in Firestore yet. The configured admin email signs in as owner.</p>';
+            return;
+        }
+        
+        container.innerHTML = admins.map(admin => {
+            const isSelf = admin.email === currentEmail;
+            const lastLogin = admin.lastLoginAt
+                ? `Last sign-in ${new Date(admin.lastLoginAt).toLocaleDateString()}`
+                : 'Has not signed in yet';
+            return `
+                <div class="info-item admin-list-item">
+                    <div>
+                        <span class="info-label">${admin.email}${isSelf ? ' (you)' : ''}</span>
+                        <div class="token-health-quota">${lastLogin}</div>
+                    </div>
+                    <div style="display: flex; gap: 0.5rem; align-items: center">
+                        <select data-admin-role="${admin.email}" ${isSelf ? 'disabled title="You can\'t change your own role"' : ''}>
+                            ${roleOptions(admin.role)}
+                        </select>
+                        <button class="btn btn-danger btn-sm" data-remove-admin="${admin.email}" ${isSelf ? 'disabled' : ''} title="Remove access">
+                            <i class="fas fa-user-minus"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        handleError(error, { module: 'settings', action: 'renderAdminList' }, { showToast: false });
+        container.innerHTML = '<p style="color: #dc2626">Could not load admins.</p>';
+    }
+}
+
+/**
+ * Render one number input per contribution score metric
+ * @param {Object<string, number>} weights - Weights to show
+ */
+function renderScoringWeights(weights) {
+    const container = document.getElementById('scoringWeightsInputs');
+    if (!container) return;
+    
+    container.innerHTML = SCORE_METRICS.map(({ key, label }) => `
+        <div class="form-group">
+            <label for="scoreWeight-${key}">${label}</label>
+            <input type="number" id="scoreWeight-${key}" data-metric="${key}" min="0" step="0.5" value="${weights[key]}">
+        </div>
+    `).join('');
+}
+
+/**
+ * Read scoring weights from the settings inputs
+ * @returns {Object<string, number>|null} - Weights, or null if any value is invalid
+ */
+function readScoringWeights() {
+    const weights = {};
+    for (const { key } of SCORE_METRICS) {
+        const value = parseFloat(document.getElementById(`scoreWeight-${key}`)?.value);
+        if (isNaN(value) || value < 0) {
+            return null;
+        }
+        weights[key] = value;
+    }
+    return weights;
+}
+
+/**
+ * Parse a newline/comma separated list of orgs or repos
+ * Accepts full GitHub URLs and strips them to the org or owner/name
+ * @param {string} text - Raw textarea value
+ * @returns {Array<string>} - Unique, trimmed entries
+ */
+function parseScopeList(text) {
+    const entries = (text || '')
+        .split(/[\s,]+/)
+        .map(entry => entry.trim().replace(/^https?:\/\/github\.com\//i, '').replace(/\/+$/, ''))
+        .filter(Boolean);
+    return [...new Set(entries)];
+}
+
+/**
+ * Find tracked organizations and repositories GitHub does not know about
+ * @param {Array<string>} orgs - Organization (or user) logins
+ * @param {Array<string>} repos - Repositories as owner/name
+ * @returns {Promise<Array<string>>} - Entries that do not exist or are not visible to the token
+ * @throws {Error} If GitHub could not be reached
+ */
+async function findMissingScopeEntries(orgs, repos) {
+    const [orgResults, repoResults] = await Promise.all([
+        Promise.all(orgs.map(org => lookupGitHubUser(org))),
+        Promise.all(repos.map(repo => lookupGitHubRepository(repo)))
+    ]);
+    return [
+        ...orgs.filter((org, index) => !orgResults[index]),
+        ...repos.filter((repo, index) => !repoResults[index])
+    ];
+}
+
+/**
+ * Parse a one-per-line list of cohort or tag names
+ * Cohort names may contain spaces and commas, so only line breaks separate them;
+ * tags are also split on commas and semicolons, matching how members' tags are read
+ * @param {string} text - Raw textarea value
+ * @param {boolean} isTags - Parse as tags (lower-cased)
+ * @returns {Array<string>} - Unique entries in their original order
+ */
+function parseGroupList(text, isTags = false) {
+    const seen = new Set();
+    return (text || '')
+        .split(isTags ? /[\r\n,;]+/ : /\r?\n/)
+        .map(entry => entry.trim().replace(/\s+/g, ' '))
+        .map(entry => (isTags ? entry.toLowerCase() : entry))
+        .filter(entry => {
+            const key = entry.toLowerCase();
+            if (!entry || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Render health of each GitHub token in the pool (values are never shown)
+ */
+function renderTokenHealth() {
+    const container = document.getElementById('githubTokenHealthList');
+    if (!container) return;
+    
+    const tokens = getGitHubTokenHealth();
+    if (tokens.length === 0) {
+        container.innerHTML = '<p style="color: #64748b">No GitHub tokens configured. Requests are unauthenticated (60 requests/hour).</p>';
+        return;
+    }
+    
+    const statusLabels = {
+        healthy: 'Healthy',
+        degraded: 'Degraded',
+        exhausted: 'Quota exhausted',
+        invalid: 'Invalid (removed from rotation)'
+    };
+    
+    container.innerHTML = tokens.map(token => {
+        const quota = token.core.known
+            ? `${token.core.remaining.toLocaleString()}/${token.core.limit.toLocaleString()} core · ${token.search.remaining}/${token.search.limit} search`
+            : 'Quota not checked yet';
+        const reset = token.core.reset ? ` · resets ${new Date(token.core.reset).toLocaleTimeString()}` : '';
+        const lastError = token.lastError ? `<div class="token-health-error">${token.lastError}</div>` : '';
+        
+        return `
+            <div class="info-item token-health-item">
+                <div>
+                    <span class="info-label">${token.label}</span>
+                    <div class="token-health-quota">${quota}${reset}</div>
+                    ${lastError}
+                </div>
+                <span class="token-health-status token-${token.status}">${statusLabels[token.status]}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Setup settings page event listeners (once)
+ */
+function setupSettingsListeners() {
+    if (settingsListenersInitialized) return;
+    settingsListenersInitialized = true;
+    
+    const saveRefreshSettingsBtn = document.getElementById('saveRefreshSettingsBtn');
+    if (saveRefreshSettingsBtn) {
+        saveRefreshSettingsBtn.addEventListener('click', async () => {
+            if (!requirePermission(PERMISSIONS.EDIT_SETTINGS)) return;
+            const input = document.getElementById('refreshStaleHoursInput');
+            const hours = parseInt(input?.value, 10);
+            if (isNaN(hours) || hours < 0) {
+                showToast('Staleness window must be 0 or more hours.', 'error');
+                return;
+            }
+            
+            try {
+                await saveAppSettings({ refreshStaleHours: hours });
+                showToast('Refresh settings saved.', 'success');
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'saveRefreshSettings' });
+            }
+        });
+    }
+    
+    const saveTrashSettingsBtn = document.getElementById('saveTrashSettingsBtn');
+    if (saveTrashSettingsBtn) {
+        saveTrashSettingsBtn.addEventListener('click', async () => {
+            if (!requirePermission(PERMISSIONS.EDIT_SETTINGS)) return;
+            const input = document.getElementById('trashRetentionDaysInput');
+            const days = parseInt(input?.value, 10);
+            if (isNaN(days) || days < 1) {
+                showToast('Trash retention must be at least 1 day.', 'error');
+                return;
+            }
+            
+            try {
+                await saveAppSettings({ trashRetentionDays: days });
+                showToast('Trash settings saved.', 'success');
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'saveTrashSettings' });
+            }
+        });
+    }
+    
+    const saveTrackedScopeBtn = document.getElementById('saveTrackedScopeBtn');
+    if (saveTrackedScopeBtn) {
+        saveTrackedScopeBtn.addEventListener('click', async () => {
+            if (!requirePermission(PERMISSIONS.EDIT_SETTINGS)) return;
+            const trackedOrgs = parseScopeList(document.getElementById('trackedOrgsInput')?.value);
+            const trackedRepos = parseScopeList(document.getElementById('trackedReposInput')?.value);
+            
+            const invalidOrgs = trackedOrgs.filter(org => !isValidGitHubUsername(org));
+            const invalidRepos = trackedRepos.filter(repo => !isValidGitHubRepo(repo));
+            if (invalidOrgs.length > 0 || invalidRepos.length > 0) {
+                showToast(`Invalid entries: ${[...invalidOrgs, ...invalidRepos].join(', ')}`, 'error', 5000);
+                return;
+            }
+            
+            saveTrackedScopeBtn.disabled = true;
+            try {
+                // GitHub rejects a whole scoped search if any org or repo in it is missing or private
+                const missing = await findMissingScopeEntries(trackedOrgs, trackedRepos);
+                if (missing.length > 0) {
+                    showToast(`Not found on GitHub (or not visible to the token): ${missing.join(', ')}`, 'error', 6000);
+                    return;
+                }
+                await saveAppSettings({ trackedOrgs, trackedRepos });
+                showToast('Tracked scope saved. Run a full refresh to recount contributions.', 'success', 5000);
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'saveTrackedScope' }, { showToast: false });
+                showToast('Could not check the scope on GitHub. Try again later.', 'error');
+            } finally {
+                saveTrackedScopeBtn.disabled = false;
+            }
+        });
+    }
+    
+    const saveMemberGroupsBtn = document.getElementById('saveMemberGroupsBtn');
+    if (saveMemberGroupsBtn) {
+        saveMemberGroupsBtn.addEventListener('click', async () => {
+            if (!requirePermission(PERMISSIONS.EDIT_SETTINGS)) return;
+            const memberCohorts = parseGroupList(document.getElementById('memberCohortsInput')?.value);
+            const memberTags = parseGroupList(document.getElementById('memberTagsInput')?.value, true);
+            
+            try {
+                await saveAppSettings({ memberCohorts, memberTags });
+                showToast('Cohorts and tags saved.', 'success');
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'saveMemberGroups' });
+            }
+        });
+    }
+    
+    const saveScoringWeightsBtn = document.getElementById('saveScoringWeightsBtn');
+    if (saveScoringWeightsBtn) {
+        saveScoringWeightsBtn.addEventListener('click', async () => {
+            if (!requirePermission(PERMISSIONS.EDIT_SETTINGS)) return;
+            const scoringWeights = readScoringWeights();
+            if (!scoringWeights) {
+                showToast('Scoring weights must be 0 or more.', 'error');
+                return;
+            }
+            
+            saveScoringWeightsBtn.disabled = true;
+            try {
+                await saveAppSettings({ scoringWeights });
+                // Scores come from stored activity, so recalculating costs no API calls
+                await saveLeaderboard(getMembers());
+                showToast('Scoring weights saved and leaderboard recalculated.', 'success');
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'saveScoringWeights' });
+            } finally {
+                saveScoringWeightsBtn.disabled = false;
+            }
+        });
+    }
+    
+    const resetScoringWeightsBtn = document.getElementById('resetScoringWeightsBtn');
+    if (resetScoringWeightsBtn) {
+        resetScoringWeightsBtn.addEventListener('click', () => {
+            renderScoringWeights(DEFAULT_SCORING_WEIGHTS);
+            showToast('Default weights restored. Save to apply them.', 'info');
+        });
+    }
+    
+    const inviteAdminBtn = document.getElementById('inviteAdminBtn');
+    if (inviteAdminBtn) {
+        inviteAdminBtn.addEventListener('click', async () => {
+            if (!requirePermission(PERMISSIONS.MANAGE_ADMINS)) return;
+            
+            const emailInput = document.getElementById('inviteAdminEmail');
+            const email = (emailInput?.value || '').trim();
+            const role = document.getElementById('inviteAdminRole')?.value;
+            if (!isValidEmail(email)) {
+                showToast('Enter a valid email address.', 'error');
+                return;
+            }
+            
+            inviteAdminBtn.disabled = true;
+            try {
+                await inviteAdmin(email, role, getCurrentUser()?.email);
+                if (emailInput) emailInput.value = '';
+                showToast(`${email} can now sign in as ${ROLE_LABELS[role]}.`, 'success', 5000);
+                await renderAdminList();
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'inviteAdmin' }, { showToast: false });
+                showToast(error.message || 'Could not invite admin.', 'error');
+            } finally {
+                inviteAdminBtn.disabled = false;
+            }
+        });
+    }
+    
+    const adminList = document.getElementById('adminList');
+    if (adminList) {
+        adminList.addEventListener('change', async (e) => {
+            const email = e.target.dataset?.adminRole;
+            if (!email || !requirePermission(PERMISSIONS.MANAGE_ADMINS)) return;
+            
+            try {
+                await updateAdminRole(email, e.target.value);
+                showToast(`${email} is now ${ROLE_LABELS[e.target.value]}.`, 'success');
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'updateAdminRole' }, { showToast: false });
+                showToast(error.message || 'Could not change role.', 'error');
+            }
+            await renderAdminList();
+        });
+        
+        adminList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-remove-admin]');
+            if (!button || !requirePermission(PERMISSIONS.MANAGE_ADMINS)) return;
+            
+            const email = button.dataset.removeAdmin;
+            if (!confirm(`Remove dashboard access for ${email}?`)) return;
+            
+            try {
+                await removeAdmin(email);
+                showToast(`Removed access for ${email}.`, 'success');
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'removeAdmin' }, { showToast: false });
+                showToast(error.message || 'Could not remove admin.', 'error');
+            }
+            await renderAdminList();
+        });
+    }
+    
+    const checkGitHubTokensBtn = document.getElementById('checkGitHubTokensBtn');
+    if (checkGitHubTokensBtn) {
+        checkGitHubTokensBtn.addEventListener('click', async () => {
+            checkGitHubTokensBtn.disabled = true;
+            try {
+                await fetchGitHubRateLimit();
+                renderTokenHealth();
+            } catch (error) {
+                handleError(error, { module: 'settings', action: 'checkGitHubTokens' });
+            } finally {
+                checkGitHubTokensBtn.disabled = false;
+            }
+        });
+    }
+    
+    const forceFullRefreshBtn = document.getElementById('forceFullRefreshBtn');
+    if (forceFullRefreshBtn) {
+        forceFullRefreshBtn.addEventListener('click', () => {
+            if (confirm('Refresh GitHub data for every member, ignoring the staleness window?')) {
+                startBackgroundGitHubRefresh({ days: 365, force: true });
+            }
+        });
+    }
+}
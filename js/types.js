@@ -16,9 +16,16 @@
  * @property {boolean} githubConnected - Whether GitHub is connected
  * @property {string} githubUsername - GitHub username
  * @property {GitHubActivity} [githubActivity] - GitHub activity data
- * @property {string} status - Member status (active/inactive)
+ * @property {string} status - Member status (active/inactive); missing counts as active
+ * @property {string|null} [deactivatedAt] - When the member was deactivated (ISO string)
  * @property {string} [role] - Member role
  * @property {string} [joinedAt] - Join date (ISO string)
+ * @property {string|null} [cohort] - Cohort (intake batch), one of Settings/app memberCohorts
+ * @property {Array<string>} [tags] - Lower-case tags from Settings/app memberTags
+ * @property {string|null} [createdBy] - Admin email, for members added from the dashboard
+ * @property {string} [importedFrom] - Spreadsheet file name, for imported members
+ * @property {Array<string>} [mergedFrom] - IDs of member records merged into this one
+ * @property {Array<string>} [notDuplicateOf] - Members an admin marked as a different person
  * @property {string} lastUpdated - Last update timestamp (ISO string)
  */
 
@@ -38,10 +45,61 @@
  * @property {number} totalForks - Total forks across repositories
  * @property {Object<string, number>} [languages] - Language breakdown (language -> bytes)
  * @property {Array<Object>} [recentPRs] - Recent pull requests
- * @property {Object} [contributionCalendar] - Contribution calendar data
+ * @property {ContributionCalendar} [contributionCalendar] - Contribution calendar data
+ * @property {ScopedContributions|null} [scoped] - Contributions inside tracked orgs/repos
+ * @property {number|null} [reviews] - Pull requests by others the user reviewed
+ * @property {number|null} [reviewComments] - Comments on the user's 100 most recent reviews (last year)
+ * @property {number|null} [issuesOpened] - Issues the user opened
+ * @property {number|null} [issuesClosed] - Issues the user closed in the last 90 days (public events)
+ * @property {number|null} [issueComments] - Comments on issues and pull requests
+ * @property {number|null} [discussions] - Discussions the user started
+ * @property {number|null} [discussionComments] - Comments in discussions
+ * @property {ActivityWindows|null} [windows] - Counts inside rolling 7/30/90/365 day windows
  * @property {string} lastUpdated - Last update timestamp (ISO string)
  */
 
+/**
+ * @typedef {Object} ScopedContributions
+ * Counts restricted to the tracked organizations and repositories (Settings/app)
+ * @property {number} commits - Commits in tracked scope
+ * @property {number} pullRequests - Pull requests in tracked scope
+ * @property {number} mergedPRs - Merged PRs in tracked scope
+ * @property {number} openPRs - Open PRs in tracked scope
+ * @property {number} closedPRs - Closed (unmerged) PRs in tracked scope
+ * @property {number} issues - Issues in tracked scope
+ * @property {Array<string>} orgs - Organizations the counts cover
+ * @property {Array<string>} repos - Repositories (owner/name) the counts cover
+ */
+
+/**
+ * @typedef {Object} ActivityWindow
+ * @property {number} commits - Commit contributions in the window
+ * @property {number} pullRequests - Pull requests opened in the window
+ * @property {number} reviews - Pull request reviews in the window
+ * @property {number} issues - Issues opened in the window
+ */
+
+/**
+ * @typedef {Object} ActivityWindows
+ * Rolling window counts keyed by window length in days ('7', '30', '90', '365')
+ * @property {string} computedAt - When the windows were counted (ISO string)
+ */
+
+/**
+ * @typedef {Object} ContributionDay
+ * @property {string} date - Day (YYYY-MM-DD)
+ * @property {number} count - Contributions on that day
+ * @property {number} level - Heatmap intensity (0-4)
+ */
+
+/**
+ * @typedef {Object} ContributionCalendar
+ * @property {number} totalContributions - Total contributions in range
+ * @property {string} from - Range start (ISO string)
+ * @property {string} to - Range end (ISO string)
+ * @property {Array<ContributionDay>} days - Flattened calendar days
+ */
+
 /**
  * @typedef {Object} DashboardStats
  * @property {number} totalMembers - Total number of members
@@ -69,12 +127,15 @@
  * @typedef {Object} ClubStats
  * @property {number} members - Total members
  * @property {number} membersWithGitHub - Members with GitHub connected
- * @property {number} projects - Total projects (repos)
+ * @property {number} projects - Registered club projects that are not archived
+ * @property {number} memberRepos - Members' personal repositories
  * @property {number} stars - Total stars
  * @property {number} totalCommits - Total commits
  * @property {number} totalForks - Total forks
  * @property {number} totalPullRequests - Total pull requests
- * @property {number} [events] - Number of events
+ * @property {number} [events] - Events held (started, archived included), from the Events collection
+ * @property {number} [upcomingEvents] - Upcoming events that are not archived
+ * @property {number} [eventAttendance] - Attendances recorded across held events
  * @property {string} calculatedAt - Calculation timestamp (ISO string)
  * @property {string} lastUpdated - Last update timestamp (ISO string)
  */
@@ -171,6 +232,88 @@
  * @property {number} totalForks - Total forks (calculated separately)
  */
 
+/**
+ * @typedef {Object} MemberHistorySnapshot
+ * Stored in Members/{id}/activityHistory/{YYYY-MM-DD}
+ * @property {string} date - Snapshot date (YYYY-MM-DD, UTC)
+ * @property {string} capturedAt - Capture timestamp (ISO string)
+ * @property {number} commits - Total commits at capture time
+ * @property {number} pullRequests - Total pull requests at capture time
+ * @property {number} mergedPRs - Merged PRs at capture time
+ * @property {number} issues - Issues at capture time
+ * @property {number} reviews - PRs reviewed at capture time
+ * @property {number} issueComments - Issue comments at capture time
+ * @property {number} discussions - Discussions started at capture time
+ * @property {number} publicRepos - Public repositories at capture time
+ * @property {number} totalStars - Total stars at capture time
+ * @property {number} totalForks - Total forks at capture time
+ * @property {number} followers - Followers at capture time
+ */
+
+/**
+ * @typedef {Object} ClubHistorySnapshot
+ * Stored in ClubStats/history under snapshots.{YYYY-MM-DD}
+ * @property {string} date - Snapshot date (YYYY-MM-DD, UTC)
+ * @property {string} capturedAt - Capture timestamp (ISO string)
+ * @property {number} members - Total members
+ * @property {number} membersWithGitHub - Members with GitHub connected
+ * @property {number} totalCommits - Club commits
+ * @property {number} totalPullRequests - Club pull requests
+ * @property {number} stars - Club stars
+ * @property {number} totalForks - Club forks
+ * @property {number} projects - Registered club projects (member repositories before the registry existed)
+ * @property {number} [memberRepos] - Members' personal repositories
+ * @property {number} scopedCommits - Club commits in tracked orgs/repos
+ * @property {number} scopedPullRequests - Club pull requests in tracked orgs/repos
+ * @property {number} [events] - Events held
+ * @property {number} [eventAttendance] - Attendances recorded across held events
+ */
+
+/**
+ * @typedef {Object} LeaderboardEntry
+ * @property {string|null} memberId - Member document ID
+ * @property {string} name - Member display name
+ * @property {string|null} username - GitHub username
+ * @property {number} score - Weighted contribution score
+ * @property {number} rank - Rank (equal scores share a rank)
+ * @property {string} tier - Tier ID (platinum, gold, silver, bronze)
+ * @property {Array<{id: string, label: string, icon: string}>} badges - Badges earned
+ * @property {Object<string, number>} metrics - Raw metric values used for scoring
+ * @property {Object<string, number>} breakdown - Points contributed by each metric
+ */
+
+/**
+ * @typedef {Object} StoredLeaderboard
+ * Stored in ClubStats/leaderboard
+ * @property {Object<string, number>} weights - Scoring weights used
+ * @property {Array<LeaderboardEntry>} entries - Ranked entries
+ * @property {string} calculatedAt - Calculation timestamp (ISO string)
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * Stored in the append-only AuditLog collection
+ * @property {string} action - Action ID (e.g. form.delete, submission.update)
+ * @property {string|null} actor - Email of the admin who made the change
+ * @property {string} targetPath - Firestore path of the changed document
+ * @property {string} targetType - Top-level collection of the target
+ * @property {string} targetLabel - Human-readable target name
+ * @property {Array<{field: string, before: *, after: *}>} changes - Changed fields (dotted paths)
+ * @property {string} createdAt - Entry timestamp (ISO string)
+ */
+
+/**
+ * @typedef {Object} TrashEntry
+ * Stored in the Trash collection; the target document keeps its place with `deletedAt` set
+ * @property {string} type - 'form' or 'submission'
+ * @property {string} formId - Form ID (the parent form for submissions)
+ * @property {string|null} submissionId - Submission ID (submissions only)
+ * @property {string} label - Name shown in the Trash view
+ * @property {string} deletedAt - Deletion timestamp (ISO string)
+ * @property {string|null} deletedBy - Email of the admin who deleted it
+ * @property {string} purgeAfter - When the entry expires and is purged (ISO string)
+ */
+
 /**
  * @typedef {Object} Form
  * @property {string} id - Form document ID
@@ -181,6 +324,7 @@
  * @property {Array<string>} [tags] - Form tags
  * @property {Object} structure - Form structure/fields
  * @property {number} [submissionCount] - Number of submissions
+ * @property {string} [lastSubmissionId] - ID of the submission that last bumped submissionCount (checked by the Firestore rules)
  * @property {string} createdAt - Creation timestamp (ISO string)
  * @property {string} lastUpdated - Last update timestamp (ISO string)
  */
@@ -189,8 +333,74 @@
  * @typedef {Object} FormSubmission
  * @property {string} id - Submission document ID
  * @property {string} formId - Form ID
- * @property {Object} data - Submission data
+ * @property {Object} data - Submission data (upload fields hold Array<UploadedFile>)
+ * @property {Object<string, Object>} [github] - GitHub metadata for GitHub field answers, keyed by field ID
  * @property {string} submittedAt - Submission timestamp (ISO string)
  * @property {string} [submittedBy] - Submitter identifier
+ * @property {number} [completionTime] - Seconds from opening the form to submitting
  */
 
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} name - Original file name
+ * @property {number} size - Size in bytes
+ * @property {string} contentType - MIME type
+ * @property {string} url - Download URL
+ * @property {string} path - Firebase Storage path (form_uploads/{formId}/{submissionId}/{fieldId}/...)
+ */
+
+/**
+ * @typedef {Object} ClubEvent
+ * Stored in the Events collection
+ * @property {string} id - Event document ID
+ * @property {string} name - Event name
+ * @property {string} [description] - Event description
+ * @property {string} startsAt - Start time (ISO string)
+ * @property {string|null} [endsAt] - End time (ISO string)
+ * @property {string} mode - 'in-person', 'online' or 'hybrid'
+ * @property {string} [venue] - Venue (in-person and hybrid events)
+ * @property {string} [onlineUrl] - Online link (online and hybrid events)
+ * @property {number|null} [capacity] - Maximum attendees, or null for no limit
+ * @property {Array<string>} organizers - Organising member IDs
+ * @property {string|null} [registrationFormId] - Linked registration form ID
+ * @property {Array<string>} attendees - Attending member IDs
+ * @property {string|null} archivedAt - Archive timestamp (ISO string), or null
+ * @property {string} createdAt - Creation timestamp (ISO string)
+ * @property {string|null} createdBy - Email of the admin who created it
+ * @property {string} updatedAt - Last update timestamp (ISO string)
+ */
+
+/**
+ * @typedef {Object} ClubProject
+ * Stored in the Projects collection (ID is the lower-cased owner__name)
+ * @property {string} id - Project document ID
+ * @property {string} name - Project name
+ * @property {string} repo - GitHub repository as owner/name
+ * @property {string} [description] - Project description
+ * @property {string} status - 'active', 'incubating', 'maintenance' or 'archived'
+ * @property {Array<string>} tags - Lower-cased tags
+ * @property {Array<string>} maintainers - Maintaining member IDs
+ * @property {ProjectHealth|null} health - Last fetched health metrics
+ * @property {Object<string, {stars: number, forks: number}>} healthHistory - Stars and forks keyed by date (YYYY-MM-DD), last 180 days
+ * @property {string} createdAt - Creation timestamp (ISO string)
+ * @property {string|null} createdBy - Email of the admin who registered it
+ * @property {string} updatedAt - Last update timestamp (ISO string)
+ */
+
+/**
+ * @typedef {Object} ProjectHealth
+ * @property {number} stars - Stargazers
+ * @property {number} forks - Forks
+ * @property {number} openIssues - Open issues (pull requests excluded)
+ * @property {number} openPullRequests - Open pull requests
+ * @property {number|null} medianMergeHours - Median hours from opening to merge over recent merged pull requests
+ * @property {number} mergedSample - Merged pull requests the median was taken over
+ * @property {{tag: string, name: string, publishedAt: string, url: string}|null} lastRelease - Latest release
+ * @property {number} contributorCount - Contributors (top 100, bots excluded)
+ * @property {Array<{login: string, contributions: number, memberId: string}>} memberContributors - Contributors who are members
+ * @property {boolean} archived - Whether the repository is archived on GitHub
+ * @property {string|null} pushedAt - Last push (ISO string)
+ * @property {boolean} [missing] - Set instead of the metrics when the repository was not found
+ * @property {string} fetchedAt - Fetch timestamp (ISO string)
+ */
@@ -91,9 +91,11 @@ function showToastNotification(message, type = 'info', duration = 4000) {
 }
 
 /**
- * Helper to escape HTML
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
  */
-function escapeHtml(text) {
+export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
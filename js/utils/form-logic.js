@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Form Conditional Logic Engine
+ * Evaluates field rules for the builder preview and the public form
+ *
+ * A field's `conditionalLogic` holds a list of rules. Each rule has an action
+ * and condition groups; conditions inside a group are combined with the group's
+ * `match`, and the groups are combined with the rule's `match`
+ * ('all' = AND, 'any' = OR)
+ * @module form-logic
+ */
+
+/**
+ * Condition operators
+ * `inputs` is how many values the operator compares against
+ * @type {Object<string, {label: string, inputs: number}>}
+ */
+export const CONDITION_OPERATORS = {
+    equals: { label: 'Equals', inputs: 1 },
+    not_equals: { label: 'Not equals', inputs: 1 },
+    contains: { label: 'Contains', inputs: 1 },
+    not_contains: { label: 'Does not contain', inputs: 1 },
+    greater_than: { label: 'Greater than / after', inputs: 1 },
+    less_than: { label: 'Less than / before', inputs: 1 },
+    between: { label: 'Between', inputs: 2 },
+    is_empty: { label: 'Is empty', inputs: 0 },
+    is_not_empty: { label: 'Is not empty', inputs: 0 }
+};
+
+/**
+ * Rule actions
+ * `needsValue` marks actions that use the rule's `value` (set value, target page)
+ * @type {Object<string, {label: string, needsValue: boolean}>}
+ */
+export const LOGIC_ACTIONS = {
+    show: { label: 'Show this field', needsValue: false },
+    hide: { label: 'Hide this field', needsValue: false },
+    require: { label: 'Make this field required', needsValue: false },
+    set_value: { label: 'Set this field to', needsValue: true },
+    skip_to_page: { label: 'Skip to page', needsValue: true }
+};
+
+/**
+ * Create an empty condition
+ * @param {string} [fieldId] - Field the condition reads
+ * @returns {Object} - Condition
+ */
+export function createCondition(fieldId = '') {
+    return { fieldId, operator: 'equals', value: '', value2: '' };
+}
+
+/**
+ * Create a rule with one empty group
+ * @param {string} [fieldId] - Field the first condition reads
+ * @returns {Object} - Rule
+ */
+export function createRule(fieldId = '') {
+    return {
+        action: 'show',
+        value: '',
+        match: 'all',
+        groups: [{ match: 'all', conditions: [createCondition(fieldId)] }]
+    };
+}
+
+/**
+ * Bring a field's conditional logic into the rules format
+ * Older forms stored a flat `conditions` list with an action on each condition;
+ * each of those becomes its own single-condition rule
+ * @param {Object} [logic] - Stored conditionalLogic
+ * @returns {{enabled: boolean, rules: Array<Object>}} - Normalized logic
+ */
+export function normalizeConditionalLogic(logic) {
+    if (!logic) return { enabled: false, rules: [] };
+    if (Array.isArray(logic.rules)) {
+        return { enabled: !!logic.enabled, rules: logic.rules };
+    }
+
+    const rules = (logic.conditions || []).map(condition => ({
+        action: condition.action || 'show',
+        value: '',
+        match: 'all',
+        groups: [{
+            match: 'all',
+            conditions: [{ ...createCondition(condition.fieldId), operator: condition.operator || 'equals', value: condition.value ?? '' }]
+        }]
+    }));
+    return { enabled: !!logic.enabled, rules };
+}
+
+/**
+ * Check whether an answer is empty
+ * @param {*} value - Answer
+ * @returns {boolean} - True for null, blank strings and empty arrays
+ */
+export function isEmptyValue(value) {
+    if (value === null || value === undefined) return true;
+    if (Array.isArray(value)) return value.length === 0;
+    return String(value).trim() === '';
+}
+
+/**
+ * Turn a value into a number for ordering comparisons
+ * Numbers compare as numbers; YYYY-MM-DD (and longer ISO) strings compare as dates
+ * @param {*} value - Value
+ * @returns {number|null} - Comparable number, or null if the value is neither
+ */
+function toComparable(value) {
+    if (isEmptyValue(value) || Array.isArray(value)) return null;
+    const text = String(value).trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        const time = new Date(text).getTime();
+        return isNaN(time) ? null : time;
+    }
+    return null;
+}
+
+/**
+ * Evaluate one condition
+ * @param {Object} condition - Condition ({fieldId, operator, value, value2})
+ * @param {Object<string, *>} values - Answers keyed by field ID
+ * @returns {boolean} - True if the condition holds
+ */
+export function evaluateCondition(condition, values) {
+    const answer = values[condition.fieldId];
+    const expected = String(condition.value ?? '').trim().toLowerCase();
+    const answers = (Array.isArray(answer) ? answer : [answer])
+        .filter(v => !isEmptyValue(v))
+        .map(v => String(v).trim().toLowerCase());
+
+    switch (condition.operator) {
+        case 'equals':
+            return answers.includes(expected) || (answers.length === 0 && expected === '');
+        case 'not_equals':
+            return !answers.includes(expected) && !(answers.length === 0 && expected === '');
+        case 'contains':
+            return answers.some(v => v.includes(expected));
+        case 'not_contains':
+            return !answers.some(v => v.includes(expected));
+        case 'greater_than':
+        case 'less_than':
+        case 'between': {
+            const actual = toComparable(answer);
+            const low = toComparable(condition.value);
+            if (actual === null || low === null) return false;
+            if (condition.operator === 'greater_than') return actual > low;
+            if (condition.operator === 'less_than') return actual < low;
+            const high = toComparable(condition.value2);
+            return high !== null && actual >= Math.min(low, high) && actual <= Math.max(low, high);
+        }
+        case 'is_empty':
+            return isEmptyValue(answer);
+        case 'is_not_empty':
+            return !isEmptyValue(answer);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Combine results with 'all' (AND) or 'any' (OR)
+ * @param {Array<*>} items - Items to test
+ * @param {string} match - 'all' or 'any'
+ * @param {Function} test - Test for one item
+ * @returns {boolean} - Combined result (false for an empty list)
+ */
+function matches(items, match, test) {
+    if (!items || items.length === 0) return false;
+    return match === 'any' ? items.some(test) : items.every(test);
+}
+
+/**
+ * Evaluate a rule's condition groups
+ * @param {Object} rule - Rule
+ * @param {Object<string, *>} values - Answers keyed by field ID
+ * @returns {boolean} - True if the rule applies
+ */
+export function evaluateRule(rule, values) {
+    return matches(rule.groups, rule.match, group =>
+        matches(group.conditions, group.match, condition => evaluateCondition(condition, values))
+    );
+}
+
+/**
+ * Evaluate every field's rules against the current answers
+ * Hidden fields count as empty for other rules, and set values feed back in,
+ * so evaluation repeats until nothing changes (bounded by the field count)
+ * @param {Array<Object>} fields - Form fields
+ * @param {Object<string, *>} values - Answers keyed by field ID
+ * @returns {{values: Object<string, *>, hidden: Set<string>, required: Set<string>, setValues: Object<string, *>, skipTo: Object<string, string>}}
+ *   Effective answers, hidden and rule-required field IDs, values set by rules,
+ *   and skip targets (page break ID) keyed by the field whose rule matched
+ */
+export function evaluateFormLogic(fields, values) {
+    const ruled = fields
+        .map(field => ({ field, logic: normalizeConditionalLogic(field.conditionalLogic) }))
+        .filter(({ logic }) => logic.enabled && logic.rules.length > 0);
+
+    let state = null;
+    let previousKey = null;
+
+    for (let pass = 0; pass <= ruled.length; pass++) {
+        const effective = { ...values, ...(state?.setValues || {}) };
+        state?.hidden.forEach(fieldId => {
+            delete effective[fieldId];
+        });
+
+        const next = { values: effective, hidden: new Set(), required: new Set(), setValues: {}, skipTo: {} };
+        ruled.forEach(({ field, logic }) => {
+            const showRules = logic.rules.filter(rule => rule.action === 'show');
+            if (showRules.length > 0 && !showRules.some(rule => evaluateRule(rule, effective))) {
+                next.hidden.add(field.id);
+            }
+
+            logic.rules.forEach(rule => {
+                if (rule.action === 'show' || !evaluateRule(rule, effective)) return;
+                if (rule.action === 'hide') next.hidden.add(field.id);
+                if (rule.action === 'require') next.required.add(field.id);
+                if (rule.action === 'set_value') next.setValues[field.id] = rule.value ?? '';
+                if (rule.action === 'skip_to_page' && rule.value && !(field.id in next.skipTo)) {
+                    next.skipTo[field.id] = rule.value;
+                }
+            });
+        });
+
+        const key = JSON.stringify([[...next.hidden].sort(), next.setValues]);
+        state = next;
+        if (key === previousKey) break;
+        previousKey = key;
+    }
+
+    return state || { values: { ...values }, hidden: new Set(), required: new Set(), setValues: {}, skipTo: {} };
+}
+
+/**
+ * Check rules for problems that would make them misbehave
+ * @param {Array<Object>} fields - Form fields
+ * @returns {Array<{fieldId: string, message: string}>} - Issues, in field order
+ */
+export function validateFormLogic(fields) {
+    const fieldIds = new Set(fields.map(f => f.id));
+    const pageBreakIds = new Set(fields.filter(f => f.type === 'pagebreak').map(f => f.id));
+    const issues = [];
+
+    fields.forEach(field => {
+        const logic = normalizeConditionalLogic(field.conditionalLogic);
+        if (!logic.enabled) return;
+        const label = field.label || field.pageTitle || 'Untitled Field';
+
+        logic.rules.forEach((rule, ruleIndex) => {
+            const where = `"${label}" rule ${ruleIndex + 1}`;
+            if (!LOGIC_ACTIONS[rule.action]) {
+                issues.push({ fieldId: field.id, message: `${where} has an unknown action` });
+            }
+            if (rule.action === 'skip_to_page' && !pageBreakIds.has(rule.value)) {
+                issues.push({ fieldId: field.id, message: `${where} skips to a page that no longer exists` });
+            }
+            if (!rule.groups?.some(group => group.conditions?.length > 0)) {
+                issues.push({ fieldId: field.id, message: `${where} has no conditions` });
+            }
+
+            (rule.groups || []).forEach(group => (group.conditions || []).forEach(condition => {
+                if (!condition.fieldId || !fieldIds.has(condition.fieldId)) {
+                    issues.push({ fieldId: field.id, message: `${where} refers to a deleted field` });
+                } else if (condition.fieldId === field.id) {
+                    issues.push({ fieldId: field.id, message: `${where} depends on its own field` });
+                }
+                const operator = CONDITION_OPERATORS[condition.operator];
+                if (!operator) {
+                    issues.push({ fieldId: field.id, message: `${where} has an unknown operator` });
+                } else if (condition.operator === 'between' && (isEmptyValue(condition.value) || isEmptyValue(condition.value2))) {
+                    issues.push({ fieldId: field.id, message: `${where} needs both values for "between"` });
+                }
+            }));
+        });
+    });
+
+    return issues;
+}
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Contribution Heatmap Utility
+ * Renders GitHub-style contribution calendars from flattened day arrays
+ * @module heatmap
+ */
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Parse a YYYY-MM-DD date string as a UTC date
+ * Avoids local timezone shifting the day of week
+ * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @returns {Date} - Date object
+ */
+function parseDay(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`);
+}
+
+/**
+ * Group calendar days into week columns (Sunday first)
+ * Each day goes in the row of its UTC weekday. Dates missing between the first
+ * and last day are filled in with zero counts so later days stay in their row
+ * @param {Array<Object>} days - Array of {date, count, level} sorted by date
+ * @returns {Array<Array<Object|null>>} - Weeks of 7 slots, null for padding
+ */
+function groupIntoWeeks(days) {
+    const byDate = new Map(days.map(day => [day.date, day]));
+    const first = parseDay(days[0].date);
+    const last = parseDay(days[days.length - 1].date);
+
+    const weeks = [];
+    let currentWeek = new Array(first.getUTCDay()).fill(null);
+    for (const date = first; date <= last; date.setUTCDate(date.getUTCDate() + 1)) {
+        const dateStr = date.toISOString().slice(0, 10);
+        currentWeek.push(byDate.get(dateStr) || { date: dateStr, count: 0, level: 0 });
+        if (currentWeek.length === 7) {
+            weeks.push(currentWeek);
+            currentWeek = [];
+        }
+    }
+
+    if (currentWeek.length > 0) {
+        while (currentWeek.length < 7) currentWeek.push(null);
+        weeks.push(currentWeek);
+    }
+
+    return weeks;
+}
+
+/**
+ * Render contribution heatmap HTML
+ * @param {Array<Object>} days - Array of {date, count, level} objects
+ * @param {Object} options - Render options
+ * @param {string} options.unit - Label for counts in tooltips (default: 'contributions')
+ * @returns {string} - Heatmap HTML
+ */
+export function renderContributionHeatmap(days, options = {}) {
+    const { unit = 'contributions' } = options;
+
+    if (!Array.isArray(days) || days.length === 0) {
+        return '<p style="text-align: center; color: #64748b; padding: 1rem;">No contribution data available</p>';
+    }
+
+    const sortedDays = [...days].sort((a, b) => a.date.localeCompare(b.date));
+    const weeks = groupIntoWeeks(sortedDays);
+
+    // Month label goes above the first week that starts in a new month
+    let lastMonth = -1;
+    const monthLabels = weeks.map(week => {
+        const firstDay = week.find(day => day !== null);
+        const month = firstDay ? parseDay(firstDay.date).getUTCMonth() : lastMonth;
+        if (month !== lastMonth) {
+            lastMonth = month;
+            return `<span class="heatmap-month">${MONTH_LABELS[month]}</span>`;
+        }
+        return '<span class="heatmap-month"></span>';
+    }).join('');
+
+    const columns = weeks.map(week => `
+        <div class="heatmap-week">
+            ${week.map(day => day
+                ? `<div class="heatmap-day heatmap-level-${Math.max(0, Math.min(4, day.level || 0))}" title="${day.count} ${unit} on ${day.date}"></div>`
+                : '<div class="heatmap-day heatmap-empty"></div>'
+            ).join('')}
+        </div>
+    `).join('');
+
+    return `
+        <div class="heatmap-container">
+            <div class="heatmap-months">${monthLabels}</div>
+            <div class="heatmap-grid">${columns}</div>
+            <div class="heatmap-legend">
+                <span>Less</span>
+                ${[0, 1, 2, 3, 4].map(level => `<div class="heatmap-day heatmap-level-${level}"></div>`).join('')}
+                <span>More</span>
+            </div>
+        </div>
+    `;
+}
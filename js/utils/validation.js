@@ -3,6 +3,7 @@
  * Provides validation functions for user inputs, API responses, and Firestore documents
  * @module validation
  */
+import { evaluateFormLogic, normalizeConditionalLogic, isEmptyValue } from './form-logic.js';
 
 /**
  * Validate email address
@@ -27,6 +28,36 @@ export function isValidGitHubUsername(username) {
     return githubRegex.test(username.trim());
 }
 
+/**
+ * Validate GitHub repository full name (owner/name)
+ * @param {string} fullName - Repository full name to validate
+ * @returns {boolean} - True if valid repository full name
+ */
+export function isValidGitHubRepo(fullName) {
+    if (!fullName || typeof fullName !== 'string') return false;
+    const [owner, name, ...rest] = fullName.trim().split('/');
+    if (rest.length > 0 || !name) return false;
+    // Repository names: alphanumeric, hyphens, underscores and dots, up to 100 chars
+    return isValidGitHubUsername(owner) && /^[a-zA-Z0-9._-]{1,100}$/.test(name);
+}
+
+/**
+ * Parse a GitHub pull request or issue URL
+ * @param {string} url - URL such as https://github.com/owner/repo/pull/12
+ * @returns {{owner: string, repo: string, number: number, kind: string}|null} - Parts ('pull' or 'issue' kind), or null if not a PR/issue URL
+ */
+export function parseGitHubIssueUrl(url) {
+    if (!url || typeof url !== 'string') return null;
+    const match = url.trim().match(/^https?:\/\/(?:www\.)?github\.com\/([^/\s]+)\/([^/\s]+)\/(pull|issues)\/(\d+)(?:[/?#]\S*)?$/i);
+    if (!match || !isValidGitHubRepo(`${match[1]}/${match[2]}`)) return null;
+    return {
+        owner: match[1],
+        repo: match[2],
+        number: parseInt(match[4], 10),
+        kind: match[3].toLowerCase() === 'pull' ? 'pull' : 'issue'
+    };
+}
+
 /**
  * Validate phone number (basic validation)
  * @param {string} phone - Phone number to validate
@@ -177,6 +208,105 @@ export function validateForm(form) {
     };
 }
 
+/**
+ * Validate event details
+ * @param {Object} event - Event fields to validate
+ * @returns {{valid: boolean, errors: Array<string>}} - Validation result
+ */
+export function validateEvent(event) {
+    const errors = [];
+
+    if (!event || typeof event !== 'object') {
+        return { valid: false, errors: ['Event must be an object'] };
+    }
+
+    if (!event.name || typeof event.name !== 'string' || event.name.trim().length === 0) {
+        errors.push('Event must have a name');
+    } else if (event.name.length > 120) {
+        errors.push('Event name must be 120 characters or less');
+    }
+
+    const startsAt = new Date(event.startsAt);
+    if (!event.startsAt || isNaN(startsAt.getTime())) {
+        errors.push('Event must have a start date and time');
+    }
+    if (event.endsAt) {
+        const endsAt = new Date(event.endsAt);
+        if (isNaN(endsAt.getTime())) {
+            errors.push('Event end date is not valid');
+        } else if (endsAt < startsAt) {
+            errors.push('Event cannot end before it starts');
+        }
+    }
+
+    if (!['in-person', 'online', 'hybrid'].includes(event.mode)) {
+        errors.push('Event mode must be in-person, online, or hybrid');
+    }
+    if (event.mode !== 'online' && !event.venue) {
+        errors.push('In-person and hybrid events need a venue');
+    }
+    if (event.mode !== 'in-person' && !event.onlineUrl) {
+        errors.push('Online and hybrid events need an online link');
+    }
+    if (event.onlineUrl && !isValidUrl(event.onlineUrl)) {
+        errors.push('Online link must be a valid URL');
+    }
+
+    if (event.capacity !== null && event.capacity !== undefined
+        && (!Number.isInteger(event.capacity) || event.capacity < 1)) {
+        errors.push('Capacity must be a whole number of at least 1');
+    }
+
+    if (!Array.isArray(event.organizers)) {
+        errors.push('Organisers must be a list of members');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate project registry details
+ * @param {Object} project - Project fields to validate
+ * @returns {{valid: boolean, errors: Array<string>}} - Validation result
+ */
+export function validateProject(project) {
+    const errors = [];
+
+    if (!project || typeof project !== 'object') {
+        return { valid: false, errors: ['Project must be an object'] };
+    }
+
+    if (!project.name || typeof project.name !== 'string' || project.name.trim().length === 0) {
+        errors.push('Project must have a name');
+    } else if (project.name.length > 100) {
+        errors.push('Project name must be 100 characters or less');
+    }
+
+    if (!isValidGitHubRepo(project.repo)) {
+        errors.push('Repository must be a GitHub repository as owner/name');
+    }
+
+    if (!['active', 'incubating', 'maintenance', 'archived'].includes(project.status)) {
+        errors.push('Project status must be active, incubating, maintenance, or archived');
+    }
+
+    if (!Array.isArray(project.tags) || project.tags.some(tag => typeof tag !== 'string' || tag.length > 30)) {
+        errors.push('Tags must be text of 30 characters or less');
+    }
+
+    if (!Array.isArray(project.maintainers)) {
+        errors.push('Maintainers must be a list of members');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
 /**
  * Sanitize string input (prevent XSS)
  * @param {string} input - String to sanitize
@@ -260,3 +390,222 @@ export function validateRequiredFields(obj, requiredFields) {
     };
 }
 
+
+/**
+ * Field types that only lay out the form and never hold an answer
+ * @type {Array<string>}
+ */
+const LAYOUT_FIELD_TYPES = ['pagebreak', 'section'];
+
+/**
+ * Check whether a value is set on a numeric field setting
+ * @param {*} value - Setting value
+ * @returns {boolean} - True if the setting should be enforced
+ */
+function hasLimit(value) {
+    return value !== null && value !== undefined && value !== '' && !isNaN(value);
+}
+
+/**
+ * Check whether a MIME type is allowed
+ * @param {string} contentType - File MIME type
+ * @param {Array<string>} [acceptedTypes] - Allowed types; entries like 'image/*' match a whole family. Empty allows anything
+ * @returns {boolean} - True if allowed
+ */
+export function isAcceptedFileType(contentType, acceptedTypes) {
+    if (!acceptedTypes || acceptedTypes.length === 0) return true;
+    const type = String(contentType || '').toLowerCase();
+    return acceptedTypes.some(accepted => {
+        const pattern = accepted.trim().toLowerCase();
+        return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+    });
+}
+
+/**
+ * Check one answer against its field definition
+ * Covers `required`, `charLimit`, the `validation` block (min/max, minLength/
+ * maxLength, pattern) and the type-specific settings (email domain, options,
+ * date and time bounds, star count, upload type/size/count, GitHub formats). `customValidationMessage` replaces the
+ * default message when set
+ * @param {Object} field - Field definition
+ * @param {*} value - Answer as stored in a submission
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.required] - Treat the field as required (e.g. made required by a rule)
+ * @returns {string} - Error message ('' when valid)
+ */
+export function validateFieldValue(field, value, options = {}) {
+    const fail = fallback => field.customValidationMessage || fallback;
+    const required = options.required ?? field.required;
+    const values = Array.isArray(value) ? value.filter(v => !isEmptyValue(v)) : [];
+
+    if (isEmptyValue(value) || (Array.isArray(value) && values.length === 0)) {
+        return required ? fail('This field is required.') : '';
+    }
+
+    const rules = field.validation || {};
+    const text = Array.isArray(value) ? '' : String(value).trim();
+
+    switch (field.type) {
+        case 'email':
+            if (!isValidEmail(text)) return fail('Enter a valid email address.');
+            if (field.domainRestriction && !text.toLowerCase().endsWith(field.domainRestriction.trim().toLowerCase())) {
+                return fail(`Use an address ending in ${field.domainRestriction.trim()}.`);
+            }
+            break;
+        case 'text':
+            if (field.inputType === 'email' && !isValidEmail(text)) return fail('Enter a valid email address.');
+            if (field.inputType === 'url' && !isValidUrl(text)) return fail('Enter a valid URL.');
+            if (field.inputType === 'tel' && !isValidPhone(text)) return fail('Enter a valid phone number.');
+            break;
+        case 'number':
+        case 'scale':
+        case 'rating': {
+            const num = Number(value);
+            if (Array.isArray(value) || text === '' || isNaN(num)) return fail('Enter a number.');
+            if (field.type === 'rating') {
+                const starCount = field.starCount || 5;
+                if (!Number.isInteger(num) || num < 1 || num > starCount) return fail(`Choose a rating from 1 to ${starCount}.`);
+                break;
+            }
+            if (field.type === 'number' && field.allowDecimals === false && !Number.isInteger(num)) return fail('Enter a whole number.');
+            const min = field.type === 'scale' ? (rules.min ?? 1) : rules.min;
+            const max = field.type === 'scale' ? (rules.max ?? 10) : rules.max;
+            if (hasLimit(min) && num < Number(min)) return fail(`Enter ${min} or more.`);
+            if (hasLimit(max) && num > Number(max)) return fail(`Enter ${max} or less.`);
+            break;
+        }
+        case 'dropdown':
+        case 'radio':
+            if (Array.isArray(value)) return fail('Choose one option.');
+            if (!field.allowOther && field.options?.length > 0 && !field.options.includes(text)) {
+                return fail('Choose one of the listed options.');
+            }
+            break;
+        case 'checkbox':
+        case 'multiselect': {
+            const selected = Array.isArray(value) ? values : [value];
+            if (!field.allowOther && field.options?.length > 0 && selected.some(v => !field.options.includes(String(v)))) {
+                return fail('Choose from the listed options.');
+            }
+            if (field.maxSelections && selected.length > field.maxSelections) {
+                return fail(`Select up to ${field.maxSelections} options.`);
+            }
+            break;
+        }
+        case 'date': {
+            const dates = field.rangeMode ? (Array.isArray(value) ? value : []) : [value];
+            if (field.rangeMode && (dates.length !== 2 || dates.some(isEmptyValue))) return fail('Choose both a start and an end date.');
+            if (dates.some(d => !validateDate(d))) return fail('Enter a valid date.');
+            if (field.rangeMode && String(dates[0]) > String(dates[1])) return fail('Choose a start date on or before the end date.');
+            if (field.minDate && dates.some(d => String(d) < field.minDate)) return fail(`Choose a date on or after ${field.minDate}.`);
+            if (field.maxDate && dates.some(d => String(d) > field.maxDate)) return fail(`Choose a date on or before ${field.maxDate}.`);
+            break;
+        }
+        case 'file': {
+            const files = Array.isArray(value) ? values : [value];
+            if (files.some(file => !file || typeof file !== 'object' || !file.name)) return fail('Upload a file.');
+            const maxFiles = field.maxFiles || 1;
+            const maxBytes = (field.maxFileSize || 5) * 1024 * 1024;
+            if (files.length > maxFiles) return fail(`Upload up to ${maxFiles} file${maxFiles === 1 ? '' : 's'}.`);
+            const tooLarge = files.find(file => Number(file.size) > maxBytes);
+            if (tooLarge) return fail(`"${tooLarge.name}" is larger than ${field.maxFileSize || 5} MB.`);
+            const wrongType = files.find(file => !isAcceptedFileType(file.contentType, field.acceptedTypes));
+            if (wrongType) return fail(`"${wrongType.name}" is not an allowed file type.`);
+            break;
+        }
+        case 'github_username':
+            if (!isValidGitHubUsername(text)) return fail('Enter a valid GitHub username.');
+            break;
+        case 'github_repo':
+            if (!isValidGitHubRepo(text)) return fail('Enter a repository as owner/name.');
+            if (field.repoOwner && text.split('/')[0].toLowerCase() !== field.repoOwner.trim().toLowerCase()) {
+                return fail(`Choose a repository owned by ${field.repoOwner.trim()}.`);
+            }
+            break;
+        case 'github_link': {
+            const link = parseGitHubIssueUrl(text);
+            if (!link) return fail('Enter a GitHub pull request or issue URL.');
+            if (field.linkKind === 'pull' && link.kind !== 'pull') return fail('Enter a pull request URL.');
+            if (field.linkKind === 'issue' && link.kind !== 'issue') return fail('Enter an issue URL.');
+            break;
+        }
+        case 'time':
+            if (!/^\d{2}:\d{2}(:\d{2})?$/.test(text)) return fail('Enter a valid time.');
+            if (field.minTime && text < field.minTime) return fail(`Choose a time at or after ${field.minTime}.`);
+            if (field.maxTime && text > field.maxTime) return fail(`Choose a time at or before ${field.maxTime}.`);
+            break;
+    }
+
+    if (['text', 'email', 'textarea'].includes(field.type)) {
+        if (field.charLimit && text.length > field.charLimit) return fail(`Use at most ${field.charLimit} characters.`);
+        if (hasLimit(rules.minLength) && text.length < Number(rules.minLength)) return fail(`Use at least ${rules.minLength} characters.`);
+        if (hasLimit(rules.maxLength) && text.length > Number(rules.maxLength)) return fail(`Use at most ${rules.maxLength} characters.`);
+        if (rules.pattern) {
+            try {
+                if (!new RegExp(`^(?:${rules.pattern})$`).test(text)) return fail('Enter a value in the expected format.');
+            } catch {
+                // An invalid pattern in the form definition is the builder's problem, not the respondent's
+            }
+        }
+    }
+
+    return '';
+}
+
+/**
+ * Find fields a respondent may never reach
+ * When the form has skip-to-page rules or page breaks with Conditional Skip,
+ * everything after the first page break can be passed over, so those fields
+ * only have to be answered if the submission contains them
+ * @param {Array<Object>} fields - Form fields
+ * @returns {Set<string>} - IDs of fields that can be skipped
+ */
+function getSkippableFieldIds(fields) {
+    const sorted = [...fields].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    const canSkip = sorted.some(field => (field.type === 'pagebreak' && field.conditionalSkip)
+        || normalizeConditionalLogic(field.conditionalLogic).rules.some(rule => rule.action === 'skip_to_page'));
+    const skippable = new Set();
+    if (!canSkip) return skippable;
+
+    const firstBreak = sorted.findIndex(field => field.type === 'pagebreak');
+    if (firstBreak === -1) return skippable;
+    sorted.slice(firstBreak + 1).forEach(field => skippable.add(field.id));
+    return skippable;
+}
+
+/**
+ * Check submission data against the form schema
+ * Conditional logic is evaluated first: fields hidden by a rule are not checked
+ * and rule-required fields count as required. Fields hidden in the builder are
+ * filled in by the form, so an empty one is not reported as missing
+ * @param {Array<Object>} fields - Form fields
+ * @param {Object<string, *>} data - Answers keyed by field ID
+ * @returns {{valid: boolean, errors: Object<string, string>}} - Validation result with messages keyed by field ID
+ */
+export function validateSubmissionData(fields, data) {
+    const errors = {};
+
+    if (!Array.isArray(fields)) {
+        return { valid: true, errors };
+    }
+    if (!data || typeof data !== 'object') {
+        return { valid: false, errors: { _form: 'Submission data must be an object' } };
+    }
+
+    const logic = evaluateFormLogic(fields, data);
+    const skippable = getSkippableFieldIds(fields);
+
+    fields
+        .filter(field => !LAYOUT_FIELD_TYPES.includes(field.type) && !logic.hidden.has(field.id))
+        .forEach(field => {
+            if (skippable.has(field.id) && !(field.id in data)) return;
+            const required = !field.hidden && (!!field.required || logic.required.has(field.id));
+            const message = validateFieldValue(field, data[field.id], { required });
+            if (message) errors[field.id] = message;
+        });
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
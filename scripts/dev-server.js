@@ -50,6 +50,9 @@ const FILES_TO_PROCESS = {
       "const GITHUB_TOKEN = 'VITE_GITHUB_TOKEN'": process.env.VITE_GITHUB_TOKEN && process.env.VITE_GITHUB_TOKEN.trim() !== ''
         ? `const GITHUB_TOKEN = '${process.env.VITE_GITHUB_TOKEN}'`
         : "const GITHUB_TOKEN = 'VITE_GITHUB_TOKEN'",
+      "const GITHUB_TOKENS = 'VITE_GITHUB_TOKENS'": process.env.VITE_GITHUB_TOKENS && process.env.VITE_GITHUB_TOKENS.trim() !== ''
+        ? `const GITHUB_TOKENS = '${process.env.VITE_GITHUB_TOKENS}'`
+        : "const GITHUB_TOKENS = 'VITE_GITHUB_TOKENS'",
     }
   },
   'js/auth.js': {